@@ -7,11 +7,25 @@
 const CONFIG = {
     BIOS_FILE: 'gba_bios.bin', 
     EMULATOR_ID: 'gbajs-container',
-    STATUS_ID: 'emulator-status'
+    STATUS_ID: 'emulator-status',
+    CONTROLS_ID: 'input-controls',
+    SAVE_TYPE_ID: 'save-type',
+    STATE_SLOTS_ID: 'state-slots',
+    BIOS_MODE_ID: 'bios-mode',
+    DEBUGGER_ID: 'debugger-panel',
+    VIEWERS_ID: 'video-viewers',
+    MEMORY_VIEWER_ID: 'memory-viewer',
+    CHEATS_ID: 'cheat-panel',
+    PATCH_ENABLED_ID: 'patch-enabled',
+    PATCH_STATUS_ID: 'patch-status'
 };
 
 window.gbaEmulatorInstance = null; 
 window.gbaBiosData = null; 
+// The ROM as loaded, kept unpatched so the patch can be switched off: { data, fileName }
+window.gbaOriginalRom = null;
+// The selected IPS/UPS/BPS patch: { data, fileName, enabled, waitingForRom }
+window.gbaRomPatch = null;
 
 // --- Bootstrap Utility Functions ---
 
@@ -75,30 +89,20 @@ async function loadHardcodedBios() {
 
 // --- ROM Verification (Header Checksum) ---
 
+// The fixed byte 0x96 plus the Nintendo logo or the header complement checksum (gbajs3-rom-loader.js)
 function verifyRom(romData) {
-    const romView = new Uint8Array(romData);
-
-    if (romData.byteLength < 0xBD + 1) {
-        console.error('[ROM Verification] ROM file is too small to contain a valid header.', 'error');
+    const header = checkRomHeader(new Uint8Array(romData));
+    if (!isGbaHeader(header)) {
+        console.error(`[ROM Verification] Not a GBA header (logo ${header.logo ? 'ok' : 'missing'}, fixed byte ${header.fixedByte ? 'ok' : 'wrong'}, checksum ${header.checksum ? 'ok' : 'wrong'}).`, 'error');
         return false;
     }
-
-    // Header Complement Check (0xA0 to 0xBC, check byte 0xBD)
-    let checkSum = 0;
-    for (let i = 0xA0; i < 0xBD; i++) {
-        checkSum = (checkSum + romView[i]) & 0xFF;
-    }
-    
-    // Checksum formula: Sum(0xA0..0xBC) + 0xBD byte + 0x19 should be 0 mod 256
-    const calculatedComplement = (0x100 - checkSum - 0x19) & 0xFF;
-    const expectedComplement = romView[0xBD];
-
-    if (calculatedComplement !== expectedComplement) {
-        console.error(`[ROM Verification] Header checksum FAILED. Expected 0x${expectedComplement.toString(16)}, Calculated 0x${calculatedComplement.toString(16)}`, 'error');
-        return false;
+    if (!header.checksum) {
+        console.warn('[ROM Verification] Header checksum FAILED; the Nintendo logo matches, so starting anyway.');
+    } else if (!header.logo) {
+        console.log('[ROM Verification] ROM header checksum PASSED (no Nintendo logo, as in some homebrew).', 'success');
+    } else {
+        console.log('[ROM Verification] ROM header checksum PASSED.', 'success');
     }
-
-    console.log('[ROM Verification] ROM header checksum PASSED.', 'success');
     return true;
 }
 
@@ -130,79 +134,303 @@ function getGameTitle(romData) {
 
 // --- ROM Loading and Core Execution (Corrected) ---
 
-window.loadRomFromFile = function(files) {
-    if (files.length === 0) return;
+// File names, archive entry names and header titles come from the user's files, and the
+// page's console output is HTML, so they are escaped before they are logged
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
 
-    const file = files[0];
-    const fileName = file.name;
-    const fileExtension = fileName.slice(((fileName.lastIndexOf(".") - 1) >>> 0) + 2).toLowerCase();
-    
-    if (fileExtension !== 'gba') {
-        console.error(`[ROM Loader] Invalid file type: ${fileExtension}. Please select a .gba file.`, 'error');
-        alert('Invalid file type. Please select a .gba file.');
-        return;
+function getFileExtension(fileName) {
+    return fileName.slice(((fileName.lastIndexOf(".") - 1) >>> 0) + 2).toLowerCase();
+}
+
+function readFileAsArrayBuffer(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = (event) => resolve(event.target.result);
+        reader.onerror = (event) => reject(event.target.error);
+        reader.readAsArrayBuffer(file);
+    });
+}
+
+// Lets the user pick when an archive holds several ROMs; returns an index, or -1
+function chooseArchiveEntry(names) {
+    const list = names.map((name, i) => `${i + 1}. ${name}`).join('\n');
+    const answer = prompt(`This archive holds several ROMs. Enter the number of the one to load:\n\n${list}`, '1');
+    const number = answer === null ? NaN : parseInt(answer, 10);
+    return Number.isNaN(number) ? -1 : number - 1;
+}
+
+// Unpacks an archive if needed and checks the header. Returns { data, fileName, multiboot },
+// or null after telling the user why not.
+async function readRomImage(fileName, bytes) {
+    const unpacked = await unpackRomFile(fileName, bytes, chooseArchiveEntry);
+    if (!unpacked) {
+        console.log('[ROM Loader] No ROM chosen from the archive.');
+        return null;
     }
+    if (unpacked.name !== fileName) console.log(`[ROM Loader] Extracted ${escapeHtml(unpacked.name)} (${unpacked.data.byteLength} bytes) from ${escapeHtml(fileName)}.`);
 
-    console.log(`[ROM Loader] Selected file: ${fileName} (${file.size} bytes)`);
+    const type = identifyRomImage(unpacked.data, unpacked.name);
+    if (!type) {
+        console.error(`[ROM Loader] ${escapeHtml(unpacked.name)} has no GBA header.`, 'error');
+        alert(`${unpacked.name} is not a GBA ROM or multiboot image.`);
+        return null;
+    }
+    const data = unpacked.data;
+    return {
+        data: data.byteLength === data.buffer.byteLength ? data.buffer : data.slice().buffer,
+        fileName: unpacked.name === fileName ? fileName : `${fileName}/${unpacked.name}`,
+        multiboot: type === 'multiboot',
+    };
+}
 
-    const reader = new FileReader();
+// Takes a ROM, a patch, or both (from the file input or a drop), told apart by their
+// contents. A patch on its own is applied to the ROM already loaded, or kept for the next one.
+window.loadRomFromFile = async function(files) {
+    if (files.length === 0) return;
 
-    reader.onload = function(event) {
-        const romData = event.target.result;
-        
-        if (!verifyRom(romData)) {
-            alert('ROM verification failed. The file may be corrupt or not a valid GBA ROM.');
-            return;
+    let romImage = null, patchFile = null, patchData = null;
+    try {
+        for (const file of Array.from(files)) {
+            const bytes = new Uint8Array(await readFileAsArrayBuffer(file));
+            if (!patchFile && detectPatchFormat(bytes)) {
+                patchFile = file;
+                patchData = bytes;
+            } else if (!romImage) {
+                console.log(`[ROM Loader] Selected file: ${escapeHtml(file.name)} (${file.size} bytes)`);
+                romImage = await readRomImage(file.name, bytes);
+                if (!romImage) return;
+            }
         }
+    } catch (e) {
+        console.error(`[ROM Loader] Error reading file: ${escapeHtml(e.message)}`, 'error');
+        alert(`The file could not be read:\n${e.message}`);
+        return;
+    }
 
-        loadRomDataIntoEmulator(romData, fileName);
-    };
+    if (patchFile) {
+        window.gbaRomPatch = {
+            data: patchData,
+            fileName: patchFile.name,
+            enabled: true,
+            waitingForRom: !romImage && !window.gbaOriginalRom,
+        };
+        console.log(`[Patch] Selected patch: ${escapeHtml(patchFile.name)} (${patchFile.size} bytes)`);
+    } else if (romImage && window.gbaRomPatch && !window.gbaRomPatch.waitingForRom) {
+        window.gbaRomPatch = null; // A patch belongs to the ROM it was chosen with
+    }
+    if (romImage) {
+        window.gbaOriginalRom = romImage;
+        if (window.gbaRomPatch) window.gbaRomPatch.waitingForRom = false;
+    }
 
-    reader.onerror = function(event) {
-        console.error(`[ROM Loader] Error reading file: ${event.target.error.name}`, 'error');
-    };
+    updatePatchControls();
+    if (window.gbaOriginalRom) {
+        bootLoadedRom();
+    } else {
+        console.log('[Patch] No ROM loaded yet; the patch will be applied to the next one.');
+    }
+}
 
-    reader.readAsArrayBuffer(file);
+// Selecting the patch on its own, after the ROM
+window.loadPatchFromFile = function(files) {
+    if (files.length === 0) return;
+    if (!PATCH_EXTENSIONS.includes(getFileExtension(files[0].name))) {
+        alert('Invalid patch type. Please select an .ips, .ups or .bps file.');
+        return;
+    }
+    window.loadRomFromFile(files);
 }
 
+window.setPatchEnabled = function(enabled) {
+    if (!window.gbaRomPatch) return;
+    window.gbaRomPatch.enabled = enabled;
+    console.log(`[Patch] ${escapeHtml(window.gbaRomPatch.fileName)} ${enabled ? 'enabled' : 'disabled'}; restarting the game.`);
+    if (window.gbaOriginalRom) bootLoadedRom();
+}
 
-function loadRomDataIntoEmulator(romData, fileName) {
-    
-    if (!window.gbaBiosData) {
-        console.error('[Emulator Core] BIOS not loaded. Cannot proceed.', 'error');
-        alert('BIOS loading failed. Check console for errors.');
+// Patches a copy of the original ROM (when a patch is on), verifies it and starts it
+function bootLoadedRom() {
+    const rom = window.gbaOriginalRom;
+    const patch = window.gbaRomPatch;
+    // The core keeps the buffer it is given, and cheats patch it in place
+    let romData = rom.data.slice(0);
+    let fileName = rom.fileName;
+
+    if (patch && patch.enabled) {
+        try {
+            const result = applyRomPatch(new Uint8Array(rom.data), patch.data);
+            romData = result.data.buffer;
+            fileName = `${rom.fileName} + ${patch.fileName}`;
+            console.log(`[Patch] Applied ${result.format.toUpperCase()} patch ${escapeHtml(patch.fileName)} (${rom.data.byteLength} -> ${romData.byteLength} bytes).`, 'success');
+        } catch (e) {
+            console.error(`[Patch] ${escapeHtml(patch.fileName)} could not be applied: ${e.message}`, 'error');
+            alert(`The patch ${patch.fileName} could not be applied:\n${e.message}\n\nThe game will start unpatched.`);
+            window.gbaRomPatch = null;
+            updatePatchControls();
+        }
+    }
+
+    if (!verifyRom(romData)) {
+        alert('ROM verification failed. The file may be corrupt or not a valid GBA ROM.');
         return;
     }
 
+    loadRomDataIntoEmulator(romData, fileName, rom.multiboot);
+}
+
+function updatePatchControls() {
+    const patch = window.gbaRomPatch;
+    const toggle = document.getElementById(CONFIG.PATCH_ENABLED_ID);
+    if (toggle) {
+        toggle.disabled = !patch;
+        toggle.checked = Boolean(patch && patch.enabled);
+    }
+    const statusEl = document.getElementById(CONFIG.PATCH_STATUS_ID);
+    if (statusEl) statusEl.textContent = patch ? patch.fileName : 'No patch';
+}
+
+
+async function loadRomDataIntoEmulator(romData, fileName, multiboot = false) {
+    
     // --- Instantiate Core if it hasn't been already ---
     if (!window.gbaEmulatorInstance && typeof GBAJS3_Core !== 'undefined') {
         const container = document.getElementById(CONFIG.EMULATOR_ID);
         // 1. Clear the container's old text
         container.innerHTML = ''; 
         
-        window.gbaEmulatorInstance = new GBAJS3_Core(container, window.gbaBiosData); 
-        console.log('[Emulator Core] New emulator instance created with BIOS data.');
+        // A missing BIOS (gbaBiosData null) makes the core fall back to its HLE BIOS
+        window.gbaEmulatorInstance = new GBAJS3_Core(window.gbaBiosData); 
+        console.log(`[Emulator Core] New emulator instance created (${window.gbaEmulatorInstance.hleBios ? 'HLE BIOS' : 'BIOS image'}).`);
+        window.gbaFrontend = new GBAJS3_Frontend(container, window.gbaEmulatorInstance);
+
+        const audioOutput = new GBA_AudioOutput(window.gbaEmulatorInstance.apu);
+        window.gbaFrontend.audioOutput = audioOutput;
+        audioOutput.start();
+
+        const input = new GBA_Input(window.gbaEmulatorInstance);
+        window.gbaFrontend.input = input;
+        input.createTouchControls(container);
+        const controlsPanel = document.getElementById(CONFIG.CONTROLS_ID);
+        if (controlsPanel) input.createRemapPanel(controlsPanel);
+
+        window.gbaSaveStore = new GBA_SaveStore(window.gbaEmulatorInstance);
+        window.gbaSaveStore.startAutoFlush();
+        window.gbaStateStore = new GBA_StateStore(window.gbaEmulatorInstance);
+
+        window.gbaCheats = new GBA_CheatManager(window.gbaEmulatorInstance);
+        window.gbaFrontend.cheats = window.gbaCheats;
+        const cheatPanel = document.getElementById(CONFIG.CHEATS_ID);
+        if (cheatPanel) window.gbaCheats.createPanel(cheatPanel);
+
+        window.gbaDebugger = new GBA_Debugger(window.gbaFrontend);
+        window.gbaFrontend.debugger = window.gbaDebugger;
+        const debuggerPanel = document.getElementById(CONFIG.DEBUGGER_ID);
+        if (debuggerPanel) window.gbaDebugger.createPanel(debuggerPanel);
+
+        window.gbaViewers = new GBA_VideoViewers(window.gbaEmulatorInstance);
+        window.gbaFrontend.addInspector(window.gbaViewers);
+        const viewersPanel = document.getElementById(CONFIG.VIEWERS_ID);
+        if (viewersPanel) window.gbaViewers.createPanel(viewersPanel);
+
+        window.gbaMemoryViewer = new GBA_MemoryViewer(window.gbaEmulatorInstance);
+        window.gbaFrontend.addInspector(window.gbaMemoryViewer);
+        const memoryPanel = document.getElementById(CONFIG.MEMORY_VIEWER_ID);
+        if (memoryPanel) window.gbaMemoryViewer.createPanel(memoryPanel);
     }
     
     const gameTitle = getGameTitle(romData);
-    console.log(`[Emulator Core] Starting game: ${gameTitle}`); 
+    console.log(`[Emulator Core] Starting game: ${escapeHtml(gameTitle)}`); 
     
     let statusEl = document.getElementById(CONFIG.STATUS_ID);
     
     if (window.gbaEmulatorInstance && typeof window.gbaEmulatorInstance.loadRom === 'function') {
         try {
-            window.gbaEmulatorInstance.loadRom(romData); 
+            // The previous game must not run on while its save is flushed and the new ROM swapped in
+            window.gbaFrontend.pause();
+            // The stored save (if any) must be in place before the game first reads it
+            const savedBackup = await window.gbaSaveStore.load(romData);
+            if (multiboot) window.gbaEmulatorInstance.loadMultiboot(romData, savedBackup);
+            else window.gbaEmulatorInstance.loadRom(romData, savedBackup);
+            await window.gbaCheats.load(romData);
+            window.gbaFrontend.start();
+            updateSaveTypeSelect();
+
+            const slotsPanel = document.getElementById(CONFIG.STATE_SLOTS_ID);
+            if (slotsPanel) window.gbaStateStore.createSlotPanel(slotsPanel);
             
             statusEl.className = 'success';
-            statusEl.innerHTML = `Successfully loaded and started: <strong>${gameTitle}</strong> (File: ${fileName})`;
+            const title = document.createElement('strong');
+            title.textContent = gameTitle;
+            statusEl.replaceChildren('Successfully loaded and started: ', title,
+                ` (File: ${fileName}${multiboot ? ', multiboot' : ''})`);
         } catch (e) {
             console.error(`[Emulator Core] Error during ROM loading or starting: ${e.message}`, 'error');
             statusEl.className = 'error';
-            statusEl.innerHTML = `Error: Could not start game. Check console for details.`;
+            statusEl.textContent = 'Error: Could not start game. Check console for details.';
         }
     } 
 }
 
+// --- Cartridge Saves (.sav import/export and save type override) ---
+
+function updateSaveTypeSelect() {
+    const select = document.getElementById(CONFIG.SAVE_TYPE_ID);
+    if (select && window.gbaEmulatorInstance) {
+        select.value = window.gbaEmulatorInstance.bus.backup.type;
+    }
+}
+
+window.setSaveType = function(type) {
+    const core = window.gbaEmulatorInstance;
+    if (!core || !core.romLoaded) return;
+    if (!confirm('Changing the save type erases the current save for this game. Continue?')) {
+        updateSaveTypeSelect();
+        return;
+    }
+    core.setBackupType(type === 'auto' ? detectBackupType(core.romData) : type);
+    updateSaveTypeSelect();
+    window.gbaSaveStore.flush(true);
+}
+
+window.exportSaveFile = function() {
+    const core = window.gbaEmulatorInstance;
+    if (!core || !core.romLoaded) return;
+
+    const data = core.exportSave();
+    if (data.length === 0) {
+        alert('This game has no save memory.');
+        return;
+    }
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([data], { type: 'application/octet-stream' }));
+    link.download = `${getGameTitle(core.romData) || 'game'}.sav`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
+window.importSaveFile = function(files) {
+    const core = window.gbaEmulatorInstance;
+    if (files.length === 0 || !core || !core.romLoaded) return;
+
+    const reader = new FileReader();
+    reader.onload = function(event) {
+        core.importSave(new Uint8Array(event.target.result));
+        updateSaveTypeSelect();
+        window.gbaSaveStore.flush(true);
+        console.log(`[Backup] Imported ${escapeHtml(files[0].name)}. Load the ROM again to restart with it.`, 'success');
+    };
+    reader.readAsArrayBuffer(files[0]);
+}
+
+function showBiosMode(biosLoaded) {
+    const modeEl = document.getElementById(CONFIG.BIOS_MODE_ID);
+    if (!modeEl) return;
+    modeEl.textContent = biosLoaded ? `BIOS: ${CONFIG.BIOS_FILE}` : 'BIOS: HLE (built-in)';
+    modeEl.className = biosLoaded ? 'success' : '';
+}
+
 // --- Main Execution Flow ---
 async function startBootstrap() {
     console.log('[Bootstrap] Starting client-side bootstrap...');
@@ -218,16 +446,24 @@ async function startBootstrap() {
         container.insertAdjacentElement('afterend', statusEl);
     }
     
+    // ROMs and patches can also be dropped anywhere on the page
+    document.addEventListener('dragover', (event) => event.preventDefault());
+    document.addEventListener('drop', (event) => {
+        event.preventDefault();
+        window.loadRomFromFile(event.dataTransfer.files);
+    });
+
     const biosLoaded = await loadHardcodedBios();
+    showBiosMode(biosLoaded);
 
-    if (!biosLoaded) {
-        statusEl.className = 'error';
-        statusEl.innerHTML = `ERROR: GBA BIOS failed to load from **${CONFIG.BIOS_FILE}**. Ensure the file is correctly committed and available.`;
-        return;
-    }
-    
     statusEl.className = '';
-    statusEl.innerHTML = '<h2>Emulator Ready</h2><p>BIOS loaded. Please use the file input to load the **ROM (.gba)**.</p>';
+    if (biosLoaded) {
+        statusEl.innerHTML = '<h2>Emulator Ready</h2><p>BIOS loaded. Please use the file input to load the **ROM (.gba)**.</p>';
+    } else {
+        // Games boot straight into the ROM; SWI calls are emulated in JavaScript
+        console.log('[Bootstrap] No usable BIOS image, falling back to the HLE BIOS.');
+        statusEl.innerHTML = `<h2>Emulator Ready</h2><p>${CONFIG.BIOS_FILE} could not be loaded, so the built-in HLE BIOS is used (no boot logo). Please use the file input to load the **ROM (.gba)**.</p>`;
+    }
     
     console.log('[Bootstrap] Bootstrap process complete. Waiting for ROM...', 'success');
 }
@@ -0,0 +1,68 @@
+// GBAJS3-Audio-Worklet.js (Resamples APU output to the AudioContext rate)
+// Loaded with audioWorklet.addModule(), so it runs in the audio thread and cannot see the page's globals.
+
+"use strict";
+
+const RING_FRAMES = 16384;          // About half a second at 32768 Hz
+const MAX_LATENCY_SECONDS = 0.15;   // Drop old audio beyond this so latency cannot build up
+const TARGET_LATENCY_SECONDS = 0.05;
+
+class GBAAudioProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+        this.sourceRate = options.processorOptions.sourceRate;
+        this.step = this.sourceRate / sampleRate; // Source frames per output frame
+
+        this.ring = new Float32Array(RING_FRAMES * 2);
+        this.writeFrame = 0;    // Total frames written
+        this.readPosition = 0;  // Fractional read position in the same frame count
+        this.lastLeft = 0;
+        this.lastRight = 0;
+
+        this.port.onmessage = (event) => this.push(event.data);
+    }
+
+    push(samples) {
+        const frames = samples.length >> 1;
+        for (let i = 0; i < frames; i++) {
+            const index = (this.writeFrame % RING_FRAMES) * 2;
+            this.ring[index] = samples[i * 2];
+            this.ring[index + 1] = samples[i * 2 + 1];
+            this.writeFrame++;
+        }
+
+        const buffered = this.writeFrame - this.readPosition;
+        if (buffered > this.sourceRate * MAX_LATENCY_SECONDS || buffered > RING_FRAMES - 1) {
+            this.readPosition = this.writeFrame - this.sourceRate * TARGET_LATENCY_SECONDS;
+        }
+    }
+
+    process(inputs, outputs) {
+        const output = outputs[0];
+        const left = output[0];
+        const right = output[1] || output[0];
+
+        for (let i = 0; i < left.length; i++) {
+            const frame = Math.floor(this.readPosition);
+            if (frame + 1 >= this.writeFrame) {
+                // Underrun: hold the last sample instead of clicking
+                left[i] = this.lastLeft;
+                right[i] = this.lastRight;
+                continue;
+            }
+
+            // Linear interpolation between neighbouring source frames
+            const fraction = this.readPosition - frame;
+            const a = (frame % RING_FRAMES) * 2;
+            const b = ((frame + 1) % RING_FRAMES) * 2;
+            this.lastLeft = this.ring[a] + (this.ring[b] - this.ring[a]) * fraction;
+            this.lastRight = this.ring[a + 1] + (this.ring[b + 1] - this.ring[a + 1]) * fraction;
+            left[i] = this.lastLeft;
+            right[i] = this.lastRight;
+            this.readPosition += this.step;
+        }
+        return true;
+    }
+}
+
+registerProcessor('gba-audio-processor', GBAAudioProcessor);
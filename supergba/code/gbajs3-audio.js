@@ -0,0 +1,544 @@
+// GBAJS3-Audio.js (APU: PSG channels, DirectSound FIFOs and Web Audio output)
+
+"use strict";
+
+// === Sound Register Offsets (from 0x04000000) ===
+const REG_SOUND1CNT_L = 0x060; // Channel 1 sweep
+const REG_SOUND1CNT_H = 0x062; // Channel 1 duty/length/envelope
+const REG_SOUND1CNT_X = 0x064; // Channel 1 frequency/control
+const REG_SOUND2CNT_L = 0x068; // Channel 2 duty/length/envelope
+const REG_SOUND2CNT_H = 0x06C; // Channel 2 frequency/control
+const REG_SOUND3CNT_L = 0x070; // Channel 3 stop/wave RAM select
+const REG_SOUND3CNT_H = 0x072; // Channel 3 length/volume
+const REG_SOUND3CNT_X = 0x074; // Channel 3 frequency/control
+const REG_SOUND4CNT_L = 0x078; // Channel 4 length/envelope
+const REG_SOUND4CNT_H = 0x07C; // Channel 4 frequency/control
+const REG_SOUNDCNT_L  = 0x080; // PSG volume and L/R enable
+const REG_SOUNDCNT_H  = 0x082; // DirectSound control and PSG/DMA mix ratio
+const REG_SOUNDCNT_X  = 0x084; // Master enable and channel status
+const REG_SOUNDBIAS   = 0x088;
+const REG_WAVE_RAM    = 0x090; // 16 bytes, the bank not currently playing
+const REG_FIFO_A      = 0x0A0;
+const REG_FIFO_B      = 0x0A4;
+
+// === APU Timing ===
+// Samples are generated at 32768 Hz (one every 512 cycles); the frame sequencer runs at 512 Hz.
+const APU_SAMPLE_RATE = 32768;
+const CYCLES_PER_SAMPLE = 512;
+const SAMPLES_PER_SEQUENCER_STEP = 64;
+const APU_BUFFER_FRAMES = APU_SAMPLE_RATE; // Holds one second if nobody drains the buffer
+
+// Square wave duty patterns (12.5%, 25%, 50%, 75%), one bit per eighth of the period
+const SQUARE_DUTY = [0x01, 0x81, 0x87, 0x7E];
+// Noise divisors in GB cycles, indexed by SOUND4CNT_H bits 0-2
+const NOISE_DIVISORS = [8, 16, 32, 48, 64, 80, 96, 112];
+// PSG/DMA volume ratio from SOUNDCNT_H bits 0-1 (3 is prohibited)
+const PSG_VOLUME_RATIO = [0.25, 0.5, 1, 1];
+const FIFO_SIZE = 32;
+
+// Length counter, envelope and DAC state shared by the PSG channels
+function createPsgChannel(maxLength) {
+    return {
+        enabled: false,
+        dacOn: false,
+        maxLength: maxLength,
+        length: 0,
+        lengthEnabled: false,
+        volume: 0,
+        envelopeStep: 0,     // SOUNDxCNT envelope step time (0 = off)
+        envelopeTimer: 0,
+        envelopeIncrease: false,
+        period: 0,           // Cycles per waveform step
+        timer: 0,
+        position: 0,         // Duty step, wave sample index or LFSR state
+    };
+}
+
+// === GBA_APU (sample generation; no browser APIs so it runs in Node) ===
+class GBA_APU {
+    constructor(core) {
+        this.core = core;
+        this.ioRegsView = core.ioRegsView;
+
+        this.square1 = createPsgChannel(64);
+        this.square2 = createPsgChannel(64);
+        this.wave = createPsgChannel(256);
+        this.noise = createPsgChannel(64);
+
+        // Channel 1 frequency sweep
+        this.sweepEnabled = false;
+        this.sweepTimer = 0;
+        this.sweepShadow = 0;
+
+        // Two 32-sample banks of 4-bit wave data
+        this.waveRAM = new Uint8Array(32);
+
+        // DirectSound: signed 8-bit FIFOs and the sample each one is currently outputting
+        this.fifos = [
+            { data: new Int8Array(FIFO_SIZE), readIndex: 0, count: 0, sample: 0, address: 0x04000000 + REG_FIFO_A },
+            { data: new Int8Array(FIFO_SIZE), readIndex: 0, count: 0, sample: 0, address: 0x04000000 + REG_FIFO_B },
+        ];
+
+        this.masterEnable = false;
+        this.cycleAccumulator = 0;
+        this.sequencerSamples = 0;
+        this.sequencerStep = 0;
+
+        // Interleaved stereo output waiting for takeSamples()
+        this.outputBuffer = new Float32Array(APU_BUFFER_FRAMES * 2);
+        this.outputFrames = 0;
+
+        this.ioRegsView.setUint16(REG_SOUNDBIAS, 0x200, true);
+    }
+
+    // === Save States (see gbajs3-savestate.js) ===
+    // Register values travel with ioRegsView; this is the internal channel state behind them.
+    captureState() {
+        return {
+            channels: [this.square1, this.square2, this.wave, this.noise],
+            sweepEnabled: this.sweepEnabled,
+            sweepTimer: this.sweepTimer,
+            sweepShadow: this.sweepShadow,
+            waveRAM: this.waveRAM,
+            fifos: this.fifos,
+            masterEnable: this.masterEnable,
+            cycleAccumulator: this.cycleAccumulator,
+            sequencerSamples: this.sequencerSamples,
+            sequencerStep: this.sequencerStep,
+        };
+    }
+
+    restoreState(state) {
+        [this.square1, this.square2, this.wave, this.noise].forEach((channel, i) => Object.assign(channel, state.channels[i]));
+        this.sweepEnabled = state.sweepEnabled;
+        this.sweepTimer = state.sweepTimer;
+        this.sweepShadow = state.sweepShadow;
+        this.waveRAM.set(state.waveRAM);
+        this.fifos.forEach((fifo, i) => {
+            const saved = state.fifos[i];
+            fifo.data.set(saved.data);
+            fifo.readIndex = saved.readIndex;
+            fifo.count = saved.count;
+            fifo.sample = saved.sample;
+        });
+        this.masterEnable = state.masterEnable;
+        this.cycleAccumulator = state.cycleAccumulator;
+        this.sequencerSamples = state.sequencerSamples;
+        this.sequencerStep = state.sequencerStep;
+        this.outputFrames = 0; // Audio generated before the load is stale
+    }
+
+    // === Register Writes (called from GBAJS3_Core.handleIOWrite) ===
+    writeRegister(offset, value, mask) {
+        if (offset >= REG_FIFO_A) {
+            this.writeFifo(offset >= REG_FIFO_B ? 1 : 0, value, mask);
+            return;
+        }
+        if (offset >= REG_WAVE_RAM) {
+            // The CPU sees the bank that is not selected for playback
+            const bank = (this.ioRegsView.getUint16(REG_SOUND3CNT_L, true) >> 6) & 0x1;
+            const index = (bank ^ 1) * 16 + (offset - REG_WAVE_RAM);
+            if (mask & 0x00FF) this.waveRAM[index] = value & 0xFF;
+            if (mask & 0xFF00) this.waveRAM[index + 1] = value >> 8;
+            return;
+        }
+
+        switch (offset) {
+            case REG_SOUNDCNT_X:
+                this.writeMasterEnable((value & 0x80) !== 0);
+                return;
+            case REG_SOUNDCNT_H:
+                // FIFO reset bits are write-only
+                if (value & 0x0800) this.resetFifo(0);
+                if (value & 0x8000) this.resetFifo(1);
+                this.ioRegsView.setUint16(REG_SOUNDCNT_H, value & 0x770F, true);
+                return;
+            case REG_SOUNDCNT_L:
+            case REG_SOUNDBIAS:
+                return; // Read directly when mixing
+        }
+
+        // PSG registers are read-only while the master enable is off
+        if (!this.masterEnable && offset < REG_SOUNDCNT_L) {
+            this.ioRegsView.setUint16(offset, 0, true);
+            return;
+        }
+
+        switch (offset) {
+            case REG_SOUND1CNT_H: this.writeDutyEnvelope(this.square1, value, mask); break;
+            case REG_SOUND2CNT_L: this.writeDutyEnvelope(this.square2, value, mask); break;
+            case REG_SOUND4CNT_L: this.writeDutyEnvelope(this.noise, value, mask); break;
+            case REG_SOUND1CNT_X: this.writeSquareControl(this.square1, value, true); break;
+            case REG_SOUND2CNT_H: this.writeSquareControl(this.square2, value, false); break;
+            case REG_SOUND3CNT_L: {
+                this.wave.dacOn = (value & 0x80) !== 0;
+                if (!this.wave.dacOn) this.wave.enabled = false;
+                // Reads of 0x04000090 follow the bank switch
+                const cpuBank = ((value >> 6) & 0x1) ^ 1;
+                for (let i = 0; i < 16; i++) {
+                    this.ioRegsView.setUint8(REG_WAVE_RAM + i, this.waveRAM[cpuBank * 16 + i]);
+                }
+                break;
+            }
+            case REG_SOUND3CNT_H:
+                if (mask & 0x00FF) this.wave.length = 256 - (value & 0xFF);
+                break;
+            case REG_SOUND3CNT_X: this.writeWaveControl(value); break;
+            case REG_SOUND4CNT_H: this.writeNoiseControl(value); break;
+        }
+        this.updateStatus();
+    }
+
+    // SOUND1CNT_H / SOUND2CNT_L / SOUND4CNT_L: length (bits 0-5), envelope (bits 8-15)
+    writeDutyEnvelope(channel, value, mask) {
+        if (mask & 0x00FF) channel.length = 64 - (value & 0x3F);
+        // The DAC is off when the envelope starts at 0 and decreases
+        channel.dacOn = (value & 0xF800) !== 0;
+        if (!channel.dacOn) channel.enabled = false;
+    }
+
+    writeSquareControl(channel, value, hasSweep) {
+        channel.period = (2048 - (value & 0x7FF)) * 16;
+        channel.lengthEnabled = (value & 0x4000) !== 0;
+        if (value & 0x8000) {
+            this.triggerEnvelopeChannel(channel, hasSweep ? REG_SOUND1CNT_H : REG_SOUND2CNT_L);
+            channel.timer = channel.period;
+            if (hasSweep) this.triggerSweep(value & 0x7FF);
+            // The trigger bit always reads back as 0
+            this.ioRegsView.setUint16(hasSweep ? REG_SOUND1CNT_X : REG_SOUND2CNT_H, value & 0x47FF, true);
+        }
+    }
+
+    writeWaveControl(value) {
+        const wave = this.wave;
+        wave.period = (2048 - (value & 0x7FF)) * 8;
+        wave.lengthEnabled = (value & 0x4000) !== 0;
+        if (value & 0x8000) {
+            wave.enabled = wave.dacOn;
+            if (wave.length === 0) wave.length = wave.maxLength;
+            wave.timer = wave.period;
+            wave.position = 0;
+            this.ioRegsView.setUint16(REG_SOUND3CNT_X, value & 0x47FF, true);
+        }
+    }
+
+    writeNoiseControl(value) {
+        const noise = this.noise;
+        const shift = (value >> 4) & 0xF;
+        noise.period = (NOISE_DIVISORS[value & 0x7] << shift) * 4;
+        noise.lengthEnabled = (value & 0x4000) !== 0;
+        if (value & 0x8000) {
+            this.triggerEnvelopeChannel(noise, REG_SOUND4CNT_L);
+            noise.timer = noise.period;
+            noise.position = (value & 0x8) ? 0x7F : 0x7FFF; // 7-bit or 15-bit LFSR, all ones
+            this.ioRegsView.setUint16(REG_SOUND4CNT_H, value & 0x40FF, true);
+        }
+    }
+
+    triggerEnvelopeChannel(channel, envelopeRegister) {
+        const envelope = this.ioRegsView.getUint16(envelopeRegister, true);
+        channel.enabled = channel.dacOn;
+        if (channel.length === 0) channel.length = channel.maxLength;
+        channel.volume = envelope >> 12;
+        channel.envelopeIncrease = (envelope & 0x0800) !== 0;
+        channel.envelopeStep = (envelope >> 8) & 0x7;
+        channel.envelopeTimer = channel.envelopeStep;
+        channel.position = 0;
+    }
+
+    triggerSweep(frequency) {
+        const sweep = this.ioRegsView.getUint16(REG_SOUND1CNT_L, true);
+        const time = (sweep >> 4) & 0x7;
+        const shift = sweep & 0x7;
+        this.sweepShadow = frequency;
+        this.sweepTimer = time || 8;
+        this.sweepEnabled = time !== 0 || shift !== 0;
+        if (shift !== 0) this.calculateSweep(); // Immediate overflow check
+    }
+
+    // Returns the next sweep frequency, disabling channel 1 if it overflows
+    calculateSweep() {
+        const sweep = this.ioRegsView.getUint16(REG_SOUND1CNT_L, true);
+        const delta = this.sweepShadow >> (sweep & 0x7);
+        const frequency = (sweep & 0x8) ? this.sweepShadow - delta : this.sweepShadow + delta;
+        if (frequency > 2047) this.square1.enabled = false;
+        return frequency;
+    }
+
+    writeMasterEnable(enabled) {
+        if (!enabled && this.masterEnable) {
+            // Turning the APU off clears every PSG register
+            for (let offset = REG_SOUND1CNT_L; offset < REG_SOUNDCNT_L; offset += 2) {
+                this.ioRegsView.setUint16(offset, 0, true);
+            }
+            this.ioRegsView.setUint16(REG_SOUNDCNT_L, 0, true);
+            for (const channel of [this.square1, this.square2, this.wave, this.noise]) {
+                channel.enabled = false;
+                channel.dacOn = false;
+            }
+        }
+        this.masterEnable = enabled;
+        this.updateStatus();
+    }
+
+    // SOUNDCNT_X bits 0-3 report which PSG channels are playing
+    updateStatus() {
+        let status = this.masterEnable ? 0x80 : 0;
+        if (this.square1.enabled) status |= 0x1;
+        if (this.square2.enabled) status |= 0x2;
+        if (this.wave.enabled) status |= 0x4;
+        if (this.noise.enabled) status |= 0x8;
+        this.ioRegsView.setUint16(REG_SOUNDCNT_X, status, true);
+    }
+
+    // === DirectSound FIFOs ===
+    writeFifo(index, value, mask) {
+        if (mask & 0x00FF) this.pushFifo(index, value & 0xFF);
+        if (mask & 0xFF00) this.pushFifo(index, value >> 8);
+    }
+
+    pushFifo(index, byte) {
+        const fifo = this.fifos[index];
+        if (fifo.count >= FIFO_SIZE) return; // Overflowing writes are lost
+        fifo.data[(fifo.readIndex + fifo.count) % FIFO_SIZE] = byte;
+        fifo.count++;
+    }
+
+    resetFifo(index) {
+        const fifo = this.fifos[index];
+        fifo.readIndex = 0;
+        fifo.count = 0;
+    }
+
+    // Called by the core when timer 0 or 1 overflows. Each FIFO selects its timer in SOUNDCNT_H,
+    // plays one sample per overflow, and asks DMA1/DMA2 for more once half empty.
+    timerOverflow(timerIndex, overflows) {
+        if (!this.masterEnable) return;
+        const soundcntH = this.ioRegsView.getUint16(REG_SOUNDCNT_H, true);
+
+        for (let i = 0; i < 2; i++) {
+            if (((soundcntH >> (10 + i * 4)) & 0x1) !== timerIndex) continue;
+            const fifo = this.fifos[i];
+            for (let n = 0; n < overflows && fifo.count > 0; n++) {
+                fifo.sample = fifo.data[fifo.readIndex];
+                fifo.readIndex = (fifo.readIndex + 1) % FIFO_SIZE;
+                fifo.count--;
+            }
+            if (fifo.count <= FIFO_SIZE / 2) {
+                this.core.requestSoundDma(fifo.address);
+            }
+        }
+    }
+
+    // === Sample Generation ===
+    advance(cycles) {
+        this.cycleAccumulator += cycles;
+        while (this.cycleAccumulator >= CYCLES_PER_SAMPLE) {
+            this.cycleAccumulator -= CYCLES_PER_SAMPLE;
+
+            if (++this.sequencerSamples === SAMPLES_PER_SEQUENCER_STEP) {
+                this.sequencerSamples = 0;
+                this.clockSequencer();
+            }
+            this.generateSample();
+        }
+    }
+
+    // 512 Hz frame sequencer: length at 256 Hz, sweep at 128 Hz, envelope at 64 Hz
+    clockSequencer() {
+        const step = this.sequencerStep;
+        this.sequencerStep = (step + 1) & 0x7;
+        if (!this.masterEnable) return;
+
+        if ((step & 0x1) === 0) {
+            for (const channel of [this.square1, this.square2, this.wave, this.noise]) {
+                if (channel.lengthEnabled && channel.length > 0 && --channel.length === 0) {
+                    channel.enabled = false;
+                }
+            }
+        }
+        if (step === 2 || step === 6) {
+            this.clockSweep();
+        }
+        if (step === 7) {
+            for (const channel of [this.square1, this.square2, this.noise]) {
+                if (channel.envelopeStep === 0 || --channel.envelopeTimer > 0) continue;
+                channel.envelopeTimer = channel.envelopeStep;
+                if (channel.envelopeIncrease && channel.volume < 15) channel.volume++;
+                else if (!channel.envelopeIncrease && channel.volume > 0) channel.volume--;
+            }
+        }
+        this.updateStatus();
+    }
+
+    clockSweep() {
+        if (--this.sweepTimer > 0) return;
+        const sweep = this.ioRegsView.getUint16(REG_SOUND1CNT_L, true);
+        const time = (sweep >> 4) & 0x7;
+        this.sweepTimer = time || 8;
+        if (!this.sweepEnabled || time === 0) return;
+
+        const frequency = this.calculateSweep();
+        if (frequency <= 2047 && (sweep & 0x7) !== 0) {
+            this.sweepShadow = frequency;
+            this.square1.period = (2048 - frequency) * 16;
+            const control = this.ioRegsView.getUint16(REG_SOUND1CNT_X, true);
+            this.ioRegsView.setUint16(REG_SOUND1CNT_X, (control & ~0x7FF) | frequency, true);
+            this.calculateSweep();
+        }
+    }
+
+    // Each PSG channel outputs -15..15; 0 while silent
+    squareOutput(channel, dutyRegister) {
+        if (!channel.enabled) return 0;
+        channel.timer -= CYCLES_PER_SAMPLE;
+        while (channel.timer <= 0) {
+            channel.timer += channel.period;
+            channel.position = (channel.position + 1) & 0x7;
+        }
+        const duty = SQUARE_DUTY[(this.ioRegsView.getUint16(dutyRegister, true) >> 6) & 0x3];
+        return ((duty >> channel.position) & 0x1) ? channel.volume : -channel.volume;
+    }
+
+    waveOutput() {
+        const wave = this.wave;
+        if (!wave.enabled) return 0;
+        const control = this.ioRegsView.getUint16(REG_SOUND3CNT_L, true);
+        const twoBanks = (control & 0x20) !== 0;
+        const sampleCount = twoBanks ? 64 : 32;
+
+        wave.timer -= CYCLES_PER_SAMPLE;
+        while (wave.timer <= 0) {
+            wave.timer += wave.period;
+            wave.position = (wave.position + 1) % sampleCount;
+        }
+
+        // Playback starts in the selected bank; 64-sample mode then continues into the other one
+        const bank = (control >> 6) & 0x1;
+        const index = (twoBanks ? (bank * 32 + wave.position) & 63 : bank * 32 + wave.position);
+        const byte = this.waveRAM[index >> 1];
+        const sample = (index & 0x1) ? (byte & 0xF) : (byte >> 4);
+
+        const volumeBits = this.ioRegsView.getUint16(REG_SOUND3CNT_H, true);
+        const volume = (volumeBits & 0x8000) ? 0.75 : [0, 1, 0.5, 0.25][(volumeBits >> 13) & 0x3];
+        return (sample * 2 - 15) * volume;
+    }
+
+    noiseOutput() {
+        const noise = this.noise;
+        if (!noise.enabled) return 0;
+        const control = this.ioRegsView.getUint16(REG_SOUND4CNT_H, true);
+        const narrow = (control & 0x8) !== 0;
+
+        // Shift clocks 14 and 15 stop the LFSR
+        if (((control >> 4) & 0xF) < 14) {
+            noise.timer -= CYCLES_PER_SAMPLE;
+            while (noise.timer <= 0) {
+                noise.timer += noise.period;
+                const bit = (noise.position ^ (noise.position >> 1)) & 0x1;
+                noise.position = (noise.position >> 1) | (bit << (narrow ? 6 : 14));
+            }
+        }
+        return (noise.position & 0x1) ? -noise.volume : noise.volume;
+    }
+
+    generateSample() {
+        let left = 0;
+        let right = 0;
+
+        if (this.masterEnable) {
+            const soundcntL = this.ioRegsView.getUint16(REG_SOUNDCNT_L, true);
+            const soundcntH = this.ioRegsView.getUint16(REG_SOUNDCNT_H, true);
+
+            const outputs = [
+                this.squareOutput(this.square1, REG_SOUND1CNT_H),
+                this.squareOutput(this.square2, REG_SOUND2CNT_L),
+                this.waveOutput(),
+                this.noiseOutput(),
+            ];
+            for (let i = 0; i < 4; i++) {
+                if (soundcntL & (0x100 << i)) right += outputs[i];
+                if (soundcntL & (0x1000 << i)) left += outputs[i];
+            }
+
+            // PSG master volume (1-8), then the PSG share of the 10-bit mix
+            const ratio = PSG_VOLUME_RATIO[soundcntH & 0x3];
+            right *= ((soundcntL & 0x7) + 1) * ratio;
+            left *= (((soundcntL >> 4) & 0x7) + 1) * ratio;
+
+            // DirectSound A/B: 50% or 100% volume, routed by SOUNDCNT_H bits 8-9 / 12-13
+            for (let i = 0; i < 2; i++) {
+                const sample = this.fifos[i].sample * ((soundcntH & (0x4 << i)) ? 4 : 2);
+                if (soundcntH & (0x100 << (i * 4))) right += sample;
+                if (soundcntH & (0x200 << (i * 4))) left += sample;
+            }
+        }
+
+        // SOUNDBIAS shifts the mix into the DAC's 0-0x3FF range, which is where it clips
+        const bias = this.ioRegsView.getUint16(REG_SOUNDBIAS, true) & 0x3FE;
+        left = Math.min(0x3FF, Math.max(0, left + bias)) - bias;
+        right = Math.min(0x3FF, Math.max(0, right + bias)) - bias;
+
+        if (this.outputFrames < APU_BUFFER_FRAMES) {
+            this.outputBuffer[this.outputFrames * 2] = left / 0x200;
+            this.outputBuffer[this.outputFrames * 2 + 1] = right / 0x200;
+            this.outputFrames++;
+        }
+    }
+
+    // Returns the interleaved stereo samples (APU_SAMPLE_RATE Hz, -1..1) produced since the last call
+    takeSamples() {
+        const samples = this.outputBuffer.slice(0, this.outputFrames * 2);
+        this.outputFrames = 0;
+        return samples;
+    }
+}
+
+// === GBA_AudioOutput (Web Audio playback through an AudioWorklet) ===
+// The worklet resamples from APU_SAMPLE_RATE to the device rate.
+class GBA_AudioOutput {
+    constructor(apu) {
+        this.apu = apu;
+        this.context = null;
+        this.node = null;
+    }
+
+    async start() {
+        if (typeof AudioContext === 'undefined' || typeof AudioWorkletNode === 'undefined') {
+            console.warn('[Audio] Web Audio with AudioWorklet is not supported; sound is disabled.');
+            return false;
+        }
+        try {
+            this.context = new AudioContext();
+            await this.context.audioWorklet.addModule('gbajs3-audio-worklet.js');
+            this.node = new AudioWorkletNode(this.context, 'gba-audio-processor', {
+                outputChannelCount: [2],
+                processorOptions: { sourceRate: APU_SAMPLE_RATE },
+            });
+            this.node.connect(this.context.destination);
+        } catch (e) {
+            console.error(`[Audio] Failed to start audio output: ${e.message}`);
+            this.node = null;
+            return false;
+        }
+
+        // Browsers keep the context suspended until the user interacts with the page
+        const resume = () => {
+            if (this.context.state === 'suspended') this.context.resume();
+        };
+        document.addEventListener('click', resume);
+        document.addEventListener('keydown', resume);
+        resume();
+
+        console.log(`[Audio] Output started at ${this.context.sampleRate} Hz.`);
+        return true;
+    }
+
+    // Sends everything the APU generated since the last call to the worklet
+    pump() {
+        const samples = this.apu.takeSamples();
+        if (this.node && samples.length > 0) {
+            this.node.port.postMessage(samples, [samples.buffer]);
+        }
+    }
+}
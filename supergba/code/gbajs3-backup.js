@@ -0,0 +1,450 @@
+// GBAJS3-Backup.js (Cartridge save memory: SRAM, Flash, EEPROM and IndexedDB persistence)
+
+"use strict";
+
+// === Backup Types ===
+// 'eeprom' is an EEPROM whose size (512B or 8KB) is not known yet; it is settled by the first DMA command.
+const BACKUP_NONE = 'none';
+const BACKUP_SRAM = 'sram';
+const BACKUP_FLASH64 = 'flash64';
+const BACKUP_FLASH128 = 'flash128';
+const BACKUP_EEPROM = 'eeprom';
+const BACKUP_EEPROM512 = 'eeprom512';
+const BACKUP_EEPROM8K = 'eeprom8k';
+
+// Library ID strings the Nintendo SDK links into the ROM, checked in this order
+// (FLASH_V is the old name of the 64KB Flash library)
+const BACKUP_ID_STRINGS = [
+    ['EEPROM_V', BACKUP_EEPROM],
+    ['SRAM_V', BACKUP_SRAM],
+    ['SRAM_F_V', BACKUP_SRAM],
+    ['FLASH1M_V', BACKUP_FLASH128],
+    ['FLASH512_V', BACKUP_FLASH64],
+    ['FLASH_V', BACKUP_FLASH64],
+];
+
+const SRAM_SIZE = 0x8000;
+const FLASH_BANK_SIZE = 0x10000;
+const FLASH_SECTOR_SIZE = 0x1000;
+// Manufacturer/device IDs reported in ID mode (SST 64KB, Macronix 128KB)
+const FLASH64_ID = [0xBF, 0xD4];
+const FLASH128_ID = [0xC2, 0x09];
+
+const EEPROM_READ_BITS = 68; // 4 dummy bits, then 64 data bits
+
+// Scans the ROM for the SDK library strings. Homebrew without one gets SRAM, which is what most of it uses.
+function detectBackupType(romData) {
+    const rom = romData instanceof Uint8Array ? romData : new Uint8Array(romData);
+    for (const [id, type] of BACKUP_ID_STRINGS) {
+        if (findAscii(rom, id) >= 0) {
+            console.log(`[Backup] Found ${id}, using ${type}.`);
+            return type;
+        }
+    }
+    console.log('[Backup] No library ID string found, defaulting to SRAM.');
+    return BACKUP_SRAM;
+}
+
+// The strings are word aligned in every SDK build
+function findAscii(bytes, text) {
+    const first = text.charCodeAt(0);
+    outer:
+    for (let i = 0; i + text.length <= bytes.length; i += 4) {
+        if (bytes[i] !== first) continue;
+        for (let j = 1; j < text.length; j++) {
+            if (bytes[i + j] !== text.charCodeAt(j)) continue outer;
+        }
+        return i;
+    }
+    return -1;
+}
+
+// Guesses the type of a .sav file from its size. 'current' wins when it can hold the file.
+function backupTypeForSaveSize(size, current) {
+    if (current === BACKUP_SRAM && size >= SRAM_SIZE) return BACKUP_SRAM; // Some tools pad SRAM to 64KB
+    if (current === BACKUP_EEPROM && (size === 0x200 || size === 0x2000)) return size === 0x200 ? BACKUP_EEPROM512 : BACKUP_EEPROM8K;
+    switch (size) {
+        case 0x200: return BACKUP_EEPROM512;
+        case 0x2000: return BACKUP_EEPROM8K;
+        case SRAM_SIZE: return BACKUP_SRAM;
+        case FLASH_BANK_SIZE: return BACKUP_FLASH64;
+        case FLASH_BANK_SIZE * 2: return BACKUP_FLASH128;
+    }
+    return current;
+}
+
+function createBackup(type) {
+    switch (type) {
+        case BACKUP_SRAM: return new GBA_SRAM();
+        case BACKUP_FLASH64: return new GBA_Flash(FLASH_BANK_SIZE);
+        case BACKUP_FLASH128: return new GBA_Flash(FLASH_BANK_SIZE * 2);
+        case BACKUP_EEPROM: return new GBA_EEPROM(0);
+        case BACKUP_EEPROM512: return new GBA_EEPROM(6);
+        case BACKUP_EEPROM8K: return new GBA_EEPROM(14);
+    }
+    return new GBA_NoBackup();
+}
+
+// Every backup chip exposes the same interface to the bus:
+// read8/write8 for the 0x0E000000 region, load(bytes)/getData() for persistence,
+// and a 'dirty' flag raised by any write that changes the stored data.
+
+// === No Backup ===
+class GBA_NoBackup {
+    constructor() {
+        this.type = BACKUP_NONE;
+        this.dirty = false;
+    }
+
+    read8() { return 0xFF; }
+    write8() {}
+    load() {}
+    getData() { return new Uint8Array(0); }
+}
+
+// === SRAM (32KB, battery backed, plain 8-bit memory) ===
+class GBA_SRAM {
+    constructor() {
+        this.type = BACKUP_SRAM;
+        this.data = new Uint8Array(SRAM_SIZE).fill(0xFF);
+        this.dirty = false;
+    }
+
+    read8(offset) {
+        return this.data[offset & (SRAM_SIZE - 1)];
+    }
+
+    write8(offset, value) {
+        offset &= SRAM_SIZE - 1;
+        if (this.data[offset] !== value) {
+            this.data[offset] = value;
+            this.dirty = true;
+        }
+    }
+
+    load(bytes) {
+        this.data.fill(0xFF);
+        this.data.set(bytes.subarray(0, SRAM_SIZE));
+    }
+
+    getData() {
+        return this.data.slice();
+    }
+}
+
+// === Flash (64KB or 128KB in 64KB banks) ===
+// Commands are written as 0xAA to 0x5555, 0x55 to 0x2AAA, then the command byte to 0x5555.
+// Erase and program complete instantly, so games polling for completion see it on the first read.
+class GBA_Flash {
+    constructor(size) {
+        this.type = size > FLASH_BANK_SIZE ? BACKUP_FLASH128 : BACKUP_FLASH64;
+        this.size = size;
+        this.data = new Uint8Array(size).fill(0xFF);
+        this.id = size > FLASH_BANK_SIZE ? FLASH128_ID : FLASH64_ID;
+        this.dirty = false;
+
+        this.bank = 0;
+        this.commandStep = 0;    // How much of the AA/55 unlock sequence has been seen
+        this.idMode = false;     // Reads of 0/1 return the manufacturer/device ID
+        this.eraseArmed = false; // 0x80 received; the next command is an erase
+        this.pending = null;     // 'program' or 'bank': the next write is data, not a command
+    }
+
+    read8(offset) {
+        offset &= 0xFFFF;
+        if (this.idMode && offset < 2) return this.id[offset];
+        return this.data[this.bank * FLASH_BANK_SIZE + offset];
+    }
+
+    write8(offset, value) {
+        offset &= 0xFFFF;
+
+        if (this.pending === 'program') {
+            this.pending = null;
+            const index = this.bank * FLASH_BANK_SIZE + offset;
+            // Programming can only clear bits; an erase is needed to set them again
+            const programmed = this.data[index] & value;
+            if (programmed !== this.data[index]) {
+                this.data[index] = programmed;
+                this.dirty = true;
+            }
+            return;
+        }
+        if (this.pending === 'bank') {
+            this.pending = null;
+            if (offset === 0) this.bank = value & 0x1;
+            return;
+        }
+
+        switch (this.commandStep) {
+            case 0:
+                if (offset === 0x5555 && value === 0xAA) {
+                    this.commandStep = 1;
+                } else if (value === 0xF0) {
+                    this.idMode = false; // Some libraries exit ID mode without the unlock sequence
+                }
+                return;
+            case 1:
+                this.commandStep = (offset === 0x2AAA && value === 0x55) ? 2 : 0;
+                return;
+        }
+
+        this.commandStep = 0;
+        if (this.eraseArmed) {
+            this.eraseArmed = false;
+            if (offset === 0x5555 && value === 0x10) {
+                this.data.fill(0xFF);
+                this.dirty = true;
+            } else if (value === 0x30) {
+                const start = this.bank * FLASH_BANK_SIZE + (offset & ~(FLASH_SECTOR_SIZE - 1));
+                this.data.fill(0xFF, start, start + FLASH_SECTOR_SIZE);
+                this.dirty = true;
+            }
+            return;
+        }
+        if (offset !== 0x5555) return;
+
+        switch (value) {
+            case 0x90: this.idMode = true; break;
+            case 0xF0: this.idMode = false; break;
+            case 0x80: this.eraseArmed = true; break;
+            case 0xA0: this.pending = 'program'; break;
+            case 0xB0:
+                if (this.size > FLASH_BANK_SIZE) this.pending = 'bank';
+                break;
+        }
+    }
+
+    load(bytes) {
+        this.data.fill(0xFF);
+        this.data.set(bytes.subarray(0, this.size));
+    }
+
+    getData() {
+        return this.data.slice();
+    }
+}
+
+// === EEPROM (512B or 8KB, serial, accessed one bit per halfword through DMA3) ===
+// Read:  "11" + address + "0", then 68 bits are read back (4 dummy bits and 64 data bits, MSB first).
+// Write: "10" + address + 64 data bits + "0"; reads return 1 once the write has completed.
+// Addresses select 8-byte blocks: 6 bits for 512B chips, 14 bits (10 used) for 8KB chips.
+class GBA_EEPROM {
+    constructor(addressBits) {
+        this.addressBits = addressBits; // 0 until the size is known
+        this.type = this.currentType();
+        this.data = new Uint8Array(0x2000).fill(0xFF);
+        this.dirty = false;
+
+        this.phase = 'command'; // command, address, data, stop
+        this.bitsLeft = 2;
+        this.command = 0;
+        this.address = 0;
+        this.writeBits = 0;      // Data bits received for a write
+        this.readAddress = 0;
+        this.readBitsLeft = 0;
+    }
+
+    currentType() {
+        if (this.addressBits === 6) return BACKUP_EEPROM512;
+        if (this.addressBits === 14) return BACKUP_EEPROM8K;
+        return BACKUP_EEPROM;
+    }
+
+    get byteLength() {
+        return this.addressBits === 6 ? 0x200 : 0x2000;
+    }
+
+    // The DMA length gives the size away: a read request is 2 + address + 1 halfwords,
+    // a write 2 + address + 64 + 1.
+    detectSizeFromDma(count) {
+        if (this.addressBits !== 0) return;
+        if (count === 9 || count === 73) this.addressBits = 6;
+        else if (count === 17 || count === 81) this.addressBits = 14;
+        else return;
+        this.type = this.currentType();
+        console.log(`[Backup] EEPROM size detected: ${this.byteLength} bytes.`);
+    }
+
+    // The 0x0E region is not connected on EEPROM carts
+    read8() { return 0xFF; }
+    write8() {}
+
+    read16() {
+        if (this.readBitsLeft === 0) return 1; // Ready
+        const index = EEPROM_READ_BITS - this.readBitsLeft;
+        this.readBitsLeft--;
+        if (index < 4) return 0;
+        const bit = index - 4;
+        return (this.data[this.readAddress + (bit >> 3)] >> (7 - (bit & 0x7))) & 0x1;
+    }
+
+    write16(value) {
+        const bit = value & 0x1;
+        switch (this.phase) {
+            case 'command':
+                this.command = (this.command << 1) | bit;
+                if (--this.bitsLeft === 0) {
+                    if (this.command & 0x2) {
+                        this.phase = 'address';
+                        this.bitsLeft = this.addressBits || 14;
+                        this.address = 0;
+                    } else {
+                        this.resetCommand(); // Not a valid command
+                    }
+                }
+                return;
+            case 'address':
+                this.address = (this.address << 1) | bit;
+                if (--this.bitsLeft === 0) {
+                    this.address = (this.address & ((this.byteLength >> 3) - 1)) * 8;
+                    if (this.command === 0x2) {
+                        this.phase = 'data';
+                        this.bitsLeft = 64;
+                        this.writeBits = 0;
+                    } else {
+                        this.phase = 'stop';
+                    }
+                }
+                return;
+            case 'data': {
+                const index = this.address + (this.writeBits >> 3);
+                const mask = 0x80 >> (this.writeBits & 0x7);
+                const byte = bit ? (this.data[index] | mask) : (this.data[index] & ~mask);
+                if (byte !== this.data[index]) {
+                    this.data[index] = byte;
+                    this.dirty = true;
+                }
+                this.writeBits++;
+                if (--this.bitsLeft === 0) this.phase = 'stop';
+                return;
+            }
+            case 'stop':
+                if (this.command === 0x3) {
+                    this.readAddress = this.address;
+                    this.readBitsLeft = EEPROM_READ_BITS;
+                }
+                this.resetCommand();
+                return;
+        }
+    }
+
+    resetCommand() {
+        this.phase = 'command';
+        this.bitsLeft = 2;
+        this.command = 0;
+    }
+
+    load(bytes) {
+        // A save file settles an unknown size
+        if (this.addressBits === 0 && (bytes.length === 0x200 || bytes.length === 0x2000)) {
+            this.addressBits = bytes.length === 0x200 ? 6 : 14;
+            this.type = this.currentType();
+        }
+        this.data.fill(0xFF);
+        this.data.set(bytes.subarray(0, this.byteLength));
+    }
+
+    getData() {
+        return this.data.slice(0, this.byteLength);
+    }
+}
+
+// === Save Persistence (IndexedDB) ===
+// 'saves' holds one record per game, keyed by the 4-character game code in the ROM header:
+// { type, data } where data is the raw .sav image. 'states' holds save state slots (gbajs3-savestate.js)
+// and 'cheats' each game's cheat list under the same key (gbajs3-cheats.js).
+const SAVE_DB_NAME = 'supergba';
+const SAVE_DB_VERSION = 3;
+const SAVE_STORE = 'saves';
+const STATE_STORE = 'states';
+const CHEAT_STORE = 'cheats';
+const SAVE_FLUSH_INTERVAL_MS = 1000;
+
+function openSaveDatabase() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(SAVE_DB_NAME, SAVE_DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            for (const name of [SAVE_STORE, STATE_STORE, CHEAT_STORE]) {
+                if (!db.objectStoreNames.contains(name)) db.createObjectStore(name);
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Runs one request in its own transaction and resolves with its result
+function requestSaveDatabase(dbPromise, storeName, mode, action) {
+    return dbPromise.then((db) => new Promise((resolve, reject) => {
+        const request = action(db.transaction(storeName, mode).objectStore(storeName));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    }));
+}
+
+// Game code at 0xAC; homebrew often leaves it blank, so the title is the fallback
+function getSaveKey(romData) {
+    const rom = new Uint8Array(romData);
+    const readText = (offset, length) => {
+        let text = '';
+        for (let i = 0; i < length && rom[offset + i]; i++) text += String.fromCharCode(rom[offset + i]);
+        return text.trim();
+    };
+    return readText(0xAC, 4) || readText(0xA0, 12) || 'UNKNOWN';
+}
+
+class GBA_SaveStore {
+    constructor(core) {
+        this.core = core;
+        this.key = null;
+        this.dbPromise = openSaveDatabase();
+        this.flushTimer = null;
+    }
+
+    request(mode, action) {
+        return requestSaveDatabase(this.dbPromise, SAVE_STORE, mode, action);
+    }
+
+    // Returns the stored { type, data } for this ROM, or null
+    async load(romData) {
+        await this.flush(); // The previous game's last writes
+        this.key = getSaveKey(romData);
+        try {
+            const record = await this.request('readonly', (store) => store.get(this.key));
+            if (record) {
+                console.log(`[Backup] Loaded ${record.type} save for ${this.key} (${record.data.byteLength} bytes).`);
+                return { type: record.type, data: new Uint8Array(record.data) };
+            }
+        } catch (e) {
+            console.error(`[Backup] Could not read saves database: ${e.message}`);
+        }
+        return null;
+    }
+
+    // Writes the backup to IndexedDB if the game changed it (or always, with force)
+    async flush(force = false) {
+        const backup = this.core.bus.backup;
+        if (!this.key || (!backup.dirty && !force)) return;
+        backup.dirty = false;
+        try {
+            await this.request('readwrite', (store) => store.put({
+                type: backup.type,
+                data: backup.getData().buffer,
+            }, this.key));
+        } catch (e) {
+            backup.dirty = true;
+            console.error(`[Backup] Could not write save: ${e.message}`);
+        }
+    }
+
+    // Polls for changes so a crash or closed tab loses at most a second of saving
+    startAutoFlush() {
+        if (this.flushTimer) return;
+        this.flushTimer = setInterval(() => this.flush(), SAVE_FLUSH_INTERVAL_MS);
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') this.flush();
+        });
+    }
+}
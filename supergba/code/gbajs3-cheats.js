@@ -0,0 +1,815 @@
+// GBAJS3-Cheats.js (Cheat codes: raw, GameShark/Action Replay v1/v2, Action Replay MAX and CodeBreaker)
+
+"use strict";
+
+// === Formats ===
+// Every format is compiled to the same list of operations (see runCheatOps):
+//   { type: 'write' | 'add' | 'or' | 'and', size, address, value }
+//   { type: 'fill', size, address, value, count, addressStep, valueStep }
+//   { type: 'pointer', size, address, offset, value }  writes through the word at address
+//   { type: 'if', size, address, test, value, skip }    skips the next `skip` ops unless true
+//                                                       (Infinity: up to the next endif); with
+//                                                       `disable` set it also turns the cheat off
+//   { type: 'keys', mask, skip }                        the same, for buttons held
+//   { type: 'endif' }                                   ends an Infinity skip
+//   { type: 'patch', size, address, value }             ROM patch, applied once while enabled
+const CHEAT_FORMATS = {
+    auto: 'Auto-detect',
+    raw: 'Raw (address:value)',
+    gameshark: 'GameShark / Action Replay v1/v2',
+    actionReplayMax: 'Action Replay MAX (v3)',
+    codebreaker: 'CodeBreaker',
+};
+
+// TEA keys the devices ship with. Both use the standard TEA rounds.
+const GAMESHARK_SEEDS = [0x09F4FBBD, 0x9681884A, 0x352027E9, 0xF3DEE5A7];
+const ACTION_REPLAY_MAX_SEEDS = [0x7AA9648F, 0x7FAE6994, 0xC0EFAAD5, 0x42712C57];
+const TEA_DELTA = 0x9E3779B9;
+
+// Code that only identifies the game to the device
+const CHEAT_GAME_ID_VALUE = 0x001DC0DE;
+// Seed change code: DEADFACE 0000xxyy swaps in new TEA seeds for the lines after it
+const CHEAT_RESEED_ADDRESS = 0xDEADFACE;
+
+const CHEAT_TESTS = {
+    eq: (a, b) => a === b,
+    ne: (a, b) => a !== b,
+    lt: (a, b) => a < b,
+    gt: (a, b) => a > b,
+    lts: (a, b, size) => signExtend(a, size) < signExtend(b, size),
+    gts: (a, b, size) => signExtend(a, size) > signExtend(b, size),
+    and: (a, b) => (a & b) !== 0,
+    never: () => false,
+};
+
+function signExtend(value, size) {
+    const shift = 32 - size * 8;
+    return (value << shift) >> shift;
+}
+
+// === TEA ===
+
+function decryptTea(op1, op2, seeds) {
+    let sum = Math.imul(TEA_DELTA, 32) >>> 0;
+    for (let i = 0; i < 32; i++) {
+        op2 = (op2 - ((((op1 << 4) + seeds[2]) ^ (op1 + sum) ^ ((op1 >>> 5) + seeds[3])) >>> 0)) >>> 0;
+        op1 = (op1 - ((((op2 << 4) + seeds[0]) ^ (op2 + sum) ^ ((op2 >>> 5) + seeds[1])) >>> 0)) >>> 0;
+        sum = (sum - TEA_DELTA) >>> 0;
+    }
+    return [op1, op2];
+}
+
+function encryptTea(op1, op2, seeds) {
+    let sum = 0;
+    for (let i = 0; i < 32; i++) {
+        sum = (sum + TEA_DELTA) >>> 0;
+        op1 = (op1 + ((((op2 << 4) + seeds[0]) ^ (op2 + sum) ^ ((op2 >>> 5) + seeds[1])) >>> 0)) >>> 0;
+        op2 = (op2 + ((((op1 << 4) + seeds[2]) ^ (op1 + sum) ^ ((op1 >>> 5) + seeds[3])) >>> 0)) >>> 0;
+    }
+    return [op1, op2];
+}
+
+// === TEA reseeding ===
+// Byte tables the devices build new seeds from; seed byte (row, column) is
+// first[xx + column] + second[yy + row], with the indices wrapping at 256.
+
+const GAMESHARK_RESEED_TABLES = [
+    new Uint8Array([
+        0x31, 0x1C, 0x23, 0xE5, 0x89, 0x8E, 0xA1, 0x37, 0x74, 0x6D, 0x67, 0xFC, 0x1F, 0xC0, 0xB1, 0x94,
+        0x3B, 0x05, 0x56, 0x86, 0x00, 0x24, 0xF0, 0x17, 0x72, 0xA2, 0x3D, 0x1B, 0xE3, 0x17, 0xC5, 0x0B,
+        0xB9, 0xE2, 0xBD, 0x58, 0x71, 0x1B, 0x2C, 0xFF, 0xE4, 0xC9, 0x4C, 0x5E, 0xC9, 0x55, 0x33, 0x45,
+        0x7C, 0x3F, 0xB2, 0x51, 0xFE, 0x10, 0x7E, 0x75, 0x3C, 0x90, 0x8D, 0xDA, 0x94, 0x38, 0xC3, 0xE9,
+        0x95, 0xEA, 0xCE, 0xA6, 0x06, 0xE0, 0x4F, 0x3F, 0x2A, 0xE3, 0x3A, 0xE4, 0x43, 0xBD, 0x7F, 0xDA,
+        0x55, 0xF0, 0xEA, 0xCB, 0x2C, 0xA8, 0x47, 0x61, 0xA0, 0xEF, 0xCB, 0x13, 0x18, 0x20, 0xAF, 0x3E,
+        0x4D, 0x9E, 0x1E, 0x77, 0x51, 0xC5, 0x51, 0x20, 0xCF, 0x21, 0xF9, 0x39, 0x94, 0xDE, 0xDD, 0x79,
+        0x4E, 0x80, 0xC4, 0x9D, 0x94, 0xD5, 0x95, 0x01, 0x27, 0x27, 0xBD, 0x6D, 0x78, 0xB5, 0xD1, 0x31,
+        0x6A, 0x65, 0x74, 0x74, 0x58, 0xB3, 0x7C, 0xC9, 0x5A, 0xED, 0x50, 0x03, 0xC4, 0xA2, 0x94, 0x4B,
+        0xF0, 0x58, 0x09, 0x6F, 0x3E, 0x7D, 0xAE, 0x7D, 0x58, 0xA0, 0x2C, 0x91, 0xBB, 0xE1, 0x70, 0xEB,
+        0x73, 0xA6, 0x9A, 0x44, 0x25, 0x90, 0x16, 0x62, 0x53, 0xAE, 0x08, 0xEB, 0xDC, 0xF0, 0xEE, 0x77,
+        0xC2, 0xDE, 0x81, 0xE8, 0x30, 0x89, 0xDB, 0xFE, 0xBC, 0xC2, 0xDF, 0x26, 0xE9, 0x8B, 0xD6, 0x93,
+        0xF0, 0xCB, 0x56, 0x90, 0xC0, 0x46, 0x68, 0x15, 0x43, 0xCB, 0xE9, 0x98, 0xE3, 0xAF, 0x31, 0x25,
+        0x4D, 0x7B, 0xF3, 0xB1, 0x74, 0xE2, 0x64, 0xAC, 0xD9, 0xF6, 0xA0, 0xD5, 0x0B, 0x9B, 0x49, 0x52,
+        0x69, 0x3B, 0x71, 0x00, 0x2F, 0xBB, 0xBA, 0x08, 0xB1, 0xAE, 0xBB, 0xB3, 0xE1, 0xC9, 0xA6, 0x7F,
+        0x17, 0x97, 0x28, 0x72, 0x12, 0x6E, 0x91, 0xAE, 0x3A, 0xA2, 0x35, 0x46, 0x27, 0xF8, 0x12, 0x50,
+    ]),
+    new Uint8Array([
+        0xD8, 0x65, 0x04, 0xC2, 0x65, 0xD5, 0xB0, 0x0C, 0xDF, 0x9D, 0xF0, 0xC3, 0x9A, 0x17, 0xC9, 0xA6,
+        0xE1, 0xAC, 0x0D, 0x14, 0x2F, 0x3C, 0x2C, 0x87, 0xA2, 0xBF, 0x4D, 0x5F, 0xAC, 0x2D, 0x9D, 0xE1,
+        0x0C, 0x9C, 0xE7, 0x7F, 0xFC, 0xA8, 0x66, 0x59, 0xAC, 0x18, 0xD7, 0x05, 0xF0, 0xBF, 0xD1, 0x8B,
+        0x35, 0x9F, 0x59, 0xB4, 0xBA, 0x55, 0xB2, 0x85, 0xFD, 0xB1, 0x72, 0x06, 0x73, 0xA4, 0xDB, 0x48,
+        0x7B, 0x5F, 0x67, 0xA5, 0x95, 0xB9, 0xA5, 0x4A, 0xCF, 0xD1, 0x44, 0xF3, 0x81, 0xF5, 0x6D, 0xF6,
+        0x3A, 0xC3, 0x57, 0x83, 0xFA, 0x8E, 0x15, 0x2A, 0xA2, 0x04, 0xB2, 0x9D, 0xA8, 0x0D, 0x7F, 0xB8,
+        0x0F, 0xF6, 0xAC, 0xBE, 0x97, 0xCE, 0x16, 0xE6, 0x31, 0x10, 0x60, 0x16, 0xB5, 0x83, 0x45, 0xEE,
+        0xD7, 0x5F, 0x2C, 0x08, 0x58, 0xB1, 0xFD, 0x7E, 0x79, 0x00, 0x34, 0xAD, 0xB5, 0x31, 0x34, 0x39,
+        0xAF, 0xA8, 0xDD, 0x52, 0x6A, 0xB0, 0x60, 0x35, 0xB8, 0x1D, 0x52, 0xF5, 0xF5, 0x30, 0x00, 0x7B,
+        0xF4, 0xBA, 0x03, 0xCB, 0x3A, 0x84, 0x14, 0x8A, 0x6A, 0xEF, 0x21, 0xBD, 0x01, 0xD8, 0xA0, 0xD4,
+        0x43, 0xBE, 0x23, 0xE7, 0x76, 0x27, 0x2C, 0x3F, 0x4D, 0x3F, 0x43, 0x18, 0xA7, 0xC3, 0x47, 0xA5,
+        0x7A, 0x1D, 0x02, 0x55, 0x09, 0xD1, 0xFF, 0x55, 0x5E, 0x17, 0xA0, 0x56, 0xF4, 0xC9, 0x6B, 0x90,
+        0xB4, 0x80, 0xA5, 0x07, 0x22, 0xFB, 0x22, 0x0D, 0xD9, 0xC0, 0x5B, 0x08, 0x35, 0x05, 0xC1, 0x75,
+        0x4F, 0xD0, 0x51, 0x2D, 0x2E, 0x5E, 0x69, 0xE7, 0x3B, 0xC2, 0xDA, 0xFF, 0xF6, 0xCE, 0x3E, 0x76,
+        0xE8, 0x36, 0x8C, 0x39, 0xD8, 0xF3, 0xE9, 0xA6, 0x42, 0xE6, 0xC1, 0x4C, 0x05, 0xBE, 0x17, 0xF2,
+        0x5C, 0x1B, 0x19, 0xDB, 0x0F, 0xF3, 0xF8, 0x49, 0xEB, 0x36, 0xF6, 0x40, 0x6F, 0xAD, 0xC1, 0x8C,
+    ]),
+];
+
+const ACTION_REPLAY_MAX_RESEED_TABLES = [
+    new Uint8Array([
+        0xD0, 0xFF, 0xBA, 0xE5, 0xC1, 0xC7, 0xDB, 0x5B, 0x16, 0xE3, 0x6E, 0x26, 0x62, 0x31, 0x2E, 0x2A,
+        0xD1, 0xBB, 0x4A, 0xE6, 0xAE, 0x2F, 0x0A, 0x90, 0x29, 0x90, 0xB6, 0x67, 0x58, 0x2A, 0xB4, 0x45,
+        0x7B, 0xCB, 0xF0, 0x73, 0x84, 0x30, 0x81, 0xC2, 0xD7, 0xBE, 0x89, 0xD7, 0x4E, 0x73, 0x5C, 0xC7,
+        0x80, 0x1B, 0xE5, 0xE4, 0x43, 0xC7, 0x46, 0xD6, 0x6F, 0x7B, 0xBF, 0xED, 0xE5, 0x27, 0xD1, 0xB5,
+        0xD0, 0xD8, 0xA3, 0xCB, 0x2B, 0x30, 0xA4, 0xF0, 0x84, 0x14, 0x72, 0x5C, 0xFF, 0xA4, 0xFB, 0x54,
+        0x9D, 0x70, 0xE2, 0xFF, 0xBE, 0xE8, 0x24, 0x76, 0xE5, 0x15, 0xFB, 0x1A, 0xBC, 0x87, 0x02, 0x2A,
+        0x58, 0x8F, 0x9A, 0x95, 0xBD, 0xAE, 0x8D, 0x0C, 0xA5, 0x4C, 0xF2, 0x5C, 0x7D, 0xAD, 0x51, 0xFB,
+        0xB1, 0x22, 0x07, 0xE0, 0x29, 0x7C, 0xEB, 0x98, 0x14, 0xC6, 0x31, 0x97, 0xE4, 0x34, 0x8F, 0xCC,
+        0x99, 0x56, 0x9F, 0x78, 0x43, 0x91, 0x85, 0x3F, 0xC2, 0xD0, 0xD1, 0x80, 0xD1, 0x77, 0xA7, 0xE2,
+        0x43, 0x99, 0x1D, 0x2F, 0x8B, 0x6A, 0xE4, 0x66, 0x82, 0xF7, 0x2B, 0x0B, 0x65, 0x14, 0xC0, 0xC2,
+        0x1D, 0x96, 0x78, 0x1C, 0xC4, 0xC3, 0xD2, 0xB1, 0x64, 0x07, 0xD7, 0x6F, 0x02, 0xE9, 0x44, 0x31,
+        0xDB, 0x3C, 0xEB, 0x93, 0xED, 0x9A, 0x57, 0x05, 0xB9, 0x0E, 0xAF, 0x1F, 0x48, 0x11, 0xDC, 0x35,
+        0x6C, 0xB8, 0xEE, 0x2A, 0x48, 0x2B, 0xBC, 0x89, 0x12, 0x59, 0xCB, 0xD1, 0x18, 0xEA, 0x72, 0x11,
+        0x01, 0x75, 0x3B, 0xB5, 0x56, 0xF4, 0x8B, 0xA0, 0x41, 0x75, 0x86, 0x7B, 0x94, 0x12, 0x2D, 0x4C,
+        0x0C, 0x22, 0xC9, 0x4A, 0xD8, 0xB1, 0x8D, 0xF0, 0x55, 0x2E, 0x77, 0x50, 0x1C, 0x64, 0x77, 0xAA,
+        0x3E, 0xAC, 0xD3, 0x3D, 0xCE, 0x60, 0xCA, 0x5D, 0xA0, 0x92, 0x78, 0xC6, 0x51, 0xFE, 0xF9, 0x30,
+    ]),
+    new Uint8Array([
+        0xAA, 0xAF, 0xF0, 0x72, 0x90, 0xF7, 0x71, 0x27, 0x06, 0x11, 0xEB, 0x9C, 0x37, 0x12, 0x72, 0xAA,
+        0x65, 0xBC, 0x0D, 0x4A, 0x76, 0xF6, 0x5C, 0xAA, 0xB0, 0x7A, 0x7D, 0x81, 0xC1, 0xCE, 0x2F, 0x9F,
+        0x02, 0x75, 0x38, 0xC8, 0xFC, 0x66, 0x05, 0xC2, 0x2C, 0xBD, 0x91, 0xAD, 0x03, 0xB1, 0x88, 0x93,
+        0x31, 0xC6, 0xAB, 0x40, 0x23, 0x43, 0x76, 0x54, 0xCA, 0xE7, 0x00, 0x96, 0x9F, 0xD8, 0x24, 0x8B,
+        0xE4, 0xDC, 0xDE, 0x48, 0x2C, 0xCB, 0xF7, 0x84, 0x1D, 0x45, 0xE5, 0xF1, 0x75, 0xA0, 0xED, 0xCD,
+        0x4B, 0x24, 0x8A, 0xB3, 0x98, 0x7B, 0x12, 0xB8, 0xF5, 0x63, 0x97, 0xB3, 0xA6, 0xA6, 0x0B, 0xDC,
+        0xD8, 0x4C, 0xA8, 0x99, 0x27, 0x0F, 0x8F, 0x94, 0x63, 0x0F, 0xB0, 0x11, 0x94, 0xC7, 0xE9, 0x7F,
+        0x3B, 0x40, 0x72, 0x4C, 0xDB, 0x84, 0x78, 0xFE, 0xB8, 0x56, 0x08, 0x80, 0xDF, 0x20, 0x2F, 0xB9,
+        0x66, 0x2D, 0x60, 0x63, 0xF5, 0x18, 0x15, 0x1B, 0x86, 0x85, 0xB9, 0xB4, 0x68, 0x0E, 0xC6, 0xD1,
+        0x8A, 0x81, 0x2B, 0xB3, 0xF6, 0x48, 0xF0, 0x4F, 0x9C, 0x28, 0x1C, 0xA4, 0x51, 0x2F, 0xD7, 0x4B,
+        0x17, 0xE7, 0xCC, 0x50, 0x9F, 0xD0, 0xD1, 0x40, 0x0C, 0x0D, 0xCA, 0x83, 0xFA, 0x5E, 0xCA, 0xEC,
+        0xBF, 0x4E, 0x7C, 0x8F, 0xF0, 0xAE, 0xC2, 0xD3, 0x28, 0x41, 0x9B, 0xC8, 0x04, 0xB9, 0x4A, 0xBA,
+        0x72, 0xE2, 0xB5, 0x06, 0x2C, 0x1E, 0x0B, 0x2C, 0x7F, 0x11, 0xA9, 0x26, 0x51, 0x9D, 0x3F, 0xF8,
+        0x62, 0x11, 0x2E, 0x89, 0xD2, 0x9D, 0x35, 0xB1, 0xE4, 0x0A, 0x4D, 0x93, 0x01, 0xA7, 0xD1, 0x2D,
+        0x00, 0x87, 0xE2, 0x2D, 0xA4, 0xE9, 0x0A, 0x06, 0x66, 0xF8, 0x1F, 0x44, 0x75, 0xB5, 0x6B, 0x1C,
+        0xFC, 0x31, 0x09, 0x48, 0xA3, 0xFF, 0x92, 0x12, 0x58, 0xE9, 0xFA, 0xAE, 0x4F, 0xE2, 0xB4, 0xCC,
+    ]),
+];
+
+function reseedTea(params, tables) {
+    const [first, second] = tables;
+    const column = (params >>> 8) & 0xFF;
+    const row = params & 0xFF;
+    const seeds = [];
+    for (let y = 0; y < 4; y++) {
+        let seed = 0;
+        for (let x = 0; x < 4; x++) {
+            seed = (seed << 8) | ((first[(column + x) & 0xFF] + second[(row + y) & 0xFF]) & 0xFF);
+        }
+        seeds.push(seed >>> 0);
+    }
+    return seeds;
+}
+
+// === CodeBreaker encryption ===
+// A 9kkkkkkk kkkk line seeds a random generator that shuffles a 48-bit permutation table
+// and draws four XOR seeds; each later line is permuted bit by bit, then XOR-chained.
+
+// Three steps of the device's LCG, mixed into one 32-bit draw
+function codeBreakerRandom(state) {
+    const a = (Math.imul(state.rng, 0x41C64E6D) + 0x3039) >>> 0;
+    const b = (Math.imul(a, 0x41C64E6D) + 0x3039) >>> 0;
+    const c = (Math.imul(b, 0x41C64E6D) + 0x3039) >>> 0;
+    state.rng = c;
+    return ((a >>> 16) << 30 | ((b >>> 16) & 0x7FFF) << 15 | (c >>> 16) & 0x7FFF) >>> 0;
+}
+
+function createCodeBreakerKey(op1, op2) {
+    const state = { rng: (op2 & 0xFF) ^ 0x1111 };
+    const table = Array.from({ length: 0x30 }, (_, i) => i);
+    for (let i = 0; i < 0x50; i++) {
+        const x = codeBreakerRandom(state) % 0x30;
+        const y = codeBreakerRandom(state) % 0x30;
+        [table[x], table[y]] = [table[y], table[x]];
+    }
+    const seeds = [];
+    state.rng = 0x4EFAD1C3;
+    for (let i = 0; i < ((op1 >>> 24) & 0xF); i++) state.rng = codeBreakerRandom(state);
+    seeds[2] = codeBreakerRandom(state);
+    seeds[3] = codeBreakerRandom(state);
+    state.rng = (op2 >>> 8) ^ 0xF254;
+    for (let i = 0; i < (op2 >>> 8); i++) state.rng = codeBreakerRandom(state);
+    seeds[0] = codeBreakerRandom(state);
+    seeds[1] = codeBreakerRandom(state);
+    return { table, seeds, chain: [op1 & 0xFF, (op1 >>> 8) & 0xFF] };
+}
+
+function codeBreakerBytes(op1, op2) {
+    return [op1 >>> 24, (op1 >>> 16) & 0xFF, (op1 >>> 8) & 0xFF, op1 & 0xFF, op2 >>> 8, op2 & 0xFF];
+}
+
+function decryptCodeBreaker(op1, op2, key) {
+    let bytes = codeBreakerBytes(op1, op2);
+    for (let i = 0x2F; i >= 0; i--) {
+        const j = key.table[i];
+        const bitI = (bytes[i >> 3] >> (i & 7)) & 1;
+        const bitJ = (bytes[j >> 3] >> (j & 7)) & 1;
+        bytes[i >> 3] = (bytes[i >> 3] & ~(1 << (i & 7))) | (bitJ << (i & 7));
+        bytes[j >> 3] = (bytes[j >> 3] & ~(1 << (j & 7))) | (bitI << (j & 7));
+    }
+    bytes = codeBreakerBytes(
+        (bytes[0] << 24 | bytes[1] << 16 | bytes[2] << 8 | bytes[3]) ^ key.seeds[0],
+        ((bytes[4] << 8 | bytes[5]) ^ key.seeds[1]) & 0xFFFF);
+    const [low, high] = key.chain;
+    for (let i = 0; i < 5; i++) bytes[i] ^= high ^ bytes[i + 1];
+    bytes[5] ^= high;
+    for (let i = 5; i >= 0; i--) bytes[i] ^= low ^ (i > 0 ? bytes[i - 1] : 0);
+    return [
+        ((bytes[0] << 24 | bytes[1] << 16 | bytes[2] << 8 | bytes[3]) ^ key.seeds[2]) >>> 0,
+        ((bytes[4] << 8 | bytes[5]) ^ key.seeds[3]) & 0xFFFF,
+    ];
+}
+
+// === Parsing ===
+
+// Splits a code into [op1, op2] pairs; digits gives the expected length of each half
+function readCodeLines(text, digits) {
+    const pattern = new RegExp(`^([0-9A-F]{8})[\\s:]*([0-9A-F]{${digits}})$`);
+    const lines = [];
+    text.split('\n').forEach((line, index) => {
+        const compact = line.trim().toUpperCase();
+        if (!compact) return;
+        const match = pattern.exec(compact.replace(/\s+/g, ' '));
+        if (!match) throw new Error(`Line ${index + 1}: expected ${8 + digits} hex digits, got "${line.trim()}".`);
+        lines.push({ number: index + 1, op1: parseInt(match[1], 16), op2: parseInt(match[2], 16) });
+    });
+    if (lines.length === 0) throw new Error('No code lines.');
+    return lines;
+}
+
+function isRomAddress(address) {
+    return address >= 0x08000000 && address < 0x0E000000;
+}
+
+// Decrypting with the wrong seeds gives noise; real codes leave their unused bits clear
+function fitsSize(value, size) {
+    return size === 4 || (value >>> (size * 8)) === 0;
+}
+
+// ROM patch addresses are given as a halfword index into the cartridge
+function romPatchAddress(index) {
+    return 0x08000000 + ((index & 0x00FFFFFF) << 1);
+}
+
+// address:value, with the value's length giving the size: 0200A3F0:63, 0200A3F0:270F, ...
+function parseRawCode(text) {
+    const ops = [];
+    text.split('\n').forEach((line, index) => {
+        const compact = line.trim().toUpperCase();
+        if (!compact) return;
+        const match = /^([0-9A-F]{1,8})\s*:\s*([0-9A-F]{2}|[0-9A-F]{4}|[0-9A-F]{8})$/.exec(compact);
+        if (!match) throw new Error(`Line ${index + 1}: expected address:value, got "${line.trim()}".`);
+        const address = parseInt(match[1], 16);
+        const size = match[2].length / 2;
+        if (address % size) throw new Error(`Line ${index + 1}: ${formatHex(address, 8)} is not aligned to ${size} bytes.`);
+        ops.push({ type: isRomAddress(address) ? 'patch' : 'write', size, address, value: parseInt(match[2], 16) });
+    });
+    if (ops.length === 0) throw new Error('No code lines.');
+    return ops;
+}
+
+// Decrypted GameShark / Action Replay v1/v2 codes. The type is the top nibble:
+//   0aaaaaaa 000000vv  8-bit write       Daaaaaaa 0000vvvv  if 16-bit == v, run the next code
+//   1aaaaaaa 0000vvvv  16-bit write      E0ccvvvv aaaaaaaa  if 16-bit == v, run the next cc codes
+//   2aaaaaaa vvvvvvvv  32-bit write      Faaaaaaa 00000xxx  hook (master code)
+//   3000cccc vvvvvvvv  32-bit write to the cc addresses on the following lines
+//   6aaaaaaa 0000vvvv  ROM patch at 08000000 + a * 2
+function parseGameSharkLines(lines) {
+    const ops = [];
+    let seeds = GAMESHARK_SEEDS;
+    const read = (line) => decryptTea(line.op1, line.op2, seeds);
+    for (let i = 0; i < lines.length; i++) {
+        const [op1, op2] = read(lines[i]);
+        const where = `Line ${lines[i].number}`;
+        if (op1 === CHEAT_RESEED_ADDRESS) {
+            seeds = reseedTea(op2, GAMESHARK_RESEED_TABLES);
+            continue;
+        }
+        if (op2 === CHEAT_GAME_ID_VALUE) continue;
+        const invalid = () => new Error(`${where}: not a valid GameShark code (decrypted ${formatHex(op1, 8)} ${formatHex(op2, 8)}).`);
+        const address = op1 & 0x0FFFFFFF;
+        const type = op1 >>> 28;
+        if ((type <= 0x1 || type === 0x6 || type === 0xD) && !fitsSize(op2, type === 0x0 ? 1 : 2)) throw invalid();
+        switch (type) {
+            case 0x0: ops.push({ type: 'write', size: 1, address, value: op2 }); break;
+            case 0x1: ops.push({ type: 'write', size: 2, address, value: op2 }); break;
+            case 0x2: ops.push({ type: 'write', size: 4, address, value: op2 }); break;
+            case 0x3: {
+                if (address >>> 16) throw invalid();
+                const count = op1 & 0xFFFF;
+                const targets = [];
+                while (targets.length < count && i + 1 < lines.length) {
+                    targets.push(...read(lines[++i]));
+                }
+                if (targets.length < count) throw new Error(`${where}: group write is missing addresses.`);
+                for (const target of targets.slice(0, count)) {
+                    ops.push({ type: 'write', size: 4, address: target, value: op2 });
+                }
+                break;
+            }
+            case 0x6: ops.push({ type: 'patch', size: 2, address: romPatchAddress(op1), value: op2 }); break;
+            case 0xD: ops.push({ type: 'if', size: 2, address, test: 'eq', value: op2, skip: 1 }); break;
+            case 0xE:
+                if (address >>> 24) throw invalid();
+                ops.push({ type: 'if', size: 2, address: op2, test: 'eq', value: op1 & 0xFFFF, skip: (op1 >>> 16) & 0xFF });
+                break;
+            case 0xF:
+                if (op2 >>> 12) throw invalid();
+                break;
+            default: throw invalid();
+        }
+    }
+    return ops;
+}
+
+// Decrypted Action Replay MAX (v3) codes. The address word packs the code type into its top
+// byte: width in bits 25-26 (8, 16, 32 bits, or "false" for conditions), condition in bits
+// 27-29 and, depending on the condition, the base or the action in bits 30-31. The region
+// sits in bits 23-20 and the offset in bits 19-0, so 0x0A300010 reads 0x03000010.
+//   Condition 0 (base):  00/02/04  8/16/32-bit write, 8/16-bit repeated (v >> width) + 1 times
+//                        40/42/44  8/16/32-bit write through a pointer
+//                        80/82/84  8/16/32-bit add
+//                        C4 hook (master code), C6/C7 16/32-bit IO write
+//   Condition 1-7:       ==, !=, < signed, > signed, < unsigned, > unsigned, AND; if false,
+//   (action)             skip the next code (00), the next two (40), all of them up to an
+//                        end-if (80), or turn the cheat off (C0)
+//   00000000 18aaaaaa + 0000vvvv 00000000 (types 0C-0F)  ROM patch at 08000000 + a * 2
+//   00000000 40000000  end-if             00000000 00000000  end of the code list
+const ACTION_REPLAY_MAX_TESTS = [null, 'eq', 'ne', 'lts', 'gts', 'lt', 'gt', 'and'];
+const ACTION_REPLAY_MAX_SKIPS = [1, 2, Infinity, Infinity];
+
+function actionReplayMaxAddress(op1) {
+    return ((op1 & 0x00F00000) << 4 | (op1 & 0x000FFFFF)) >>> 0;
+}
+
+function parseActionReplayMaxLines(lines) {
+    const ops = [];
+    let seeds = ACTION_REPLAY_MAX_SEEDS;
+    const read = (line) => decryptTea(line.op1, line.op2, seeds);
+    for (let i = 0; i < lines.length; i++) {
+        const [op1, op2] = read(lines[i]);
+        const where = `Line ${lines[i].number}`;
+        if (op1 === CHEAT_RESEED_ADDRESS) {
+            seeds = reseedTea(op2, ACTION_REPLAY_MAX_RESEED_TABLES);
+            continue;
+        }
+        if (op2 === CHEAT_GAME_ID_VALUE) continue;
+        const invalid = () => new Error(`${where}: not a valid Action Replay MAX code (decrypted ${formatHex(op1, 8)} ${formatHex(op2, 8)}).`);
+        const unsupported = (what) => new Error(`${where}: Action Replay MAX ${what} codes are not supported.`);
+
+        if (op1 === 0) {
+            // Special codes: the type moves to the second word, any data follows on the next line
+            if (op2 === 0) break;
+            if (op2 === 0x40000000) {
+                ops.push({ type: 'endif' });
+                continue;
+            }
+            const type = op2 >>> 25;
+            if (type >= 0x0C && type <= 0x0F) {
+                if (i + 1 >= lines.length) throw new Error(`${where}: ROM patch is missing its value line.`);
+                const [value, unused] = read(lines[++i]);
+                if (!fitsSize(value, 2) || unused) throw invalid();
+                ops.push({ type: 'patch', size: 2, address: romPatchAddress(op2), value });
+                continue;
+            }
+            switch (op2 >>> 24) {
+                case 0x08: throw unsupported('slowdown');
+                case 0x10: case 0x12: case 0x14: throw unsupported('button');
+                case 0x60: throw unsupported('else');
+                case 0x80: case 0x82: case 0x84: throw unsupported('fill');
+                default: throw invalid();
+            }
+        }
+
+        const width = (op1 >>> 25) & 0x3;
+        const condition = (op1 >>> 27) & 0x7;
+        const top = op1 >>> 30;
+        const address = actionReplayMaxAddress(op1);
+        if (condition) {
+            if (op1 & 0x01000000) throw invalid();
+            const skip = ACTION_REPLAY_MAX_SKIPS[top];
+            const disable = top === 0x3;
+            if (width === 0x3) { // "False" width: the test never passes
+                ops.push({ type: 'if', size: 4, address, test: 'never', value: 0, skip, disable });
+                continue;
+            }
+            const size = 1 << width;
+            if (!fitsSize(op2, size)) throw invalid();
+            ops.push({ type: 'if', size, address, test: ACTION_REPLAY_MAX_TESTS[condition], value: op2, skip, disable });
+            continue;
+        }
+
+        if (top === 0x3) {
+            switch (op1 >>> 24) {
+                case 0xC4: break; // Hook (master code)
+                case 0xC6: ops.push({ type: 'write', size: 2, address: 0x04000000 | (op1 & 0x00FFFFFF), value: op2 & 0xFFFF }); break;
+                case 0xC7: ops.push({ type: 'write', size: 4, address: 0x04000000 | (op1 & 0x00FFFFFF), value: op2 }); break;
+                default: throw invalid();
+            }
+            continue;
+        }
+        if (width === 0x3 || (op1 & 0x01000000)) throw invalid();
+        const size = 1 << width;
+        const mask = size === 4 ? 0xFFFFFFFF : (1 << (size * 8)) - 1;
+        const value = (op2 & mask) >>> 0;
+        // 8 and 16-bit codes use the rest of the value word as a repeat count or a pointer offset
+        const extra = size === 4 ? 0 : op2 >>> (size * 8);
+        switch (top) {
+            case 0x0:
+                if (size === 4) ops.push({ type: 'write', size, address, value });
+                else ops.push({ type: 'fill', size, address, value, count: extra + 1, addressStep: size, valueStep: 0 });
+                break;
+            case 0x1:
+                ops.push({ type: 'pointer', size, address, offset: extra * size, value });
+                break;
+            case 0x2:
+                if (extra) throw invalid();
+                ops.push({ type: 'add', size, address, value });
+                break;
+        }
+    }
+    return ops;
+}
+
+// CodeBreaker codes are plain text unless a 9xxxxxxx line turns on encryption:
+//   0/1aaaaaaa xxxx  master code (game ID, hook)   7aaaaaaa vvvv  if 16-bit == v, run the next code
+//   2aaaaaaa vvvv    16-bit OR                     Aaaaaaaa vvvv  ... if !=
+//   3aaaaaaa 00vv    8-bit write                   Baaaaaaa vvvv  ... if >
+//   4aaaaaaa vvvv    16-bit slide: next line is    Caaaaaaa vvvv  ... if <
+//                    iiiicccc ssss (value step i,  D0000020 kkkk  ... if the keys k are held
+//                    count c, address step s)      Eaaaaaaa vvvv  16-bit add
+//   5aaaaaaa cccc    write the c bytes on the      Faaaaaaa vvvv  ... if AND is non-zero
+//                    following lines (6 per line)
+//   6aaaaaaa vvvv    16-bit AND
+//   8aaaaaaa vvvv    16-bit write
+//   9kkkkkkk kkkk    encryption key; every line after it is encrypted, later keys included
+const CODEBREAKER_TESTS = { 0x7: 'eq', 0xA: 'ne', 0xB: 'gt', 0xC: 'lt', 0xF: 'and' };
+
+function parseCodeBreakerLines(lines) {
+    const ops = [];
+    let key = null;
+    const read = (line) => {
+        if (!key) return line;
+        const [op1, op2] = decryptCodeBreaker(line.op1, line.op2, key);
+        return { number: line.number, op1, op2 };
+    };
+    for (let i = 0; i < lines.length; i++) {
+        const { op1, op2 } = read(lines[i]);
+        const where = `Line ${lines[i].number}`;
+        const type = op1 >>> 28;
+        const address = op1 & 0x0FFFFFFF;
+        switch (type) {
+            case 0x0: case 0x1: break;
+            case 0x2: ops.push({ type: 'or', size: 2, address, value: op2 }); break;
+            case 0x3: ops.push({ type: 'write', size: 1, address, value: op2 & 0xFF }); break;
+            case 0x4: {
+                if (i + 1 >= lines.length) throw new Error(`${where}: slide code is missing its second line.`);
+                const next = read(lines[++i]);
+                ops.push({
+                    type: 'fill', size: 2, address, value: op2, count: next.op1 & 0xFFFF,
+                    addressStep: next.op2, valueStep: next.op1 >>> 16,
+                });
+                break;
+            }
+            case 0x5: {
+                const bytes = [];
+                while (bytes.length < op2 && i + 1 < lines.length) {
+                    const next = read(lines[++i]);
+                    bytes.push(next.op1 >>> 24, (next.op1 >>> 16) & 0xFF, (next.op1 >>> 8) & 0xFF, next.op1 & 0xFF,
+                        next.op2 >>> 8, next.op2 & 0xFF);
+                }
+                if (bytes.length < op2) throw new Error(`${where}: expected ${op2} bytes after the code.`);
+                bytes.slice(0, op2).forEach((value, offset) => {
+                    ops.push({ type: 'write', size: 1, address: address + offset, value });
+                });
+                break;
+            }
+            case 0x6: ops.push({ type: 'and', size: 2, address, value: op2 }); break;
+            case 0x8: ops.push({ type: 'write', size: 2, address, value: op2 }); break;
+            case 0x9: key = createCodeBreakerKey(op1, op2); break;
+            case 0xD:
+                if (address !== 0x20) throw new Error(`${where}: unsupported CodeBreaker condition ${formatHex(op1, 8)}.`);
+                ops.push({ type: 'keys', mask: op2 & KEY_MASK, skip: 1 });
+                break;
+            case 0xE: ops.push({ type: 'add', size: 2, address, value: op2 }); break;
+            default:
+                if (!CODEBREAKER_TESTS[type]) throw new Error(`${where}: unsupported CodeBreaker code type ${formatHex(type, 1)}.`);
+                ops.push({ type: 'if', size: 2, address, test: CODEBREAKER_TESTS[type], value: op2, skip: 1 });
+        }
+    }
+    return ops;
+}
+
+// Whether an op from a guessed format lands where cheats normally do
+function isPlausibleCheatOp(op) {
+    if (op.type === 'patch') return isRomAddress(op.address);
+    if (op.type === 'keys' || op.type === 'endif') return true;
+    if (op.type === 'fill' && op.count > 0x10000) return false;
+    const region = op.address >>> 24;
+    return region >= 0x2 && region <= 0x7;
+}
+
+// Returns { format, ops }. 'auto' tells the formats apart by their shape; a 16-digit code
+// is decrypted as GameShark and as Action Replay MAX, and kept in whichever makes sense.
+function parseCheatCode(text, format = 'auto') {
+    switch (format) {
+        case 'raw': return { format, ops: parseRawCode(text) };
+        case 'gameshark': return { format, ops: parseGameSharkLines(readCodeLines(text, 8)) };
+        case 'actionReplayMax': return { format, ops: parseActionReplayMaxLines(readCodeLines(text, 8)) };
+        case 'codebreaker': return { format, ops: parseCodeBreakerLines(readCodeLines(text, 4)) };
+        case 'auto': break;
+        default: throw new Error(`Unknown cheat format "${format}".`);
+    }
+
+    const firstLine = text.trim().split('\n')[0].replace(/\s+/g, '');
+    if (firstLine.includes(':')) return parseCheatCode(text, 'raw');
+    if (/^[0-9A-Fa-f]{12}$/.test(firstLine)) return parseCheatCode(text, 'codebreaker');
+    let firstError = null;
+    for (const candidate of ['gameshark', 'actionReplayMax']) {
+        try {
+            const parsed = parseCheatCode(text, candidate);
+            if (parsed.ops.every(isPlausibleCheatOp)) return parsed;
+        } catch (e) {
+            firstError = firstError || e;
+        }
+    }
+    if (firstError && firstError.message.includes('hex digits')) throw firstError;
+    throw new Error('Not a valid GameShark or Action Replay MAX code. Choose the format to see why.');
+}
+
+// === Execution ===
+
+function peekCheatValue(bus, address, size) {
+    switch (size) {
+        case 1: return bus.peek8(address);
+        case 2: return bus.peek16(address);
+        default: return bus.peek32(address);
+    }
+}
+
+function writeCheatValue(bus, address, size, value) {
+    switch (size) {
+        case 1: bus.write8(address, value & 0xFF); break;
+        case 2: bus.write16(address, value & 0xFFFF); break;
+        default: bus.write32(address, value >>> 0); break;
+    }
+}
+
+// Runs one cheat's RAM operations. ROM patches are left to GBA_CheatManager.
+// Returns true when a failed condition asks for the cheat to be turned off.
+function runCheatOps(bus, ops, keysHeld) {
+    let skip = 0;
+    for (const op of ops) {
+        if (op.type === 'endif') {
+            if (skip === Infinity) skip = 0;
+            continue;
+        }
+        if (skip > 0) {
+            skip--;
+            continue;
+        }
+        switch (op.type) {
+            case 'write':
+                writeCheatValue(bus, op.address, op.size, op.value);
+                break;
+            case 'add':
+                writeCheatValue(bus, op.address, op.size, peekCheatValue(bus, op.address, op.size) + op.value);
+                break;
+            case 'or':
+                writeCheatValue(bus, op.address, op.size, peekCheatValue(bus, op.address, op.size) | op.value);
+                break;
+            case 'and':
+                writeCheatValue(bus, op.address, op.size, peekCheatValue(bus, op.address, op.size) & op.value);
+                break;
+            case 'fill':
+                for (let i = 0; i < op.count; i++) {
+                    writeCheatValue(bus, op.address + i * op.addressStep, op.size, op.value + i * op.valueStep);
+                }
+                break;
+            case 'pointer':
+                writeCheatValue(bus, bus.peek32(op.address) + op.offset, op.size, op.value);
+                break;
+            case 'if': {
+                const value = peekCheatValue(bus, op.address, op.size);
+                if (!CHEAT_TESTS[op.test](value, op.value, op.size)) {
+                    if (op.disable) return true;
+                    skip = op.skip;
+                }
+                break;
+            }
+            case 'keys':
+                if ((keysHeld & op.mask) !== op.mask) skip = op.skip;
+                break;
+        }
+    }
+    return false;
+}
+
+// === GBA_CheatManager ===
+// The cheat list for the loaded game, kept in the 'cheats' store of the saves database
+// under the same key as the game's save: [{ name, code, format, enabled }].
+// The front end calls apply() before every frame.
+class GBA_CheatManager {
+    constructor(core) {
+        this.core = core;
+        this.key = null;
+        this.cheats = []; // Stored fields plus the compiled ops
+        this.dbPromise = openSaveDatabase();
+        // Original bytes under the active ROM patches, by address
+        this.romOriginals = new Map();
+        this.listElement = null;
+    }
+
+    request(mode, action) {
+        return requestSaveDatabase(this.dbPromise, CHEAT_STORE, mode, action);
+    }
+
+    // Called after the core has loaded a ROM
+    async load(romData) {
+        this.romOriginals.clear(); // The new ROM has no patches in it yet
+        this.key = getSaveKey(romData);
+        this.cheats = [];
+        try {
+            const records = await this.request('readonly', (store) => store.get(this.key)) || [];
+            for (const record of records) {
+                const cheat = { ...record, ops: [], error: null };
+                try {
+                    cheat.ops = parseCheatCode(record.code, record.format).ops;
+                } catch (e) {
+                    cheat.enabled = false;
+                    cheat.error = e.message;
+                }
+                this.cheats.push(cheat);
+            }
+            if (records.length) console.log(`[Cheats] Loaded ${records.length} cheat(s) for ${this.key}.`);
+        } catch (e) {
+            console.error(`[Cheats] Could not read cheats database: ${e.message}`);
+        }
+        this.syncRomPatches();
+        this.refreshList();
+    }
+
+    async store() {
+        if (!this.key) return;
+        const records = this.cheats.map(({ name, code, format, enabled }) => ({ name, code, format, enabled }));
+        try {
+            await this.request('readwrite', (store) => store.put(records, this.key));
+        } catch (e) {
+            console.error(`[Cheats] Could not write cheats: ${e.message}`);
+        }
+    }
+
+    // Throws with the parser's message if the code is not valid
+    add(name, code, format = 'auto') {
+        const parsed = parseCheatCode(code, format);
+        const cheat = { name: name || `Cheat ${this.cheats.length + 1}`, code: code.trim(), format: parsed.format, enabled: true, ops: parsed.ops, error: null };
+        this.cheats.push(cheat);
+        this.changed();
+        return cheat;
+    }
+
+    remove(index) {
+        this.cheats.splice(index, 1);
+        this.changed();
+    }
+
+    setEnabled(index, enabled) {
+        const cheat = this.cheats[index];
+        if (!cheat || cheat.error) return;
+        cheat.enabled = enabled;
+        this.changed();
+    }
+
+    changed() {
+        this.syncRomPatches();
+        this.refreshList();
+        this.store();
+    }
+
+    // Writes the enabled cheats' RAM codes. Cheat accesses are not the game's, so they
+    // neither trip debugger watchpoints nor show up as a hit.
+    apply() {
+        if (!this.core.romLoaded) return;
+        const bus = this.core.bus;
+        const watchpoints = bus.watchpoints;
+        bus.watchpoints = null;
+        const keysHeld = ~this.core.ioRegsView.getUint16(REG_KEYINPUT, true) & KEY_MASK;
+        let disabled = false;
+        for (const cheat of this.cheats) {
+            if (cheat.enabled && runCheatOps(bus, cheat.ops, keysHeld)) {
+                cheat.enabled = false;
+                disabled = true;
+                console.log(`[Cheats] "${cheat.name}" turned itself off.`);
+            }
+        }
+        bus.watchpoints = watchpoints;
+        if (disabled) this.changed();
+    }
+
+    // Restores every patched byte, then patches the enabled cheats back in
+    syncRomPatches() {
+        const bus = this.core.bus;
+        if (!bus.romData) return;
+        // Save states are keyed by the unpatched ROM's CRC; settle it before the first patch
+        this.core.getRomCrc();
+
+        for (const [address, original] of this.romOriginals) {
+            bus.romData[address] = original;
+        }
+        this.romOriginals.clear();
+
+        for (const cheat of this.cheats) {
+            if (!cheat.enabled) continue;
+            for (const op of cheat.ops) {
+                if (op.type !== 'patch') continue;
+                for (let i = 0; i < op.size; i++) {
+                    const offset = (op.address & 0x01FFFFFF) + i;
+                    if (offset >= bus.romSize) continue;
+                    if (!this.romOriginals.has(offset)) this.romOriginals.set(offset, bus.romData[offset]);
+                    bus.romData[offset] = (op.value >>> (i * 8)) & 0xFF;
+                }
+            }
+        }
+    }
+
+    // === Panel ===
+    // The game's cheats with enable toggles, and a form to add one.
+    createPanel(parentElement) {
+        parentElement.innerHTML = '';
+
+        this.listElement = document.createElement('table');
+        this.listElement.className = 'cheat-list';
+        parentElement.appendChild(this.listElement);
+
+        const form = document.createElement('div');
+        form.className = 'cheat-form';
+        const nameInput = document.createElement('input');
+        nameInput.placeholder = 'Name';
+        const formatSelect = document.createElement('select');
+        for (const [value, label] of Object.entries(CHEAT_FORMATS)) formatSelect.add(new Option(label, value));
+        const codeInput = document.createElement('textarea');
+        codeInput.rows = 4;
+        codeInput.cols = 24;
+        codeInput.placeholder = '0200A3F0:63';
+        const message = document.createElement('div');
+        message.className = 'error';
+
+        const addButton = document.createElement('button');
+        addButton.type = 'button';
+        addButton.textContent = 'Add cheat';
+        addButton.addEventListener('click', () => {
+            if (!this.key) {
+                message.textContent = 'Load a ROM first.';
+                return;
+            }
+            try {
+                const cheat = this.add(nameInput.value.trim(), codeInput.value, formatSelect.value);
+                message.textContent = '';
+                nameInput.value = '';
+                codeInput.value = '';
+                console.log(`[Cheats] Added "${cheat.name}" (${CHEAT_FORMATS[cheat.format]}, ${cheat.ops.length} operation(s)).`);
+            } catch (e) {
+                message.textContent = e.message;
+            }
+        });
+
+        form.append(nameInput, ' ', formatSelect, document.createElement('br'), codeInput, document.createElement('br'), addButton, message);
+        parentElement.appendChild(form);
+        this.refreshList();
+    }
+
+    refreshList() {
+        if (!this.listElement) return;
+        this.listElement.innerHTML = '';
+        if (this.cheats.length === 0) {
+            const row = this.listElement.insertRow();
+            row.insertCell().textContent = this.key ? 'No cheats for this game.' : 'Load a ROM to manage its cheats.';
+            return;
+        }
+        this.cheats.forEach((cheat, index) => {
+            const row = this.listElement.insertRow();
+            const toggle = document.createElement('input');
+            toggle.type = 'checkbox';
+            toggle.checked = cheat.enabled;
+            toggle.disabled = Boolean(cheat.error);
+            toggle.addEventListener('change', () => this.setEnabled(index, toggle.checked));
+            row.insertCell().appendChild(toggle);
+
+            const name = row.insertCell();
+            name.textContent = cheat.name;
+            name.title = cheat.error || cheat.code;
+            row.insertCell().textContent = cheat.error ? `Error: ${cheat.error}` : CHEAT_FORMATS[cheat.format];
+
+            const removeButton = document.createElement('button');
+            removeButton.type = 'button';
+            removeButton.textContent = 'Remove';
+            removeButton.addEventListener('click', () => this.remove(index));
+            row.insertCell().appendChild(removeButton);
+        });
+    }
+}
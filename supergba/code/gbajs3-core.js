@@ -4,9 +4,33 @@
 "use strict";
 
 // === CONSTANTS for CPU and Flags ===
+const REG_SP = 13;
+const REG_LR = 14;
 const REG_PC = 15;
-const ARM_MODE = 0b10000; 
+const FLAG_N = 0x80000000;
 const FLAG_Z = 0x40000000; 
+const FLAG_C = 0x20000000;
+const FLAG_V = 0x10000000;
+const FLAG_I = 0x00000080; // IRQ disable
+const FLAG_F = 0x00000040; // FIQ disable
+const FLAG_T = 0x00000020; // Thumb state
+
+// === Processor Modes (CPSR bits 4-0) and Exception Vectors ===
+const MODE_USR = 0x10;
+const MODE_FIQ = 0x11;
+const MODE_IRQ = 0x12;
+const MODE_SVC = 0x13;
+const MODE_ABT = 0x17;
+const MODE_UND = 0x1B;
+const MODE_SYS = 0x1F;
+
+const VECTOR_RESET          = 0x00;
+const VECTOR_UNDEFINED      = 0x04;
+const VECTOR_SWI            = 0x08;
+const VECTOR_PREFETCH_ABORT = 0x0C;
+const VECTOR_DATA_ABORT     = 0x10;
+const VECTOR_IRQ            = 0x18;
+const VECTOR_FIQ            = 0x1C;
 
 // === PPU Timing Constants ===
 const H_CYCLES = 1232; 
@@ -14,12 +38,103 @@ const H_BLANK_START_CYCLE = 1006;
 const V_DRAW_LINES = 160; 
 const V_BLANK_LINES = 68;
 const V_TOTAL_LINES = V_DRAW_LINES + V_BLANK_LINES; 
-const CYCLES_PER_INSTRUCTION = 4; 
+const CYCLES_PER_FRAME = H_CYCLES * V_TOTAL_LINES;
+
+// === Waitstate Tables (REG_WAITCNT) ===
+const WAIT_N_CYCLES = [4, 3, 2, 8];                // SRAM and WS0-WS2 first access
+const WAIT_S_CYCLES = [[2, 1], [4, 1], [8, 1]];    // WS0, WS1, WS2 second access
 
 // === IO Register Offsets ===
 const REG_DISPCNT  = 0x000; 
 const REG_BG0CNT   = 0x008; 
-const REG_DMA3CNT_H = 0x0DA; 
+const REG_BG0HOFS  = 0x010; // BGn: HOFS at 0x010 + 4n, VOFS at 0x012 + 4n
+const REG_BG2PA    = 0x020; // BG2 affine block: PA, PB, PC, PD, X, Y (BG3 follows at 0x030)
+const REG_BG3Y     = 0x03C;
+const REG_WIN0H    = 0x040; // WIN1H at 0x042
+const REG_WIN0V    = 0x044; // WIN1V at 0x046
+const REG_WININ    = 0x048;
+const REG_WINOUT   = 0x04A;
+const REG_MOSAIC   = 0x04C;
+const REG_BLDCNT   = 0x050;
+const REG_BLDALPHA = 0x052;
+const REG_BLDY     = 0x054;
+const REG_DISPSTAT = 0x004;
+const REG_VCOUNT   = 0x006;
+const REG_DMA0SAD   = 0x0B0; // Channel n: SAD, DAD, CNT_L, CNT_H at 0x0B0 + 12n
+const REG_DMA3CNT_H = 0x0DE;
+const REG_TM0CNT_L = 0x100; // Timer n: CNT_L at 0x100 + 4n, CNT_H at 0x102 + 4n
+const REG_TM3CNT_H = 0x10E;
+const REG_KEYINPUT = 0x130; // Active-low: a cleared bit means the button is held
+const REG_KEYCNT   = 0x132;
+const REG_IE       = 0x200;
+const REG_IF       = 0x202;
+const REG_WAITCNT  = 0x204;
+const REG_IME      = 0x208;
+const REG_POSTFLG  = 0x300; // HALTCNT is the upper byte (0x301)
+
+// === Interrupt Sources (bits of REG_IE / REG_IF) ===
+const IRQ_VBLANK  = 0x0001;
+const IRQ_HBLANK  = 0x0002;
+const IRQ_VCOUNT  = 0x0004;
+const IRQ_TIMER0  = 0x0008; // Timer n is IRQ_TIMER0 << n
+const IRQ_SERIAL  = 0x0080;
+const IRQ_DMA0    = 0x0100; // DMA n is IRQ_DMA0 << n
+const IRQ_KEYPAD  = 0x1000;
+const IRQ_GAMEPAK = 0x2000;
+
+// === Keypad Buttons (bits of KEYINPUT/KEYCNT) ===
+const KEY_A      = 0x001;
+const KEY_B      = 0x002;
+const KEY_SELECT = 0x004;
+const KEY_START  = 0x008;
+const KEY_RIGHT  = 0x010;
+const KEY_LEFT   = 0x020;
+const KEY_UP     = 0x040;
+const KEY_DOWN   = 0x080;
+const KEY_R      = 0x100;
+const KEY_L      = 0x200;
+const KEY_MASK   = 0x3FF;
+
+// TMxCNT_H bits
+const TIMER_CASCADE = 0x0004;
+const TIMER_IRQ     = 0x0040;
+const TIMER_ENABLE  = 0x0080;
+const TIMER_PRESCALERS = [1, 64, 256, 1024]; // Cycles per tick, selected by TMxCNT_H bits 0-1
+
+// DMAxCNT_H bits and per-channel limits
+const DMA_REPEAT  = 0x0200;
+const DMA_32BIT   = 0x0400;
+const DMA_IRQ     = 0x4000;
+const DMA_ENABLE  = 0x8000;
+const DMA_TIMING_IMMEDIATE = 0;
+const DMA_TIMING_VBLANK    = 1;
+const DMA_TIMING_HBLANK    = 2;
+const DMA_TIMING_SPECIAL   = 3; // Sound FIFO for DMA1/2, video capture for DMA3
+const DMA_SRC_MASK   = [0x07FFFFFF, 0x0FFFFFFF, 0x0FFFFFFF, 0x0FFFFFFF]; // DMA0 cannot read the Game Pak
+const DMA_DST_MASK   = [0x07FFFFFF, 0x07FFFFFF, 0x07FFFFFF, 0x0FFFFFFF]; // Only DMA3 can write it
+const DMA_COUNT_MASK = [0x3FFF, 0x3FFF, 0x3FFF, 0xFFFF];                 // A count of 0 means mask + 1
+
+// DISPSTAT bits
+const DISPSTAT_VBLANK      = 0x0001;
+const DISPSTAT_HBLANK      = 0x0002;
+const DISPSTAT_VCOUNT      = 0x0004;
+const DISPSTAT_VBLANK_IRQ  = 0x0008;
+const DISPSTAT_HBLANK_IRQ  = 0x0010;
+const DISPSTAT_VCOUNT_IRQ  = 0x0020;
+
+// BGs each video mode can show; in modes 1 and 2 BG2 (and BG3) are affine, modes 3-5 draw a bitmap on BG2
+const BG_LAYERS_BY_MODE = [[0, 1, 2, 3], [0, 1, 2], [2, 3], [2], [2], [2]];
+
+// Layer numbers used by BLDCNT target bits (BG0-BG3 are 0-3)
+const LAYER_OBJ      = 4;
+const LAYER_BACKDROP = 5;
+
+// OBJ dimensions in pixels, indexed by [shape][size]: square, horizontal, vertical
+const OBJ_SIZES = [
+    [[8, 8], [16, 16], [32, 32], [64, 64]],
+    [[16, 8], [32, 8], [32, 16], [64, 32]],
+    [[8, 16], [8, 32], [16, 32], [32, 64]],
+];
 
 // === TILE MODE CONSTANTS ===
 const TILE_SIZE_4BPP = 32; 
@@ -29,6 +144,8 @@ const SCREEN_WIDTH = 240;
 const SCREEN_HEIGHT = 160;
 
 // === MemoryBus (Handles memory reads/writes) ===
+// Every region is reachable with 8/16/32-bit accesses. Word accesses are forced
+// to word alignment and halfword accesses to halfword alignment, as on hardware.
 class MemoryBus {
     constructor(core, ewram, iwram, vram, paletteRAM, oam, ioRegsView, romData, biosData) {
         this.core = core; 
@@ -38,435 +155,2523 @@ class MemoryBus {
         this.paletteRAM = paletteRAM; 
         this.oam = oam; 	
         this.ioRegsView = ioRegsView; 
-        this.romData = romData;
         this.biosData = biosData; 
+        // Cartridge save chip (gbajs3-backup.js); replaced by GBAJS3_Core.setBackupType once the ROM is known
+        this.backup = createBackup(BACKUP_SRAM);
+
+        // Little-endian views, created once per region
+        this.ewramView = new DataView(ewram.buffer);
+        this.iwramView = new DataView(iwram.buffer);
+        this.vramView = new DataView(vram.buffer);
+        this.paletteView = new DataView(paletteRAM.buffer);
+        this.oamView = new DataView(oam.buffer);
+        this.biosView = biosData ? new DataView(biosData) : null;
+
+        this.romData = null;
+        this.romView = null;
+        this.romSize = 0;
+        if (romData) this.setRom(romData);
+
+        // BIOS read protection: BIOS data is only readable while executing from the BIOS.
+        // Otherwise reads return the last opcode fetched from it.
+        this.pcInBios = true;
+        this.biosLatch = 0;
+        // Unmapped reads return the last prefetched opcode (open bus)
+        this.openBus = 0;
+
+        // Debugger watchpoints (gbajs3-debugger.js): [{ start, end, read, write }] or null when
+        // there are none, so the check costs one comparison per access. The first hit is kept
+        // in watchpointHit until the debugger consumes it.
+        this.watchpoints = null;
+        this.watchpointHit = null;
+
+        // Access cycles per region (address bits 27-24), 1 + waitstates
+        this.waitN16 = new Uint8Array(16);
+        this.waitS16 = new Uint8Array(16);
+        this.waitN32 = new Uint8Array(16);
+        this.waitS32 = new Uint8Array(16);
+        this.initWaitstates();
     }
-    
-    // --- READS (Unchanged) ---
-    read16(address) {
-        address >>>= 0;
-        
-        if (address < 0x00004000 && this.biosData) {
-            const biosView = new DataView(this.biosData);
-            return biosView.getUint16(address, true); 
+
+    setRom(romData) {
+        // Pad to a word boundary so DataView reads never run past the end
+        let rom = romData;
+        if (rom.byteLength & 0x3) {
+            rom = new Uint8Array((romData.byteLength + 3) & ~0x3);
+            rom.set(romData);
         }
-        if (address >= 0x04000000 && address < 0x04000400) {
-            const offset = address - 0x04000000;
-            return this.ioRegsView.getUint16(offset, true);
+        this.romData = rom;
+        this.romView = new DataView(rom.buffer, rom.byteOffset, rom.byteLength);
+        this.romSize = romData.byteLength;
+    }
+
+    // === Save States ===
+    // The save chip travels with the state, as on other emulators, so loading a state also rolls back the save.
+    // Chips only hold plain fields and their data array, so a shallow copy captures them.
+    captureState() {
+        return {
+            pcInBios: this.pcInBios,
+            biosLatch: this.biosLatch,
+            openBus: this.openBus,
+            backup: Object.assign({}, this.backup),
+        };
+    }
+
+    restoreState(state) {
+        this.pcInBios = state.pcInBios;
+        this.biosLatch = state.biosLatch;
+        this.openBus = state.openBus;
+        this.backup = Object.assign(createBackup(state.backup.type), state.backup);
+        this.backup.dirty = true;
+        this.updateWaitstates(this.ioRegsView.getUint16(REG_WAITCNT, true));
+    }
+
+    // === Waitstates ===
+    initWaitstates() {
+        //                    BIOS  -   EWRAM IWRAM IO PRAM VRAM OAM
+        const n16 = [1, 1, 3, 1, 1, 1, 1, 1];
+        const n32 = [1, 1, 6, 1, 1, 2, 2, 1];
+        for (let region = 0; region < 8; region++) {
+            this.waitN16[region] = this.waitS16[region] = n16[region];
+            this.waitN32[region] = this.waitS32[region] = n32[region];
         }
-        
-        if (address >= 0x05000000 && address < 0x05000400) {
-            const offset = address - 0x05000000;
-            const view = new DataView(this.paletteRAM.buffer);
-            return view.getUint16(offset % this.paletteRAM.byteLength, true);
+        this.updateWaitstates(0);
+    }
+
+    // Recomputes ROM (WS0-WS2) and SRAM timings from REG_WAITCNT
+    updateWaitstates(waitcnt) {
+        const sram = 1 + WAIT_N_CYCLES[waitcnt & 0x3];
+        for (const region of [0xE, 0xF]) {
+            this.waitN16[region] = this.waitS16[region] = sram;
+            this.waitN32[region] = this.waitS32[region] = sram;
         }
-        
-        if (address >= 0x06000000 && address < 0x07000000) {
-            const offset = address - 0x06000000;
-            const view = new DataView(this.vram.buffer);
-            return view.getUint16(offset % this.vram.byteLength, true);
+
+        for (let ws = 0; ws < 3; ws++) {
+            const n = 1 + WAIT_N_CYCLES[(waitcnt >>> (2 + ws * 3)) & 0x3];
+            const s = 1 + WAIT_S_CYCLES[ws][(waitcnt >>> (4 + ws * 3)) & 0x1];
+            // The cartridge bus is 16 bits wide: a word access is one N plus one S access
+            for (const region of [0x8 + ws * 2, 0x9 + ws * 2]) {
+                this.waitN16[region] = n;
+                this.waitS16[region] = s;
+                this.waitN32[region] = n + s;
+                this.waitS32[region] = s * 2;
+            }
         }
-        
-        if (address >= 0x08000000 && this.romData) {
-            const romBase = 0x08000000;
-            const offset = (address - romBase) % this.romData.byteLength;
-            const romView = new DataView(this.romData.buffer);
-            try { return romView.getUint16(offset, true); } catch (e) { return 0xFFFF; }
+    }
+
+    accessCycles(address, is32, sequential) {
+        if (address > 0x0FFFFFFF) return 1;
+        const region = address >>> 24;
+        if (is32) {
+            return sequential ? this.waitS32[region] : this.waitN32[region];
         }
-        return 0x0;
+        return sequential ? this.waitS16[region] : this.waitN16[region];
     }
 
-    read32(address) {
+    // === Instruction Fetch (tracks BIOS protection and the open-bus value) ===
+    // Instruction fetches are not data reads, so they bypass the watchpoints
+    fetch32(address) {
+        this.pcInBios = address < 0x4000;
+        const watchpoints = this.watchpoints;
+        this.watchpoints = null;
+        const opcode = this.read32(address) >>> 0;
+        this.watchpoints = watchpoints;
+        if (this.pcInBios) this.biosLatch = opcode;
+        this.openBus = opcode;
+        return opcode;
+    }
+
+    fetch16(address) {
+        this.pcInBios = address < 0x4000;
+        const watchpoints = this.watchpoints;
+        this.watchpoints = null;
+        const opcode = this.read16(address);
+        if (this.pcInBios) this.biosLatch = this.read32(address) >>> 0;
+        this.watchpoints = watchpoints;
+        this.openBus = (opcode | (opcode << 16)) >>> 0;
+        return opcode;
+    }
+
+    readBios32(address) {
+        if (!this.biosView) return this.openBus;
+        return this.pcInBios ? this.biosView.getUint32(address & 0x3FFC, true) : this.biosLatch;
+    }
+
+    // ROM reads past the end of the image return the low halfword of address / 2
+    readRomOutOfRange16(address) {
+        return (address >>> 1) & 0xFFFF;
+    }
+
+    // EEPROM sits in the top ROM mirror: all of 0x0D000000 for ROMs up to 16MB,
+    // only the last 256 bytes of it for 32MB ROMs
+    isEepromAddress(address) {
+        return this.backup instanceof GBA_EEPROM && (address >>> 24) === 0xD &&
+            (this.romSize <= 0x1000000 || address >= 0x0DFFFF00);
+    }
+
+    // === Debugger Access ===
+    // Reads for the dev tools: they never trip watchpoints, and the BIOS reads back as
+    // itself whatever the PC is
+    peek8(address) {
         address >>>= 0;
-        if (address < 0x00004000 && this.biosData) {
-            const biosView = new DataView(this.biosData);
-            try { return biosView.getUint32(address, true); } catch (e) { return 0x0; }
-        }
-        if (address >= 0x08000000 && this.romData) {
-            const romBase = 0x08000000;
-            const offset = (address - romBase) % this.romData.byteLength;
-            const romView = new DataView(this.romData.buffer);
-            try { return romView.getUint32(offset, true); } catch (e) { return 0xDEADBEEF; }
+        if (address < 0x4000 && this.biosView) return this.biosView.getUint8(address);
+        const watchpoints = this.watchpoints;
+        this.watchpoints = null;
+        const value = this.read8(address);
+        this.watchpoints = watchpoints;
+        return value;
+    }
+
+    peek16(address) {
+        address = (address & ~0x1) >>> 0;
+        if (address < 0x4000 && this.biosView) return this.biosView.getUint16(address, true);
+        const watchpoints = this.watchpoints;
+        this.watchpoints = null;
+        const value = this.read16(address);
+        this.watchpoints = watchpoints;
+        return value;
+    }
+
+    peek32(address) {
+        address = (address & ~0x3) >>> 0;
+        if (address < 0x4000 && this.biosView) return this.biosView.getUint32(address, true);
+        const watchpoints = this.watchpoints;
+        this.watchpoints = null;
+        const value = this.read32(address) >>> 0;
+        this.watchpoints = watchpoints;
+        return value;
+    }
+
+    // Records the first access that overlaps a watchpoint; value is undefined for reads
+    checkWatchpoints(address, size, write, value) {
+        if (this.watchpointHit) return;
+        for (const watchpoint of this.watchpoints) {
+            if ((write ? watchpoint.write : watchpoint.read) &&
+                address < watchpoint.end && address + size > watchpoint.start) {
+                this.watchpointHit = { watchpoint, address, size, write, value };
+                return;
+            }
         }
-        return this.read16(address) | (this.read16(address + 2) << 16);
     }
 
-    // --- WRITES (Updated for Palette Conversion) ---
-    write16(address, value) {
+    // VRAM is 96KB mirrored in 128KB steps; the last 32KB mirror 0x10000-0x17FFF
+    vramOffset(address) {
+        const offset = address & 0x1FFFF;
+        return offset >= 0x18000 ? offset - 0x8000 : offset;
+    }
+    
+    // --- READS ---
+    read8(address) {
         address >>>= 0;
-        value &= 0xFFFF;
+        if (this.watchpoints !== null) this.checkWatchpoints(address, 1, false);
 
-        // 1. IO Register Write
-        if (address >= 0x04000000 && address < 0x04000400) {
-            const offset = address - 0x04000000;
-            this.ioRegsView.setUint16(offset, value, true);
-            if (this.core) { 
-                this.core.handleIOWrite(address, value); 
+        switch (address >>> 24) {
+            case 0x0:
+                if (address < 0x4000) return (this.readBios32(address) >>> ((address & 0x3) << 3)) & 0xFF;
+                break;
+            case 0x2: return this.ewram[address & 0x3FFFF];
+            case 0x3: return this.iwram[address & 0x7FFF];
+            case 0x4:
+                if ((address & 0xFFFFFF) < 0x400) return this.ioRegsView.getUint8(address & 0x3FF);
+                break;
+            case 0x5: return this.paletteRAM[address & 0x3FF];
+            case 0x6: return this.vram[this.vramOffset(address)];
+            case 0x7: return this.oam[address & 0x3FF];
+            case 0x8: case 0x9: case 0xA: case 0xB: case 0xC: case 0xD: {
+                const offset = address & 0x1FFFFFF;
+                if (offset < this.romSize) return this.romData[offset];
+                return (this.readRomOutOfRange16(address) >>> ((address & 0x1) << 3)) & 0xFF;
             }
-            return;
+            case 0xE: case 0xF:
+                return this.backup.read8(address & 0xFFFF);
         }
-        
-        // 2. PRAM Write (0x05000000 - 0x050003FF)
-        if (address >= 0x05000000 && address < 0x05000400) {
-            const offset = address - 0x05000000;
-            const view = new DataView(this.paletteRAM.buffer);
-            const index = (offset % this.paletteRAM.byteLength) / 2;
-            
-            // Write to the raw PRAM (needed for read-back)
-            view.setUint16(offset % this.paletteRAM.byteLength, value, true);
-            
-            // CRITICAL: Convert and cache the RGB color for PPU drawing
-            if (this.core) {
-                this.core.convertPaletteColor(index, value);
+        return (this.openBus >>> ((address & 0x3) << 3)) & 0xFF;
+    }
+
+    read16(address) {
+        address = (address & ~0x1) >>> 0;
+        if (this.watchpoints !== null) this.checkWatchpoints(address, 2, false);
+
+        switch (address >>> 24) {
+            case 0x0:
+                if (address < 0x4000) return (this.readBios32(address) >>> ((address & 0x2) << 3)) & 0xFFFF;
+                break;
+            case 0x2: return this.ewramView.getUint16(address & 0x3FFFE, true);
+            case 0x3: return this.iwramView.getUint16(address & 0x7FFE, true);
+            case 0x4:
+                if ((address & 0xFFFFFF) < 0x400) return this.ioRegsView.getUint16(address & 0x3FE, true);
+                break;
+            case 0x5: return this.paletteView.getUint16(address & 0x3FE, true);
+            case 0x6: return this.vramView.getUint16(this.vramOffset(address), true);
+            case 0x7: return this.oamView.getUint16(address & 0x3FE, true);
+            case 0xD:
+                if (this.isEepromAddress(address)) return this.backup.read16();
+                // Falls through to the ROM mirror
+            case 0x8: case 0x9: case 0xA: case 0xB: case 0xC: {
+                const offset = address & 0x1FFFFFE;
+                if (offset < this.romSize) return this.romView.getUint16(offset, true);
+                return this.readRomOutOfRange16(address);
             }
-            return;
+            case 0xE: case 0xF:
+                // 8-bit bus: the byte is repeated across the halfword
+                return this.backup.read8(address & 0xFFFF) * 0x0101;
         }
-        
-        // 3. VRAM Write (0x06000000 - 0x06017FFF)
-        if (address >= 0x06000000 && address < 0x07000000) {
-            const offset = address - 0x06000000;
-            const view = new DataView(this.vram.buffer);
-            view.setUint16(offset % this.vram.byteLength, value, true);
-            return;
+        return (this.openBus >>> ((address & 0x2) << 3)) & 0xFFFF;
+    }
+
+    read32(address) {
+        address = (address & ~0x3) >>> 0;
+        if (this.watchpoints !== null) this.checkWatchpoints(address, 4, false);
+
+        switch (address >>> 24) {
+            case 0x0:
+                if (address < 0x4000) return this.readBios32(address);
+                break;
+            case 0x2: return this.ewramView.getUint32(address & 0x3FFFC, true);
+            case 0x3: return this.iwramView.getUint32(address & 0x7FFC, true);
+            case 0x4:
+                if ((address & 0xFFFFFF) < 0x400) {
+                    return (this.read16(address) | (this.read16(address + 2) << 16)) >>> 0;
+                }
+                break;
+            case 0x5: return this.paletteView.getUint32(address & 0x3FC, true);
+            case 0x6: return this.vramView.getUint32(this.vramOffset(address), true);
+            case 0x7: return this.oamView.getUint32(address & 0x3FC, true);
+            case 0x8: case 0x9: case 0xA: case 0xB: case 0xC: case 0xD: {
+                const offset = address & 0x1FFFFFC;
+                if (offset < this.romSize) return this.romView.getUint32(offset, true);
+                return (this.readRomOutOfRange16(address) | (this.readRomOutOfRange16(address + 2) << 16)) >>> 0;
+            }
+            case 0xE: case 0xF:
+                return (this.backup.read8(address & 0xFFFF) * 0x01010101) >>> 0;
         }
-        
-        // 4. Internal WRAM Write (Unchanged)
-        if (address >= 0x03000000 && address < 0x03008000) {
-            const offset = address - 0x03000000;
-            const view = new DataView(this.iwram.buffer);
-            view.setUint16(offset % this.iwram.byteLength, value, true);
-            return;
+        return this.openBus;
+    }
+
+    // --- WRITES ---
+    // BIOS and ROM are read-only; writes to them and to unmapped space are dropped.
+    write8(address, value) {
+        address >>>= 0;
+        value &= 0xFF;
+        if (this.watchpoints !== null) this.checkWatchpoints(address, 1, true, value);
+
+        switch (address >>> 24) {
+            case 0x2: this.ewram[address & 0x3FFFF] = value; return;
+            case 0x3: this.iwram[address & 0x7FFF] = value; return;
+            case 0x4: {
+                const offset = address & 0xFFFFFF;
+                if (offset < 0x400) {
+                    // Lines already drawn must be rendered with the old register values
+                    if (this.core && offset < 0x100) this.core.flushRenderQueue();
+                    // IO handlers work on halfwords; pass which byte was actually written
+                    this.ioRegsView.setUint8(offset, value);
+                    if (this.core) {
+                        const aligned = offset & ~0x1;
+                        this.core.handleIOWrite(0x04000000 + aligned, this.ioRegsView.getUint16(aligned, true), (offset & 0x1) ? 0xFF00 : 0x00FF);
+                    }
+                }
+                return;
+            }
+            case 0x5:
+                // 8-bit PRAM writes store the byte in both halves of the halfword
+                this.write16(address & ~0x1, value * 0x0101);
+                return;
+            case 0x6: {
+                // Same for the BG part of VRAM; byte writes to OBJ tiles are ignored
+                const dispcnt = this.ioRegsView.getUint16(REG_DISPCNT, true);
+                const objBase = ((dispcnt & 0x7) >= 3) ? 0x14000 : 0x10000;
+                if (this.vramOffset(address) < objBase) {
+                    this.write16(address & ~0x1, value * 0x0101);
+                }
+                return;
+            }
+            case 0x7:
+                return; // OAM ignores 8-bit writes
+            case 0xE: case 0xF:
+                this.backup.write8(address & 0xFFFF, value);
+                return;
         }
-        
-        // 5. External WRAM Write (Unchanged)
-        if (address >= 0x02000000 && address < 0x02040000) {
-            const offset = address - 0x02000000;
-            const view = new DataView(this.ewram.buffer);
-            view.setUint16(offset % this.ewram.byteLength, value, true);
-            return;
+    }
+
+    write16(address, value) {
+        address = (address & ~0x1) >>> 0;
+        value &= 0xFFFF;
+        if (this.watchpoints !== null) this.checkWatchpoints(address, 2, true, value);
+
+        switch (address >>> 24) {
+            case 0x2: this.ewramView.setUint16(address & 0x3FFFE, value, true); return;
+            case 0x3: this.iwramView.setUint16(address & 0x7FFE, value, true); return;
+
+            case 0x4: {
+                const offset = address & 0xFFFFFF;
+                if (offset < 0x400) {
+                    if (this.core && offset < 0x100) this.core.flushRenderQueue();
+                    this.ioRegsView.setUint16(offset, value, true);
+                    if (this.core) { 
+                        this.core.handleIOWrite(0x04000000 + offset, value, 0xFFFF); 
+                    }
+                }
+                return;
+            }
+
+            case 0x5: {
+                const offset = address & 0x3FE;
+                if (this.core) this.core.flushRenderQueue(); // Mid-frame palette changes (gradients)
+                // Write to the raw PRAM (needed for read-back)
+                this.paletteView.setUint16(offset, value, true);
+                
+                // CRITICAL: Convert and cache the RGB color for PPU drawing
+                if (this.core) {
+                    this.core.convertPaletteColor(offset >>> 1, value);
+                }
+                return;
+            }
+
+            case 0x6: this.vramView.setUint16(this.vramOffset(address), value, true); return;
+            case 0x7: this.oamView.setUint16(address & 0x3FE, value, true); return;
+
+            case 0xD:
+                if (this.isEepromAddress(address)) this.backup.write16(value);
+                return;
+
+            case 0xE: case 0xF:
+                // 8-bit bus: only the byte lane selected by the address is stored
+                this.backup.write8(address & 0xFFFF, (value >>> ((address & 0x1) << 3)) & 0xFF);
+                return;
         }
     }
 
     write32(address, value) {
+        address = (address & ~0x3) >>> 0;
+        if (this.watchpoints !== null) this.checkWatchpoints(address, 4, true, value >>> 0);
+
+        switch (address >>> 24) {
+            case 0x2: this.ewramView.setUint32(address & 0x3FFFC, value >>> 0, true); return;
+            case 0x3: this.iwramView.setUint32(address & 0x7FFC, value >>> 0, true); return;
+            case 0x6: this.vramView.setUint32(this.vramOffset(address), value >>> 0, true); return;
+            case 0x7: this.oamView.setUint32(address & 0x3FC, value >>> 0, true); return;
+            case 0xE: case 0xF:
+                this.backup.write8(address & 0xFFFF, (value >>> ((address & 0x3) << 3)) & 0xFF);
+                return;
+        }
+        // IO and PRAM need their per-halfword side effects
         this.write16(address, value & 0xFFFF);
         this.write16(address + 2, (value >>> 16) & 0xFFFF);
     }
 }
 
-// === GBA_CPU (The ARM7TDMI Interpreter - Unchanged) ===
+// === GBA_CPU (The ARM7TDMI Interpreter) ===
 class GBA_CPU {
     constructor(bus) {
         this.bus = bus;
         this.registers = new Uint32Array(16);
-        this.CPSR = 0x00000010 | ARM_MODE; 
+        // Reset state: Supervisor mode, ARM state, IRQ and FIQ disabled
+        this.CPSR = MODE_SVC | FLAG_I | FLAG_F; 
         this.registers[REG_PC] = 0x00000008; 
+
+        // Banked registers, indexed by getBankIndex(): USR/SYS, FIQ, IRQ, SVC, ABT, UND
+        this.bankedR13 = new Uint32Array(6);
+        this.bankedR14 = new Uint32Array(6);
+        this.bankedSPSR = new Uint32Array(6);
+        this.bankedFIQ = new Uint32Array(5);  // R8_fiq-R12_fiq
+        this.bankedUser = new Uint32Array(5); // R8-R12 of every other mode while in FIQ
+
+        // Scratch state shared by the decoder helpers
+        this.shifterCarry = 0;     // Carry-out of the last barrel shifter operation (0 or 1)
+        this.branchTaken = false;  // Set when the current instruction reloaded the PC
+        this.cycles = 0;           // Cycles charged to the instruction being executed
+        this.unhandledCount = 0;   // Limits console spam from unimplemented encodings
+        this.biosExitLogged = false; // The boot hand-off is traced once, not every IRQ dispatch
+        this.swiHandler = null;      // Set by the HLE BIOS to run SWIs in JavaScript: (number) => cycles
+    }
+
+    // === Save States (see gbajs3-savestate.js) ===
+    captureState() {
+        return {
+            registers: this.registers.slice(),
+            CPSR: this.CPSR,
+            bankedR13: this.bankedR13.slice(),
+            bankedR14: this.bankedR14.slice(),
+            bankedSPSR: this.bankedSPSR.slice(),
+            bankedFIQ: this.bankedFIQ.slice(),
+            bankedUser: this.bankedUser.slice(),
+            biosExitLogged: this.biosExitLogged,
+        };
+    }
+
+    restoreState(state) {
+        this.registers.set(state.registers);
+        this.CPSR = state.CPSR;
+        this.bankedR13.set(state.bankedR13);
+        this.bankedR14.set(state.bankedR14);
+        this.bankedSPSR.set(state.bankedSPSR);
+        this.bankedFIQ.set(state.bankedFIQ);
+        this.bankedUser.set(state.bankedUser);
+        this.biosExitLogged = state.biosExitLogged;
     }
 
     setZNFlags(result) {
-        this.CPSR &= ~(FLAG_Z | 0x80000000); // FLAG_N
-        if (result === 0) {
+        this.CPSR &= ~(FLAG_Z | FLAG_N);
+        if ((result >>> 0) === 0) {
             this.CPSR |= FLAG_Z;
         }
-        if (result & 0x80000000) { 
-            this.CPSR |= 0x80000000;
+        if (result & FLAG_N) { 
+            this.CPSR |= FLAG_N;
         }
+        this.CPSR >>>= 0;
     }
-    
-    executeNextInstruction() {
-        const currentPC = this.registers[REG_PC];
-        const instructionAddress = currentPC - 8;
-        const instruction = this.bus.read32(instructionAddress);
-        
-        let branchOccurred = false; 
-        const isLoadStore = (instruction >> 26) === 0b01; 
-
-        if (isLoadStore) {
-            const isLoad = (instruction >> 20) & 0x1;
-            const Rd = (instruction >> 12) & 0xF; 
-            const Rn = (instruction >> 16) & 0xF; 
-            const isImmediateOffset = !((instruction >> 25) & 0x1); 
-            
-            if (isImmediateOffset) { 
-                const offset = instruction & 0xFFF;
-                const baseAddress = (Rn === REG_PC) ? (currentPC - 8) : this.registers[Rn];
-                const targetAddress = baseAddress + offset;
-
-                if (isLoad) { // LDR
-                    const data = this.bus.read32(targetAddress & ~0x3);
-
-                    if (Rd === REG_PC) {
-                        this.registers[REG_PC] = (data & ~0x3) + 4; 
-                        branchOccurred = true;
-                        if (instructionAddress < 0x4000) {
-                            console.log(`[BIOS TRACE] BIOS Exit: Jump to ROM/Entry point. New PC: 0x${data.toString(16).toUpperCase().padStart(8, '0')}`);
-                        }
-                    } else {
-                        this.registers[Rd] = data;
+
+    // === Processor Modes and Banked Registers ===
+    getBankIndex(mode) {
+        switch (mode) {
+            case MODE_FIQ: return 1;
+            case MODE_IRQ: return 2;
+            case MODE_SVC: return 3;
+            case MODE_ABT: return 4;
+            case MODE_UND: return 5;
+            default:       return 0; // USR and SYS share one register set
+        }
+    }
+
+    // Swaps the banked R8-R14 for the new mode into the active register file
+    switchMode(newMode) {
+        const oldMode = this.CPSR & 0x1F;
+        if (oldMode === newMode) return;
+
+        const oldBank = this.getBankIndex(oldMode);
+        const newBank = this.getBankIndex(newMode);
+
+        if (oldBank !== newBank) {
+            this.bankedR13[oldBank] = this.registers[REG_SP];
+            this.bankedR14[oldBank] = this.registers[REG_LR];
+
+            if (oldMode === MODE_FIQ) {
+                for (let i = 0; i < 5; i++) {
+                    this.bankedFIQ[i] = this.registers[8 + i];
+                    this.registers[8 + i] = this.bankedUser[i];
+                }
+            } else if (newMode === MODE_FIQ) {
+                for (let i = 0; i < 5; i++) {
+                    this.bankedUser[i] = this.registers[8 + i];
+                    this.registers[8 + i] = this.bankedFIQ[i];
+                }
+            }
+
+            this.registers[REG_SP] = this.bankedR13[newBank];
+            this.registers[REG_LR] = this.bankedR14[newBank];
+        }
+
+        this.CPSR = ((this.CPSR & ~0x1F) | newMode) >>> 0;
+    }
+
+    // Full CPSR write, switching register banks when the mode bits change
+    setCPSR(value) {
+        this.switchMode(value & 0x1F);
+        this.CPSR = value >>> 0;
+    }
+
+    hasSPSR() {
+        const mode = this.CPSR & 0x1F;
+        return mode !== MODE_USR && mode !== MODE_SYS;
+    }
+
+    // User and System mode have no SPSR; reads return CPSR as on hardware
+    getSPSR() {
+        return this.hasSPSR() ? this.bankedSPSR[this.getBankIndex(this.CPSR & 0x1F)] : this.CPSR;
+    }
+
+    setSPSR(value) {
+        if (this.hasSPSR()) {
+            this.bankedSPSR[this.getBankIndex(this.CPSR & 0x1F)] = value >>> 0;
+        }
+    }
+
+    // === Exception Entry ===
+    // Saves CPSR into the new mode's SPSR, sets LR, switches to ARM state with IRQs
+    // masked and jumps to the vector. Return is MOVS PC, LR (SWI/undefined) or
+    // SUBS PC, LR, #4 (IRQ/FIQ/prefetch abort).
+    enterException(mode, vector, returnAddress) {
+        const savedCPSR = this.CPSR;
+
+        this.switchMode(mode);
+        this.setSPSR(savedCPSR);
+        this.registers[REG_LR] = returnAddress >>> 0;
+
+        let cpsr = (this.CPSR & ~FLAG_T) | FLAG_I;
+        if (vector === VECTOR_RESET || vector === VECTOR_FIQ) {
+            cpsr |= FLAG_F;
+        }
+        this.CPSR = cpsr >>> 0;
+        this.branchTo(vector);
+    }
+
+    // Address of the instruction after the one currently executing
+    nextInstructionAddress() {
+        return (this.registers[REG_PC] - ((this.CPSR & FLAG_T) ? 2 : 4)) >>> 0;
+    }
+
+    // 'comment' is the SWI number: bits 16-23 of an ARM SWI, bits 0-7 of a Thumb SWI
+    raiseSoftwareInterrupt(comment) {
+        if (this.swiHandler) {
+            this.cycles += this.swiHandler(comment);
+            return;
+        }
+        this.enterException(MODE_SVC, VECTOR_SWI, this.nextInstructionAddress());
+    }
+
+    raiseUndefined(instruction, instructionAddress) {
+        this.logUnhandled(instruction, instructionAddress);
+        this.enterException(MODE_UND, VECTOR_UNDEFINED, this.nextInstructionAddress());
+    }
+
+    // Prefetch aborts return to the aborted instruction, data aborts to the one after it
+    raisePrefetchAbort(instructionAddress) {
+        this.enterException(MODE_ABT, VECTOR_PREFETCH_ABORT, instructionAddress + 4);
+    }
+
+    raiseDataAbort(instructionAddress) {
+        this.enterException(MODE_ABT, VECTOR_DATA_ABORT, instructionAddress + 8);
+    }
+
+    // Called between instructions. LR_irq = next instruction + 4, so the handler
+    // returns with SUBS PC, LR, #4 in either state.
+    raiseIRQ() {
+        if (this.CPSR & FLAG_I) return false;
+
+        const nextInstruction = (this.registers[REG_PC] - ((this.CPSR & FLAG_T) ? 4 : 8)) >>> 0;
+        this.enterException(MODE_IRQ, VECTOR_IRQ, nextInstruction + 4);
+        return true;
+    }
+
+    setCarryFlag(carry) {
+        this.CPSR = (carry ? (this.CPSR | FLAG_C) : (this.CPSR & ~FLAG_C)) >>> 0;
+    }
+
+    setOverflowFlag(overflow) {
+        this.CPSR = (overflow ? (this.CPSR | FLAG_V) : (this.CPSR & ~FLAG_V)) >>> 0;
+    }
+
+    // === Condition Field (bits 31-28, shared by every ARM instruction) ===
+    checkCondition(cond) {
+        const cpsr = this.CPSR;
+        const n = cpsr >>> 31;
+        const z = (cpsr >>> 30) & 1;
+        const c = (cpsr >>> 29) & 1;
+        const v = (cpsr >>> 28) & 1;
+
+        switch (cond) {
+            case 0x0: return z === 1;               // EQ
+            case 0x1: return z === 0;               // NE
+            case 0x2: return c === 1;               // CS/HS
+            case 0x3: return c === 0;               // CC/LO
+            case 0x4: return n === 1;               // MI
+            case 0x5: return n === 0;               // PL
+            case 0x6: return v === 1;               // VS
+            case 0x7: return v === 0;               // VC
+            case 0x8: return c === 1 && z === 0;    // HI
+            case 0x9: return c === 0 || z === 1;    // LS
+            case 0xA: return n === v;               // GE
+            case 0xB: return n !== v;               // LT
+            case 0xC: return z === 0 && n === v;    // GT
+            case 0xD: return z === 1 || n !== v;    // LE
+            case 0xE: return true;                  // AL
+            default:  return false;                 // NV (reserved on ARMv4)
+        }
+    }
+
+    // === Barrel Shifter ===
+    // Returns the shifted value and leaves the carry-out in this.shifterCarry.
+    // 'immediate' selects the encoding rules where an amount of 0 means LSR/ASR #32 or RRX.
+    barrelShift(value, type, amount, immediate) {
+        const carryIn = (this.CPSR >>> 29) & 1;
+        value >>>= 0;
+
+        switch (type) {
+            case 0: // LSL
+                if (amount === 0) {
+                    this.shifterCarry = carryIn;
+                    return value;
+                }
+                if (amount < 32) {
+                    this.shifterCarry = (value >>> (32 - amount)) & 1;
+                    return (value << amount) >>> 0;
+                }
+                this.shifterCarry = amount === 32 ? (value & 1) : 0;
+                return 0;
+
+            case 1: // LSR
+                if (amount === 0) {
+                    if (!immediate) {
+                        this.shifterCarry = carryIn;
+                        return value;
+                    }
+                    amount = 32;
+                }
+                if (amount < 32) {
+                    this.shifterCarry = (value >>> (amount - 1)) & 1;
+                    return value >>> amount;
+                }
+                this.shifterCarry = amount === 32 ? (value >>> 31) : 0;
+                return 0;
+
+            case 2: // ASR
+                if (amount === 0) {
+                    if (!immediate) {
+                        this.shifterCarry = carryIn;
+                        return value;
+                    }
+                    amount = 32;
+                }
+                if (amount < 32) {
+                    this.shifterCarry = (value >>> (amount - 1)) & 1;
+                    return (value >> amount) >>> 0;
+                }
+                this.shifterCarry = value >>> 31;
+                return this.shifterCarry ? 0xFFFFFFFF : 0;
+
+            default: // ROR (RRX when an immediate amount is 0)
+                if (amount === 0) {
+                    if (immediate) {
+                        this.shifterCarry = value & 1;
+                        return ((carryIn << 31) | (value >>> 1)) >>> 0;
                     }
-                } else { // STR
-                    this.bus.write32(targetAddress, this.registers[Rd]);
+                    this.shifterCarry = carryIn;
+                    return value;
                 }
+                amount &= 31;
+                if (amount === 0) {
+                    this.shifterCarry = value >>> 31;
+                    return value;
+                }
+                this.shifterCarry = (value >>> (amount - 1)) & 1;
+                return ((value >>> amount) | (value << (32 - amount))) >>> 0;
+        }
+    }
+
+    // Operand 2 in register form: Rm shifted by an immediate or by the bottom byte of Rs.
+    shiftedRegisterOperand(instruction) {
+        const Rm = instruction & 0xF;
+        const shiftType = (instruction >>> 5) & 0x3;
+
+        if (instruction & 0x10) {
+            // Register-specified shift: the extra internal cycle makes PC read 12 ahead
+            const amount = this.registers[(instruction >>> 8) & 0xF] & 0xFF;
+            this.cycles++;
+            const value = (Rm === REG_PC) ? this.registers[REG_PC] + 4 : this.registers[Rm];
+            return this.barrelShift(value, shiftType, amount, false);
+        }
+        return this.barrelShift(this.registers[Rm], shiftType, (instruction >>> 7) & 0x1F, true);
+    }
+
+    // === ALU helpers (N/Z/C/V for ADD/ADC/SUB/SBC/RSB/RSC/CMP/CMN) ===
+    addWithFlags(a, b, carryIn, setFlags) {
+        const sum = a + b + carryIn;
+        const result = sum >>> 0;
+        if (setFlags) {
+            this.setZNFlags(result);
+            this.setCarryFlag(sum > 0xFFFFFFFF);
+            this.setOverflowFlag((~(a ^ b) & (a ^ result)) & FLAG_N);
+        }
+        return result;
+    }
+
+    // Computes a - b - (1 - carryIn); C is set when no borrow occurred.
+    subWithFlags(a, b, carryIn, setFlags) {
+        const borrow = 1 - carryIn;
+        const result = (a - b - borrow) >>> 0;
+        if (setFlags) {
+            this.setZNFlags(result);
+            this.setCarryFlag(a >= b + borrow);
+            this.setOverflowFlag(((a ^ b) & (a ^ result)) & FLAG_N);
+        }
+        return result;
+    }
+
+    isThumb() {
+        return (this.CPSR & FLAG_T) !== 0;
+    }
+
+    // Loads the PC and flushes the pipeline. PC always reads ahead of the executing
+    // instruction: +8 in ARM state, +4 in Thumb state.
+    branchTo(address) {
+        const thumb = (this.CPSR & FLAG_T) !== 0;
+        const target = (thumb ? (address & ~0x1) : (address & ~0x3)) >>> 0;
+
+        this.registers[REG_PC] = (target + (thumb ? 4 : 8)) >>> 0;
+        this.branchTaken = true;
+        // Refilling the pipeline costs a non-sequential and a sequential fetch
+        this.cycles += this.bus.accessCycles(target, !thumb, false) + this.bus.accessCycles(target, !thumb, true);
+    }
+
+    // BX: bit 0 of the target selects Thumb (1) or ARM (0) state
+    branchExchange(target) {
+        if (target & 0x1) {
+            this.CPSR = (this.CPSR | FLAG_T) >>> 0;
+        } else {
+            this.CPSR = (this.CPSR & ~FLAG_T) >>> 0;
+        }
+        this.branchTo(target);
+    }
+
+    // === Memory Access (charges the region's waitstates to this.cycles) ===
+    read32(address, sequential = false) {
+        this.cycles += this.bus.accessCycles(address, true, sequential);
+        return this.bus.read32(address) >>> 0;
+    }
+
+    read16(address, sequential = false) {
+        this.cycles += this.bus.accessCycles(address, false, sequential);
+        return this.bus.read16(address);
+    }
+
+    read8(address) {
+        this.cycles += this.bus.accessCycles(address, false, false);
+        return this.bus.read8(address);
+    }
+
+    write32(address, value, sequential = false) {
+        this.cycles += this.bus.accessCycles(address, true, sequential);
+        this.bus.write32(address, value);
+    }
+
+    write16(address, value) {
+        this.cycles += this.bus.accessCycles(address, false, false);
+        this.bus.write16(address, value);
+    }
+
+    write8(address, value) {
+        this.cycles += this.bus.accessCycles(address, false, false);
+        this.bus.write8(address, value);
+    }
+
+    // Multiplies take 1-4 internal cycles depending on how many top bytes of Rs are
+    // all 0s (or, for signed forms, all 1s)
+    multiplyCycles(rs, signed) {
+        for (let m = 1; m < 4; m++) {
+            const top = (rs >>> (m * 8)) >>> 0;
+            if (top === 0 || (signed && top === (0xFFFFFFFF >>> (m * 8)))) return m;
+        }
+        return 4;
+    }
+
+    // LDR from an unaligned address returns the aligned word rotated by the byte offset
+    readRotated32(address) {
+        const value = this.read32(address);
+        const rotation = (address & 0x3) << 3;
+        return rotation ? ((value >>> rotation) | (value << (32 - rotation))) >>> 0 : value;
+    }
+
+    // LDRH from an odd address returns the aligned halfword rotated by 8
+    readRotated16(address) {
+        const value = this.read16(address);
+        return (address & 0x1) ? ((value >>> 8) | (value << 24)) >>> 0 : value;
+    }
+
+    // LDRSH from an odd address behaves like LDRSB
+    readSigned16(address) {
+        if (address & 0x1) {
+            return ((this.read8(address) << 24) >> 24) >>> 0;
+        }
+        return ((this.read16(address) << 16) >> 16) >>> 0;
+    }
+
+    logUnhandled(instruction, instructionAddress) {
+        if (this.unhandledCount < 16) {
+            this.unhandledCount++;
+            const thumb = this.isThumb();
+            const encoding = (instruction >>> 0).toString(16).toUpperCase().padStart(thumb ? 4 : 8, '0');
+            console.log(`[CPU] Unhandled ${thumb ? 'Thumb' : 'ARM'} instruction 0x${encoding} at 0x${instructionAddress.toString(16).toUpperCase().padStart(8, '0')}`);
+        }
+    }
+    
+    // Executes one instruction and returns the number of cycles it took
+    executeNextInstruction() {
+        this.branchTaken = false;
+
+        if (this.CPSR & FLAG_T) {
+            const instructionAddress = (this.registers[REG_PC] - 4) >>> 0;
+            const instruction = this.bus.fetch16(instructionAddress);
+            this.cycles = this.bus.accessCycles(instructionAddress, false, true);
+
+            this.executeThumb(instruction, instructionAddress);
+
+            if (!this.branchTaken) {
+                this.registers[REG_PC] += 2;
             }
+            return this.cycles;
         }
+
+        const instructionAddress = (this.registers[REG_PC] - 8) >>> 0;
+        const instruction = this.bus.fetch32(instructionAddress);
+        this.cycles = this.bus.accessCycles(instructionAddress, true, true);
         
-        else if ((instruction >> 26) === 0b00) { // Data Processing
-             const S = (instruction >> 20) & 0x1; 
-             const Rn = (instruction >> 16) & 0xF; 
-             const Rd = (instruction >> 12) & 0xF;
-             const isImmediate = instruction & 0x02000000;
-             let operand2 = isImmediate ? (instruction & 0xFF) : (this.registers[instruction & 0xF]); 
-             const opcode = (instruction >> 21) & 0xF; 
-
-            switch (opcode) {
-                case 0b1101: { // MOV
-                    this.registers[Rd] = operand2; 
-                    if (S) { this.setZNFlags(this.registers[Rd]); }
-                    break;
-                }
-                default: 
-                    if (instructionAddress === 0x94 && opcode === 0b0000) { // TST at BIOS Stall
-                        if (this.CPSR & FLAG_Z) { 
-                            this.registers[REG_PC] = 0x8C + 8;
-                            branchOccurred = true;
-                            return; 
-                        }
-                    } 
-                    break;
-            }
+        const cond = instruction >>> 28;
+        if (cond === 0xE || this.checkCondition(cond)) {
+            this.executeARM(instruction, instructionAddress);
         }
         
-        if (!branchOccurred) {
+        if (!this.branchTaken) {
             this.registers[REG_PC] += 4; 
         }
-        return true; 
+        return this.cycles; 
+    }
+
+    // === ARM Decoder (bits 27-25 select the instruction class) ===
+    executeARM(instruction, instructionAddress) {
+        switch ((instruction >>> 25) & 0x7) {
+            case 0b000:
+                if ((instruction & 0x0FFFFFF0) === 0x012FFF10) {
+                    this.executeBranchExchange(instruction);
+                } else if ((instruction & 0x90) === 0x90) {
+                    // Multiply, SWP and halfword transfers share this space (bits 7 and 4 set)
+                    if (instruction & 0x60) {
+                        this.executeHalfwordTransfer(instruction, instructionAddress);
+                    } else if ((instruction & 0x0FC000F0) === 0x00000090) {
+                        this.executeMultiply(instruction);
+                    } else if ((instruction & 0x0F8000F0) === 0x00800090) {
+                        this.executeMultiplyLong(instruction);
+                    } else if ((instruction & 0x0FB00FF0) === 0x01000090) {
+                        this.executeSwap(instruction);
+                    } else {
+                        this.raiseUndefined(instruction, instructionAddress);
+                    }
+                } else if ((instruction & 0x01900000) === 0x01000000) {
+                    // TST/TEQ/CMP/CMN without S encode MRS/MSR
+                    this.executePSRTransfer(instruction, instructionAddress);
+                } else {
+                    this.executeDataProcessing(instruction);
+                }
+                break;
+
+            case 0b001:
+                if ((instruction & 0x01900000) === 0x01000000) {
+                    this.executePSRTransfer(instruction, instructionAddress); // MSR (immediate)
+                } else {
+                    this.executeDataProcessing(instruction);
+                }
+                break;
+
+            case 0b010:
+                this.executeSingleDataTransfer(instruction, instructionAddress);
+                break;
+
+            case 0b011:
+                if (instruction & 0x10) {
+                    this.raiseUndefined(instruction, instructionAddress);
+                } else {
+                    this.executeSingleDataTransfer(instruction, instructionAddress);
+                }
+                break;
+
+            case 0b100:
+                this.executeBlockTransfer(instruction);
+                break;
+
+            case 0b101:
+                this.executeBranch(instruction);
+                break;
+
+            case 0b110:
+                this.raiseUndefined(instruction, instructionAddress); // Coprocessor data transfer
+                break;
+
+            case 0b111:
+                if (instruction & 0x01000000) {
+                    this.raiseSoftwareInterrupt((instruction >>> 16) & 0xFF);
+                } else {
+                    this.raiseUndefined(instruction, instructionAddress); // No coprocessors on the GBA
+                }
+                break;
+        }
+    }
+
+    // === PSR Transfer (MRS/MSR) ===
+    executePSRTransfer(instruction, instructionAddress) {
+        const useSPSR = instruction & 0x00400000;
+
+        if (!(instruction & 0x00200000)) {
+            if ((instruction & 0x0FBF0FFF) !== 0x010F0000) {
+                this.raiseUndefined(instruction, instructionAddress);
+                return;
+            }
+            // MRS Rd, CPSR/SPSR
+            this.registers[(instruction >>> 12) & 0xF] = useSPSR ? this.getSPSR() : this.CPSR;
+            return;
+        }
+
+        // MSR: operand is a rotated immediate or Rm
+        let operand;
+        if (instruction & 0x02000000) {
+            const imm = instruction & 0xFF;
+            const rotate = (instruction >>> 7) & 0x1E;
+            operand = rotate ? ((imm >>> rotate) | (imm << (32 - rotate))) >>> 0 : imm;
+        } else {
+            operand = this.registers[instruction & 0xF];
+        }
+
+        // Field mask: bit 19 = flags (31-24), bit 16 = control (7-0); status/extension are reserved on ARMv4
+        let mask = 0;
+        if (instruction & 0x00080000) mask |= 0xFF000000;
+        if (instruction & 0x00010000) mask |= 0x000000FF;
+
+        if (useSPSR) {
+            if (this.hasSPSR()) {
+                this.setSPSR((this.getSPSR() & ~mask) | (operand & mask));
+            }
+            return;
+        }
+
+        // User mode may only change the flags; the T bit is never written by MSR
+        if ((this.CPSR & 0x1F) === MODE_USR) {
+            mask &= 0xFF000000;
+        }
+        mask &= ~FLAG_T;
+        this.setCPSR((this.CPSR & ~mask) | (operand & mask));
+    }
+
+    // === Data Processing (AND..MVN) ===
+    executeDataProcessing(instruction) {
+        const opcode = (instruction >>> 21) & 0xF;
+        const S = (instruction >>> 20) & 0x1;
+        const Rn = (instruction >>> 16) & 0xF;
+        const Rd = (instruction >>> 12) & 0xF;
+
+        let operand1 = this.registers[Rn];
+        let operand2;
+
+        if (instruction & 0x02000000) {
+            // 8-bit immediate rotated right by twice the 4-bit rotate field
+            const imm = instruction & 0xFF;
+            const rotate = (instruction >>> 7) & 0x1E;
+            operand2 = rotate ? ((imm >>> rotate) | (imm << (32 - rotate))) >>> 0 : imm;
+            this.shifterCarry = rotate ? (operand2 >>> 31) : ((this.CPSR >>> 29) & 1);
+        } else {
+            operand2 = this.shiftedRegisterOperand(instruction);
+            if ((instruction & 0x10) && Rn === REG_PC) {
+                operand1 = (operand1 + 4) >>> 0;
+            }
+        }
+
+        // Writing PC with S set restores CPSR instead of updating flags
+        const setFlags = S && (Rd !== REG_PC || (opcode >= 0x8 && opcode <= 0xB));
+        const carryIn = (this.CPSR >>> 29) & 1;
+        let result;
+
+        switch (opcode) {
+            case 0x0: result = (operand1 & operand2) >>> 0; break;                          // AND
+            case 0x1: result = (operand1 ^ operand2) >>> 0; break;                          // EOR
+            case 0x2: result = this.subWithFlags(operand1, operand2, 1, setFlags); break;   // SUB
+            case 0x3: result = this.subWithFlags(operand2, operand1, 1, setFlags); break;   // RSB
+            case 0x4: result = this.addWithFlags(operand1, operand2, 0, setFlags); break;   // ADD
+            case 0x5: result = this.addWithFlags(operand1, operand2, carryIn, setFlags); break; // ADC
+            case 0x6: result = this.subWithFlags(operand1, operand2, carryIn, setFlags); break; // SBC
+            case 0x7: result = this.subWithFlags(operand2, operand1, carryIn, setFlags); break; // RSC
+            case 0x8: result = (operand1 & operand2) >>> 0; break;                          // TST
+            case 0x9: result = (operand1 ^ operand2) >>> 0; break;                          // TEQ
+            case 0xA: result = this.subWithFlags(operand1, operand2, 1, setFlags); break;   // CMP
+            case 0xB: result = this.addWithFlags(operand1, operand2, 0, setFlags); break;   // CMN
+            case 0xC: result = (operand1 | operand2) >>> 0; break;                          // ORR
+            case 0xD: result = operand2; break;                                             // MOV
+            case 0xE: result = (operand1 & ~operand2) >>> 0; break;                         // BIC
+            default:  result = (~operand2) >>> 0; break;                                    // MVN
+        }
+
+        // Logical operations take C from the shifter and leave V untouched
+        const isLogical = opcode <= 0x1 || opcode === 0x8 || opcode === 0x9 || opcode >= 0xC;
+        if (setFlags && isLogical) {
+            this.setZNFlags(result);
+            this.setCarryFlag(this.shifterCarry);
+        }
+
+        if (opcode >= 0x8 && opcode <= 0xB) {
+            return; // TST/TEQ/CMP/CMN only update flags
+        }
+
+        if (Rd === REG_PC) {
+            if (S) {
+                // Exception return (MOVS PC, LR / SUBS PC, LR, #4): CPSR = SPSR, possibly back to Thumb
+                this.setCPSR(this.getSPSR());
+            }
+            this.branchTo(result);
+        } else {
+            this.registers[Rd] = result;
+        }
+    }
+
+    // === Single Data Transfer (LDR/STR/LDRB/STRB) ===
+    executeSingleDataTransfer(instruction, instructionAddress) {
+        const P = instruction & 0x01000000;  // Pre-indexing
+        const U = instruction & 0x00800000;  // Add offset
+        const B = instruction & 0x00400000;  // Byte transfer
+        const W = instruction & 0x00200000;  // Writeback
+        const L = instruction & 0x00100000;  // Load
+        const Rn = (instruction >>> 16) & 0xF;
+        const Rd = (instruction >>> 12) & 0xF;
+
+        let offset;
+        if (instruction & 0x02000000) {
+            // Register offset, shifted by an immediate amount
+            offset = this.barrelShift(this.registers[instruction & 0xF], (instruction >>> 5) & 0x3, (instruction >>> 7) & 0x1F, true);
+        } else {
+            offset = instruction & 0xFFF;
+        }
+
+        const base = this.registers[Rn];
+        const offsetAddress = (U ? base + offset : base - offset) >>> 0;
+        const address = P ? offsetAddress : base;
+        // Post-indexed transfers always write back (W then selects the user-mode T variants)
+        const writeBack = (!P || W) && Rn !== REG_PC;
+
+        if (L) {
+            const data = B ? this.read8(address) : this.readRotated32(address);
+            this.cycles++; // Internal cycle to write the loaded value
+
+            // Writeback first so that a load into the base register wins
+            if (writeBack) {
+                this.registers[Rn] = offsetAddress;
+            }
+
+            if (Rd === REG_PC) {
+                this.branchTo(data);
+                if (!this.biosExitLogged && instructionAddress < 0x4000 && data >= 0x4000) {
+                    this.biosExitLogged = true;
+                    console.log(`[BIOS TRACE] BIOS Exit: Jump to ROM/Entry point. New PC: 0x${data.toString(16).toUpperCase().padStart(8, '0')}`);
+                }
+            } else {
+                this.registers[Rd] = data;
+            }
+        } else {
+            // STR of PC stores the instruction address + 12
+            const data = (Rd === REG_PC) ? (this.registers[REG_PC] + 4) >>> 0 : this.registers[Rd];
+
+            if (B) {
+                this.write8(address, data & 0xFF);
+            } else {
+                this.write32(address, data);
+            }
+
+            if (writeBack) {
+                this.registers[Rn] = offsetAddress;
+            }
+        }
+    }
+
+    // === Multiply (MUL/MLA) and Multiply Long (UMULL/UMLAL/SMULL/SMLAL) ===
+    executeMultiply(instruction) {
+        const Rd = (instruction >>> 16) & 0xF;
+        const Rn = (instruction >>> 12) & 0xF;
+        const rs = this.registers[(instruction >>> 8) & 0xF];
+        let result = Math.imul(this.registers[instruction & 0xF], rs);
+        this.cycles += this.multiplyCycles(rs, true);
+
+        if (instruction & 0x00200000) { // MLA
+            result += this.registers[Rn];
+            this.cycles++;
+        }
+        result >>>= 0;
+
+        this.registers[Rd] = result;
+        if (instruction & 0x00100000) {
+            this.setZNFlags(result); // C is meaningless on ARMv4 and left as is; V is unaffected
+        }
+    }
+
+    executeMultiplyLong(instruction) {
+        const RdHi = (instruction >>> 16) & 0xF;
+        const RdLo = (instruction >>> 12) & 0xF;
+        const a = this.registers[instruction & 0xF];
+        const b = this.registers[(instruction >>> 8) & 0xF];
+        this.cycles += this.multiplyCycles(b, (instruction & 0x00400000) !== 0) + 1;
+        if (instruction & 0x00200000) this.cycles++;
+
+        // 32x32 -> 64 unsigned product from 16-bit partial products (exact in doubles)
+        const aLo = a & 0xFFFF, aHi = a >>> 16;
+        const bLo = b & 0xFFFF, bHi = b >>> 16;
+        const ll = aLo * bLo;
+        const lh = aLo * bHi;
+        const hl = aHi * bLo;
+        const mid = (ll >>> 16) + (lh & 0xFFFF) + (hl & 0xFFFF);
+        let lo = ((mid << 16) | (ll & 0xFFFF)) >>> 0;
+        let hi = aHi * bHi + (lh >>> 16) + (hl >>> 16) + (mid >>> 16);
+
+        if (instruction & 0x00400000) { // Signed: correct the high word for negative operands
+            if (a & FLAG_N) hi -= b;
+            if (b & FLAG_N) hi -= a;
+        }
+
+        if (instruction & 0x00200000) { // Accumulate RdHi:RdLo
+            const sum = lo + this.registers[RdLo];
+            lo = sum >>> 0;
+            hi += this.registers[RdHi] + (sum > 0xFFFFFFFF ? 1 : 0);
+        }
+        hi >>>= 0;
+
+        this.registers[RdLo] = lo;
+        this.registers[RdHi] = hi;
+        if (instruction & 0x00100000) {
+            this.CPSR = ((this.CPSR & ~(FLAG_N | FLAG_Z)) | (hi & FLAG_N) | ((hi === 0 && lo === 0) ? FLAG_Z : 0)) >>> 0;
+        }
+    }
+
+    // === Single Data Swap (SWP/SWPB) ===
+    executeSwap(instruction) {
+        const address = this.registers[(instruction >>> 16) & 0xF];
+        const source = this.registers[instruction & 0xF];
+        const Rd = (instruction >>> 12) & 0xF;
+        this.cycles++;
+
+        if (instruction & 0x00400000) {
+            const data = this.read8(address);
+            this.write8(address, source & 0xFF);
+            this.registers[Rd] = data;
+        } else {
+            const data = this.readRotated32(address);
+            this.write32(address, source);
+            this.registers[Rd] = data;
+        }
+    }
+
+    // === Halfword and Signed Data Transfer (LDRH/STRH/LDRSB/LDRSH) ===
+    executeHalfwordTransfer(instruction, instructionAddress) {
+        const P = instruction & 0x01000000;
+        const U = instruction & 0x00800000;
+        const W = instruction & 0x00200000;
+        const L = instruction & 0x00100000;
+        const Rn = (instruction >>> 16) & 0xF;
+        const Rd = (instruction >>> 12) & 0xF;
+        const kind = (instruction >>> 5) & 0x3; // 1 = H, 2 = SB, 3 = SH
+
+        if (!L && kind !== 1) {
+            this.logUnhandled(instruction, instructionAddress); // LDRD/STRD are ARMv5TE
+            return;
+        }
+
+        const offset = (instruction & 0x00400000)
+            ? ((instruction >>> 4) & 0xF0) | (instruction & 0xF)
+            : this.registers[instruction & 0xF];
+
+        const base = this.registers[Rn];
+        const offsetAddress = (U ? base + offset : base - offset) >>> 0;
+        const address = P ? offsetAddress : base;
+        const writeBack = (!P || W) && Rn !== REG_PC;
+
+        if (L) {
+            let data;
+            if (kind === 1) {
+                data = this.readRotated16(address);
+            } else if (kind === 2) {
+                data = ((this.read8(address) << 24) >> 24) >>> 0;
+            } else {
+                data = this.readSigned16(address);
+            }
+            this.cycles++;
+
+            if (writeBack) {
+                this.registers[Rn] = offsetAddress;
+            }
+            if (Rd === REG_PC) {
+                this.branchTo(data);
+            } else {
+                this.registers[Rd] = data;
+            }
+        } else {
+            const data = (Rd === REG_PC) ? (this.registers[REG_PC] + 4) >>> 0 : this.registers[Rd];
+            this.write16(address, data & 0xFFFF);
+            if (writeBack) {
+                this.registers[Rn] = offsetAddress;
+            }
+        }
+    }
+
+    // User-bank register access for LDM/STM with the S bit
+    getUserRegister(r) {
+        const mode = this.CPSR & 0x1F;
+        if (r >= 8 && r <= 12 && mode === MODE_FIQ) return this.bankedUser[r - 8];
+        if (r >= 13 && r <= 14 && this.getBankIndex(mode) !== 0) {
+            return r === REG_SP ? this.bankedR13[0] : this.bankedR14[0];
+        }
+        return this.registers[r];
+    }
+
+    setUserRegister(r, value) {
+        const mode = this.CPSR & 0x1F;
+        if (r >= 8 && r <= 12 && mode === MODE_FIQ) {
+            this.bankedUser[r - 8] = value;
+        } else if (r >= 13 && r <= 14 && this.getBankIndex(mode) !== 0) {
+            if (r === REG_SP) this.bankedR13[0] = value;
+            else this.bankedR14[0] = value;
+        } else {
+            this.registers[r] = value;
+        }
+    }
+
+    // === Block Data Transfer (LDM/STM) ===
+    executeBlockTransfer(instruction) {
+        const P = instruction & 0x01000000;
+        const U = instruction & 0x00800000;
+        const S = instruction & 0x00400000;
+        const W = instruction & 0x00200000;
+        const L = instruction & 0x00100000;
+        const Rn = (instruction >>> 16) & 0xF;
+        let rlist = instruction & 0xFFFF;
+
+        let count = 0;
+        for (let r = 0; r < 16; r++) {
+            if (rlist & (1 << r)) count++;
+        }
+
+        // Empty list quirk: transfers PC only but moves the base as if 16 registers were listed
+        let span = count * 4;
+        if (rlist === 0) {
+            rlist = 1 << REG_PC;
+            span = 0x40;
+        }
+
+        const base = this.registers[Rn];
+        const finalBase = (U ? base + span : base - span) >>> 0;
+
+        // Registers are always transferred in ascending order from the lowest address
+        let address;
+        if (U) {
+            address = P ? base + 4 : base;
+        } else {
+            address = P ? finalBase : finalBase + 4;
+        }
+        address = (address & ~0x3) >>> 0;
+
+        const loadsPC = L && (rlist & (1 << REG_PC));
+        const userBank = S && !loadsPC;
+
+        if (L) {
+            // Writeback happens first, so a loaded base register wins
+            if (W) {
+                this.registers[Rn] = finalBase;
+            }
+            let sequential = false;
+            for (let r = 0; r < 16; r++) {
+                if (!(rlist & (1 << r))) continue;
+                const value = this.read32(address, sequential);
+                address = (address + 4) >>> 0;
+                sequential = true;
+
+                if (r === REG_PC) {
+                    if (S) {
+                        this.setCPSR(this.getSPSR()); // LDM ..., {..., PC}^ returns from an exception
+                    }
+                    this.branchTo(value);
+                } else if (userBank) {
+                    this.setUserRegister(r, value);
+                } else {
+                    this.registers[r] = value;
+                }
+            }
+            this.cycles++;
+        } else {
+            // The base is stored unmodified only when it is the first listed register
+            let first = true;
+            for (let r = 0; r < 16; r++) {
+                if (!(rlist & (1 << r))) continue;
+                let value;
+                if (r === REG_PC) {
+                    value = (this.registers[REG_PC] + 4) >>> 0;
+                } else if (r === Rn && !first && W) {
+                    value = finalBase;
+                } else {
+                    value = userBank ? this.getUserRegister(r) : this.registers[r];
+                }
+                this.write32(address, value, !first);
+                address = (address + 4) >>> 0;
+                first = false;
+            }
+            if (W) {
+                this.registers[Rn] = finalBase;
+            }
+        }
+    }
+
+    // === Branches (B/BL/BX) ===
+    executeBranch(instruction) {
+        const offset = (instruction << 8) >> 6; // Sign-extended 24-bit word offset
+
+        if (instruction & 0x01000000) { // BL: LR = address of the next instruction
+            this.registers[REG_LR] = (this.registers[REG_PC] - 4) >>> 0;
+        }
+        this.branchTo(this.registers[REG_PC] + offset);
+    }
+
+    executeBranchExchange(instruction) {
+        this.branchExchange(this.registers[instruction & 0xF]);
+    }
+
+    // === Thumb Decoder (19 formats, selected by bits 15-13) ===
+    executeThumb(instruction, instructionAddress) {
+        switch (instruction >>> 13) {
+            case 0b000:
+                if (((instruction >>> 11) & 0x3) === 0x3) {
+                    this.thumbAddSubtract(instruction);                 // Format 2
+                } else {
+                    this.thumbMoveShifted(instruction);                 // Format 1
+                }
+                break;
+
+            case 0b001:
+                this.thumbImmediateOp(instruction);                     // Format 3
+                break;
+
+            case 0b010:
+                if (instruction & 0x1000) {
+                    this.thumbLoadStoreRegisterOffset(instruction);     // Formats 7 and 8
+                } else if (instruction & 0x0800) {
+                    // Format 6: PC-relative load, PC word-aligned
+                    const address = ((this.registers[REG_PC] & ~0x2) + ((instruction & 0xFF) << 2)) >>> 0;
+                    this.registers[(instruction >>> 8) & 0x7] = this.read32(address);
+                    this.cycles++;
+                } else if (instruction & 0x0400) {
+                    this.thumbHiRegisterOp(instruction);                // Format 5
+                } else {
+                    this.thumbALU(instruction);                         // Format 4
+                }
+                break;
+
+            case 0b011:
+                this.thumbLoadStoreImmediate(instruction);              // Format 9
+                break;
+
+            case 0b100:
+                if (instruction & 0x1000) {
+                    // Format 11: SP-relative load/store
+                    const Rd = (instruction >>> 8) & 0x7;
+                    const address = (this.registers[REG_SP] + ((instruction & 0xFF) << 2)) >>> 0;
+                    if (instruction & 0x0800) {
+                        this.registers[Rd] = this.readRotated32(address);
+                        this.cycles++;
+                    } else {
+                        this.write32(address, this.registers[Rd]);
+                    }
+                } else {
+                    // Format 10: halfword load/store with immediate offset
+                    const Rd = instruction & 0x7;
+                    const address = (this.registers[(instruction >>> 3) & 0x7] + (((instruction >>> 6) & 0x1F) << 1)) >>> 0;
+                    if (instruction & 0x0800) {
+                        this.registers[Rd] = this.readRotated16(address);
+                        this.cycles++;
+                    } else {
+                        this.write16(address, this.registers[Rd] & 0xFFFF);
+                    }
+                }
+                break;
+
+            case 0b101:
+                if (!(instruction & 0x1000)) {
+                    // Format 12: load address from PC (word-aligned) or SP
+                    const base = (instruction & 0x0800) ? this.registers[REG_SP] : (this.registers[REG_PC] & ~0x2);
+                    this.registers[(instruction >>> 8) & 0x7] = (base + ((instruction & 0xFF) << 2)) >>> 0;
+                } else if ((instruction & 0x0F00) === 0x0000) {
+                    // Format 13: add signed offset to SP
+                    const offset = (instruction & 0x7F) << 2;
+                    this.registers[REG_SP] = ((instruction & 0x80) ? this.registers[REG_SP] - offset : this.registers[REG_SP] + offset) >>> 0;
+                } else if ((instruction & 0x0600) === 0x0400) {
+                    this.thumbPushPop(instruction);                     // Format 14
+                } else {
+                    this.logUnhandled(instruction, instructionAddress);
+                }
+                break;
+
+            case 0b110:
+                if (!(instruction & 0x1000)) {
+                    this.thumbLoadStoreMultiple(instruction);           // Format 15
+                } else {
+                    const cond = (instruction >>> 8) & 0xF;
+                    if (cond === 0xF) {
+                        this.raiseSoftwareInterrupt(instruction & 0xFF);    // Format 17: SWI
+                    } else if (cond === 0xE) {
+                        this.raiseUndefined(instruction, instructionAddress);
+                    } else if (this.checkCondition(cond)) {
+                        // Format 16: conditional branch, signed 8-bit halfword offset
+                        this.branchTo(this.registers[REG_PC] + (((instruction & 0xFF) << 24) >> 23));
+                    }
+                }
+                break;
+
+            default:
+                switch ((instruction >>> 11) & 0x3) {
+                    case 0b00:
+                        // Format 18: unconditional branch, signed 11-bit halfword offset
+                        this.branchTo(this.registers[REG_PC] + (((instruction & 0x7FF) << 21) >> 20));
+                        break;
+                    case 0b10:
+                        // Format 19 (first half): LR = PC + high part of the offset
+                        this.registers[REG_LR] = (this.registers[REG_PC] + (((instruction & 0x7FF) << 21) >> 9)) >>> 0;
+                        break;
+                    case 0b11: {
+                        // Format 19 (second half): branch and set LR to the next instruction (Thumb bit set)
+                        const target = this.registers[REG_LR] + ((instruction & 0x7FF) << 1);
+                        this.registers[REG_LR] = ((this.registers[REG_PC] - 2) | 0x1) >>> 0;
+                        this.branchTo(target);
+                        break;
+                    }
+                    default:
+                        this.logUnhandled(instruction, instructionAddress); // BLX suffix (ARMv5 only)
+                        break;
+                }
+                break;
+        }
+    }
+
+    // Format 1: LSL/LSR/ASR Rd, Rs, #Offset5
+    thumbMoveShifted(instruction) {
+        const shiftType = (instruction >>> 11) & 0x3;
+        const result = this.barrelShift(this.registers[(instruction >>> 3) & 0x7], shiftType, (instruction >>> 6) & 0x1F, true);
+        this.registers[instruction & 0x7] = result;
+        this.setZNFlags(result);
+        this.setCarryFlag(this.shifterCarry);
+    }
+
+    // Format 2: ADD/SUB Rd, Rs, Rn or #Offset3
+    thumbAddSubtract(instruction) {
+        const operand1 = this.registers[(instruction >>> 3) & 0x7];
+        const field = (instruction >>> 6) & 0x7;
+        const operand2 = (instruction & 0x0400) ? field : this.registers[field];
+        this.registers[instruction & 0x7] = (instruction & 0x0200)
+            ? this.subWithFlags(operand1, operand2, 1, true)
+            : this.addWithFlags(operand1, operand2, 0, true);
+    }
+
+    // Format 3: MOV/CMP/ADD/SUB Rd, #Offset8
+    thumbImmediateOp(instruction) {
+        const Rd = (instruction >>> 8) & 0x7;
+        const imm = instruction & 0xFF;
+
+        switch ((instruction >>> 11) & 0x3) {
+            case 0: // MOV
+                this.registers[Rd] = imm;
+                this.setZNFlags(imm);
+                break;
+            case 1: // CMP
+                this.subWithFlags(this.registers[Rd], imm, 1, true);
+                break;
+            case 2: // ADD
+                this.registers[Rd] = this.addWithFlags(this.registers[Rd], imm, 0, true);
+                break;
+            default: // SUB
+                this.registers[Rd] = this.subWithFlags(this.registers[Rd], imm, 1, true);
+                break;
+        }
+    }
+
+    // Format 4: ALU operations on low registers
+    thumbALU(instruction) {
+        const Rd = instruction & 0x7;
+        const operand1 = this.registers[Rd];
+        const operand2 = this.registers[(instruction >>> 3) & 0x7];
+        const carryIn = (this.CPSR >>> 29) & 1;
+        let result;
+
+        switch ((instruction >>> 6) & 0xF) {
+            case 0x0: result = (operand1 & operand2) >>> 0; break;                         // AND
+            case 0x1: result = (operand1 ^ operand2) >>> 0; break;                         // EOR
+            case 0x2: case 0x3: case 0x4: case 0x7: {                                      // LSL/LSR/ASR/ROR
+                const op = (instruction >>> 6) & 0xF;
+                const shiftType = (op === 0x7) ? 3 : op - 2;
+                result = this.barrelShift(operand1, shiftType, operand2 & 0xFF, false);
+                this.setCarryFlag(this.shifterCarry);
+                this.cycles++;
+                break;
+            }
+            case 0x5: this.registers[Rd] = this.addWithFlags(operand1, operand2, carryIn, true); return; // ADC
+            case 0x6: this.registers[Rd] = this.subWithFlags(operand1, operand2, carryIn, true); return; // SBC
+            case 0x8: this.setZNFlags((operand1 & operand2) >>> 0); return;                 // TST
+            case 0x9: this.registers[Rd] = this.subWithFlags(0, operand2, 1, true); return;  // NEG
+            case 0xA: this.subWithFlags(operand1, operand2, 1, true); return;               // CMP
+            case 0xB: this.addWithFlags(operand1, operand2, 0, true); return;               // CMN
+            case 0xC: result = (operand1 | operand2) >>> 0; break;                         // ORR
+            case 0xD:                                                                      // MUL (C is left unchanged)
+                result = Math.imul(operand1, operand2) >>> 0;
+                this.cycles += this.multiplyCycles(operand1, true);
+                break;
+            case 0xE: result = (operand1 & ~operand2) >>> 0; break;                        // BIC
+            default:  result = (~operand2) >>> 0; break;                                   // MVN
+        }
+
+        this.registers[Rd] = result;
+        this.setZNFlags(result);
+    }
+
+    // Format 5: ADD/CMP/MOV with high registers, and BX
+    thumbHiRegisterOp(instruction) {
+        const Rd = (instruction & 0x7) | ((instruction >>> 4) & 0x8);
+        const Rs = (instruction >>> 3) & 0xF;
+        const operand2 = this.registers[Rs];
+
+        switch ((instruction >>> 8) & 0x3) {
+            case 0: { // ADD (flags unaffected)
+                const result = (this.registers[Rd] + operand2) >>> 0;
+                if (Rd === REG_PC) {
+                    this.branchTo(result);
+                } else {
+                    this.registers[Rd] = result;
+                }
+                break;
+            }
+            case 1: // CMP
+                this.subWithFlags(this.registers[Rd], operand2, 1, true);
+                break;
+            case 2: // MOV (flags unaffected)
+                if (Rd === REG_PC) {
+                    this.branchTo(operand2);
+                } else {
+                    this.registers[Rd] = operand2;
+                }
+                break;
+            default: // BX
+                this.branchExchange(operand2);
+                break;
+        }
+    }
+
+    // Formats 7 and 8: loads/stores with register offset
+    thumbLoadStoreRegisterOffset(instruction) {
+        const Rd = instruction & 0x7;
+        const address = (this.registers[(instruction >>> 3) & 0x7] + this.registers[(instruction >>> 6) & 0x7]) >>> 0;
+
+        const op = (instruction >>> 10) & 0x3;
+
+        if (!(instruction & 0x0200)) {
+            switch (op) {
+                case 0: this.write32(address, this.registers[Rd]); break;                        // STR
+                case 1: this.write8(address, this.registers[Rd] & 0xFF); break;                  // STRB
+                case 2: this.registers[Rd] = this.readRotated32(address); this.cycles++; break;  // LDR
+                default: this.registers[Rd] = this.read8(address); this.cycles++; break;         // LDRB
+            }
+            return;
+        }
+
+        if (op !== 0) this.cycles++; // Every format 8 opcode except STRH is a load
+        switch (op) {
+            case 0: this.write16(address, this.registers[Rd] & 0xFFFF); break;                   // STRH
+            case 1: this.registers[Rd] = ((this.read8(address) << 24) >> 24) >>> 0; break;       // LDSB
+            case 2: this.registers[Rd] = this.readRotated16(address); break;                     // LDRH
+            default: this.registers[Rd] = this.readSigned16(address); break;                     // LDSH
+        }
+    }
+
+    // Format 9: STR/LDR/STRB/LDRB Rd, [Rb, #Offset5]
+    thumbLoadStoreImmediate(instruction) {
+        const Rd = instruction & 0x7;
+        const base = this.registers[(instruction >>> 3) & 0x7];
+        const offset = (instruction >>> 6) & 0x1F;
+        if (instruction & 0x0800) this.cycles++;
+
+        if (instruction & 0x1000) { // Byte
+            const address = (base + offset) >>> 0;
+            if (instruction & 0x0800) {
+                this.registers[Rd] = this.read8(address);
+            } else {
+                this.write8(address, this.registers[Rd] & 0xFF);
+            }
+        } else {
+            const address = (base + (offset << 2)) >>> 0;
+            if (instruction & 0x0800) {
+                this.registers[Rd] = this.readRotated32(address);
+            } else {
+                this.write32(address, this.registers[Rd]);
+            }
+        }
+    }
+
+    // Format 14: PUSH {Rlist, LR} / POP {Rlist, PC}
+    thumbPushPop(instruction) {
+        const rlist = instruction & 0xFF;
+        const withExtra = instruction & 0x0100;
+
+        if (instruction & 0x0800) { // POP (full descending stack, ascending loads)
+            let address = this.registers[REG_SP];
+            let sequential = false;
+            this.cycles++;
+            for (let r = 0; r < 8; r++) {
+                if (rlist & (1 << r)) {
+                    this.registers[r] = this.read32(address, sequential);
+                    address = (address + 4) >>> 0;
+                    sequential = true;
+                }
+            }
+            if (withExtra) {
+                const target = this.read32(address, sequential);
+                address = (address + 4) >>> 0;
+                this.registers[REG_SP] = address;
+                this.branchTo(target); // ARMv4T: POP {PC} never changes state
+                return;
+            }
+            this.registers[REG_SP] = address;
+        } else { // PUSH
+            let count = withExtra ? 1 : 0;
+            for (let r = 0; r < 8; r++) {
+                if (rlist & (1 << r)) count++;
+            }
+            let address = (this.registers[REG_SP] - count * 4) >>> 0;
+            let sequential = false;
+            this.registers[REG_SP] = address;
+            for (let r = 0; r < 8; r++) {
+                if (rlist & (1 << r)) {
+                    this.write32(address, this.registers[r], sequential);
+                    address = (address + 4) >>> 0;
+                    sequential = true;
+                }
+            }
+            if (withExtra) {
+                this.write32(address, this.registers[REG_LR], sequential);
+            }
+        }
+    }
+
+    // Format 15: STMIA/LDMIA Rb!, {Rlist}
+    thumbLoadStoreMultiple(instruction) {
+        const Rb = (instruction >>> 8) & 0x7;
+        const rlist = instruction & 0xFF;
+        let address = this.registers[Rb] & ~0x3;
+
+        if (rlist === 0) {
+            // Empty list quirk: transfers PC and advances the base by 0x40
+            if (instruction & 0x0800) {
+                this.branchTo(this.read32(address));
+            } else {
+                this.write32(address, (this.registers[REG_PC] + 2) >>> 0);
+            }
+            this.registers[Rb] = (this.registers[Rb] + 0x40) >>> 0;
+            return;
+        }
+
+        let count = 0;
+        for (let r = 0; r < 8; r++) {
+            if (rlist & (1 << r)) count++;
+        }
+        const finalAddress = (this.registers[Rb] + count * 4) >>> 0;
+
+        if (instruction & 0x0800) { // LDMIA: a loaded base overrides writeback
+            this.registers[Rb] = finalAddress;
+            let sequential = false;
+            for (let r = 0; r < 8; r++) {
+                if (rlist & (1 << r)) {
+                    this.registers[r] = this.read32(address, sequential);
+                    address = (address + 4) >>> 0;
+                    sequential = true;
+                }
+            }
+            this.cycles++;
+        } else { // STMIA: the base is stored unmodified only when it is the first register
+            let first = true;
+            for (let r = 0; r < 8; r++) {
+                if (rlist & (1 << r)) {
+                    const value = (r === Rb && !first) ? finalAddress : this.registers[r];
+                    this.write32(address, value, !first);
+                    address = (address + 4) >>> 0;
+                    first = false;
+                }
+            }
+            this.registers[Rb] = finalAddress;
+        }
+    }
+}
+
+// === Color Special Effects (15-bit BGR, coefficients in 1/16 steps) ===
+function blendAlpha(top, bottom, eva, evb) {
+    const r = Math.min(31, ((top & 0x1F) * eva + (bottom & 0x1F) * evb) >> 4);
+    const g = Math.min(31, (((top >> 5) & 0x1F) * eva + ((bottom >> 5) & 0x1F) * evb) >> 4);
+    const b = Math.min(31, (((top >> 10) & 0x1F) * eva + ((bottom >> 10) & 0x1F) * evb) >> 4);
+    return r | (g << 5) | (b << 10);
+}
+
+// Brighten moves each channel towards white, darken towards black
+function blendBrightness(color, evy, darken) {
+    let result = 0;
+    for (let shift = 0; shift <= 10; shift += 5) {
+        const c = (color >> shift) & 0x1F;
+        result |= (darken ? c - ((c * evy) >> 4) : c + (((31 - c) * evy) >> 4)) << shift;
+    }
+    return result;
+}
+
+// Window edges: start inclusive, end exclusive. An end past the screen is clamped;
+// start > end wraps around the screen edge.
+function windowSpanContains(start, end, position, screenSize) {
+    if (start <= end) {
+        return position >= start && position < Math.min(end, screenSize);
+    }
+    return position >= start || position < end;
+}
+
+// === GBAJS3_Core (Headless emulation: CPU, memory, PPU, timers, DMA and sound) ===
+// Has no DOM dependencies, so it runs in Node (gbajs3-node.js) or a Web Worker as well as the page.
+// Presentation (canvas, requestAnimationFrame, audio and input) lives in GBAJS3_Frontend (gbajs3-frontend.js).
+class GBAJS3_Core {
+    constructor(biosData) {
+        // Memory allocation
+        this.ewram = new Uint8Array(0x40000); 
+        this.iwram = new Uint8Array(0x8000);  
+        this.vram = new Uint8Array(0x18000); 
+        this.paletteRAM = new Uint8Array(0x400); 
+        this.oam = new Uint8Array(0x400); 
+        this.ioRegsView = new DataView(new ArrayBuffer(0x400)); 
+
+        // CRITICAL: Palette Cache (512 entries * 3 bytes R/G/B)
+        this.paletteRGB = new Uint8Array(512 * 3); 
+
+        // Without a usable 16KB BIOS image the HLE BIOS (gbajs3-hle-bios.js) stands in for it
+        const useHleBios = !biosData || biosData.byteLength !== BIOS_SIZE;
+        this.bus = new MemoryBus(
+            this,
+            this.ewram, this.iwram, this.vram, this.paletteRAM, this.oam, 
+            this.ioRegsView, null, useHleBios ? createHleBiosImage() : biosData
+        );
+        this.cpu = new GBA_CPU(this.bus);
+        this.hleBios = null;
+        if (useHleBios) {
+            this.hleBios = new GBA_HLEBios(this);
+            this.cpu.swiHandler = (number) => this.hleBios.handleSwi(number);
+        }
+        
+        // PPU/Loop state
+        this.currentScanline = 0;
+        this.lastRenderedLine = 0; // Next scanline waiting to be rendered
+        // Counts down to the next line event: H-Blank start, or the end of the line while in H-Blank
+        this.cyclesToNextHBlank = H_BLANK_START_CYCLE;
+        this.inHBlank = false;
+
+        // Interrupt controller. IF is kept here because writes to it acknowledge bits instead of storing them.
+        this.interruptFlags = 0;
+        this.irqLine = false;  // IME set and (IE & IF) != 0
+        this.halted = false;   // HALTCNT: CPU sleeps until (IE & IF) != 0
+
+        // Timers. The live counter is mirrored into TMxCNT_L after every step; the reload value lives here.
+        this.timers = [];
+        for (let i = 0; i < 4; i++) {
+            this.timers.push({ counter: 0, reload: 0, control: 0, prescaleCycles: 0 });
+        }
+
+        // DMA channels: internal address/count registers, and the bus cycles the CPU still owes to DMA
+        this.dmaChannels = [];
+        for (let i = 0; i < 4; i++) {
+            this.dmaChannels.push({ source: 0, dest: 0, count: 0, control: 0 });
+        }
+        this.dmaStallCycles = 0;
+
+        // Sound (gbajs3-audio.js); the samples are drained by whoever plays them
+        this.apu = new GBA_APU(this);
+        this.currentVideoMode = 0; 
+        this.romLoaded = false;
+
+        // Affine BG reference points as the PPU tracks them internally (BG2, BG3)
+        this.affineRefs = [{ x: 0, y: 0 }, { x: 0, y: 0 }];
+
+        // Per-scanline layer buffers (15-bit colors, -1 = transparent) combined by renderScanLine
+        this.bgLines = [];
+        for (let i = 0; i < 4; i++) {
+            this.bgLines.push(new Int32Array(SCREEN_WIDTH));
+        }
+        this.objLine = new Int32Array(SCREEN_WIDTH);
+        this.objPriorityLine = new Uint8Array(SCREEN_WIDTH);
+        this.objWindowLine = new Uint8Array(SCREEN_WIDTH); // Set where an OBJ-window sprite is opaque
+        this.objSemiTransparentLine = new Uint8Array(SCREEN_WIDTH);
+        this.windowLine = new Uint8Array(SCREEN_WIDTH);
+
+        // Initialize I/O registers
+        this.ioRegsView.setUint16(0x004, 0, true); 
+        this.ioRegsView.setUint16(0x006, 0, true); 
+        this.ioRegsView.setUint16(REG_KEYINPUT, KEY_MASK, true); // No buttons held
+        this.keysHeld = 0;
+        // BG2/BG3 affine matrices start as the identity (PA = PD = 1.0), as the BIOS leaves them
+        this.ioRegsView.setInt16(REG_BG2PA, 0x100, true);
+        this.ioRegsView.setInt16(REG_BG2PA + 6, 0x100, true);
+        this.ioRegsView.setInt16(REG_BG2PA + 0x10, 0x100, true);
+        this.ioRegsView.setInt16(REG_BG2PA + 0x16, 0x100, true);
+        
+        // RGBA output, filled line by line by renderScanLine
+        this.frameData = new Uint8Array(SCREEN_WIDTH * SCREEN_HEIGHT * 4);
+        this.frameCount = 0; // Completed frames; advanced when line 159 has been rendered
+    }
+    
+    // === Palette Color Converter (Called by MemoryBus) ===
+    convertPaletteColor(index, color16) {
+        // GBA 15-bit color: xBBBBBGGGGGRRRRR
+        // index is 0-511 (512 total entries, 16 BG palettes * 16 colors + 16 OBJ palettes * 16 colors)
+        
+        let r5 = color16 & 0x1F;
+        let g5 = (color16 >> 5) & 0x1F;
+        let b5 = (color16 >> 10) & 0x1F; 
+
+        // Convert 5-bit color (0-31) to 8-bit color (0-255)
+        let r8 = (r5 << 3) | (r5 >> 2);
+        let g8 = (g5 << 3) | (g5 >> 2);
+        let b8 = (b5 << 3) | (b5 >> 2);
+        
+        const palIndex = index * 3;
+        this.paletteRGB[palIndex] = r8; 
+        this.paletteRGB[palIndex + 1] = g8; 
+        this.paletteRGB[palIndex + 2] = b8;
+    }
+    
+    // === DMA Channels ===
+    // SAD/DAD/CNT_L are latched into the channel when it is enabled; the IO registers
+    // only hold what the program wrote.
+    writeDmaControl(channelIndex, control) {
+        const channel = this.dmaChannels[channelIndex];
+        const base = REG_DMA0SAD + channelIndex * 12;
+        const wasEnabled = (channel.control & DMA_ENABLE) !== 0;
+        channel.control = control;
+
+        if (!(control & DMA_ENABLE)) return;
+        if (!wasEnabled) {
+            channel.source = this.ioRegsView.getUint32(base, true) & DMA_SRC_MASK[channelIndex];
+            channel.dest = this.ioRegsView.getUint32(base + 4, true) & DMA_DST_MASK[channelIndex];
+            channel.count = this.dmaUnitCount(channelIndex);
+
+            if (((control >> 12) & 0x3) === DMA_TIMING_IMMEDIATE) {
+                this.dmaTransfer(channelIndex);
+            }
+        }
+    }
+
+    dmaUnitCount(channelIndex) {
+        const countMask = DMA_COUNT_MASK[channelIndex];
+        const count = this.ioRegsView.getUint16(REG_DMA0SAD + channelIndex * 12 + 8, true) & countMask;
+        return count === 0 ? countMask + 1 : count;
+    }
+
+    // Runs every enabled channel waiting on the given start timing, in priority order
+    triggerDma(timing) {
+        for (let i = 0; i < 4; i++) {
+            const control = this.dmaChannels[i].control;
+            if ((control & DMA_ENABLE) && ((control >> 12) & 0x3) === timing) {
+                this.dmaTransfer(i);
+            }
+        }
+    }
+
+    // Called by the sound FIFOs when they run low; fifoAddress is 0x040000A0 (A) or 0x040000A4 (B)
+    requestSoundDma(fifoAddress) {
+        for (let i = 1; i <= 2; i++) {
+            const channel = this.dmaChannels[i];
+            if ((channel.control & DMA_ENABLE) && ((channel.control >> 12) & 0x3) === DMA_TIMING_SPECIAL &&
+                channel.dest === fifoAddress) {
+                this.dmaTransfer(i);
+            }
+        }
+    }
+
+    // DMA3 special timing: one transfer per line on lines 2-161, then the channel turns itself off
+    videoCaptureDma() {
+        const channel = this.dmaChannels[3];
+        if (!(channel.control & DMA_ENABLE) || ((channel.control >> 12) & 0x3) !== DMA_TIMING_SPECIAL) return;
+
+        if (this.currentScanline >= 2 && this.currentScanline < V_DRAW_LINES + 2) {
+            this.dmaTransfer(3);
+        } else if (this.currentScanline === V_DRAW_LINES + 2) {
+            channel.control &= ~DMA_ENABLE;
+            this.ioRegsView.setUint16(REG_DMA3CNT_H, channel.control, true);
+        }
+    }
+
+    dmaTransfer(channelIndex) {
+        const channel = this.dmaChannels[channelIndex];
+        const control = channel.control;
+        const base = REG_DMA0SAD + channelIndex * 12;
+
+        // Sound FIFO mode always moves 4 words to a fixed destination
+        const soundFifo = (channelIndex === 1 || channelIndex === 2) && ((control >> 12) & 0x3) === DMA_TIMING_SPECIAL;
+        const is32 = soundFifo || (control & DMA_32BIT) !== 0;
+        const unitSize = is32 ? 4 : 2;
+        const count = soundFifo ? 4 : channel.count;
+
+        // Address control: 0 = increment, 1 = decrement, 2 = fixed, 3 = increment/reload (dest only)
+        const destControl = soundFifo ? 2 : (control >> 5) & 0x3;
+        const sourceControl = (control >> 7) & 0x3;
+        const destStep = destControl === 1 ? -unitSize : (destControl === 2 ? 0 : unitSize);
+        const sourceStep = sourceControl === 1 ? -unitSize : (sourceControl === 2 ? 0 : unitSize);
+
+        const alignMask = is32 ? ~0x3 : ~0x1;
+        let source = channel.source;
+        let dest = channel.dest;
+        let cycles = 2; // Internal setup cycles
+
+        // An EEPROM of unknown size reveals it through the length of the first command
+        if (this.bus.isEepromAddress(dest >>> 0)) {
+            this.bus.backup.detectSizeFromDma(count);
+        }
+
+        for (let i = 0; i < count; i++) {
+            const src = (source & alignMask) >>> 0;
+            const dst = (dest & alignMask) >>> 0;
+            if (is32) {
+                this.bus.write32(dst, this.bus.read32(src));
+            } else {
+                this.bus.write16(dst, this.bus.read16(src));
+            }
+            const sequential = i > 0;
+            cycles += this.bus.accessCycles(src, is32, sequential) + this.bus.accessCycles(dst, is32, sequential);
+            source = (source + sourceStep) >>> 0;
+            dest = (dest + destStep) >>> 0;
+        }
+
+        channel.source = source;
+        channel.dest = destControl === 3
+            ? this.ioRegsView.getUint32(base + 4, true) & DMA_DST_MASK[channelIndex]
+            : dest;
+        this.dmaStallCycles += cycles;
+
+        if ((control & DMA_REPEAT) && ((control >> 12) & 0x3) !== DMA_TIMING_IMMEDIATE) {
+            // Repeating channels stay armed and reload the count for the next trigger
+            channel.count = this.dmaUnitCount(channelIndex);
+        } else {
+            channel.control &= ~DMA_ENABLE;
+            this.ioRegsView.setUint16(base + 10, channel.control, true);
+        }
+
+        if (control & DMA_IRQ) {
+            this.requestInterrupt(IRQ_DMA0 << channelIndex);
+        }
+    }
+
+    // === Interrupt Controller (IE/IF/IME) ===
+    requestInterrupt(flag) {
+        this.interruptFlags |= flag;
+        this.ioRegsView.setUint16(REG_IF, this.interruptFlags, true);
+        this.updateInterruptLine();
+    }
+
+    updateInterruptLine() {
+        const pending = this.ioRegsView.getUint16(REG_IE, true) & this.interruptFlags & 0x3FFF;
+        this.irqLine = pending !== 0 && (this.ioRegsView.getUint16(REG_IME, true) & 0x1) !== 0;
+
+        // Halt ends on any enabled request, even with IME clear
+        if (pending !== 0) {
+            this.halted = false;
+        }
+    }
+
+    // === Timers (TM0CNT-TM3CNT) ===
+    writeTimer(offset, value, mask) {
+        const index = (offset - REG_TM0CNT_L) >> 2;
+        const timer = this.timers[index];
+        const REG_CNT_L = REG_TM0CNT_L + (index << 2);
+
+        if (offset & 0x2) {
+            // TMxCNT_H: the counter reloads only on a 0 -> 1 transition of the enable bit
+            const control = value & 0x00C7;
+            if (!(timer.control & TIMER_ENABLE) && (control & TIMER_ENABLE)) {
+                timer.counter = timer.reload;
+                timer.prescaleCycles = 0;
+            }
+            timer.control = control;
+            this.ioRegsView.setUint16(offset, control, true);
+        } else {
+            // TMxCNT_L: writes set the reload value; reads keep returning the counter
+            timer.reload = (timer.reload & ~mask) | (value & mask);
+        }
+        this.ioRegsView.setUint16(REG_CNT_L, timer.counter, true);
     }
-}
 
-// === GBAJS3_Core (PPU/IO Initialization and Drawing Logic) ===
-class GBAJS3_Core {
-    constructor(containerElement, biosData) {
-        // Memory allocation
-        this.ewram = new Uint8Array(0x40000); 
-        this.iwram = new Uint8Array(0x8000);  
-        this.vram = new Uint8Array(0x18000); 
-        this.paletteRAM = new Uint8Array(0x400); 
-        this.oam = new Uint8Array(0x400); 
-        this.ioRegsView = new DataView(new ArrayBuffer(0x400)); 
+    updateTimers(cycles) {
+        let overflows = 0; // Overflows of the previous timer, consumed by a cascading timer
 
-        // CRITICAL: Palette Cache (512 entries * 3 bytes R/G/B)
-        this.paletteRGB = new Uint8Array(512 * 3); 
+        for (let i = 0; i < 4; i++) {
+            const timer = this.timers[i];
+            if (!(timer.control & TIMER_ENABLE)) {
+                overflows = 0;
+                continue;
+            }
 
-        this.bus = new MemoryBus(
-            this,
-            this.ewram, this.iwram, this.vram, this.paletteRAM, this.oam, 
-            this.ioRegsView, null, biosData
-        );
-        this.cpu = new GBA_CPU(this.bus);
-        
-        // PPU/Loop state
-        this.currentScanline = 0;
-        this.lastRenderedLine = 0; // New: Tracks the last fully rendered line
-        this.cyclesToNextHBlank = H_CYCLES;
-        this.paused = true; 
-        this.animationFrameId = null; 
-        this.currentVideoMode = 0; 
-        this.romLoaded = false;
+            let ticks;
+            if (i > 0 && (timer.control & TIMER_CASCADE)) {
+                // Count-up mode: ticks once per overflow of the timer below, ignoring the prescaler
+                ticks = overflows;
+            } else {
+                const prescaler = TIMER_PRESCALERS[timer.control & 0x3];
+                timer.prescaleCycles += cycles;
+                ticks = Math.floor(timer.prescaleCycles / prescaler);
+                timer.prescaleCycles -= ticks * prescaler;
+            }
 
-        // Initialize I/O registers
-        this.ioRegsView.setUint16(0x004, 0, true); 
-        this.ioRegsView.setUint16(0x006, 0, true); 
-        
-        // Display Setup
-        this.screen = document.createElement('canvas');
-        this.screen.width = SCREEN_WIDTH; this.screen.height = SCREEN_HEIGHT;
-        containerElement.appendChild(this.screen);
-        this.ctx = this.screen.getContext('2d');
-        this.frameBuffer = this.ctx.createImageData(SCREEN_WIDTH, SCREEN_HEIGHT);
-        this.frameData = this.frameBuffer.data; 
+            overflows = 0;
+            if (ticks === 0) continue;
+
+            let counter = timer.counter + ticks;
+            if (counter > 0xFFFF) {
+                // Each overflow restarts the count from the reload value
+                const period = 0x10000 - timer.reload;
+                const past = counter - 0x10000;
+                overflows = 1 + Math.floor(past / period);
+                counter = timer.reload + (past % period);
+
+                if (timer.control & TIMER_IRQ) {
+                    this.requestInterrupt(IRQ_TIMER0 << i);
+                }
+                // Timers 0 and 1 clock the DirectSound FIFOs
+                if (i < 2) {
+                    this.apu.timerOverflow(i, overflows);
+                }
+            }
+            timer.counter = counter;
+            this.ioRegsView.setUint16(REG_TM0CNT_L + (i << 2), counter, true);
+        }
+    }
 
-        this.drawPlaceholder(); 
+    // Cycles until the first prescaled timer overflows, so a halted CPU can wake on time
+    cyclesToNextTimerOverflow() {
+        let next = Infinity;
+        for (let i = 0; i < 4; i++) {
+            const timer = this.timers[i];
+            if (!(timer.control & TIMER_ENABLE) || (i > 0 && (timer.control & TIMER_CASCADE))) continue;
+            const prescaler = TIMER_PRESCALERS[timer.control & 0x3];
+            next = Math.min(next, (0x10000 - timer.counter) * prescaler - timer.prescaleCycles);
+        }
+        return next;
     }
-    
-    // === Palette Color Converter (Called by MemoryBus) ===
-    convertPaletteColor(index, color16) {
-        // GBA 15-bit color: xBBBBBGGGGGRRRRR
-        // index is 0-511 (512 total entries, 16 BG palettes * 16 colors + 16 OBJ palettes * 16 colors)
-        
-        let b5 = color16 & 0x1F;
-        let g5 = (color16 >> 5) & 0x1F;
-        let r5 = (color16 >> 10) & 0x1F; 
 
-        // Convert 5-bit color (0-31) to 8-bit color (0-255)
-        let r8 = (r5 << 3) | (r5 >> 2);
-        let g8 = (g5 << 3) | (g5 >> 2);
-        let b8 = (b5 << 3) | (b5 >> 2);
-        
-        const palIndex = index * 3;
-        this.paletteRGB[palIndex] = r8; 
-        this.paletteRGB[palIndex + 1] = g8; 
-        this.paletteRGB[palIndex + 2] = b8;
+    // === Keypad ===
+    // 'keys' is a mask of held buttons (KEY_A | KEY_UP ...), the inverse of what KEYINPUT reports
+    setKeys(keys) {
+        this.keysHeld = keys & KEY_MASK;
+        this.ioRegsView.setUint16(REG_KEYINPUT, ~this.keysHeld & KEY_MASK, true);
+        this.checkKeypadInterrupt();
     }
-    
-    // === DMA STUB IMPLEMENTATION (Unchanged) ===
-    dmaTransfer(channelIndex) {
-        const REG_BASE = 0x40000B0 + (channelIndex * 12); 
-        
-        const srcAddr = this.bus.read32(REG_BASE - 8); 
-        const dstAddr = this.bus.read32(REG_BASE - 4);
-        const dmaCntH = this.bus.read16(REG_BASE + 4);
-        const dmaCntL = this.bus.read16(REG_BASE + 2); 
-    
-        const transferCount = dmaCntL === 0 ? 0x4000 : (dmaCntL & 0xFFFF);
-        const transferSize = (dmaCntH & 0x400) ? 4 : 2; 
-    
-        if (transferCount === 0) return;
-    
-        let currentSrc = srcAddr & ~0x3; 
-        let currentDst = dstAddr & ~0x1; 
-        
-        for (let i = 0; i < transferCount; i++) {
-            if (transferSize === 4) {
-                const value = this.bus.read32(currentSrc);
-                this.bus.write32(currentDst, value);
-                currentSrc += 4;
-                currentDst += 4;
-            } else {
-                const value = this.bus.read16(currentSrc);
-                this.bus.write16(currentDst, value);
-                currentSrc += 2;
-                currentDst += 2;
-            }
+
+    // KEYCNT bit 14 enables the IRQ; bit 15 selects AND (all selected keys held) over OR (any of them).
+    // The line is level-triggered, so besides key and KEYCNT changes this also runs after an IF
+    // acknowledge and once per frame: a condition that stays true keeps raising the IRQ.
+    checkKeypadInterrupt() {
+        const keycnt = this.ioRegsView.getUint16(REG_KEYCNT, true);
+        if (!(keycnt & 0x4000)) return;
+
+        const selected = keycnt & KEY_MASK;
+        const held = this.keysHeld & selected;
+        const triggered = (keycnt & 0x8000) ? (selected !== 0 && held === selected) : held !== 0;
+        if (triggered) {
+            this.requestInterrupt(IRQ_KEYPAD);
         }
-        
-        this.bus.write16(REG_BASE + 4, dmaCntH & 0x7FFF); 
     }
 
-    // === IO WRITE HANDLER (Added flushRenderQueue) ===
-    handleIOWrite(address, value) {
+    // === IO WRITE HANDLER ===
+    // 'value' is the full halfword after the write; 'mask' says which of its bytes
+    // were actually written (8-bit stores only touch one of them).
+    // The bus flushes pending scanlines before storing PPU register writes (0x000-0x100).
+    handleIOWrite(address, value, mask = 0xFFFF) {
         const offset = address - 0x04000000;
         
-        // CRITICAL: Flush pending scanlines on *any* PPU register write (0x000-0x100)
-        if (offset < 0x100) {
-            this.flushRenderQueue(); 
-        }
-        
         if (offset === REG_DISPCNT) {
             const newMode = value & 0x7;
             this.currentVideoMode = (value & 0x80) ? -1 : newMode; 
             return;
         }
 
-        // DMA activation check (Unchanged)
-        else if (offset === REG_DMA3CNT_H) {
-            if (value & 0x8000) this.dmaTransfer(3); 
+        // Read-only status bits: restore what the bus just overwrote
+        else if (offset === REG_DISPSTAT) {
+            const vcountSetting = (value >> 8) & 0xFF;
+            let status = 0;
+            if (this.currentScanline >= V_DRAW_LINES && this.currentScanline < V_TOTAL_LINES - 1) status |= DISPSTAT_VBLANK;
+            if (this.inHBlank) status |= DISPSTAT_HBLANK;
+            if (this.currentScanline === vcountSetting) status |= DISPSTAT_VCOUNT;
+            this.ioRegsView.setUint16(REG_DISPSTAT, (value & ~0x0007) | status, true);
+        }
+        // Writing BGxX/BGxY also reloads the internal reference point mid-frame
+        else if (offset >= REG_BG2PA + 8 && offset <= REG_BG3Y + 2 && (offset & 0xF) >= 8) {
+            this.latchAffineReference(offset < REG_BG2PA + 0x10 ? 2 : 3, (offset & 0xF) < 0xC, (offset & 0xF) >= 0xC);
+        }
+        else if (offset === REG_VCOUNT) {
+            this.ioRegsView.setUint16(REG_VCOUNT, this.currentScanline, true);
+        }
+
+        else if (offset === REG_WAITCNT) {
+            this.bus.updateWaitstates(value);
+        }
+
+        // Writing 1 to an IF bit acknowledges that interrupt
+        else if (offset === REG_IF) {
+            this.interruptFlags &= ~(value & mask);
+            this.ioRegsView.setUint16(REG_IF, this.interruptFlags, true);
+            this.updateInterruptLine();
+            if (value & mask & IRQ_KEYPAD) this.checkKeypadInterrupt();
+        }
+        else if (offset === REG_IE || offset === REG_IME) {
+            this.updateInterruptLine();
+        }
+
+        else if (offset >= REG_SOUND1CNT_L && offset <= REG_FIFO_B + 2) {
+            this.apu.writeRegister(offset, value, mask);
+        }
+        else if (offset >= REG_TM0CNT_L && offset <= REG_TM3CNT_H) {
+            this.writeTimer(offset, value, mask);
+        }
+
+        // KEYINPUT is read-only
+        else if (offset === REG_KEYINPUT) {
+            this.ioRegsView.setUint16(REG_KEYINPUT, ~this.keysHeld & KEY_MASK, true);
+        }
+        else if (offset === REG_KEYCNT) {
+            this.checkKeypadInterrupt();
+        }
+
+        // HALTCNT (upper byte): bit 7 clear = Halt, set = Stop. Stop is treated as Halt.
+        else if (offset === REG_POSTFLG && (mask & 0xFF00)) {
+            this.halted = true;
+            this.updateInterruptLine();
+        }
+
+        // DMA control: enabling a channel latches its addresses and may start it right away
+        else if (offset >= REG_DMA0SAD && offset <= REG_DMA3CNT_H && (offset - REG_DMA0SAD) % 12 === 10) {
+            this.writeDmaControl(((offset - REG_DMA0SAD) / 12) | 0, value);
         }
-        // ... (other DMA channels omitted for brevity)
     }
     
     // === BG Control Reading (Unchanged) ===
     readBgControl(bgIndex) {
-        const address = 0x04000000 + REG_BG0CNT + (bgIndex * 2);
-        const bgcnt = this.bus.read16(address);
+        const bgcnt = this.ioRegsView.getUint16(REG_BG0CNT + (bgIndex * 2), true);
 
         return {
             priority: bgcnt & 0x3,
             charBaseBlock: (bgcnt >> 2) & 0x3,
+            mosaic: (bgcnt >> 6) & 0x1,
             colorMode: (bgcnt >> 7) & 0x1, // 0 for 16-color, 1 for 256-color
             screenBaseBlock: (bgcnt >> 8) & 0x1F,
+            screenSize: (bgcnt >> 14) & 0x3, // 0: 256x256, 1: 512x256, 2: 256x512, 3: 512x512
         };
     }
+
+    // MOSAIC block sizes in pixels: [BG horizontal, BG vertical, OBJ horizontal, OBJ vertical]
+    readMosaic() {
+        const mosaic = this.ioRegsView.getUint16(REG_MOSAIC, true);
+        return [(mosaic & 0xF) + 1, ((mosaic >> 4) & 0xF) + 1, ((mosaic >> 8) & 0xF) + 1, ((mosaic >> 12) & 0xF) + 1];
+    }
     
     // === BG RENDERING (Scanline-specific implementation) ===
+    // Text (non-affine) BG: scrolled by BGxHOFS/BGxVOFS, wrapping around a map of one to four 32x32 screen blocks.
     renderBGScanLine(bgIndex, line) {
         const bgControl = this.readBgControl(bgIndex);
-        const vramView = new DataView(this.vram.buffer);
-        const frameData = this.frameBuffer.data;
+        const vram = this.vram;
+        const output = this.bgLines[bgIndex];
         
         const is8bpp = bgControl.colorMode; 
         const tileBase = bgControl.charBaseBlock * 0x4000; 
         const mapBase = bgControl.screenBaseBlock * 0x800;  
-        
-        const mapWidthTiles = 32; 
-        
-        // Tiled BG scrolls are not implemented yet, so we only handle fixed position (0,0)
-        const lineInTile = line % 8;
-        const tileY = Math.floor(line / 8); 
+        const tileBytes = is8bpp ? TILE_SIZE_8BPP : TILE_SIZE_4BPP; 
 
-        for (let tileX = 0; tileX < 30; tileX++) {
-            
-            const mapOffset = mapBase + ((tileY * mapWidthTiles) + tileX) * TILE_MAP_ENTRY_SIZE;
-            
-            if (mapOffset >= this.vram.byteLength) continue;
+        const wideMap = (bgControl.screenSize & 0x1) !== 0;
+        const tallMap = (bgControl.screenSize & 0x2) !== 0;
+        const widthMask = wideMap ? 511 : 255;
+        const heightMask = tallMap ? 511 : 255;
+
+        const hofs = this.ioRegsView.getUint16(REG_BG0HOFS + bgIndex * 4, true) & 0x1FF;
+        const vofs = this.ioRegsView.getUint16(REG_BG0HOFS + bgIndex * 4 + 2, true) & 0x1FF;
+
+        // Mosaic repeats the top-left pixel of each block, counted from the screen origin
+        let mosaicH = 1;
+        let sourceLine = line;
+        if (bgControl.mosaic) {
+            const mosaic = this.readMosaic();
+            mosaicH = mosaic[0];
+            sourceLine -= line % mosaic[1];
+        }
+
+        const y = (sourceLine + vofs) & heightMask;
+        const tileRow = y >> 3;
+        const lineInTile = y & 0x7;
+
+        let cachedTileX = -1;
+        let mapEntry = 0;
+
+        for (let screenX = 0; screenX < SCREEN_WIDTH; screenX++) {
+            const x = (screenX - (screenX % mosaicH) + hofs) & widthMask;
+            const tileX = x >> 3;
+
+            if (tileX !== cachedTileX) {
+                // Screen blocks are laid out left-to-right, then top-to-bottom
+                const block = (tileX >> 5) + (wideMap ? (tileRow >> 5) << 1 : tileRow >> 5);
+                const mapOffset = mapBase + block * 0x800 + (((tileRow & 31) << 5) + (tileX & 31)) * TILE_MAP_ENTRY_SIZE;
+                mapEntry = mapOffset < 0x10000 ? vram[mapOffset] | (vram[mapOffset + 1] << 8) : 0;
+                cachedTileX = tileX;
+            }
 
-            const mapEntry = vramView.getUint16(mapOffset, true);
-            
             const tileID = mapEntry & 0x3FF; 
-            if (tileID === 0) continue; 
-            
-            const flipX = (mapEntry >> 10) & 0x1;
-            const flipY = (mapEntry >> 11) & 0x1;
+            const localPx = (mapEntry & 0x0400) ? 7 - (x & 0x7) : (x & 0x7);
+            const localPy = (mapEntry & 0x0800) ? 7 - lineInTile : lineInTile;
             const paletteID = (mapEntry >> 12) & 0xF; 
 
-            
-            const tileBytes = is8bpp ? TILE_SIZE_8BPP : TILE_SIZE_4BPP; 
+            // Calculate the byte offset within the VRAM tile data
             const tileDataOffset = tileBase + tileID * tileBytes;
+            const byteOffset = is8bpp
+                ? tileDataOffset + (localPy << 3) + localPx
+                : tileDataOffset + (localPy << 2) + (localPx >> 1);
             
-            // Loop through 8 pixels (px) for the current scanline (lineInTile)
-            for (let px = 0; px < 8; px++) {
-                
-                let localPx = px;
-                let localPy = lineInTile;
-                
-                if (flipX) localPx = 7 - px;
-                if (flipY) localPy = 7 - lineInTile; 
+            // Tile modes cannot fetch BG tiles from the OBJ half of VRAM
+            if (byteOffset >= 0x10000) continue;
 
-                const bytesPerTileRow = tileBytes / 8;
-                // Calculate the byte offset within the VRAM tile data
-                const byteOffset = tileDataOffset + (localPy * bytesPerTileRow) + Math.floor(localPx / (is8bpp ? 1 : 2));
-                
-                if (byteOffset >= this.vram.byteLength) continue;
+            const tileByte = vram[byteOffset];
+            let paletteIndex;
 
-                const tileByte = vramView.getUint8(byteOffset);
-                let paletteIndex;
+            if (is8bpp) {
+                paletteIndex = tileByte;
+            } else {
+                paletteIndex = (localPx & 0x1) === 0 ? (tileByte & 0xF) : (tileByte >> 4);
+            }
 
-                if (is8bpp) {
-                    paletteIndex = tileByte;
-                } else {
-                    paletteIndex = (localPx % 2) === 0 ? (tileByte & 0xF) : (tileByte >> 4);
-                }
+            if (paletteIndex === 0) continue; // Index 0 is transparent for BGs
+
+            // BG colors are in the first 256 entries (index 0-255)
+            // The index is either (paletteID * 16 + paletteIndex) for 4bpp 
+            // or just paletteIndex for 8bpp
+            const paletteIndex15 = is8bpp ? paletteIndex : (paletteID * 16 + paletteIndex);
+            output[screenX] = this.readPaletteColor(paletteIndex15);
+        }
+    }
+    
+    // === AFFINE BG RENDERING ===
+    // BG2/BG3 parameters live at 0x020 + 0x10 * (bgIndex - 2): PA, PB, PC, PD (8.8 fixed point),
+    // then the X/Y reference points (20.8 fixed point, 28 bits signed).
+    readAffineParams(bgIndex) {
+        const base = REG_BG2PA + (bgIndex - 2) * 0x10;
+        return {
+            pa: this.ioRegsView.getInt16(base, true),
+            pb: this.ioRegsView.getInt16(base + 2, true),
+            pc: this.ioRegsView.getInt16(base + 4, true),
+            pd: this.ioRegsView.getInt16(base + 6, true),
+        };
+    }
 
-                if (paletteIndex === 0) continue; // Index 0 is transparent for BGs
+    // Copies BGxX/BGxY into the internal reference point (at V-Blank, or when the program writes them)
+    latchAffineReference(bgIndex, latchX, latchY) {
+        const base = REG_BG2PA + (bgIndex - 2) * 0x10;
+        const ref = this.affineRefs[bgIndex - 2];
+        if (latchX) ref.x = (this.ioRegsView.getUint32(base + 8, true) << 4) >> 4;
+        if (latchY) ref.y = (this.ioRegsView.getUint32(base + 12, true) << 4) >> 4;
+    }
 
-                // CRITICAL: Calculate 15-bit palette index
-                // BG colors are in the first 256 entries (index 0-255)
-                // The index is either (paletteID * 16 + paletteIndex) for 4bpp 
-                // or just paletteIndex for 8bpp
-                const paletteIndex15 = is8bpp ? paletteIndex : (paletteID * 16 + paletteIndex);
-                
-                // Get pre-converted RGB values
-                const palR = this.paletteRGB[paletteIndex15 * 3];
-                const palG = this.paletteRGB[paletteIndex15 * 3 + 1];
-                const palB = this.paletteRGB[paletteIndex15 * 3 + 2];
+    // After each drawn line the internal reference points move by (PB, PD)
+    stepAffineReferences() {
+        for (let bgIndex = 2; bgIndex < 4; bgIndex++) {
+            const params = this.readAffineParams(bgIndex);
+            const ref = this.affineRefs[bgIndex - 2];
+            ref.x += params.pb;
+            ref.y += params.pd;
+        }
+    }
 
-                const screenX = tileX * 8 + px;
-                const screenY = line;
-                
-                if (screenX >= SCREEN_WIDTH) continue;
-                
-                const frameIndex = (screenY * SCREEN_WIDTH + screenX) * 4;
+    // Start of the line in texture space (20.8 fixed point), honouring vertical mosaic.
+    // Mosaic lines reuse the reference point of the first line of their block.
+    affineLineOrigin(bgIndex, line, mosaic) {
+        const params = this.readAffineParams(bgIndex);
+        const ref = this.affineRefs[bgIndex - 2];
+        const mosaicLines = mosaic ? line % this.readMosaic()[1] : 0;
+        return [ref.x - params.pb * mosaicLines, ref.y - params.pd * mosaicLines];
+    }
+
+    // Rotation/scaling BG: a square map of 1-byte entries (16 to 128 tiles wide) with 8bpp tiles
+    renderAffineBGScanLine(bgIndex, line) {
+        const bgcnt = this.ioRegsView.getUint16(REG_BG0CNT + bgIndex * 2, true);
+        const bgControl = this.readBgControl(bgIndex);
+        const params = this.readAffineParams(bgIndex);
+        const vram = this.vram;
+        const output = this.bgLines[bgIndex];
+
+        const tileBase = bgControl.charBaseBlock * 0x4000;
+        const mapBase = bgControl.screenBaseBlock * 0x800;
+        const sizePixels = 128 << bgControl.screenSize;
+        const mapWidthTiles = sizePixels >> 3;
+        const wrap = (bgcnt & 0x2000) !== 0; // Display area overflow: wrap around instead of transparent
 
-                frameData[frameIndex] = palR; 
-                frameData[frameIndex + 1] = palG; 
-                frameData[frameIndex + 2] = palB; 
-                frameData[frameIndex + 3] = 0xFF; 
+        const mosaicH = bgControl.mosaic ? this.readMosaic()[0] : 1;
+        const [originX, originY] = this.affineLineOrigin(bgIndex, line, bgControl.mosaic);
+
+        for (let screenX = 0; screenX < SCREEN_WIDTH; screenX++) {
+            const sourceX = screenX - (screenX % mosaicH);
+            let x = (originX + params.pa * sourceX) >> 8;
+            let y = (originY + params.pc * sourceX) >> 8;
+
+            if (wrap) {
+                x &= sizePixels - 1;
+                y &= sizePixels - 1;
+            } else if (x < 0 || y < 0 || x >= sizePixels || y >= sizePixels) {
+                continue;
+            }
+
+            const mapOffset = mapBase + (y >> 3) * mapWidthTiles + (x >> 3);
+            if (mapOffset >= 0x10000) continue;
+            const tileDataOffset = tileBase + vram[mapOffset] * TILE_SIZE_8BPP + ((y & 0x7) << 3) + (x & 0x7);
+            if (tileDataOffset >= 0x10000) continue;
+
+            const paletteIndex = vram[tileDataOffset];
+            if (paletteIndex === 0) continue;
+            output[screenX] = this.readPaletteColor(paletteIndex);
+        }
+    }
+
+    // === BITMAP RENDERING (modes 3-5) ===
+    // The bitmap is BG2, so it goes through the BG2 affine transform like any rotated layer.
+    // Mode 3: 240x160 15-bit. Mode 4: 240x160 8-bit paletted. Mode 5: 160x128 15-bit.
+    // Modes 4 and 5 have two frames; DISPCNT bit 4 selects the one at 0xA000.
+    renderBitmapScanLine(mode, line) {
+        const dispcnt = this.ioRegsView.getUint16(REG_DISPCNT, true);
+        const bgControl = this.readBgControl(2);
+        const params = this.readAffineParams(2);
+        const vram = this.vram;
+        const output = this.bgLines[2];
+
+        const width = mode === 5 ? 160 : SCREEN_WIDTH;
+        const height = mode === 5 ? 128 : SCREEN_HEIGHT;
+        const frameBase = (mode !== 3 && (dispcnt & 0x10)) ? 0xA000 : 0;
+
+        const mosaicH = bgControl.mosaic ? this.readMosaic()[0] : 1;
+        const [originX, originY] = this.affineLineOrigin(2, line, bgControl.mosaic);
+
+        for (let screenX = 0; screenX < SCREEN_WIDTH; screenX++) {
+            const sourceX = screenX - (screenX % mosaicH);
+            const x = (originX + params.pa * sourceX) >> 8;
+            const y = (originY + params.pc * sourceX) >> 8;
+            if (x < 0 || y < 0 || x >= width || y >= height) continue;
+
+            if (mode === 4) {
+                const paletteIndex = vram[frameBase + y * width + x];
+                if (paletteIndex === 0) continue; // Index 0 shows the backdrop
+                output[screenX] = this.readPaletteColor(paletteIndex);
+            } else {
+                const pixelOffset = frameBase + (y * width + x) * 2;
+                output[screenX] = (vram[pixelOffset] | (vram[pixelOffset + 1] << 8)) & 0x7FFF;
             }
         }
     }
     
-    // === LINE RENDERING DISPATCHER (Replaces old drawMode0) ===
+    // === OBJ (SPRITE) RENDERING ===
+    // Renders every OAM entry touching this line into objLine/objPriorityLine, in OAM order.
+    // A later sprite only covers an earlier one if it has a strictly better priority.
+    renderSpriteScanLine(line) {
+        const dispcnt = this.ioRegsView.getUint16(REG_DISPCNT, true);
+        const oam = this.oam;
+        const vram = this.vram;
+        const objLine = this.objLine;
+        const objPriorityLine = this.objPriorityLine;
+        const objWindowLine = this.objWindowLine;
+
+        const mapping1D = (dispcnt & 0x40) !== 0;
+        const bitmapMode = (dispcnt & 0x7) >= 3;
+        const mosaic = this.readMosaic();
+
+        // Rendering time per line: 1210 cycles, or 954 with "H-Blank interval free" (DISPCNT bit 5)
+        let cyclesLeft = (dispcnt & 0x20) ? 954 : 1210;
+
+        for (let i = 0; i < 128; i++) {
+            const attr0 = oam[i * 8] | (oam[i * 8 + 1] << 8);
+            const attr1 = oam[i * 8 + 2] | (oam[i * 8 + 3] << 8);
+            const attr2 = oam[i * 8 + 4] | (oam[i * 8 + 5] << 8);
+
+            const affine = (attr0 & 0x0100) !== 0;
+            if (!affine && (attr0 & 0x0200)) continue; // OBJ disabled
+            const objMode = (attr0 >> 10) & 0x3;
+            if (objMode === 3) continue; // Prohibited
+
+            const shape = (attr0 >> 14) & 0x3;
+            const size = (attr1 >> 14) & 0x3;
+            if (shape === 3) continue;
+            const width = OBJ_SIZES[shape][size][0];
+            const height = OBJ_SIZES[shape][size][1];
+
+            // Double-size affine sprites get twice the bounding box to rotate in
+            const doubleSize = affine && (attr0 & 0x0200) !== 0;
+            const boundsWidth = doubleSize ? width * 2 : width;
+            const boundsHeight = doubleSize ? height * 2 : height;
+
+            // Y wraps at 256, so sprites near the bottom reappear at the top
+            const objY = attr0 & 0xFF;
+            const lineInObj = (line - objY) & 0xFF;
+            if (lineInObj >= boundsHeight) continue;
+
+            let objX = attr1 & 0x1FF;
+            if (objX >= 256) objX -= 512;
+
+            cyclesLeft -= affine ? 10 + boundsWidth * 2 : boundsWidth;
+            if (cyclesLeft < 0) break;
+
+            const is8bpp = (attr0 & 0x2000) !== 0;
+            const tileNumber = attr2 & 0x3FF;
+            // In bitmap modes the lower half of OBJ VRAM holds the frame, so those tiles are unusable
+            if (bitmapMode && tileNumber < 512) continue;
+            const priority = (attr2 >> 10) & 0x3;
+            const paletteBase = is8bpp ? 256 : 256 + ((attr2 >> 12) & 0xF) * 16;
+            const tilesPerRow = mapping1D ? (width >> 3) * (is8bpp ? 2 : 1) : 32;
+
+            const mosaicOn = (attr0 & 0x1000) !== 0;
+            let sourceLine = lineInObj;
+            if (mosaicOn) {
+                const mosaicLine = lineInObj - (line % mosaic[3]);
+                if (mosaicLine >= 0) sourceLine = mosaicLine;
+            }
+
+            let pa = 0x100, pb = 0, pc = 0, pd = 0x100;
+            if (affine) {
+                // Each group of four OAM entries stores one matrix in their fourth halfwords
+                const group = ((attr1 >> 9) & 0x1F) * 32;
+                pa = (oam[group + 6] | (oam[group + 7] << 8)) << 16 >> 16;
+                pb = (oam[group + 14] | (oam[group + 15] << 8)) << 16 >> 16;
+                pc = (oam[group + 22] | (oam[group + 23] << 8)) << 16 >> 16;
+                pd = (oam[group + 30] | (oam[group + 31] << 8)) << 16 >> 16;
+            }
+            const flipX = !affine && (attr1 & 0x1000) !== 0;
+            const flipY = !affine && (attr1 & 0x2000) !== 0;
+
+            for (let boxX = 0; boxX < boundsWidth; boxX++) {
+                const screenX = objX + boxX;
+                if (screenX < 0) continue;
+                if (screenX >= SCREEN_WIDTH) break;
+
+                let sourceX = boxX;
+                if (mosaicOn) {
+                    const mosaicX = boxX - (screenX % mosaic[2]);
+                    if (mosaicX >= 0) sourceX = mosaicX;
+                }
+
+                let texX, texY;
+                if (affine) {
+                    // Rotate around the centre of the bounding box
+                    const dx = sourceX - (boundsWidth >> 1);
+                    const dy = sourceLine - (boundsHeight >> 1);
+                    texX = ((pa * dx + pb * dy) >> 8) + (width >> 1);
+                    texY = ((pc * dx + pd * dy) >> 8) + (height >> 1);
+                    if (texX < 0 || texY < 0 || texX >= width || texY >= height) continue;
+                } else {
+                    texX = flipX ? width - 1 - sourceX : sourceX;
+                    texY = flipY ? height - 1 - sourceLine : sourceLine;
+                }
+
+                // Tile numbers count 32-byte units; 8bpp tiles take two of them
+                const tileIndex = tileNumber + (texY >> 3) * tilesPerRow + (texX >> 3) * (is8bpp ? 2 : 1);
+                const tileOffset = 0x10000 + ((tileIndex * TILE_SIZE_4BPP) & 0x7FFF);
+                let paletteIndex;
+                if (is8bpp) {
+                    paletteIndex = vram[tileOffset + ((texY & 0x7) << 3) + (texX & 0x7)];
+                } else {
+                    const tileByte = vram[tileOffset + ((texY & 0x7) << 2) + ((texX & 0x7) >> 1)];
+                    paletteIndex = (texX & 0x1) ? (tileByte >> 4) : (tileByte & 0xF);
+                }
+                if (paletteIndex === 0) continue;
+
+                if (objMode === 2) {
+                    objWindowLine[screenX] = 1; // OBJ window sprites only shape the window
+                } else if (objLine[screenX] < 0 || priority < objPriorityLine[screenX]) {
+                    objLine[screenX] = this.readPaletteColor(paletteBase + paletteIndex);
+                    objPriorityLine[screenX] = priority;
+                    this.objSemiTransparentLine[screenX] = objMode === 1 ? 1 : 0;
+                }
+            }
+        }
+    }
+
+    // 15-bit BGR color of a palette entry; OBJ colors start at index 256
+    readPaletteColor(index) {
+        return this.paletteRAM[index * 2] | (this.paletteRAM[index * 2 + 1] << 8);
+    }
+
+    // === LINE RENDERING DISPATCHER ===
+    // Every layer renders the line into its own buffer of 15-bit colors (-1 = transparent),
+    // then the front-most opaque pixel of each column is written to the frame.
     renderScanLine(line) {
-        const dispcnt = this.bus.read16(0x04000000 + REG_DISPCNT);
-        const dispstat = this.bus.read16(0x04000000 + 0x004);
+        const dispcnt = this.ioRegsView.getUint16(REG_DISPCNT, true);
 
         if (dispcnt & 0x80) { // Forced Blank is ON
             const index = line * SCREEN_WIDTH * 4;
@@ -482,79 +2687,153 @@ class GBAJS3_Core {
             return;
         }
 
-        // 1. Draw Background Color (Palette Index 0) for the whole line
-        const index = line * SCREEN_WIDTH * 4;
-        const r = this.paletteRGB[0];
-        const g = this.paletteRGB[1];
-        const b = this.paletteRGB[2];
-         for (let i = 0; i < SCREEN_WIDTH * 4; i += 4) {
-             this.frameData[index + i] = r; 
-             this.frameData[index + i + 1] = g; 
-             this.frameData[index + i + 2] = b; 
-             this.frameData[index + i + 3] = 0xFF; 
-         }
-
-        // 2. Dispatch based on current video mode
+        // 1. Render every enabled BG of the current video mode
         const mode = dispcnt & 0x7;
-        
-        if (mode === 0) {
-            // Mode 0: Tiled BGs
-            for (let bgIndex = 3; bgIndex >= 0; bgIndex--) {
-                const bgEnableBit = 1 << (8 + bgIndex); 
-                
-                if (dispcnt & bgEnableBit) {
-                    this.renderBGScanLine(bgIndex, line); 
-                }
+        const modeLayers = BG_LAYERS_BY_MODE[mode] || []; // Modes 6 and 7 are invalid and show only the backdrop
+        const layers = modeLayers.filter((bgIndex) => dispcnt & (1 << (8 + bgIndex)));
+
+        for (const bgIndex of layers) {
+            this.bgLines[bgIndex].fill(-1);
+            if (mode >= 3) {
+                this.renderBitmapScanLine(mode, line);
+            } else if (mode === 0 || (mode === 1 && bgIndex < 2)) {
+                this.renderBGScanLine(bgIndex, line); 
+            } else {
+                this.renderAffineBGScanLine(bgIndex, line);
             }
         }
-        else if (mode === 3) {
-            // Mode 3: Full Bitmap (240x160)
-            const vramView = new DataView(this.vram.buffer);
-            for (let x = 0; x < SCREEN_WIDTH; x++) {
-                const vram_offset = (line * SCREEN_WIDTH + x) * 2; 
 
-                if (vram_offset >= this.vram.byteLength) continue;
+        // 2. Sprites
+        this.objLine.fill(-1);
+        this.objWindowLine.fill(0);
+        if (dispcnt & 0x1000) {
+            this.renderSpriteScanLine(line);
+        }
+
+        // 3. Composite front to back: lower priority number first, OBJ before BGs of the same
+        //    priority, and lower BG numbers before higher ones. The top two visible layers are
+        //    kept so color special effects can blend them.
+        const priorities = layers.map((bgIndex) => this.readBgControl(bgIndex).priority);
+        const order = layers.map((bgIndex, i) => i).sort((a, b) => (priorities[a] - priorities[b]) || (layers[a] - layers[b]));
+        const backdrop = this.readPaletteColor(0);
+        const frameData = this.frameData;
+        const windowLine = this.renderWindowLine(line, dispcnt);
 
-                const pixel_color16 = vramView.getUint16(vram_offset, true);
-                
-                // Simplified drawing (No blending/priority check yet)
-                if (pixel_color16 !== 0x0000) {
-                    const palIndex = (pixel_color16 * 32) + 256; // Simplified: just a non-zero pixel
-                    
-                    let p_b5 = pixel_color16 & 0x1F;
-                    let p_g5 = (pixel_color16 >> 5) & 0x1F;
-                    let p_r5 = (pixel_color16 >> 10) & 0x1F; 
+        const bldcnt = this.ioRegsView.getUint16(REG_BLDCNT, true);
+        const bldalpha = this.ioRegsView.getUint16(REG_BLDALPHA, true);
+        const blendMode = (bldcnt >> 6) & 0x3;
+        const eva = Math.min(16, bldalpha & 0x1F);
+        const evb = Math.min(16, (bldalpha >> 8) & 0x1F);
+        const evy = Math.min(16, this.ioRegsView.getUint16(REG_BLDY, true) & 0x1F);
 
-                    let p_r8 = (p_r5 << 3) | (p_r5 >> 2);
-                    let p_g8 = (p_g5 << 3) | (p_g5 >> 2);
-                    let p_b8 = (p_b5 << 3) | (p_b5 >> 2);
-                    
-                    const frameIndex = (line * SCREEN_WIDTH + x) * 4;
-                    this.frameData[frameIndex] = p_r8; 
-                    this.frameData[frameIndex + 1] = p_g8; 
-                    this.frameData[frameIndex + 2] = p_b8; 
-                    this.frameData[frameIndex + 3] = 0xFF; 
+        for (let x = 0; x < SCREEN_WIDTH; x++) {
+            const windowMask = windowLine ? windowLine[x] : 0x3F;
+            const objColor = this.objLine[x];
+            let objPending = objColor >= 0 && (windowMask & 0x10) !== 0;
+            const objPriority = this.objPriorityLine[x];
+
+            let topLayer = LAYER_BACKDROP, topColor = backdrop;
+            let underLayer = LAYER_BACKDROP, underColor = backdrop;
+            let found = 0;
+
+            for (let i = 0; i < order.length && found < 2; i++) {
+                if (objPending && objPriority <= priorities[order[i]]) {
+                    objPending = false;
+                    if (found++ === 0) { topLayer = LAYER_OBJ; topColor = objColor; }
+                    else { underLayer = LAYER_OBJ; underColor = objColor; break; }
+                }
+                const bgIndex = layers[order[i]];
+                if (!(windowMask & (1 << bgIndex))) continue;
+                const bgColor = this.bgLines[bgIndex][x];
+                if (bgColor < 0) continue;
+                if (found++ === 0) { topLayer = bgIndex; topColor = bgColor; }
+                else { underLayer = bgIndex; underColor = bgColor; }
+            }
+            if (objPending && found < 2) {
+                if (found === 0) { topLayer = LAYER_OBJ; topColor = objColor; }
+                else { underLayer = LAYER_OBJ; underColor = objColor; }
+            }
+
+            let color = topColor;
+            if (windowMask & 0x20) {
+                const secondTarget = (bldcnt & (0x100 << underLayer)) !== 0;
+                if (topLayer === LAYER_OBJ && this.objSemiTransparentLine[x] && secondTarget) {
+                    // Semi-transparent OBJs alpha blend whatever the BLDCNT mode is
+                    color = blendAlpha(topColor, underColor, eva, evb);
+                } else if (bldcnt & (1 << topLayer)) {
+                    if (blendMode === 1 && secondTarget) color = blendAlpha(topColor, underColor, eva, evb);
+                    else if (blendMode === 2) color = blendBrightness(topColor, evy, false);
+                    else if (blendMode === 3) color = blendBrightness(topColor, evy, true);
                 }
             }
+
+            const r5 = color & 0x1F;
+            const g5 = (color >> 5) & 0x1F;
+            const b5 = (color >> 10) & 0x1F;
+            const frameIndex = (line * SCREEN_WIDTH + x) * 4;
+            frameData[frameIndex] = (r5 << 3) | (r5 >> 2);
+            frameData[frameIndex + 1] = (g5 << 3) | (g5 >> 2);
+            frameData[frameIndex + 2] = (b5 << 3) | (b5 >> 2);
+            frameData[frameIndex + 3] = 0xFF;
+        }
+    }
+
+    // === WINDOWS ===
+    // Per-pixel layer masks for this line (bits 0-3 BG0-3, bit 4 OBJ, bit 5 color effects),
+    // or null when no window is enabled. WIN0 beats WIN1, which beats the OBJ window.
+    renderWindowLine(line, dispcnt) {
+        if (!(dispcnt & 0xE000)) return null;
+
+        const winin = this.ioRegsView.getUint16(REG_WININ, true);
+        const winout = this.ioRegsView.getUint16(REG_WINOUT, true);
+        const windowLine = this.windowLine;
+        windowLine.fill(winout & 0x3F);
+
+        if (dispcnt & 0x8000) {
+            const objWindowMask = (winout >> 8) & 0x3F;
+            for (let x = 0; x < SCREEN_WIDTH; x++) {
+                if (this.objWindowLine[x]) windowLine[x] = objWindowMask;
+            }
+        }
+        for (let win = 1; win >= 0; win--) {
+            if (!(dispcnt & (0x2000 << win))) continue;
+            const winH = this.ioRegsView.getUint16(REG_WIN0H + win * 2, true);
+            const winV = this.ioRegsView.getUint16(REG_WIN0V + win * 2, true);
+            if (!windowSpanContains(winV >> 8, winV & 0xFF, line, SCREEN_HEIGHT)) continue;
+
+            const mask = (winin >> (win * 8)) & 0x3F;
+            const left = winH >> 8;
+            const right = winH & 0xFF;
+            for (let x = 0; x < SCREEN_WIDTH; x++) {
+                if (windowSpanContains(left, right, x, SCREEN_WIDTH)) windowLine[x] = mask;
+            }
         }
-        // ... (Other modes omitted)
+        return windowLine;
     }
 
     // === FRAME RENDERING AND SYNCHRONIZATION ===
 
     // CRITICAL: Processes all scanlines that have accumulated since the last render or V-Blank.
+    // A line is finished once its H-Blank starts, so anything written after that point
+    // (e.g. by H-Blank DMA) only affects the following lines.
     flushRenderQueue() {
-        if (this.lastRenderedLine === this.currentScanline) {
+        let targetLine = this.inHBlank ? this.currentScanline + 1 : this.currentScanline;
+        if (targetLine >= V_TOTAL_LINES) targetLine = 0;
+
+        if (this.lastRenderedLine === targetLine) {
              return; // Nothing to render
         }
         
         let line = this.lastRenderedLine;
+        let frameComplete = false;
         
-        // Loop through all lines between the last rendered line and the current line
-        while (line !== this.currentScanline) {
+        // Loop through all lines between the last rendered line and the target line
+        while (line !== targetLine) {
             
             if (line < V_DRAW_LINES) { // Only render visible lines (0-159)
                  this.renderScanLine(line);
+                 this.stepAffineReferences();
+                 if (line === V_DRAW_LINES - 1) frameComplete = true;
             }
             
             line++;
@@ -563,115 +2842,288 @@ class GBAJS3_Core {
             }
         }
         
-        // Mark current line as the new last rendered line
-        this.lastRenderedLine = this.currentScanline;
+        // Mark the next line to render
+        this.lastRenderedLine = targetLine;
         
-        // If we processed line 159 and wrapped to 0, it means we are now in V-Blank, so draw to screen.
-        if (this.currentScanline === 0) {
-            this.drawToScreen();
+        // Once line 159 is done the frame is complete
+        if (frameComplete) {
+            this.frameCount++;
         }
     }
-
-    drawToScreen() {
-        this.ctx.putImageData(this.frameBuffer, 0, 0); 
-        
-        const vcount = this.ioRegsView.getUint16(0x006, true);
-        const pc = this.cpu.registers[REG_PC];
-        this.ctx.fillStyle = '#FFFFFF';
-        this.ctx.font = '10px monospace';
-        this.ctx.textAlign = 'left';
-        this.ctx.fillText(`PC: 0x${pc.toString(16).toUpperCase().padStart(8, '0')}`, 5, 10);
-        this.ctx.fillText(`VCOUNT: ${vcount}`, 5, 20);
-        this.ctx.fillText(`MODE: ${this.currentVideoMode}`, 5, 30);
-        this.ctx.fillText(`RENDERED: ${this.lastRenderedLine}`, 5, 40);
-    }
     
-    // === PPU CYCLE TIMING (Updated V-Blank check to use flushRenderQueue) ===
+    // === PPU CYCLE TIMING ===
+    // Each line is H_CYCLES long: H_BLANK_START_CYCLE cycles of drawing, then H-Blank.
     updatePPU(cycles) {
         this.cyclesToNextHBlank -= cycles;
         
         while (this.cyclesToNextHBlank <= 0) {
-            
-            // 1. Check for HBlank start
-            let dispstat = this.ioRegsView.getUint16(0x004, true);
-            if (this.cyclesToNextHBlank <= (H_CYCLES - H_BLANK_START_CYCLE)) {
-                if (!(dispstat & 0x0002)) { 
-                    dispstat |= 0x0002; 
-                    this.ioRegsView.setUint16(0x004, dispstat, true);
+            let dispstat = this.ioRegsView.getUint16(REG_DISPSTAT, true);
+
+            // 1. H-Blank start (happens on every line, including during V-Blank)
+            if (!this.inHBlank) {
+                this.inHBlank = true;
+                this.cyclesToNextHBlank += H_CYCLES - H_BLANK_START_CYCLE;
+                this.ioRegsView.setUint16(REG_DISPSTAT, dispstat | DISPSTAT_HBLANK, true);
+                if (dispstat & DISPSTAT_HBLANK_IRQ) {
+                    this.requestInterrupt(IRQ_HBLANK);
                 }
+                // H-Blank DMA only runs on visible lines
+                if (this.currentScanline < V_DRAW_LINES) {
+                    this.triggerDma(DMA_TIMING_HBLANK);
+                }
+                continue;
             }
             
             // 2. End of Scanline (Cycle 1232)
-            this.cyclesToNextHBlank += H_CYCLES;
+            this.inHBlank = false;
+            this.cyclesToNextHBlank += H_BLANK_START_CYCLE;
 
-            dispstat &= ~0x0002; // Clear H-Blank flag 
+            dispstat &= ~DISPSTAT_HBLANK; 
 
             this.currentScanline++;
 
             // --- V-BLANK CHECK ---
             if (this.currentScanline === V_DRAW_LINES) { 
-                dispstat |= 0x0001; // Set V-Blank flag
+                dispstat |= DISPSTAT_VBLANK;
                 // Render all accumulated lines (0-159)
                 this.flushRenderQueue(); 
+                // The affine reference points restart from BGxX/BGxY for the next frame
+                this.latchAffineReference(2, true, true);
+                this.latchAffineReference(3, true, true);
+                if (dispstat & DISPSTAT_VBLANK_IRQ) {
+                    this.requestInterrupt(IRQ_VBLANK);
+                }
+                this.triggerDma(DMA_TIMING_VBLANK);
+                this.checkKeypadInterrupt();
+            } else if (this.currentScanline === V_TOTAL_LINES - 1) {
+                dispstat &= ~DISPSTAT_VBLANK; // The flag is already clear on line 227
             } else if (this.currentScanline >= V_TOTAL_LINES) {
                 // Frame End: Line 228 -> Line 0
                 this.currentScanline = 0;
-                dispstat &= ~0x0001; // Clear V-Blank flag
+                this.flushRenderQueue(); // Keeps the queue from looking empty after a full lap
             }
             
+            this.videoCaptureDma();
+
             // Update VCOUNT register (REG_VCOUNT)
-            this.ioRegsView.setUint16(0x006, this.currentScanline, true);
+            this.ioRegsView.setUint16(REG_VCOUNT, this.currentScanline, true);
             
             // Check V-Counter match and write final DISPSTAT
             const VCounterMatch = (dispstat >> 8) & 0xFF;
             if (this.currentScanline === VCounterMatch) {
-                dispstat |= 0x0004; 
+                dispstat |= DISPSTAT_VCOUNT; 
+                if (dispstat & DISPSTAT_VCOUNT_IRQ) {
+                    this.requestInterrupt(IRQ_VCOUNT);
+                }
             } else {
-                dispstat &= ~0x0004; 
+                dispstat &= ~DISPSTAT_VCOUNT; 
             }
-            this.ioRegsView.setUint16(0x004, dispstat, true);
+            this.ioRegsView.setUint16(REG_DISPSTAT, dispstat, true);
         }
     }
     
-    // ... (drawPlaceholder, loadRom, runGameLoop remain the same) ...
-    drawPlaceholder() {
-        this.ctx.fillStyle = '#000000';
-        this.ctx.fillRect(0, 0, 240, 160);
-        this.ctx.fillStyle = '#FFFFFF';
-        this.ctx.font = '12px sans-serif';
-        this.ctx.textAlign = 'center';
-        this.ctx.fillText('Core Initialized. Waiting for ROM.', 120, 80);
-    }
-    loadRom(romData) {
+    // === Reset ===
+    // Power-on state for everything the emulation depends on (CPU, memory, IO, PPU, APU,
+    // timers, DMA and interrupts), taken from a newly built core through the same paths
+    // as a save state. The BIOS, the cartridge and its save chip stay.
+    reset() {
+        const fresh = new GBAJS3_Core(this.hleBios ? null : this.bus.biosData);
+        for (const name of ['ewram', 'iwram', 'vram', 'paletteRAM', 'oam', 'paletteRGB', 'frameData']) {
+            this[name].set(fresh[name]);
+        }
+        new Uint8Array(this.ioRegsView.buffer).set(new Uint8Array(fresh.ioRegsView.buffer));
+
+        const backup = this.bus.backup;
+        this.cpu.restoreState(fresh.cpu.captureState());
+        this.bus.restoreState(fresh.bus.captureState());
+        this.bus.backup = backup;
+        this.apu.restoreState(fresh.apu.captureState());
+
+        for (const name of ['currentScanline', 'lastRenderedLine', 'cyclesToNextHBlank', 'inHBlank', 'currentVideoMode',
+            'affineRefs', 'interruptFlags', 'irqLine', 'halted', 'timers', 'dmaChannels', 'dmaStallCycles']) {
+            this[name] = fresh[name];
+        }
+        if (this.hleBios) this.hleBios.waitingForIrq = false;
+        this.ioRegsView.setUint16(REG_KEYINPUT, ~this.keysHeld & KEY_MASK, true);
+    }
+
+    // savedBackup is an optional { type, data } from GBA_SaveStore, applied before the first frame runs.
+    // Whatever ran before is reset, so the new ROM starts as if the console had just been switched on.
+    loadRom(romData, savedBackup = null) {
         if (!romData || romData.byteLength === 0) throw new Error("Empty ROM data.");
+        this.reset();
         
         this.romData = new Uint8Array(romData); 
-        this.bus.romData = this.romData; 
+        this.bus.setRom(this.romData); 
+        this.romCrc = undefined;
+
+        this.setBackupType(savedBackup ? savedBackup.type : detectBackupType(this.romData));
+        if (savedBackup) this.bus.backup.load(savedBackup.data);
+
+        if (this.hleBios) this.hleBios.skipBoot();
         
         this.romLoaded = true;
-        this.paused = false;
-        
-        if (!this.animationFrameId) {
-            this.runGameLoop();
+    }
+
+    // Multiboot images run from EWRAM with no cartridge inserted, so the BIOS intro is skipped
+    // with either BIOS. romData keeps the image for its header and CRC (saves, states, cheats).
+    // As with loadRom, the core is reset first.
+    loadMultiboot(imageData, savedBackup = null) {
+        if (!imageData || imageData.byteLength === 0) throw new Error("Empty multiboot image.");
+        if (imageData.byteLength > this.ewram.length) {
+            throw new Error(`Multiboot image is ${imageData.byteLength} bytes, EWRAM holds ${this.ewram.length}.`);
+        }
+        this.reset();
+
+        this.romData = new Uint8Array(imageData);
+        this.bus.setRom(new Uint8Array(0));
+        this.romCrc = undefined;
+        this.ewram.set(this.romData);
+
+        this.setBackupType(savedBackup ? savedBackup.type : BACKUP_NONE);
+        if (savedBackup) this.bus.backup.load(savedBackup.data);
+
+        if (this.hleBios) this.hleBios.skipBoot(MULTIBOOT_ENTRY);
+        else skipBiosBoot(this, MULTIBOOT_ENTRY);
+        this.bus.write8(BIOS_RESET_FLAG, 1); // SoftReset restarts the image rather than the cartridge
+
+        this.romLoaded = true;
+    }
+
+    // === Save States (gbajs3-savestate.js) ===
+    getRomCrc() {
+        if (this.romCrc === undefined) this.romCrc = crc32(this.romData);
+        return this.romCrc;
+    }
+
+    // Snapshot of everything the emulation depends on, as an ArrayBuffer
+    saveState() {
+        if (!this.romLoaded) throw new Error('No ROM loaded.');
+        this.flushRenderQueue(); // The frame buffer has to match the PPU counters
+        const state = {
+            thumbnail: createThumbnail(this.frameData),
+            cpu: this.cpu.captureState(),
+            bus: this.bus.captureState(),
+            apu: this.apu.captureState(),
+            memory: {
+                ewram: this.ewram, iwram: this.iwram, vram: this.vram,
+                paletteRAM: this.paletteRAM, oam: this.oam,
+                io: new Uint8Array(this.ioRegsView.buffer),
+                paletteRGB: this.paletteRGB,
+                frame: this.frameData,
+            },
+            ppu: {
+                currentScanline: this.currentScanline,
+                lastRenderedLine: this.lastRenderedLine,
+                cyclesToNextHBlank: this.cyclesToNextHBlank,
+                inHBlank: this.inHBlank,
+                currentVideoMode: this.currentVideoMode,
+                affineRefs: this.affineRefs,
+            },
+            interruptFlags: this.interruptFlags,
+            irqLine: this.irqLine,
+            halted: this.halted,
+            timers: this.timers,
+            dmaChannels: this.dmaChannels,
+            dmaStallCycles: this.dmaStallCycles,
+            hleWaitingForIrq: this.hleBios ? this.hleBios.waitingForIrq : false,
+        };
+        return encodeSnapshot(state, this.getRomCrc());
+    }
+
+    // Throws (leaving the running game untouched) if the snapshot is from another ROM or format version
+    loadState(buffer) {
+        if (!this.romLoaded) throw new Error('No ROM loaded.');
+        const snapshot = decodeSnapshot(buffer);
+        if (snapshot.romCrc !== this.getRomCrc()) {
+            throw new Error('This save state was made with a different ROM.');
+        }
+        const state = snapshot.state;
+
+        const memory = state.memory;
+        this.ewram.set(memory.ewram);
+        this.iwram.set(memory.iwram);
+        this.vram.set(memory.vram);
+        this.paletteRAM.set(memory.paletteRAM);
+        this.oam.set(memory.oam);
+        new Uint8Array(this.ioRegsView.buffer).set(memory.io);
+        this.paletteRGB.set(memory.paletteRGB);
+        this.frameData.set(memory.frame);
+
+        this.cpu.restoreState(state.cpu);
+        this.bus.restoreState(state.bus);
+        this.apu.restoreState(state.apu);
+
+        Object.assign(this, state.ppu);
+        this.interruptFlags = state.interruptFlags;
+        this.irqLine = state.irqLine;
+        this.halted = state.halted;
+        this.timers = state.timers;
+        this.dmaChannels = state.dmaChannels;
+        this.dmaStallCycles = state.dmaStallCycles;
+        if (this.hleBios) this.hleBios.waitingForIrq = state.hleWaitingForIrq;
+
+        // Buttons are live input, not part of the snapshot
+        this.ioRegsView.setUint16(REG_KEYINPUT, ~this.keysHeld & KEY_MASK, true);
+    }
+
+    // === Cartridge Backup (gbajs3-backup.js) ===
+    // Manual override of the detected save type. The old contents are dropped, since the formats differ.
+    setBackupType(type) {
+        this.bus.backup = createBackup(type);
+        console.log(`[Backup] Save type: ${type}`);
+    }
+
+    // Loads a .sav image, switching the save type if the file size calls for it
+    importSave(bytes) {
+        const type = backupTypeForSaveSize(bytes.length, this.bus.backup.type);
+        if (type !== this.bus.backup.type) this.setBackupType(type);
+        this.bus.backup.load(bytes);
+    }
+
+    exportSave() {
+        return this.bus.backup.getData();
+    }
+
+    // === Frame Stepping ===
+    // Runs until the next frame is complete (line 159 rendered, i.e. the start of V-Blank),
+    // so getFramebuffer() afterwards always holds a whole frame. Returns the cycles run.
+    runFrame() {
+        if (!this.romLoaded) throw new Error('No ROM loaded.');
+        const target = this.frameCount + 1;
+        let cycles = 0;
+        while (this.frameCount < target) {
+            cycles += this.stepInstruction();
         }
+        return cycles;
     }
 
-    runGameLoop() {
-        this.animationFrameId = requestAnimationFrame(() => this.runGameLoop()); 
-        
-        if (!this.paused) {
-            let cycles = 0; 
-            const MAX_CPU_STEPS_PER_FRAME = 70224 / 2;
-            let steps = 0;
-            
-            while (cycles < H_CYCLES * V_TOTAL_LINES && steps < MAX_CPU_STEPS_PER_FRAME) {
-                
-                this.cpu.executeNextInstruction(); 
-                this.updatePPU(CYCLES_PER_INSTRUCTION);
-                cycles += CYCLES_PER_INSTRUCTION;
-                steps++;
-                
+    // 240x160 RGBA. The array is reused: copy it to keep a frame past the next runFrame().
+    getFramebuffer() {
+        return this.frameData;
+    }
+
+    // Runs one CPU instruction (or one idle slice while halted) and advances the
+    // hardware by the cycles it took. Pending IRQs are taken between instructions.
+    stepInstruction() {
+        let cycles;
+        if (this.dmaStallCycles > 0) {
+            // The CPU is stopped while DMA owns the bus
+            cycles = this.dmaStallCycles;
+            this.dmaStallCycles = 0;
+        } else if (this.halted) {
+            // Nothing can wake the CPU before the next PPU event or timer overflow
+            cycles = Math.max(1, Math.min(this.cyclesToNextHBlank, this.cyclesToNextTimerOverflow()));
+        } else {
+            if (this.irqLine && !(this.cpu.CPSR & FLAG_I)) {
+                this.cpu.raiseIRQ();
             }
+            cycles = this.cpu.executeNextInstruction(); 
         }
+
+        this.updateTimers(cycles);
+        this.apu.advance(cycles);
+        this.updatePPU(cycles);
+        return cycles;
     }
 }
@@ -0,0 +1,441 @@
+// GBAJS3-Debugger.js (Breakpoints, watchpoints, stepping and call tracking on top of GBAJS3_Frontend)
+
+"use strict";
+
+const DEBUGGER_DISASSEMBLY_LINES = 20; // Lines shown around the PC
+const DEBUGGER_LINES_BEFORE_PC = 6;
+const DEBUGGER_MAX_CALL_DEPTH = 256;   // Frames past this are dropped from the bottom (longjmp, runaway recursion)
+
+const MODE_NAMES = {
+    [MODE_USR]: 'USR', [MODE_FIQ]: 'FIQ', [MODE_IRQ]: 'IRQ', [MODE_SVC]: 'SVC',
+    [MODE_ABT]: 'ABT', [MODE_UND]: 'UND', [MODE_SYS]: 'SYS',
+};
+
+// === GBA_Debugger ===
+// While any breakpoint, watchpoint or call tracking is active, frames are run one
+// instruction at a time here instead of in GBAJS3_Core.runFrame. A stop pauses the
+// front end mid-frame; resuming finishes that same frame, so PPU timing is unaffected.
+class GBA_Debugger {
+    constructor(frontend) {
+        this.frontend = frontend;
+        this.core = frontend.core;
+        this.breakpoints = new Set();
+        this.watchpoints = [];
+        this.trackCalls = false;
+        this.callStack = [];       // [{ kind, from, to, returnAddress }], innermost last
+        this.runToAddress = null;  // One-shot breakpoint for step-over and run-to-cursor
+        this.skipBreakpoint = false; // Lets a resume move off the breakpoint it stopped at
+        this.stopReason = null;
+        this.cursorAddress = null; // Disassembly line selected in the panel
+        this.panel = null;
+    }
+
+    isActive() {
+        return this.breakpoints.size > 0 || this.watchpoints.length > 0 || this.trackCalls || this.runToAddress !== null;
+    }
+
+    // Address of the instruction that executes next (the PC register reads ahead of it)
+    currentAddress() {
+        const cpu = this.core.cpu;
+        return (cpu.registers[REG_PC] - (cpu.isThumb() ? 4 : 8)) >>> 0;
+    }
+
+    // True when the next step runs a CPU instruction rather than a DMA stall or a halted slice
+    cpuWillExecute() {
+        return this.core.dmaStallCycles === 0 && !this.core.halted;
+    }
+
+    irqWillBeTaken() {
+        return this.cpuWillExecute() && this.core.irqLine && !(this.core.cpu.CPSR & FLAG_I);
+    }
+
+    // === Execution ===
+
+    // Advances the core by one step. Returns false for idle steps (DMA stall, halted)
+    // that leave the CPU where it was.
+    advance() {
+        const core = this.core;
+        const cpu = core.cpu;
+        if (this.irqWillBeTaken()) {
+            // Entered here rather than inside stepInstruction so that a breakpoint on the
+            // handler's first instruction is seen before it runs
+            const interrupted = this.currentAddress();
+            cpu.raiseIRQ();
+            if (this.trackCalls) this.pushCall('IRQ', interrupted, this.currentAddress(), interrupted);
+            return true;
+        }
+
+        if (!this.cpuWillExecute()) {
+            core.stepInstruction();
+            return false;
+        }
+
+        const address = this.currentAddress();
+        const size = cpu.isThumb() ? 2 : 4;
+        core.stepInstruction();
+        if (this.trackCalls) this.recordControlFlow(address, size);
+        return true;
+    }
+
+    // A jump that leaves LR pointing just past the instruction is a call: BL (the second
+    // half in Thumb), MOV LR, PC + BX, and the BIOS's ADD LR, PC + LDR PC. Landing on a
+    // recorded return address pops back to that frame.
+    recordControlFlow(address, size) {
+        const target = this.currentAddress();
+        if (target === address + size) return;
+
+        const link = (this.core.cpu.registers[REG_LR] & ~0x1) >>> 0;
+        if (link === address + size) {
+            this.pushCall(target === VECTOR_SWI ? 'SWI' : 'call', address, target, link);
+            return;
+        }
+        for (let i = this.callStack.length - 1; i >= 0; i--) {
+            if (this.callStack[i].returnAddress === target) {
+                this.callStack.length = i;
+                return;
+            }
+        }
+    }
+
+    pushCall(kind, from, to, returnAddress) {
+        this.callStack.push({ kind, from, to, returnAddress });
+        if (this.callStack.length > DEBUGGER_MAX_CALL_DEPTH) this.callStack.shift();
+    }
+
+    // Called by GBAJS3_Frontend.runGameLoop instead of core.runFrame(). Returns false when
+    // a breakpoint or watchpoint stopped the frame part way.
+    runFrame() {
+        const core = this.core;
+        if (!this.isActive()) {
+            core.runFrame();
+            this.refresh();
+            return true;
+        }
+
+        const target = core.frameCount + 1;
+        while (core.frameCount < target) {
+            if (this.skipBreakpoint) {
+                this.skipBreakpoint = false;
+            } else if (this.cpuWillExecute() && !this.irqWillBeTaken()) {
+                const address = this.currentAddress();
+                if (address === this.runToAddress) {
+                    this.runToAddress = null;
+                    this.stop(`Reached ${formatHex(address, 8)}`);
+                    return false;
+                }
+                if (this.breakpoints.has(address)) {
+                    this.stop(`Breakpoint at ${formatHex(address, 8)}`);
+                    return false;
+                }
+            }
+
+            const address = this.currentAddress();
+            this.advance();
+            if (core.bus.watchpointHit) {
+                this.stop(this.describeWatchpointHit(core.bus.watchpointHit, address));
+                core.bus.watchpointHit = null;
+                return false;
+            }
+        }
+        this.refresh();
+        return true;
+    }
+
+    describeWatchpointHit(hit, instructionAddress) {
+        const access = `${hit.write ? 'write' : 'read'}${hit.size * 8}`;
+        const value = hit.write ? ` of ${formatHex(hit.value, hit.size * 2)}` : '';
+        return `Watchpoint: ${access}${value} at ${formatHex(hit.address, 8)} by ${formatHex(instructionAddress, 8)}`;
+    }
+
+    stop(reason) {
+        this.frontend.pause();
+        this.stopReason = reason;
+        console.log(`[Debugger] ${reason}`);
+        this.core.flushRenderQueue(); // Show the lines drawn so far this frame
+        this.frontend.draw();
+        this.frontend.refreshInspectors();
+        this.refresh();
+    }
+
+    pause() {
+        if (!this.frontend.paused) this.stop('Paused');
+    }
+
+    resume() {
+        if (!this.core.romLoaded) return;
+        this.stopReason = null;
+        this.skipBreakpoint = true;
+        this.frontend.start();
+        this.refresh();
+    }
+
+    // Runs exactly one CPU instruction (or takes a pending IRQ). A halted CPU is run until
+    // it wakes, for at most one frame.
+    step() {
+        if (!this.core.romLoaded) return;
+        this.frontend.pause();
+        const frame = this.core.frameCount;
+        const address = this.currentAddress();
+        while (!this.advance() && this.core.frameCount === frame) { /* idle */ }
+        const hit = this.core.bus.watchpointHit;
+        this.core.bus.watchpointHit = null;
+        this.stop(hit ? this.describeWatchpointHit(hit, address) : `Stepped to ${formatHex(this.currentAddress(), 8)}`);
+    }
+
+    // Steps over BL and SWI by running to the instruction after them
+    stepOver() {
+        if (!this.core.romLoaded) return;
+        const address = this.currentAddress();
+        let next = null;
+        if (this.core.cpu.isThumb()) {
+            const instruction = this.core.bus.peek16(address);
+            if ((instruction & 0xF800) === 0xF000) next = address + 4; // BL prefix + suffix
+            else if ((instruction & 0xFF00) === 0xDF00) next = address + 2;
+        } else {
+            const instruction = this.core.bus.peek32(address);
+            if ((instruction & 0x0F000000) === 0x0B000000 || (instruction & 0x0F000000) === 0x0F000000) next = address + 4;
+        }
+        if (next === null || !this.cpuWillExecute() || this.irqWillBeTaken()) {
+            this.step();
+            return;
+        }
+        this.runTo(next);
+    }
+
+    runTo(address) {
+        this.runToAddress = address >>> 0;
+        this.resume();
+    }
+
+    runToCursor() {
+        if (this.cursorAddress !== null) this.runTo(this.cursorAddress);
+    }
+
+    // === Breakpoints and Watchpoints ===
+
+    toggleBreakpoint(address) {
+        address >>>= 0;
+        if (this.breakpoints.has(address)) this.breakpoints.delete(address);
+        else this.breakpoints.add(address);
+        this.refreshLists();
+    }
+
+    // Watches [address, address + length) for reads, writes or both
+    addWatchpoint(address, length, read, write) {
+        if (!read && !write) return;
+        this.watchpoints.push({ start: address >>> 0, end: (address + length) >>> 0, read, write });
+        this.core.bus.watchpoints = this.watchpoints;
+        this.refreshLists();
+    }
+
+    removeWatchpoint(index) {
+        this.watchpoints.splice(index, 1);
+        this.core.bus.watchpoints = this.watchpoints.length ? this.watchpoints : null;
+        this.refreshLists();
+    }
+
+    setTrackCalls(enabled) {
+        this.trackCalls = enabled;
+        this.callStack = []; // Calls made while tracking was off cannot be reconstructed
+        this.refresh();
+    }
+
+    // === Disassembly ===
+    // [{ address, text }] for the lines around the PC
+    disassembleAroundPC() {
+        const bus = this.core.bus;
+        const thumb = this.core.cpu.isThumb();
+        const size = thumb ? 2 : 4;
+        const start = this.currentAddress() - DEBUGGER_LINES_BEFORE_PC * size;
+        const lines = [];
+        for (let i = 0; i < DEBUGGER_DISASSEMBLY_LINES; i++) {
+            const address = (start + i * size) >>> 0;
+            let encoding, text;
+            if (thumb) {
+                const instruction = bus.peek16(address);
+                encoding = formatHex(instruction, 4).slice(2).padStart(8);
+                text = disassembleThumb(instruction, address, bus.peek16(address + 2));
+            } else {
+                const instruction = bus.peek32(address);
+                encoding = formatHex(instruction, 8).slice(2);
+                text = disassembleArm(instruction, address);
+            }
+            lines.push({ address, encoding, text });
+        }
+        return lines;
+    }
+
+    // === Debugger Panel ===
+    createPanel(parentElement) {
+        parentElement.innerHTML = '';
+        const button = (label, action) => {
+            const element = document.createElement('button');
+            element.type = 'button';
+            element.textContent = label;
+            element.addEventListener('click', action);
+            return element;
+        };
+        const section = (title) => {
+            const element = document.createElement('div');
+            element.className = 'debugger-section';
+            const heading = document.createElement('strong');
+            heading.textContent = title;
+            element.appendChild(heading);
+            parentElement.appendChild(element);
+            return element;
+        };
+
+        // Toolbar
+        const toolbar = document.createElement('div');
+        const trackCalls = document.createElement('label');
+        const trackCallsBox = document.createElement('input');
+        trackCallsBox.type = 'checkbox';
+        trackCallsBox.addEventListener('change', () => this.setTrackCalls(trackCallsBox.checked));
+        trackCalls.append(trackCallsBox, ' Track calls');
+        this.status = document.createElement('div');
+        this.status.className = 'debugger-status';
+        toolbar.append(
+            button('Pause', () => this.pause()),
+            button('Continue', () => this.resume()),
+            button('Step', () => this.step()),
+            button('Step Over', () => this.stepOver()),
+            button('Run to Cursor', () => this.runToCursor()),
+            trackCalls, this.status);
+        parentElement.appendChild(toolbar);
+
+        // Disassembly: click selects the cursor line, double-click toggles a breakpoint
+        const columns = document.createElement('div');
+        columns.className = 'debugger-columns';
+        parentElement.appendChild(columns);
+        this.disassemblyView = document.createElement('pre');
+        this.disassemblyView.className = 'debugger-disassembly';
+        this.disassemblyLines = [];
+        for (let i = 0; i < DEBUGGER_DISASSEMBLY_LINES; i++) {
+            const line = document.createElement('div');
+            line.addEventListener('click', () => {
+                this.cursorAddress = line.address;
+                this.refresh();
+            });
+            line.addEventListener('dblclick', () => this.toggleBreakpoint(line.address));
+            this.disassemblyView.appendChild(line);
+            this.disassemblyLines.push(line);
+        }
+        this.registerView = document.createElement('pre');
+        this.registerView.className = 'debugger-registers';
+        columns.append(this.disassemblyView, this.registerView);
+
+        // Breakpoints
+        const breakpointSection = section('Breakpoints');
+        const breakpointInput = document.createElement('input');
+        breakpointInput.placeholder = '08000000';
+        breakpointInput.size = 10;
+        breakpointSection.append(' ', breakpointInput, button('Add', () => {
+            const address = parseInt(breakpointInput.value, 16);
+            if (!Number.isNaN(address)) this.toggleBreakpoint(address);
+        }));
+        this.breakpointList = document.createElement('ul');
+        breakpointSection.appendChild(this.breakpointList);
+
+        // Watchpoints
+        const watchpointSection = section('Watchpoints');
+        const watchAddress = document.createElement('input');
+        watchAddress.placeholder = '03000000';
+        watchAddress.size = 10;
+        const watchLength = document.createElement('input');
+        watchLength.type = 'number';
+        watchLength.min = 1;
+        watchLength.value = 4;
+        watchLength.style.width = '4em';
+        const watchAccess = document.createElement('select');
+        for (const [value, label] of [['write', 'Write'], ['read', 'Read'], ['both', 'Read/Write']]) {
+            watchAccess.add(new Option(label, value));
+        }
+        watchpointSection.append(' ', watchAddress, ' bytes ', watchLength, ' ', watchAccess, button('Add', () => {
+            const address = parseInt(watchAddress.value, 16);
+            const length = Math.max(1, parseInt(watchLength.value, 10) || 1);
+            if (Number.isNaN(address)) return;
+            this.addWatchpoint(address, length, watchAccess.value !== 'write', watchAccess.value !== 'read');
+        }));
+        this.watchpointList = document.createElement('ul');
+        watchpointSection.appendChild(this.watchpointList);
+
+        // Call stack
+        const callSection = section('Call Stack');
+        this.callStackView = document.createElement('pre');
+        callSection.appendChild(this.callStackView);
+
+        this.panel = parentElement;
+        this.refreshLists();
+    }
+
+    // Live views: status, disassembly, registers and call stack. Runs every frame.
+    refresh() {
+        if (!this.panel) return;
+        const core = this.core;
+        const cpu = core.cpu;
+        const running = !this.frontend.paused && core.romLoaded;
+        this.status.textContent = running ? 'Running' : (this.stopReason || 'Stopped');
+
+        const pc = this.currentAddress();
+        const lines = core.romLoaded ? this.disassembleAroundPC() : [];
+        this.disassemblyLines.forEach((element, i) => {
+            const line = lines[i];
+            element.address = line ? line.address : null;
+            if (!line) {
+                element.textContent = '';
+                return;
+            }
+            const marker = (line.address === pc ? '>' : ' ') + (this.breakpoints.has(line.address) ? '*' : ' ');
+            element.textContent = `${marker} ${formatHex(line.address, 8).slice(2)}  ${line.encoding}  ${line.text}`;
+            element.className = line.address === this.cursorAddress ? 'debugger-cursor' : '';
+        });
+
+        const registers = [];
+        for (let r = 0; r < 16; r++) {
+            const value = r === REG_PC ? pc : cpu.registers[r];
+            registers.push(`${REGISTER_NAMES[r].padStart(3)} ${formatHex(value, 8).slice(2)}`);
+        }
+        const flags = [['N', FLAG_N], ['Z', FLAG_Z], ['C', FLAG_C], ['V', FLAG_V], ['I', FLAG_I], ['F', FLAG_F], ['T', FLAG_T]]
+            .map(([name, bit]) => (cpu.CPSR & bit) ? name : name.toLowerCase()).join('');
+        registers.push('', `CPSR ${formatHex(cpu.CPSR, 8).slice(2)}`, `     ${flags} ${MODE_NAMES[cpu.CPSR & 0x1F] || '???'}`);
+        if (cpu.hasSPSR()) registers.push(`SPSR ${formatHex(cpu.getSPSR(), 8).slice(2)}`);
+        if (core.halted) registers.push('', 'HALTED');
+        this.registerView.textContent = registers.join('\n');
+
+        if (!this.trackCalls) {
+            this.callStackView.textContent = 'Enable "Track calls" to record calls.';
+        } else {
+            this.callStackView.textContent = this.callStack.slice().reverse().map((frame) =>
+                `${frame.kind.padEnd(4)} ${formatHex(frame.to, 8)}  from ${formatHex(frame.from, 8)}, returns to ${formatHex(frame.returnAddress, 8)}`
+            ).join('\n') || '(empty)';
+        }
+    }
+
+    // Breakpoint and watchpoint lists; rebuilt only when they change
+    refreshLists() {
+        if (!this.panel) return;
+        this.breakpointList.innerHTML = '';
+        for (const address of this.breakpoints) {
+            const item = document.createElement('li');
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.textContent = 'Remove';
+            remove.addEventListener('click', () => this.toggleBreakpoint(address));
+            item.append(`${formatHex(address, 8)} `, remove);
+            this.breakpointList.appendChild(item);
+        }
+
+        this.watchpointList.innerHTML = '';
+        this.watchpoints.forEach((watchpoint, index) => {
+            const item = document.createElement('li');
+            const access = watchpoint.read && watchpoint.write ? 'read/write' : (watchpoint.write ? 'write' : 'read');
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.textContent = 'Remove';
+            remove.addEventListener('click', () => this.removeWatchpoint(index));
+            item.append(`${formatHex(watchpoint.start, 8)}-${formatHex(watchpoint.end - 1, 8)} ${access} `, remove);
+            this.watchpointList.appendChild(item);
+        });
+        this.refresh();
+    }
+}
@@ -0,0 +1,271 @@
+// GBAJS3-Disasm.js (ARM and Thumb disassembler for the debugger)
+// Output follows the usual ARM assembler syntax. Branch targets and PC-relative
+// addresses are resolved against the instruction's own address.
+
+"use strict";
+
+const CONDITION_NAMES = ['EQ', 'NE', 'CS', 'CC', 'MI', 'PL', 'VS', 'VC', 'HI', 'LS', 'GE', 'LT', 'GT', 'LE', '', 'NV'];
+const REGISTER_NAMES = ['r0', 'r1', 'r2', 'r3', 'r4', 'r5', 'r6', 'r7', 'r8', 'r9', 'r10', 'r11', 'r12', 'sp', 'lr', 'pc'];
+const DATA_PROCESSING_NAMES = ['AND', 'EOR', 'SUB', 'RSB', 'ADD', 'ADC', 'SBC', 'RSC', 'TST', 'TEQ', 'CMP', 'CMN', 'ORR', 'MOV', 'BIC', 'MVN'];
+const SHIFT_NAMES = ['LSL', 'LSR', 'ASR', 'ROR'];
+const THUMB_ALU_NAMES = ['AND', 'EOR', 'LSL', 'LSR', 'ASR', 'ADC', 'SBC', 'ROR', 'TST', 'NEG', 'CMP', 'CMN', 'ORR', 'MUL', 'BIC', 'MVN'];
+
+function formatHex(value, digits = 0) {
+    return '0x' + (value >>> 0).toString(16).toUpperCase().padStart(digits, '0');
+}
+
+function formatImmediate(value) {
+    return value > 9 ? `#${formatHex(value)}` : `#${value}`;
+}
+
+// {r0-r3, r5, lr}
+function formatRegisterList(mask) {
+    const parts = [];
+    for (let r = 0; r < 16; r++) {
+        if (!(mask & (1 << r))) continue;
+        let end = r;
+        while (end < 15 && (mask & (1 << (end + 1)))) end++;
+        parts.push(end - r >= 2 ? `${REGISTER_NAMES[r]}-${REGISTER_NAMES[end]}` : REGISTER_NAMES[r]);
+        if (end - r === 1) parts.push(REGISTER_NAMES[end]);
+        r = end;
+    }
+    return `{${parts.join(', ')}}`;
+}
+
+// === ARM ===
+
+// Operand 2 of data processing: rotated immediate or shifted register
+function armShifterOperand(instruction) {
+    if (instruction & 0x02000000) {
+        const rotate = ((instruction >>> 8) & 0xF) << 1;
+        const value = instruction & 0xFF;
+        return formatImmediate(rotate ? ((value >>> rotate) | (value << (32 - rotate))) >>> 0 : value);
+    }
+    return armShiftedRegister(instruction);
+}
+
+function armShiftedRegister(instruction) {
+    const rm = REGISTER_NAMES[instruction & 0xF];
+    const type = (instruction >>> 5) & 0x3;
+    if (instruction & 0x10) {
+        return `${rm}, ${SHIFT_NAMES[type]} ${REGISTER_NAMES[(instruction >>> 8) & 0xF]}`;
+    }
+    const amount = (instruction >>> 7) & 0x1F;
+    if (amount === 0) {
+        if (type === 0) return rm;
+        if (type === 3) return `${rm}, RRX`;
+        return `${rm}, ${SHIFT_NAMES[type]} #32`;
+    }
+    return `${rm}, ${SHIFT_NAMES[type]} #${amount}`;
+}
+
+// [rn, offset]{!} or [rn], offset. immediateOffset is the signed offset for immediate forms, else null.
+function armAddress(rn, offset, immediateOffset, instruction, address) {
+    const pre = (instruction & 0x01000000) !== 0;
+    const writeBack = (instruction & 0x00200000) !== 0;
+    const base = REGISTER_NAMES[rn];
+    if (!pre) return `[${base}], ${offset}`;
+    if (rn === REG_PC && immediateOffset !== null && !writeBack) {
+        return `[pc, ${offset}] ; ${formatHex(address + 8 + immediateOffset, 8)}`;
+    }
+    if (immediateOffset === 0) return `[${base}]${writeBack ? '!' : ''}`;
+    return `[${base}, ${offset}]${writeBack ? '!' : ''}`;
+}
+
+function disassembleArm(instruction, address) {
+    instruction >>>= 0;
+    const cond = CONDITION_NAMES[instruction >>> 28];
+    const rn = (instruction >>> 16) & 0xF;
+    const rd = (instruction >>> 12) & 0xF;
+    const up = (instruction & 0x00800000) !== 0;
+
+    switch ((instruction >>> 25) & 0x7) {
+        case 0b000:
+            if ((instruction & 0x0FFFFFF0) === 0x012FFF10) {
+                return `BX${cond} ${REGISTER_NAMES[instruction & 0xF]}`;
+            }
+            if ((instruction & 0x0FC000F0) === 0x00000090) {
+                const rm = REGISTER_NAMES[instruction & 0xF], rs = REGISTER_NAMES[(instruction >>> 8) & 0xF];
+                const s = (instruction & 0x00100000) ? 'S' : '';
+                if (instruction & 0x00200000) {
+                    return `MLA${cond}${s} ${REGISTER_NAMES[rn]}, ${rm}, ${rs}, ${REGISTER_NAMES[rd]}`;
+                }
+                return `MUL${cond}${s} ${REGISTER_NAMES[rn]}, ${rm}, ${rs}`;
+            }
+            if ((instruction & 0x0F8000F0) === 0x00800090) {
+                const name = ['UMULL', 'UMLAL', 'SMULL', 'SMLAL'][(instruction >>> 21) & 0x3];
+                const s = (instruction & 0x00100000) ? 'S' : '';
+                return `${name}${cond}${s} ${REGISTER_NAMES[rd]}, ${REGISTER_NAMES[rn]}, ${REGISTER_NAMES[instruction & 0xF]}, ${REGISTER_NAMES[(instruction >>> 8) & 0xF]}`;
+            }
+            if ((instruction & 0x0FB00FF0) === 0x01000090) {
+                const b = (instruction & 0x00400000) ? 'B' : '';
+                return `SWP${cond}${b} ${REGISTER_NAMES[rd]}, ${REGISTER_NAMES[instruction & 0xF]}, [${REGISTER_NAMES[rn]}]`;
+            }
+            if ((instruction & 0x00000090) === 0x00000090 && (instruction & 0x60)) {
+                const load = (instruction & 0x00100000) !== 0;
+                const name = load ? ['', 'LDRH', 'LDRSB', 'LDRSH'][(instruction >>> 5) & 0x3] : 'STRH';
+                const sign = up ? '' : '-';
+                const distance = ((instruction >>> 4) & 0xF0) | (instruction & 0xF);
+                const immediateForm = (instruction & 0x00400000) !== 0;
+                const offset = immediateForm ? `#${sign}${distance}` : `${sign}${REGISTER_NAMES[instruction & 0xF]}`;
+                const immediateOffset = immediateForm ? (up ? distance : -distance) : null;
+                return `${name}${cond} ${REGISTER_NAMES[rd]}, ${armAddress(rn, offset, immediateOffset, instruction, address)}`;
+            }
+            // Falls through to data processing / PSR transfer
+        case 0b001: {
+            const opcode = (instruction >>> 21) & 0xF;
+            const setFlags = (instruction & 0x00100000) !== 0;
+            if (!setFlags && opcode >= 0x8 && opcode <= 0xB) {
+                const psr = (instruction & 0x00400000) ? 'SPSR' : 'CPSR';
+                if (!(instruction & 0x00200000)) return `MRS${cond} ${REGISTER_NAMES[rd]}, ${psr}`;
+                const fields = ['c', 'x', 's', 'f'].filter((field, bit) => instruction & (1 << (16 + bit))).join('');
+                return `MSR${cond} ${psr}_${fields}, ${armShifterOperand(instruction)}`;
+            }
+            const name = DATA_PROCESSING_NAMES[opcode];
+            const operand = armShifterOperand(instruction);
+            if (opcode >= 0x8 && opcode <= 0xB) return `${name}${cond} ${REGISTER_NAMES[rn]}, ${operand}`;
+            const s = setFlags ? 'S' : '';
+            if (opcode === 0xD || opcode === 0xF) return `${name}${cond}${s} ${REGISTER_NAMES[rd]}, ${operand}`;
+            return `${name}${cond}${s} ${REGISTER_NAMES[rd]}, ${REGISTER_NAMES[rn]}, ${operand}`;
+        }
+        case 0b011:
+            if (instruction & 0x10) return `UND${cond} ; ${formatHex(instruction, 8)}`;
+            // Falls through: register offset
+        case 0b010: {
+            const load = (instruction & 0x00100000) ? 'LDR' : 'STR';
+            const b = (instruction & 0x00400000) ? 'B' : '';
+            const t = (!(instruction & 0x01000000) && (instruction & 0x00200000)) ? 'T' : '';
+            const sign = up ? '' : '-';
+            const registerForm = (instruction & 0x02000000) !== 0;
+            const distance = instruction & 0xFFF;
+            const offset = registerForm ? `${sign}${armShiftedRegister(instruction)}` : `#${sign}${distance}`;
+            const immediateOffset = registerForm ? null : (up ? distance : -distance);
+            return `${load}${cond}${b}${t} ${REGISTER_NAMES[rd]}, ${armAddress(rn, offset, immediateOffset, instruction, address)}`;
+        }
+        case 0b100: {
+            const load = (instruction & 0x00100000) !== 0;
+            const mode = ['DA', 'IA', 'DB', 'IB'][(instruction >>> 23) & 0x3];
+            const writeBack = (instruction & 0x00200000) ? '!' : '';
+            const userBank = (instruction & 0x00400000) ? '^' : '';
+            const list = formatRegisterList(instruction & 0xFFFF);
+            if (rn === REG_SP && writeBack) {
+                if (load && mode === 'IA') return `POP${cond} ${list}${userBank}`;
+                if (!load && mode === 'DB') return `PUSH${cond} ${list}${userBank}`;
+            }
+            return `${load ? 'LDM' : 'STM'}${cond}${mode} ${REGISTER_NAMES[rn]}${writeBack}, ${list}${userBank}`;
+        }
+        case 0b101: {
+            const offset = (instruction << 8) >> 6;
+            const link = (instruction & 0x01000000) ? 'L' : '';
+            return `B${link}${cond} ${formatHex(address + 8 + offset, 8)}`;
+        }
+        case 0b110:
+            return `CDT${cond} ; ${formatHex(instruction, 8)}`;
+        case 0b111:
+            if (instruction & 0x01000000) return `SWI${cond} ${formatHex(instruction & 0xFFFFFF)}`;
+            return `CDP${cond} ; ${formatHex(instruction, 8)}`;
+    }
+    return `.word ${formatHex(instruction, 8)}`;
+}
+
+// === Thumb ===
+// next is the following halfword, needed for the two-halfword BL.
+
+function disassembleThumb(instruction, address, next = 0) {
+    const rd = instruction & 0x7;
+    const rs = (instruction >>> 3) & 0x7;
+    const r = (n) => REGISTER_NAMES[n];
+
+    switch (instruction >>> 13) {
+        case 0b000: {
+            const op = (instruction >>> 11) & 0x3;
+            if (op !== 3) {
+                return `${SHIFT_NAMES[op]} ${r(rd)}, ${r(rs)}, #${(instruction >>> 6) & 0x1F}`;
+            }
+            const name = (instruction & 0x0200) ? 'SUB' : 'ADD';
+            const operand = (instruction & 0x0400) ? `#${(instruction >>> 6) & 0x7}` : r((instruction >>> 6) & 0x7);
+            return `${name} ${r(rd)}, ${r(rs)}, ${operand}`;
+        }
+        case 0b001: {
+            const name = ['MOV', 'CMP', 'ADD', 'SUB'][(instruction >>> 11) & 0x3];
+            return `${name} ${r((instruction >>> 8) & 0x7)}, ${formatImmediate(instruction & 0xFF)}`;
+        }
+        case 0b010:
+            if ((instruction & 0xFC00) === 0x4000) {
+                return `${THUMB_ALU_NAMES[(instruction >>> 6) & 0xF]} ${r(rd)}, ${r(rs)}`;
+            }
+            if ((instruction & 0xFC00) === 0x4400) {
+                const op = (instruction >>> 8) & 0x3;
+                const hd = rd | ((instruction >>> 4) & 0x8);
+                const hs = (instruction >>> 3) & 0xF;
+                if (op === 3) return `BX ${r(hs)}`;
+                return `${['ADD', 'CMP', 'MOV'][op]} ${r(hd)}, ${r(hs)}`;
+            }
+            if ((instruction & 0xF800) === 0x4800) {
+                const target = (((address + 4) & ~0x3) + ((instruction & 0xFF) << 2)) >>> 0;
+                return `LDR ${r((instruction >>> 8) & 0x7)}, [pc, #${(instruction & 0xFF) << 2}] ; ${formatHex(target, 8)}`;
+            }
+            {
+                const ro = r((instruction >>> 6) & 0x7);
+                const names = (instruction & 0x0200)
+                    ? ['STRH', 'LDSB', 'LDRH', 'LDSH']
+                    : ['STR', 'STRB', 'LDR', 'LDRB'];
+                return `${names[(instruction >>> 10) & 0x3]} ${r(rd)}, [${r(rs)}, ${ro}]`;
+            }
+        case 0b011: {
+            const byte = (instruction & 0x1000) !== 0;
+            const offset = ((instruction >>> 6) & 0x1F) << (byte ? 0 : 2);
+            const name = ((instruction & 0x0800) ? 'LDR' : 'STR') + (byte ? 'B' : '');
+            return `${name} ${r(rd)}, [${r(rs)}, #${offset}]`;
+        }
+        case 0b100: {
+            const load = (instruction & 0x0800) !== 0;
+            if (!(instruction & 0x1000)) {
+                return `${load ? 'LDRH' : 'STRH'} ${r(rd)}, [${r(rs)}, #${((instruction >>> 6) & 0x1F) << 1}]`;
+            }
+            return `${load ? 'LDR' : 'STR'} ${r((instruction >>> 8) & 0x7)}, [sp, #${(instruction & 0xFF) << 2}]`;
+        }
+        case 0b101: {
+            if (!(instruction & 0x1000)) {
+                const base = (instruction & 0x0800) ? 'sp' : 'pc';
+                return `ADD ${r((instruction >>> 8) & 0x7)}, ${base}, #${(instruction & 0xFF) << 2}`;
+            }
+            if ((instruction & 0xFF00) === 0xB000) {
+                const offset = (instruction & 0x7F) << 2;
+                return `${(instruction & 0x80) ? 'SUB' : 'ADD'} sp, #${offset}`;
+            }
+            if ((instruction & 0x0600) === 0x0400) {
+                const pop = (instruction & 0x0800) !== 0;
+                const extra = (instruction & 0x0100) ? (1 << (pop ? REG_PC : REG_LR)) : 0;
+                return `${pop ? 'POP' : 'PUSH'} ${formatRegisterList((instruction & 0xFF) | extra)}`;
+            }
+            break;
+        }
+        case 0b110: {
+            if (!(instruction & 0x1000)) {
+                const name = (instruction & 0x0800) ? 'LDMIA' : 'STMIA';
+                return `${name} ${r((instruction >>> 8) & 0x7)}!, ${formatRegisterList(instruction & 0xFF)}`;
+            }
+            const cond = (instruction >>> 8) & 0xF;
+            if (cond === 0xF) return `SWI ${formatHex(instruction & 0xFF)}`;
+            if (cond === 0xE) break;
+            const offset = ((instruction & 0xFF) << 24) >> 23;
+            return `B${CONDITION_NAMES[cond]} ${formatHex(address + 4 + offset, 8)}`;
+        }
+        case 0b111: {
+            const op = (instruction >>> 11) & 0x3;
+            if (op === 0) {
+                const offset = ((instruction & 0x7FF) << 21) >> 20;
+                return `B ${formatHex(address + 4 + offset, 8)}`;
+            }
+            if (op === 2) {
+                if ((next & 0xF800) !== 0xF800) return `BL (prefix) ; ${formatHex(instruction, 4)}`;
+                const high = ((instruction & 0x7FF) << 21) >> 9;
+                return `BL ${formatHex(address + 4 + high + ((next & 0x7FF) << 1), 8)}`;
+            }
+            if (op === 3) return 'BL (suffix)';
+            break;
+        }
+    }
+    return `.hword ${formatHex(instruction, 4)}`;
+}
@@ -0,0 +1,105 @@
+// GBAJS3-Frontend.js (Canvas front end: drives a headless GBAJS3_Core from requestAnimationFrame)
+
+"use strict";
+
+// === GBAJS3_Frontend ===
+// Owns everything browser-specific: the canvas, the frame loop, and the optional
+// audio output (GBA_AudioOutput), input (GBA_Input), cheats (GBA_CheatManager) and
+// debugger (GBA_Debugger) attached by the page. Inspectors (GBA_VideoViewers,
+// GBA_MemoryViewer) are dev tools views with a refresh() method, called once per frame.
+class GBAJS3_Frontend {
+    constructor(containerElement, core) {
+        this.core = core;
+        this.audioOutput = null;
+        this.input = null;
+        this.cheats = null;
+        this.debugger = null;
+        this.inspectors = [];
+        this.paused = true;
+        this.animationFrameId = null;
+        this.showDebugOverlay = true; // PC/VCOUNT/mode readout in the corner
+
+        // Display Setup
+        this.screen = document.createElement('canvas');
+        this.screen.width = SCREEN_WIDTH; this.screen.height = SCREEN_HEIGHT;
+        containerElement.appendChild(this.screen);
+        this.ctx = this.screen.getContext('2d');
+        this.imageData = this.ctx.createImageData(SCREEN_WIDTH, SCREEN_HEIGHT);
+
+        this.drawPlaceholder();
+    }
+
+    drawPlaceholder() {
+        this.ctx.fillStyle = '#000000';
+        this.ctx.fillRect(0, 0, 240, 160);
+        this.ctx.fillStyle = '#FFFFFF';
+        this.ctx.font = '12px sans-serif';
+        this.ctx.textAlign = 'center';
+        this.ctx.fillText('Core Initialized. Waiting for ROM.', 120, 80);
+    }
+
+    start() {
+        this.paused = false;
+        if (!this.animationFrameId) {
+            this.runGameLoop();
+        }
+    }
+
+    pause() {
+        this.paused = true;
+    }
+
+    runGameLoop() {
+        this.animationFrameId = requestAnimationFrame(() => this.runGameLoop());
+
+        if (this.paused || !this.core.romLoaded) return;
+
+        if (this.input) {
+            this.input.poll();
+        }
+
+        if (this.cheats) {
+            this.cheats.apply();
+        }
+
+        if (this.debugger) {
+            // May stop part way through the frame; it pauses this loop when it does
+            this.debugger.runFrame();
+        } else {
+            this.core.runFrame();
+        }
+        this.draw();
+        this.refreshInspectors();
+
+        if (this.audioOutput) {
+            this.audioOutput.pump();
+        }
+    }
+
+    addInspector(inspector) {
+        this.inspectors.push(inspector);
+    }
+
+    refreshInspectors() {
+        for (const inspector of this.inspectors) {
+            inspector.refresh();
+        }
+    }
+
+    draw() {
+        this.imageData.data.set(this.core.getFramebuffer());
+        this.ctx.putImageData(this.imageData, 0, 0);
+        if (!this.showDebugOverlay) return;
+
+        const core = this.core;
+        const vcount = core.ioRegsView.getUint16(0x006, true);
+        const pc = core.cpu.registers[REG_PC];
+        this.ctx.fillStyle = '#FFFFFF';
+        this.ctx.font = '10px monospace';
+        this.ctx.textAlign = 'left';
+        this.ctx.fillText(`PC: 0x${pc.toString(16).toUpperCase().padStart(8, '0')}`, 5, 10);
+        this.ctx.fillText(`VCOUNT: ${vcount}`, 5, 20);
+        this.ctx.fillText(`MODE: ${core.currentVideoMode}`, 5, 30);
+        this.ctx.fillText(`RENDERED: ${core.lastRenderedLine}`, 5, 40);
+    }
+}
@@ -0,0 +1,465 @@
+// GBAJS3-HLE-Bios.js (High-level emulated BIOS, used when no gba_bios.bin is available)
+// SWI calls run in JavaScript instead of entering the BIOS. Only the IRQ dispatcher runs as ARM code,
+// from a small generated image, because games return from their handlers into it.
+
+"use strict";
+
+const BIOS_SIZE = 0x4000;
+const BIOS_IRQ_FLAGS = 0x03007FF8;   // IntrCheck flags, set by the game's IRQ handler
+const BIOS_RESET_FLAG = 0x03007FFA;  // SoftReset entry: 0 = ROM, nonzero = EWRAM
+const MULTIBOOT_ENTRY = 0x02000000;  // Multiboot images arrive over the link cable and run from EWRAM
+const BIOS_CHECKSUM = 0xBAAE187F;    // What GetBiosChecksum returns on a GBA
+
+// Post-boot stack pointers the real BIOS leaves behind
+const HLE_STACK_SYS = 0x03007F00;
+const HLE_STACK_IRQ = 0x03007FA0;
+const HLE_STACK_SVC = 0x03007FE0;
+
+// ARM code placed in the generated image, as word offset/opcode pairs
+const HLE_BIOS_CODE = [
+    [0x000, 0xEAFFFFFE], // Reset:            b .
+    [0x004, 0xE1B0F00E], // Undefined:        movs pc, lr
+    [0x008, 0xE1B0F00E], // SWI (not used):   movs pc, lr
+    [0x00C, 0xE25EF004], // Prefetch abort:   subs pc, lr, #4
+    [0x010, 0xE25EF004], // Data abort:       subs pc, lr, #4
+    [0x018, 0xEA000042], // IRQ:              b 0x128
+    [0x128, 0xE92D500F], //                   stmfd sp!, {r0-r3, r12, lr}
+    [0x12C, 0xE3A00301], //                   mov r0, #0x04000000
+    [0x130, 0xE28FE000], //                   add lr, pc, #0
+    [0x134, 0xE510F004], //                   ldr pc, [r0, #-4]   (handler at 0x03FFFFFC)
+    [0x138, 0xE8BD500F], //                   ldmfd sp!, {r0-r3, r12, lr}
+    [0x13C, 0xE25EF004], //                   subs pc, lr, #4
+];
+
+function createHleBiosImage() {
+    const image = new ArrayBuffer(BIOS_SIZE);
+    const view = new DataView(image);
+    for (const [offset, opcode] of HLE_BIOS_CODE) {
+        view.setUint32(offset, opcode, true);
+    }
+    return image;
+}
+
+// BIOS ArcTan polynomial, 1.14 fixed point in and out
+function biosArcTan(i) {
+    const a = -(Math.imul(i, i) >> 14);
+    let b = (Math.imul(0xA9, a) >> 14) + 0x390;
+    b = (Math.imul(b, a) >> 14) + 0x91C;
+    b = (Math.imul(b, a) >> 14) + 0xFB6;
+    b = (Math.imul(b, a) >> 14) + 0x16AA;
+    b = (Math.imul(b, a) >> 14) + 0x2081;
+    b = (Math.imul(b, a) >> 14) + 0x3651;
+    b = (Math.imul(b, a) >> 14) + 0xA2F9;
+    return Math.imul(i, b) >> 16;
+}
+
+// Full-circle angle of (x, y) as 0x0000-0xFFFF
+function biosArcTan2(x, y) {
+    const div = (n, d) => Math.trunc(n / d) | 0;
+    if (y === 0) return x >= 0 ? 0 : 0x8000;
+    if (x === 0) return y >= 0 ? 0x4000 : 0xC000;
+    if (y >= 0) {
+        if (x >= 0) {
+            if (x >= y) return biosArcTan(div(y << 14, x));
+        } else if (-x >= y) {
+            return biosArcTan(div(y << 14, x)) + 0x8000;
+        }
+        return 0x4000 - biosArcTan(div(x << 14, y));
+    }
+    if (x <= 0) {
+        if (-x > -y) return biosArcTan(div(y << 14, x)) + 0x8000;
+    } else if (x >= -y) {
+        return biosArcTan(div(y << 14, x)) + 0x10000;
+    }
+    return 0xC000 - biosArcTan(div(x << 14, y));
+}
+
+// Register and IO state the real BIOS leaves when it jumps to the game. Also used with a
+// real BIOS image to start multiboot images, which have no cartridge for the BIOS to boot.
+function skipBiosBoot(core, entry) {
+    resetBootRegisters(core.cpu, entry);
+    core.ioRegsView.setUint8(REG_POSTFLG, 1);
+    core.bus.pcInBios = false;
+    core.bus.biosLatch = 0xE129F000; // Last BIOS opcode fetched before the hand-off
+}
+
+function resetBootRegisters(cpu, entry) {
+    cpu.switchMode(MODE_IRQ);
+    cpu.registers[REG_SP] = HLE_STACK_IRQ;
+    cpu.registers[REG_LR] = 0;
+    cpu.switchMode(MODE_SVC);
+    cpu.registers[REG_SP] = HLE_STACK_SVC;
+    cpu.registers[REG_LR] = 0;
+    cpu.switchMode(MODE_SYS);
+    cpu.registers[REG_SP] = HLE_STACK_SYS;
+    cpu.registers[REG_LR] = 0;
+    for (let r = 0; r < 13; r++) cpu.registers[r] = 0;
+    cpu.bankedSPSR.fill(0);
+    cpu.CPSR = MODE_SYS;
+    cpu.branchTo(entry);
+}
+
+// === GBA_HLEBios ===
+class GBA_HLEBios {
+    constructor(core) {
+        this.core = core;
+        this.bus = core.bus;
+        this.cpu = core.cpu;
+        this.unimplementedLogged = new Set();
+        this.waitingForIrq = false; // Inside IntrWait: the repeated SWI must not discard flags again
+    }
+
+    // entry is the cartridge, or EWRAM for a multiboot image
+    skipBoot(entry = 0x08000000) {
+        skipBiosBoot(this.core, entry);
+        console.log(`[HLE BIOS] Booting directly into ${entry === MULTIBOOT_ENTRY ? 'EWRAM' : 'the ROM'}.`);
+    }
+
+    resetRegisters(entry) {
+        resetBootRegisters(this.cpu, entry);
+    }
+
+    // Called by GBA_CPU.raiseSoftwareInterrupt; returns the cycles the call took
+    handleSwi(number) {
+        const r = this.cpu.registers;
+        switch (number) {
+            case 0x00: this.softReset(); return 200;
+            case 0x01: return this.registerRamReset(r[0]);
+            case 0x02: this.halt(); return 3;                             // Halt
+            case 0x03: this.halt(); return 3;                             // Stop (treated as Halt)
+            case 0x04: return this.intrWait(r[0], r[1]);
+            case 0x05: return this.intrWait(1, IRQ_VBLANK);               // VBlankIntrWait
+            case 0x06: return this.divide(r[0] | 0, r[1] | 0);            // Div
+            case 0x07: return this.divide(r[1] | 0, r[0] | 0);            // DivArm
+            case 0x08: r[0] = Math.floor(Math.sqrt(r[0])); return 40;     // Sqrt
+            case 0x09: r[0] = biosArcTan(r[0] | 0); return 50;            // ArcTan
+            case 0x0A: r[0] = biosArcTan2(r[0] | 0, r[1] | 0) & 0xFFFF; return 60;
+            case 0x0B: return this.cpuSet(r[0], r[1], r[2], false);
+            case 0x0C: return this.cpuSet(r[0], r[1], r[2], true);        // CpuFastSet
+            case 0x0D: r[0] = BIOS_CHECKSUM; return 10;                   // GetBiosChecksum
+            case 0x0E: return this.bgAffineSet(r[0], r[1], r[2]);
+            case 0x0F: return this.objAffineSet(r[0], r[1], r[2], r[3]);
+            case 0x10: return this.bitUnPack(r[0], r[1], r[2]);
+            case 0x11: return this.writeOutput(r[1], this.lz77Decompress(r[0]), false);
+            case 0x12: return this.writeOutput(r[1], this.lz77Decompress(r[0]), true);
+            case 0x13: return this.huffmanDecompress(r[0], r[1]);
+            case 0x14: return this.writeOutput(r[1], this.rleDecompress(r[0]), false);
+            case 0x15: return this.writeOutput(r[1], this.rleDecompress(r[0]), true);
+        }
+        if (!this.unimplementedLogged.has(number)) {
+            this.unimplementedLogged.add(number);
+            console.log(`[HLE BIOS] Unimplemented SWI 0x${number.toString(16).toUpperCase().padStart(2, '0')}, ignored.`);
+        }
+        return 3;
+    }
+
+    // === Resets ===
+    softReset() {
+        const toEwram = this.bus.read8(BIOS_RESET_FLAG) !== 0;
+        this.core.iwram.fill(0, 0x7E00, 0x8000);
+        this.resetRegisters(toEwram ? MULTIBOOT_ENTRY : 0x08000000);
+    }
+
+    // r0 bits: 0 EWRAM, 1 IWRAM (except the top 0x200 bytes), 2 palette, 3 VRAM, 4 OAM,
+    // 5 serial registers, 6 sound registers, 7 all other registers
+    registerRamReset(flags) {
+        const core = this.core;
+        const io = core.ioRegsView;
+        core.flushRenderQueue();
+
+        if (flags & 0x01) core.ewram.fill(0);
+        if (flags & 0x02) core.iwram.fill(0, 0, 0x7E00);
+        if (flags & 0x04) {
+            core.paletteRAM.fill(0);
+            core.paletteRGB.fill(0);
+        }
+        if (flags & 0x08) core.vram.fill(0);
+        if (flags & 0x10) core.oam.fill(0);
+        if (flags & 0x20) {
+            for (let offset = 0x120; offset < 0x160; offset += 2) io.setUint16(offset, 0, true);
+            io.setUint16(REG_KEYINPUT, ~core.keysHeld & KEY_MASK, true); // Not a serial register
+            io.setUint16(REG_KEYCNT, 0, true);
+        }
+        if (flags & 0x40) {
+            // Through the bus so the APU sees its registers change
+            for (let offset = 0x060; offset < 0x0A8; offset += 2) this.bus.write16(0x04000000 + offset, 0);
+        }
+        if (flags & 0x80) {
+            const ranges = [[0x000, 0x060], [0x0B0, 0x0E0], [0x100, 0x110], [REG_IE, REG_IE + 2], [REG_WAITCNT, REG_WAITCNT + 2], [REG_IME, REG_IME + 2]];
+            for (const [start, end] of ranges) {
+                for (let offset = start; offset < end; offset += 2) this.bus.write16(0x04000000 + offset, 0);
+            }
+            this.bus.write16(0x04000000 + REG_IF, 0xFFFF); // Acknowledge everything
+            this.bus.write16(0x04000000 + REG_DISPCNT, 0x0080); // Forced blank, as the BIOS leaves it
+        }
+        return 100;
+    }
+
+    // === Interrupt Waits ===
+    // Returns once one of 'flags' has been recorded at BIOS_IRQ_FLAGS by the game's IRQ handler.
+    // While waiting, the CPU halts with the PC on the SWI, so it runs again after each interrupt.
+    intrWait(discardOld, flags) {
+        const bus = this.bus;
+        bus.write16(0x04000000 + REG_IME, 1);
+
+        const recorded = bus.read16(BIOS_IRQ_FLAGS);
+        if (discardOld && !this.waitingForIrq) {
+            bus.write16(BIOS_IRQ_FLAGS, recorded & ~flags);
+        } else if (recorded & flags) {
+            bus.write16(BIOS_IRQ_FLAGS, recorded & ~flags);
+            this.waitingForIrq = false;
+            return 10;
+        }
+
+        const cpu = this.cpu;
+        this.waitingForIrq = true;
+        cpu.branchTo(cpu.nextInstructionAddress() - (cpu.isThumb() ? 2 : 4));
+        this.halt();
+        return 10;
+    }
+
+    // Same as a HALTCNT write: an interrupt already pending ends the halt at once
+    halt() {
+        this.core.halted = true;
+        this.core.updateInterruptLine();
+    }
+
+    // === Arithmetic ===
+    divide(numerator, denominator) {
+        const r = this.cpu.registers;
+        if (denominator === 0) {
+            // The real BIOS never returns; keep the game running instead
+            r[0] = numerator < 0 ? -1 : 1;
+            r[1] = numerator;
+            r[3] = 1;
+            return 20;
+        }
+        const quotient = Math.trunc(numerator / denominator) | 0;
+        r[0] = quotient;
+        r[1] = numerator - Math.imul(quotient, denominator);
+        r[3] = Math.abs(quotient);
+        return 40;
+    }
+
+    // === Memory Copy/Fill ===
+    // r2: bits 0-20 unit count, bit 24 fill with the first source unit, bit 26 32-bit units.
+    // CpuFastSet always moves words, in blocks of 8.
+    cpuSet(source, dest, control, fast) {
+        const bus = this.bus;
+        const fill = (control & (1 << 24)) !== 0;
+        const words = fast || (control & (1 << 26)) !== 0;
+        let count = control & 0x1FFFFF;
+        if (fast) count = (count + 7) & ~0x7;
+
+        if (words) {
+            source &= ~0x3;
+            dest &= ~0x3;
+            const value = bus.read32(source);
+            for (let i = 0; i < count; i++) {
+                bus.write32(dest + i * 4, fill ? value : bus.read32(source + i * 4));
+            }
+        } else {
+            source &= ~0x1;
+            dest &= ~0x1;
+            const value = bus.read16(source);
+            for (let i = 0; i < count; i++) {
+                bus.write16(dest + i * 2, fill ? value : bus.read16(source + i * 2));
+            }
+        }
+        return 20 + count * (fast ? 2 : 4);
+    }
+
+    // === Affine Setup ===
+    // Angles use the upper byte of a 16-bit value: 0x100 steps per full turn.
+    bgAffineSet(source, dest, count) {
+        const bus = this.bus;
+        for (let i = 0; i < count; i++) {
+            const originX = (bus.read32(source) | 0) / 256;
+            const originY = (bus.read32(source + 4) | 0) / 256;
+            const screenX = (bus.read16(source + 8) << 16) >> 16;
+            const screenY = (bus.read16(source + 10) << 16) >> 16;
+            const scaleX = ((bus.read16(source + 12) << 16) >> 16) / 256;
+            const scaleY = ((bus.read16(source + 14) << 16) >> 16) / 256;
+            const theta = (bus.read16(source + 16) >> 8) / 128 * Math.PI;
+            source += 20;
+
+            const pa = Math.cos(theta) * scaleX;
+            const pb = -Math.sin(theta) * scaleX;
+            const pc = Math.sin(theta) * scaleY;
+            const pd = Math.cos(theta) * scaleY;
+            const startX = originX - (pa * screenX + pb * screenY);
+            const startY = originY - (pc * screenX + pd * screenY);
+
+            bus.write16(dest, Math.trunc(pa * 256));
+            bus.write16(dest + 2, Math.trunc(pb * 256));
+            bus.write16(dest + 4, Math.trunc(pc * 256));
+            bus.write16(dest + 6, Math.trunc(pd * 256));
+            bus.write32(dest + 8, Math.trunc(startX * 256));
+            bus.write32(dest + 12, Math.trunc(startY * 256));
+            dest += 16;
+        }
+        return 20 + count * 60;
+    }
+
+    // Writes PA-PD 'stride' bytes apart (2 for a packed matrix, 8 to land in OAM)
+    objAffineSet(source, dest, count, stride) {
+        const bus = this.bus;
+        for (let i = 0; i < count; i++) {
+            const scaleX = ((bus.read16(source) << 16) >> 16) / 256;
+            const scaleY = ((bus.read16(source + 2) << 16) >> 16) / 256;
+            const theta = (bus.read16(source + 4) >> 8) / 128 * Math.PI;
+            source += 8;
+
+            bus.write16(dest, Math.trunc(Math.cos(theta) * scaleX * 256));
+            bus.write16(dest + stride, Math.trunc(-Math.sin(theta) * scaleX * 256));
+            bus.write16(dest + stride * 2, Math.trunc(Math.sin(theta) * scaleY * 256));
+            bus.write16(dest + stride * 3, Math.trunc(Math.cos(theta) * scaleY * 256));
+            dest += stride * 4;
+        }
+        return 20 + count * 40;
+    }
+
+    // === Decompression ===
+    // The sources start with a word: bits 4-7 type, bits 8-31 decompressed size.
+
+    // Unpacks 1/2/4/8-bit units into 1/2/4/8/16/32-bit units, adding an offset to nonzero
+    // (or all, with bit 31 of the offset) units. Info: u16 source length, u8 source width,
+    // u8 dest width, u32 offset.
+    bitUnPack(source, dest, info) {
+        const bus = this.bus;
+        const length = bus.read16(info);
+        const sourceWidth = bus.read8(info + 2);
+        const destWidth = bus.read8(info + 3);
+        const offsetWord = bus.read32(info + 4);
+        const offset = offsetWord & 0x7FFFFFFF;
+        const offsetZero = (offsetWord & 0x80000000) !== 0;
+        const sourceMask = (1 << sourceWidth) - 1;
+
+        let out = 0;
+        let outBits = 0;
+        dest &= ~0x3;
+        for (let i = 0; i < length; i++) {
+            const byte = bus.read8(source + i);
+            for (let bit = 0; bit < 8; bit += sourceWidth) {
+                let unit = (byte >> bit) & sourceMask;
+                if (unit !== 0 || offsetZero) unit += offset;
+                out |= unit << outBits;
+                outBits += destWidth;
+                if (outBits >= 32) {
+                    bus.write32(dest, out);
+                    dest += 4;
+                    out = 0;
+                    outBits = 0;
+                }
+            }
+        }
+        return 20 + length * 8;
+    }
+
+    lz77Decompress(source) {
+        const bus = this.bus;
+        const size = bus.read32(source) >>> 8;
+        const out = new Uint8Array(size);
+        let s = source + 4;
+        let o = 0;
+        while (o < size) {
+            let flags = bus.read8(s++);
+            for (let block = 0; block < 8 && o < size; block++, flags <<= 1) {
+                if (!(flags & 0x80)) {
+                    out[o++] = bus.read8(s++);
+                    continue;
+                }
+                // Back-reference: 4-bit length - 3, 12-bit displacement - 1
+                const b1 = bus.read8(s++);
+                const b2 = bus.read8(s++);
+                const length = (b1 >> 4) + 3;
+                const from = o - ((((b1 & 0xF) << 8) | b2) + 1);
+                for (let k = 0; k < length && o < size; k++) {
+                    out[o] = from + k >= 0 ? out[from + k] : 0;
+                    o++;
+                }
+            }
+        }
+        return out;
+    }
+
+    rleDecompress(source) {
+        const bus = this.bus;
+        const size = bus.read32(source) >>> 8;
+        const out = new Uint8Array(size);
+        let s = source + 4;
+        let o = 0;
+        while (o < size) {
+            const flag = bus.read8(s++);
+            if (flag & 0x80) {
+                const length = (flag & 0x7F) + 3;
+                const value = bus.read8(s++);
+                for (let k = 0; k < length && o < size; k++) out[o++] = value;
+            } else {
+                const length = (flag & 0x7F) + 1;
+                for (let k = 0; k < length && o < size; k++) out[o++] = bus.read8(s++);
+            }
+        }
+        return out;
+    }
+
+    // The tree follows the header: a size byte, then nodes. Each node holds the offset to its
+    // children (bits 0-5) and flags marking child 0 (bit 7) / child 1 (bit 6) as data leaves.
+    // The bitstream is read in words, MSB first; output is written in words.
+    huffmanDecompress(source, dest) {
+        const bus = this.bus;
+        const header = bus.read32(source);
+        const dataBits = header & 0xF;
+        const size = header >>> 8;
+        const treeBase = source + 4;
+        const rootAddress = treeBase + 1;
+        let stream = treeBase + (bus.read8(treeBase) + 1) * 2;
+
+        let nodeAddress = rootAddress;
+        let node = bus.read8(rootAddress);
+        let out = 0;
+        let outBits = 0;
+        let written = 0;
+        dest &= ~0x3;
+        while (written < size) {
+            const word = bus.read32(stream);
+            stream += 4;
+            for (let bit = 31; bit >= 0 && written < size; bit--) {
+                const direction = (word >>> bit) & 0x1;
+                const childAddress = (nodeAddress & ~0x1) + ((node & 0x3F) << 1) + 2 + direction;
+                if (node & (direction ? 0x40 : 0x80)) {
+                    out |= (bus.read8(childAddress) & ((1 << dataBits) - 1)) << outBits;
+                    outBits += dataBits;
+                    if (outBits === 32) {
+                        bus.write32(dest, out);
+                        dest += 4;
+                        written += 4;
+                        out = 0;
+                        outBits = 0;
+                    }
+                    nodeAddress = rootAddress;
+                    node = bus.read8(rootAddress);
+                } else {
+                    nodeAddress = childAddress;
+                    node = bus.read8(childAddress);
+                }
+            }
+        }
+        return 20 + size * 8;
+    }
+
+    // The VRAM variants write halfwords, since VRAM ignores byte writes
+    writeOutput(dest, bytes, vram) {
+        const bus = this.bus;
+        if (vram) {
+            for (let i = 0; i < bytes.length; i += 2) {
+                bus.write16(dest + i, bytes[i] | ((bytes[i + 1] || 0) << 8));
+            }
+        } else {
+            for (let i = 0; i < bytes.length; i++) {
+                bus.write8(dest + i, bytes[i]);
+            }
+        }
+        return 20 + bytes.length * 4;
+    }
+}
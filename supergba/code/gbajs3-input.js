@@ -0,0 +1,335 @@
+// GBAJS3-Input.js (Keyboard, Gamepad API and touch controls for the GBA keypad)
+
+"use strict";
+
+// Buttons in KEYINPUT bit order, with the names used for bindings and the touch overlay
+const GBA_BUTTONS = [
+    { name: 'A', mask: KEY_A },
+    { name: 'B', mask: KEY_B },
+    { name: 'Select', mask: KEY_SELECT },
+    { name: 'Start', mask: KEY_START },
+    { name: 'Right', mask: KEY_RIGHT },
+    { name: 'Left', mask: KEY_LEFT },
+    { name: 'Up', mask: KEY_UP },
+    { name: 'Down', mask: KEY_DOWN },
+    { name: 'R', mask: KEY_R },
+    { name: 'L', mask: KEY_L },
+];
+
+// Keyboard bindings use KeyboardEvent.code so they do not depend on the keyboard layout
+const DEFAULT_KEY_BINDINGS = {
+    A: 'KeyX', B: 'KeyZ', Select: 'Backspace', Start: 'Enter',
+    Right: 'ArrowRight', Left: 'ArrowLeft', Up: 'ArrowUp', Down: 'ArrowDown',
+    R: 'KeyS', L: 'KeyA',
+};
+
+// Gamepad bindings are button indices of the W3C "standard" mapping
+const DEFAULT_GAMEPAD_BINDINGS = {
+    A: 1, B: 0, Select: 8, Start: 9,
+    Right: 15, Left: 14, Up: 12, Down: 13,
+    R: 5, L: 4,
+};
+
+const INPUT_STORAGE_KEY = 'supergba.inputBindings';
+const GAMEPAD_AXIS_THRESHOLD = 0.5;
+
+// Form fields and contenteditable elements, where keys are text rather than buttons
+function isTextEntryTarget(target) {
+    if (!target || !target.tagName) return false;
+    return ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable;
+}
+
+// === GBA_Input ===
+// Merges keyboard, gamepad and touch state and hands the held buttons to the core every frame.
+class GBA_Input {
+    constructor(core) {
+        this.core = core;
+        this.keyboardKeys = 0;
+        this.touchKeys = 0;
+        this.gamepadKeys = 0;
+        this.remapTarget = null; // { button, onDone } while waiting for a key to bind
+        this.gamepadRemapTarget = null; // { button, onDone, held } while waiting for a pad button
+
+        this.loadBindings();
+
+        this.onKeyDown = (event) => this.handleKey(event, true);
+        this.onKeyUp = (event) => this.handleKey(event, false);
+        document.addEventListener('keydown', this.onKeyDown);
+        document.addEventListener('keyup', this.onKeyUp);
+        // Releasing everything on blur avoids buttons stuck down after an alt-tab
+        window.addEventListener('blur', () => {
+            this.keyboardKeys = 0;
+            this.touchKeys = 0;
+            this.update();
+        });
+    }
+
+    // === Bindings (persisted in localStorage) ===
+    loadBindings() {
+        this.keyBindings = Object.assign({}, DEFAULT_KEY_BINDINGS);
+        this.gamepadBindings = Object.assign({}, DEFAULT_GAMEPAD_BINDINGS);
+        try {
+            const saved = JSON.parse(localStorage.getItem(INPUT_STORAGE_KEY) || 'null');
+            if (saved) {
+                Object.assign(this.keyBindings, saved.keyboard);
+                Object.assign(this.gamepadBindings, saved.gamepad);
+            }
+        } catch (e) {
+            console.error(`[Input] Ignoring unreadable saved bindings: ${e.message}`);
+        }
+    }
+
+    saveBindings() {
+        try {
+            localStorage.setItem(INPUT_STORAGE_KEY, JSON.stringify({
+                keyboard: this.keyBindings,
+                gamepad: this.gamepadBindings,
+            }));
+        } catch (e) {
+            console.error(`[Input] Could not save bindings: ${e.message}`);
+        }
+    }
+
+    setKeyBinding(button, code) {
+        // A key can only drive one button
+        for (const name of Object.keys(this.keyBindings)) {
+            if (this.keyBindings[name] === code) this.keyBindings[name] = null;
+        }
+        this.keyBindings[button] = code;
+        this.saveBindings();
+    }
+
+    setGamepadBinding(button, index) {
+        for (const name of Object.keys(this.gamepadBindings)) {
+            if (this.gamepadBindings[name] === index) this.gamepadBindings[name] = null;
+        }
+        this.gamepadBindings[button] = index;
+        this.saveBindings();
+    }
+
+    resetBindings() {
+        this.keyBindings = Object.assign({}, DEFAULT_KEY_BINDINGS);
+        this.gamepadBindings = Object.assign({}, DEFAULT_GAMEPAD_BINDINGS);
+        try {
+            localStorage.removeItem(INPUT_STORAGE_KEY);
+        } catch (e) {
+            console.error(`[Input] Could not clear saved bindings: ${e.message}`);
+        }
+    }
+
+    // The next key pressed is bound to 'button'; Escape cancels
+    startRemap(button, onDone) {
+        this.gamepadRemapTarget = null;
+        this.remapTarget = { button, onDone };
+    }
+
+    // The next pad button pressed is bound to 'button'; Escape cancels. The pads are polled
+    // here rather than in the game loop, so this also works before a game is running.
+    startGamepadRemap(button, onDone) {
+        this.remapTarget = null;
+        const target = { button, onDone, held: null };
+        this.gamepadRemapTarget = target;
+        const wait = () => {
+            if (this.gamepadRemapTarget !== target) return;
+            this.captureGamepadButton(target);
+            requestAnimationFrame(wait);
+        };
+        requestAnimationFrame(wait);
+    }
+
+    captureGamepadButton(target) {
+        const pressed = new Set();
+        const pads = (navigator.getGamepads && navigator.getGamepads()) || [];
+        for (const pad of pads) {
+            if (!pad || !pad.connected) continue;
+            pad.buttons.forEach((padButton, index) => {
+                if (padButton.pressed) pressed.add(index);
+            });
+        }
+        // Buttons already down when the wait started only count once released and pressed again
+        if (!target.held) {
+            target.held = pressed;
+            return;
+        }
+        const index = [...pressed].find((i) => !target.held.has(i));
+        target.held = new Set([...target.held].filter((i) => pressed.has(i)));
+        if (index === undefined) return;
+        this.gamepadRemapTarget = null;
+        this.setGamepadBinding(target.button, index);
+        if (target.onDone) target.onDone();
+    }
+
+    // === Sources ===
+    handleKey(event, pressed) {
+        if (this.gamepadRemapTarget && pressed && event.code === 'Escape') {
+            const { onDone } = this.gamepadRemapTarget;
+            this.gamepadRemapTarget = null;
+            event.preventDefault();
+            if (onDone) onDone();
+            return;
+        }
+        if (this.remapTarget && pressed) {
+            const { button, onDone } = this.remapTarget;
+            this.remapTarget = null;
+            if (event.code !== 'Escape') this.setKeyBinding(button, event.code);
+            event.preventDefault();
+            if (onDone) onDone();
+            return;
+        }
+
+        const button = GBA_BUTTONS.find((b) => this.keyBindings[b.name] === event.code);
+        if (!button) return;
+
+        // Keys typed into the tool panels' fields belong to those fields. Releases still
+        // count, so a button held when focus moved into a field does not stick.
+        const typing = isTextEntryTarget(event.target);
+        if (typing && pressed) return;
+
+        // Keep arrows and space from scrolling the page while playing
+        if (!typing) event.preventDefault();
+        if (pressed) this.keyboardKeys |= button.mask;
+        else this.keyboardKeys &= ~button.mask;
+        this.update();
+    }
+
+    // Gamepads have no events for buttons, so they are read once per frame
+    pollGamepads() {
+        // The button being bound should not also reach the game
+        if (this.gamepadRemapTarget) {
+            this.gamepadKeys = 0;
+            return;
+        }
+        let keys = 0;
+        const pads = (navigator.getGamepads && navigator.getGamepads()) || [];
+        for (const pad of pads) {
+            if (!pad || !pad.connected) continue;
+            for (const button of GBA_BUTTONS) {
+                const padButton = pad.buttons[this.gamepadBindings[button.name]];
+                if (padButton && padButton.pressed) keys |= button.mask;
+            }
+            // Left stick doubles as the D-pad
+            if (pad.axes.length >= 2) {
+                if (pad.axes[0] > GAMEPAD_AXIS_THRESHOLD) keys |= KEY_RIGHT;
+                if (pad.axes[0] < -GAMEPAD_AXIS_THRESHOLD) keys |= KEY_LEFT;
+                if (pad.axes[1] > GAMEPAD_AXIS_THRESHOLD) keys |= KEY_DOWN;
+                if (pad.axes[1] < -GAMEPAD_AXIS_THRESHOLD) keys |= KEY_UP;
+            }
+        }
+        this.gamepadKeys = keys;
+    }
+
+    // Called by GBAJS3_Frontend.runGameLoop before each frame
+    poll() {
+        this.pollGamepads();
+        this.update();
+    }
+
+    update() {
+        let keys = this.keyboardKeys | this.touchKeys | this.gamepadKeys;
+        // Opposite directions cannot be held at once on the real D-pad
+        if ((keys & (KEY_LEFT | KEY_RIGHT)) === (KEY_LEFT | KEY_RIGHT)) keys &= ~(KEY_LEFT | KEY_RIGHT);
+        if ((keys & (KEY_UP | KEY_DOWN)) === (KEY_UP | KEY_DOWN)) keys &= ~(KEY_UP | KEY_DOWN);
+        if (keys !== this.core.keysHeld) {
+            this.core.setKeys(keys);
+        }
+    }
+
+    // === On-screen Touch Buttons ===
+    // Inserted right after the emulator container; CSS in index.html only shows them on touch screens.
+    createTouchControls(containerElement) {
+        const overlay = document.createElement('div');
+        overlay.id = 'gba-touch-controls';
+
+        const groups = [
+            ['gba-touch-shoulders', ['L', 'R']],
+            ['gba-touch-dpad', ['Up', 'Left', 'Right', 'Down']],
+            ['gba-touch-actions', ['B', 'A']],
+            ['gba-touch-system', ['Select', 'Start']],
+        ];
+        for (const [className, names] of groups) {
+            const group = document.createElement('div');
+            group.className = className;
+            for (const name of names) {
+                group.appendChild(this.createTouchButton(name));
+            }
+            overlay.appendChild(group);
+        }
+
+        containerElement.insertAdjacentElement('afterend', overlay);
+        return overlay;
+    }
+
+    createTouchButton(name) {
+        const mask = GBA_BUTTONS.find((b) => b.name === name).mask;
+        const element = document.createElement('button');
+        element.type = 'button';
+        element.className = `gba-touch-button gba-touch-${name.toLowerCase()}`;
+        element.textContent = name;
+
+        const press = (event) => {
+            event.preventDefault();
+            this.touchKeys |= mask;
+            this.update();
+        };
+        const release = (event) => {
+            event.preventDefault();
+            this.touchKeys &= ~mask;
+            this.update();
+        };
+        // Pointer events cover touch and mouse; each button tracks its own pointer for multi-touch
+        element.addEventListener('pointerdown', press);
+        element.addEventListener('pointerup', release);
+        element.addEventListener('pointercancel', release);
+        element.addEventListener('pointerleave', release);
+        element.addEventListener('contextmenu', (event) => event.preventDefault());
+        return element;
+    }
+
+    // === Remapping Panel ===
+    // A keyboard row and a gamepad row with one button per GBA key showing its binding;
+    // clicking one waits for the new key or pad button.
+    createRemapPanel(parentElement) {
+        parentElement.innerHTML = '';
+        const rebuild = () => this.createRemapPanel(parentElement);
+        const rows = [
+            {
+                label: 'Keyboard',
+                describe: (name) => this.keyBindings[name],
+                prompt: 'press a key...',
+                start: (name) => this.startRemap(name, rebuild),
+            },
+            {
+                label: 'Gamepad',
+                describe: (name) => (this.gamepadBindings[name] === null ? null : `Button ${this.gamepadBindings[name]}`),
+                prompt: 'press a pad button...',
+                start: (name) => this.startGamepadRemap(name, rebuild),
+            },
+        ];
+        for (const row of rows) {
+            const rowElement = document.createElement('div');
+            const label = document.createElement('strong');
+            label.textContent = `${row.label}: `;
+            rowElement.appendChild(label);
+            for (const button of GBA_BUTTONS) {
+                const element = document.createElement('button');
+                element.type = 'button';
+                element.textContent = `${button.name}: ${row.describe(button.name) || '(none)'}`;
+                element.addEventListener('click', () => {
+                    element.textContent = `${button.name}: ${row.prompt}`;
+                    row.start(button.name);
+                });
+                rowElement.appendChild(element);
+            }
+            parentElement.appendChild(rowElement);
+        }
+
+        const reset = document.createElement('button');
+        reset.type = 'button';
+        reset.textContent = 'Reset to defaults';
+        reset.addEventListener('click', () => {
+            this.resetBindings();
+            this.createRemapPanel(parentElement);
+        });
+        parentElement.appendChild(reset);
+    }
+}
@@ -0,0 +1,383 @@
+// GBAJS3-Memory-Viewer.js (Hex viewer/editor, RAM search and watch list)
+
+"use strict";
+
+// Bus regions the viewer can show. ROM's size comes from the loaded cartridge.
+const MEMORY_REGIONS = [
+    { name: 'BIOS', start: 0x00000000, size: 0x4000, readOnly: true },
+    { name: 'EWRAM', start: 0x02000000, size: 0x40000 },
+    { name: 'IWRAM', start: 0x03000000, size: 0x8000 },
+    { name: 'IO', start: 0x04000000, size: 0x400 },
+    { name: 'PRAM', start: 0x05000000, size: 0x400 },
+    { name: 'VRAM', start: 0x06000000, size: 0x18000 },
+    { name: 'OAM', start: 0x07000000, size: 0x400 },
+    { name: 'ROM', start: 0x08000000, size: 0, readOnly: true },
+];
+
+const MEMORY_VIEW_ROWS = 16;          // 16 bytes per row
+const RAM_SEARCH_RESULTS_SHOWN = 100; // Candidates listed after a search; the rest are only counted
+
+// === RAM Search ===
+// Narrows a set of candidate addresses over several passes, each comparing the current
+// value with the one recorded at the previous pass (or with a given value).
+const RAM_SEARCH_FILTERS = {
+    equal: (current, previous) => current === previous,
+    changed: (current, previous) => current !== previous,
+    increased: (current, previous) => current > previous,
+    decreased: (current, previous) => current < previous,
+    value: (current, previous, value) => current === value,
+};
+
+class GBA_RamSearch {
+    constructor(bus, region, width) {
+        this.bus = bus;
+        this.region = region;
+        this.width = width; // 1, 2 or 4 bytes; candidates are aligned to it
+        const count = region.size / width;
+        this.addresses = new Uint32Array(count);
+        this.values = new Uint32Array(count);
+        for (let i = 0; i < count; i++) {
+            this.addresses[i] = region.start + i * width;
+        }
+        this.count = count;
+        this.snapshot();
+    }
+
+    read(address) {
+        switch (this.width) {
+            case 1: return this.bus.peek8(address);
+            case 2: return this.bus.peek16(address);
+            default: return this.bus.peek32(address);
+        }
+    }
+
+    snapshot() {
+        for (let i = 0; i < this.count; i++) {
+            this.values[i] = this.read(this.addresses[i]);
+        }
+    }
+
+    // Keeps the candidates that pass the filter and records their current values
+    filter(name, value = 0) {
+        const test = RAM_SEARCH_FILTERS[name];
+        // Negative values search for their two's complement at this width
+        const target = this.width === 4 ? value >>> 0 : value & ((1 << (this.width * 8)) - 1);
+        let kept = 0;
+        for (let i = 0; i < this.count; i++) {
+            const address = this.addresses[i];
+            const current = this.read(address);
+            if (test(current, this.values[i], target)) {
+                this.addresses[kept] = address;
+                this.values[kept] = current;
+                kept++;
+            }
+        }
+        this.count = kept;
+    }
+}
+
+// === GBA_MemoryViewer ===
+// Every read goes through MemoryBus.peek*, every edit through the bus's normal writes,
+// so IO side effects and palette caching behave as if the game had made the change.
+class GBA_MemoryViewer {
+    constructor(core) {
+        this.core = core;
+        this.region = MEMORY_REGIONS[1];
+        this.viewAddress = this.region.start;
+        this.search = null;
+        this.watches = []; // [{ address, width, label }]
+        this.panel = null;
+    }
+
+    regionSize(region) {
+        return region.name === 'ROM' ? this.core.bus.romSize : region.size;
+    }
+
+    readValue(address, width) {
+        const bus = this.core.bus;
+        switch (width) {
+            case 1: return bus.peek8(address);
+            case 2: return bus.peek16(address);
+            default: return bus.peek32(address);
+        }
+    }
+
+    // PRAM, VRAM and OAM do not take plain byte writes, so a byte edit there is merged
+    // into its halfword first. Edits made here are not the game's, so like cheats they
+    // leave the debugger's watchpoints alone.
+    writeByte(address, value) {
+        const bus = this.core.bus;
+        const watchpoints = bus.watchpoints;
+        bus.watchpoints = null;
+        const region = address >>> 24;
+        if (region >= 0x5 && region <= 0x7) {
+            const shift = (address & 0x1) << 3;
+            const halfword = bus.peek16(address);
+            bus.write16(address, (halfword & ~(0xFF << shift)) | ((value & 0xFF) << shift));
+        } else {
+            bus.write8(address, value);
+        }
+        bus.watchpoints = watchpoints;
+    }
+
+    writeValue(address, width, value) {
+        const bus = this.core.bus;
+        const watchpoints = bus.watchpoints;
+        bus.watchpoints = null;
+        switch (width) {
+            case 1: this.writeByte(address, value); break;
+            case 2: bus.write16(address, value); break;
+            default: bus.write32(address, value >>> 0); break;
+        }
+        bus.watchpoints = watchpoints;
+    }
+
+    // Shows the page containing address, switching region if needed
+    goTo(address) {
+        address >>>= 0;
+        const region = MEMORY_REGIONS.find((candidate) =>
+            address >= candidate.start && address < candidate.start + Math.max(this.regionSize(candidate), 1));
+        if (!region) return;
+        this.region = region;
+        this.regionSelect.value = region.name;
+        this.viewAddress = (address & ~(MEMORY_VIEW_ROWS * 16 - 1)) >>> 0;
+        this.refresh();
+    }
+
+    scroll(pages) {
+        const pageSize = MEMORY_VIEW_ROWS * 16;
+        const end = this.region.start + Math.max(this.regionSize(this.region), pageSize);
+        const address = this.viewAddress + pages * pageSize;
+        this.viewAddress = Math.min(Math.max(address, this.region.start), end - pageSize) >>> 0;
+        this.refresh();
+    }
+
+    // === Search ===
+    startSearch() {
+        const region = MEMORY_REGIONS.find((candidate) => candidate.name === this.searchRegion.value);
+        const width = Number(this.searchWidth.value);
+        this.search = new GBA_RamSearch(this.core.bus, { ...region, size: this.regionSize(region) }, width);
+        this.showSearchResults();
+    }
+
+    filterSearch(name) {
+        if (!this.search) this.startSearch();
+        const value = parseInt(this.searchValue.value, this.searchHex.checked ? 16 : 10);
+        if (name === 'value' && Number.isNaN(value)) {
+            alert('Enter the value to search for.');
+            return;
+        }
+        this.search.filter(name, value);
+        this.showSearchResults();
+    }
+
+    showSearchResults() {
+        const search = this.search;
+        this.searchStatus.textContent = search ? `${search.count} candidates (${search.width * 8}-bit)` : 'No search started.';
+        this.searchResults.innerHTML = '';
+        if (!search) return;
+        const shown = Math.min(search.count, RAM_SEARCH_RESULTS_SHOWN);
+        for (let i = 0; i < shown; i++) {
+            const address = search.addresses[i];
+            const item = document.createElement('li');
+            const watch = document.createElement('button');
+            watch.type = 'button';
+            watch.textContent = 'Watch';
+            watch.addEventListener('click', () => this.addWatch(address, search.width));
+            item.append(`${formatHex(address, 8)} = ${search.values[i]} `, watch);
+            this.searchResults.appendChild(item);
+        }
+    }
+
+    // === Watch List ===
+    addWatch(address, width, label = '') {
+        this.watches.push({ address: address >>> 0, width, label });
+        this.renderWatchList();
+    }
+
+    removeWatch(index) {
+        this.watches.splice(index, 1);
+        this.renderWatchList();
+    }
+
+    // Rebuilt when the list changes; refreshWatches() updates the values in place
+    renderWatchList() {
+        this.watchTable.innerHTML = '';
+        this.watchRows = this.watches.map((watch, index) => {
+            const row = document.createElement('tr');
+            const label = document.createElement('input');
+            label.placeholder = 'label';
+            label.size = 12;
+            label.value = watch.label;
+            label.addEventListener('change', () => { watch.label = label.value; });
+            const value = document.createElement('input');
+            value.size = 12;
+            value.addEventListener('change', () => {
+                const parsed = value.value.startsWith('0x') ? parseInt(value.value, 16) : parseInt(value.value, 10);
+                if (!Number.isNaN(parsed)) this.writeValue(watch.address, watch.width, parsed);
+            });
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.textContent = 'Remove';
+            remove.addEventListener('click', () => this.removeWatch(index));
+
+            const cells = [label, `${formatHex(watch.address, 8)} (${watch.width * 8}-bit)`, value, remove].map((content) => {
+                const cell = document.createElement('td');
+                cell.append(content);
+                return cell;
+            });
+            row.append(...cells);
+            this.watchTable.appendChild(row);
+            return { watch, value };
+        });
+        this.refreshWatches();
+    }
+
+    refreshWatches() {
+        for (const row of this.watchRows) {
+            if (document.activeElement === row.value) continue;
+            const value = this.readValue(row.watch.address, row.watch.width);
+            row.value.value = `${value} (${formatHex(value, row.watch.width * 2)})`;
+        }
+    }
+
+    // === Hex View ===
+    refreshHexView() {
+        const size = this.regionSize(this.region);
+        this.hexRows.forEach((row, rowIndex) => {
+            const rowAddress = this.viewAddress + rowIndex * 16;
+            const inRegion = rowAddress < this.region.start + size;
+            row.address.textContent = inRegion ? formatHex(rowAddress, 8).slice(2) : '';
+            let ascii = '';
+            row.bytes.forEach((input, column) => {
+                const address = rowAddress + column;
+                input.dataset.address = address;
+                input.disabled = !inRegion || !!this.region.readOnly;
+                if (!inRegion) {
+                    input.value = '';
+                    return;
+                }
+                const value = this.core.bus.peek8(address);
+                if (document.activeElement !== input) input.value = formatHex(value, 2).slice(2);
+                ascii += value >= 0x20 && value < 0x7F ? String.fromCharCode(value) : '.';
+            });
+            row.ascii.textContent = ascii;
+        });
+    }
+
+    // === Memory Panel ===
+    createPanel(parentElement) {
+        parentElement.innerHTML = '';
+        const button = (label, action) => {
+            const element = document.createElement('button');
+            element.type = 'button';
+            element.textContent = label;
+            element.addEventListener('click', action);
+            return element;
+        };
+        const select = (options) => {
+            const element = document.createElement('select');
+            for (const [value, label] of options) element.add(new Option(label, value));
+            return element;
+        };
+        const regionOptions = MEMORY_REGIONS.map((region) => [region.name, `${region.name} (${formatHex(region.start, 8)})`]);
+
+        // Hex view toolbar
+        const toolbar = document.createElement('div');
+        this.regionSelect = select(regionOptions);
+        this.regionSelect.addEventListener('change', () => {
+            this.goTo(MEMORY_REGIONS.find((region) => region.name === this.regionSelect.value).start);
+        });
+        const addressInput = document.createElement('input');
+        addressInput.placeholder = '02000000';
+        addressInput.size = 10;
+        toolbar.append(this.regionSelect, ' ', addressInput,
+            button('Go', () => {
+                const address = parseInt(addressInput.value, 16);
+                if (!Number.isNaN(address)) this.goTo(address);
+            }),
+            button('Prev', () => this.scroll(-1)),
+            button('Next', () => this.scroll(1)));
+        parentElement.appendChild(toolbar);
+
+        // Hex view: one input per byte, written when changed
+        const table = document.createElement('table');
+        table.className = 'memory-hex';
+        this.hexRows = [];
+        for (let rowIndex = 0; rowIndex < MEMORY_VIEW_ROWS; rowIndex++) {
+            const tr = document.createElement('tr');
+            const address = document.createElement('td');
+            tr.appendChild(address);
+            const bytes = [];
+            for (let column = 0; column < 16; column++) {
+                const input = document.createElement('input');
+                input.size = 2;
+                input.maxLength = 2;
+                input.addEventListener('change', () => {
+                    const value = parseInt(input.value, 16);
+                    if (!Number.isNaN(value)) this.writeByte(Number(input.dataset.address), value);
+                    this.refresh();
+                });
+                const cell = document.createElement('td');
+                cell.appendChild(input);
+                tr.appendChild(cell);
+                bytes.push(input);
+            }
+            const ascii = document.createElement('td');
+            ascii.className = 'memory-ascii';
+            tr.appendChild(ascii);
+            table.appendChild(tr);
+            this.hexRows.push({ address, bytes, ascii });
+        }
+        parentElement.appendChild(table);
+
+        // RAM search
+        const searchSection = document.createElement('div');
+        const searchTitle = document.createElement('strong');
+        searchTitle.textContent = 'RAM Search';
+        this.searchRegion = select(regionOptions.filter(([name]) => ['EWRAM', 'IWRAM'].includes(name)));
+        this.searchWidth = select([['1', '8-bit'], ['2', '16-bit'], ['4', '32-bit']]);
+        this.searchValue = document.createElement('input');
+        this.searchValue.placeholder = 'value';
+        this.searchValue.size = 10;
+        const hexLabel = document.createElement('label');
+        this.searchHex = document.createElement('input');
+        this.searchHex.type = 'checkbox';
+        hexLabel.append(this.searchHex, ' hex');
+        this.searchStatus = document.createElement('div');
+        this.searchResults = document.createElement('ul');
+        this.searchResults.className = 'memory-results';
+        searchSection.append(searchTitle, document.createElement('br'),
+            this.searchRegion, ' ', this.searchWidth, ' ', button('New Search', () => this.startSearch()),
+            document.createElement('br'),
+            button('Equal', () => this.filterSearch('equal')),
+            button('Changed', () => this.filterSearch('changed')),
+            button('Increased', () => this.filterSearch('increased')),
+            button('Decreased', () => this.filterSearch('decreased')),
+            ' ', this.searchValue, ' ', hexLabel, button('Equals Value', () => this.filterSearch('value')),
+            this.searchStatus, this.searchResults);
+        parentElement.appendChild(searchSection);
+
+        // Watch list
+        const watchSection = document.createElement('div');
+        const watchTitle = document.createElement('strong');
+        watchTitle.textContent = 'Watch List';
+        this.watchTable = document.createElement('table');
+        this.watchTable.className = 'memory-watches';
+        watchSection.append(watchTitle, this.watchTable);
+        parentElement.appendChild(watchSection);
+
+        this.panel = parentElement;
+        this.regionSelect.value = this.region.name;
+        this.renderWatchList();
+        this.showSearchResults();
+        this.refreshHexView();
+    }
+
+    // Called by GBAJS3_Frontend once per frame
+    refresh() {
+        if (!this.panel) return;
+        this.refreshHexView();
+        this.refreshWatches();
+    }
+}
@@ -0,0 +1,76 @@
+// GBAJS3-Node.js (Headless core for Node.js: tests, tools and batch runs)
+// The emulator files are classic browser scripts that share one global scope, so they are
+// evaluated together in a VM context instead of being required one by one.
+//
+//   const { createHeadlessCore, KEYS } = require('./gbajs3-node.js');
+//   const core = createHeadlessCore(fs.readFileSync('game.gba'), fs.readFileSync('gba_bios.bin'));
+//   core.setKeys(KEYS.A);
+//   core.runFrame();
+//   const rgba = core.getFramebuffer(); // 240 * 160 * 4 bytes
+//
+// A Web Worker can load the same files with importScripts(...CORE_SCRIPTS).
+
+"use strict";
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Everything GBAJS3_Core needs; none of these touch the DOM when loaded
+const CORE_SCRIPTS = [
+    'gbajs3-core.js',
+    'gbajs3-audio.js',
+    'gbajs3-backup.js',
+    'gbajs3-savestate.js',
+    'gbajs3-hle-bios.js',
+    // Not needed by the core, but DOM-free and used by the tools
+    'gbajs3-disasm.js',
+    'gbajs3-cheats.js',
+    'gbajs3-rom-loader.js',
+];
+
+let coreContext = null;
+
+// One shared context: the scripts only declare classes, constants and pure functions
+function loadCoreScripts() {
+    if (coreContext) return coreContext;
+    coreContext = vm.createContext({ console, TextEncoder, TextDecoder });
+    for (const file of CORE_SCRIPTS) {
+        const source = fs.readFileSync(path.join(__dirname, file), 'utf8');
+        vm.runInContext(source, coreContext, { filename: file });
+    }
+    return coreContext;
+}
+
+// Looks up a global declared by the scripts (class and const declarations are not
+// properties of the context object, so they have to be evaluated by name)
+function getCoreGlobal(name) {
+    return vm.runInContext(name, loadCoreScripts());
+}
+
+// Node Buffers may be views into a larger pool; the core wants standalone bytes
+function toArrayBuffer(data) {
+    if (data instanceof ArrayBuffer) return data;
+    return data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+}
+
+// biosData may be omitted to boot with the HLE BIOS
+function createHeadlessCore(romData, biosData = null, savedBackup = null) {
+    const GBAJS3_Core = getCoreGlobal('GBAJS3_Core');
+    const core = new GBAJS3_Core(biosData ? toArrayBuffer(biosData) : null);
+    if (romData) core.loadRom(toArrayBuffer(romData), savedBackup);
+    return core;
+}
+
+const KEY_NAMES = ['A', 'B', 'SELECT', 'START', 'RIGHT', 'LEFT', 'UP', 'DOWN', 'R', 'L'];
+const KEYS = {};
+KEY_NAMES.forEach((name, bit) => { KEYS[name] = 1 << bit; });
+
+module.exports = {
+    CORE_SCRIPTS,
+    KEYS,
+    SCREEN_WIDTH: 240,
+    SCREEN_HEIGHT: 160,
+    createHeadlessCore,
+    getCoreGlobal,
+};
@@ -0,0 +1,213 @@
+// GBAJS3-Patch.js (IPS, UPS and BPS ROM patches, applied in memory)
+
+"use strict";
+
+const PATCH_EXTENSIONS = ['ips', 'ups', 'bps'];
+
+// Largest output accepted from a patch: the 32MB cartridge space
+const PATCH_MAX_SIZE = 0x2000000;
+
+function detectPatchFormat(patch) {
+    const magic = String.fromCharCode(...patch.subarray(0, 5));
+    if (magic === 'PATCH') return 'ips';
+    if (magic.startsWith('UPS1')) return 'ups';
+    if (magic.startsWith('BPS1')) return 'bps';
+    return null;
+}
+
+// Returns { data, format } with data a new Uint8Array; the ROM passed in is left untouched.
+// Throws with a message fit for the user if the patch is damaged or made for another ROM.
+function applyRomPatch(rom, patch) {
+    const format = detectPatchFormat(patch);
+    switch (format) {
+        case 'ips': return { data: applyIpsPatch(rom, patch), format };
+        case 'ups': return { data: applyUpsPatch(rom, patch), format };
+        case 'bps': return { data: applyBpsPatch(rom, patch), format };
+        default: throw new Error('Not an IPS, UPS or BPS patch.');
+    }
+}
+
+// Grows (or shrinks) a copy of bytes to the given size
+function resizeBytes(bytes, size) {
+    if (size > PATCH_MAX_SIZE) throw new Error(`Patched ROM would be ${size} bytes, more than a cartridge holds.`);
+    const resized = new Uint8Array(size);
+    resized.set(bytes.subarray(0, Math.min(size, bytes.length)));
+    return resized;
+}
+
+// === IPS ===
+// "PATCH", then records of a 24-bit offset and 16-bit size followed by the data. A zero size
+// is an RLE record: a 16-bit count and the byte to repeat. "EOF" ends the list and may be
+// followed by a 24-bit size to truncate the ROM to.
+function applyIpsPatch(rom, patch) {
+    let output = rom.slice();
+    let position = 5;
+    const read = (count) => {
+        if (position + count > patch.length) throw new Error('IPS patch is truncated.');
+        let value = 0;
+        for (let i = 0; i < count; i++) value = (value << 8) | patch[position++];
+        return value;
+    };
+    const reserve = (end) => {
+        if (end > output.length) output = resizeBytes(output, end);
+    };
+
+    while (true) {
+        const offset = read(3);
+        if (offset === 0x454F46) break; // "EOF"
+        const size = read(2);
+        if (size > 0) {
+            if (position + size > patch.length) throw new Error('IPS patch is truncated.');
+            reserve(offset + size);
+            output.set(patch.subarray(position, position + size), offset);
+            position += size;
+        } else {
+            const count = read(2);
+            const value = read(1);
+            reserve(offset + count);
+            output.fill(value, offset, offset + count);
+        }
+    }
+
+    if (position + 3 <= patch.length) {
+        output = resizeBytes(output, read(3));
+    }
+    return output;
+}
+
+// === UPS and BPS ===
+// Both store numbers as variable-length integers and end with the CRC32s of the source,
+// the target and the patch itself.
+
+function createPatchReader(patch, headerSize) {
+    return {
+        position: headerSize,
+        byte() {
+            if (this.position >= patch.length - 12) throw new Error('Patch is truncated.');
+            return patch[this.position++];
+        },
+        // Arithmetic instead of bit operations, since sizes can pass 31 bits
+        number() {
+            let value = 0, shift = 1;
+            while (true) {
+                const x = this.byte();
+                value += (x & 0x7F) * shift;
+                if (x & 0x80) return value;
+                shift *= 128;
+                value += shift;
+            }
+        },
+        done() {
+            return this.position >= patch.length - 12;
+        },
+    };
+}
+
+function readPatchChecksums(patch, format) {
+    if (patch.length < 16) throw new Error(`${format} patch is truncated.`);
+    const view = new DataView(patch.buffer, patch.byteOffset + patch.length - 12, 12);
+    const checksums = { source: view.getUint32(0, true), target: view.getUint32(4, true), patch: view.getUint32(8, true) };
+    if (crc32(patch.subarray(0, patch.length - 4)) !== checksums.patch) {
+        throw new Error(`${format} patch is corrupt (its own CRC32 does not match).`);
+    }
+    return checksums;
+}
+
+function formatCrc(crc) {
+    return crc.toString(16).toUpperCase().padStart(8, '0');
+}
+
+function checkSourceCrc(rom, expected, format) {
+    const actual = crc32(rom);
+    if (actual !== expected) {
+        throw new Error(`This ${format} patch is for a different ROM: it expects CRC32 ${formatCrc(expected)}, the loaded ROM is ${formatCrc(actual)}.`);
+    }
+}
+
+function checkTargetCrc(output, expected, format) {
+    const actual = crc32(output);
+    if (actual !== expected) {
+        throw new Error(`The ${format} patch produced a ROM with CRC32 ${formatCrc(actual)} instead of ${formatCrc(expected)}.`);
+    }
+}
+
+// "UPS1", source and target sizes, then hunks: bytes to skip, then bytes XORed into the
+// ROM up to and including a zero.
+function applyUpsPatch(rom, patch) {
+    const checksums = readPatchChecksums(patch, 'UPS');
+    checkSourceCrc(rom, checksums.source, 'UPS');
+
+    const reader = createPatchReader(patch, 4);
+    const sourceSize = reader.number();
+    const targetSize = reader.number();
+    if (sourceSize !== rom.length) {
+        throw new Error(`This UPS patch is for a ${sourceSize}-byte ROM, the loaded ROM is ${rom.length} bytes.`);
+    }
+
+    const output = resizeBytes(rom, targetSize);
+    let offset = 0;
+    while (!reader.done()) {
+        offset += reader.number();
+        while (true) {
+            const x = reader.byte();
+            if (offset < targetSize) output[offset] ^= x;
+            offset++;
+            if (x === 0) break;
+        }
+    }
+
+    checkTargetCrc(output, checksums.target, 'UPS');
+    return output;
+}
+
+// "BPS1", source, target and metadata sizes, the metadata, then actions. Each action packs
+// a command and a length: copy from the same offset in the source, take bytes from the
+// patch, or copy from a relative position in the source or in the output written so far.
+function applyBpsPatch(rom, patch) {
+    const checksums = readPatchChecksums(patch, 'BPS');
+    checkSourceCrc(rom, checksums.source, 'BPS');
+
+    const reader = createPatchReader(patch, 4);
+    const sourceSize = reader.number();
+    const targetSize = reader.number();
+    const metadataSize = reader.number();
+    reader.position += metadataSize; // Metadata (usually XML), not needed to apply
+    if (sourceSize !== rom.length) {
+        throw new Error(`This BPS patch is for a ${sourceSize}-byte ROM, the loaded ROM is ${rom.length} bytes.`);
+    }
+    if (targetSize > PATCH_MAX_SIZE) throw new Error(`Patched ROM would be ${targetSize} bytes, more than a cartridge holds.`);
+
+    const output = new Uint8Array(targetSize);
+    let outputOffset = 0, sourceRelative = 0, targetRelative = 0;
+    const signed = (value) => (value & 1 ? -1 : 1) * Math.floor(value / 2);
+    while (!reader.done()) {
+        const data = reader.number();
+        const command = data & 3;
+        let length = Math.floor(data / 4) + 1;
+        if (outputOffset + length > targetSize) throw new Error('BPS patch writes past the end of the ROM.');
+        switch (command) {
+            case 0: // SourceRead
+                while (length--) {
+                    output[outputOffset] = rom[outputOffset];
+                    outputOffset++;
+                }
+                break;
+            case 1: // TargetRead
+                while (length--) output[outputOffset++] = reader.byte();
+                break;
+            case 2: // SourceCopy
+                sourceRelative += signed(reader.number());
+                if (sourceRelative < 0 || sourceRelative + length > rom.length) throw new Error('BPS patch reads outside the source ROM.');
+                while (length--) output[outputOffset++] = rom[sourceRelative++];
+                break;
+            case 3: // TargetCopy; may overlap what it writes, so byte by byte
+                targetRelative += signed(reader.number());
+                if (targetRelative < 0 || targetRelative >= outputOffset) throw new Error('BPS patch reads outside the patched ROM.');
+                while (length--) output[outputOffset++] = output[targetRelative++];
+                break;
+        }
+    }
+
+    checkTargetCrc(output, checksums.target, 'BPS');
+    return output;
+}
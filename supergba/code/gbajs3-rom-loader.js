@@ -0,0 +1,353 @@
+// GBAJS3-Rom-Loader.js (ROM file formats: .zip/.gz archives with a built-in inflate, header checks and multiboot images)
+
+"use strict";
+
+// Archive entries worth loading, in order of preference when the user has to choose
+const ROM_ENTRY_EXTENSIONS = ['gba', 'agb', 'bin', 'mb'];
+
+// Multiboot images have to fit in EWRAM (MULTIBOOT_ENTRY is in gbajs3-hle-bios.js)
+const MULTIBOOT_MAX_SIZE = 0x40000;
+
+// Compressed bitmap at 0x04-0x9F of every cartridge header; the BIOS refuses to boot without it
+const NINTENDO_LOGO = new Uint8Array([
+    0x24, 0xFF, 0xAE, 0x51, 0x69, 0x9A, 0xA2, 0x21, 0x3D, 0x84, 0x82, 0x0A, 0x84, 0xE4, 0x09, 0xAD,
+    0x11, 0x24, 0x8B, 0x98, 0xC0, 0x81, 0x7F, 0x21, 0xA3, 0x52, 0xBE, 0x19, 0x93, 0x09, 0xCE, 0x20,
+    0x10, 0x46, 0x4A, 0x4A, 0xF8, 0x27, 0x31, 0xEC, 0x58, 0xC7, 0xE8, 0x33, 0x82, 0xE3, 0xCE, 0xBF,
+    0x85, 0xF4, 0xDF, 0x94, 0xCE, 0x4B, 0x09, 0xC1, 0x94, 0x56, 0x8A, 0xC0, 0x13, 0x72, 0xA7, 0xFC,
+    0x9F, 0x84, 0x4D, 0x73, 0xA3, 0xCA, 0x9A, 0x61, 0x58, 0x97, 0xA3, 0x27, 0xFC, 0x03, 0x98, 0x76,
+    0x23, 0x1D, 0xC7, 0x61, 0x03, 0x04, 0xAE, 0x56, 0xBF, 0x38, 0x84, 0x00, 0x40, 0xA7, 0x0E, 0xFD,
+    0xFF, 0x52, 0xFE, 0x03, 0x6F, 0x95, 0x30, 0xF1, 0x97, 0xFB, 0xC0, 0x85, 0x60, 0xD6, 0x80, 0x25,
+    0xA9, 0x63, 0xBE, 0x03, 0x01, 0x4E, 0x38, 0xE2, 0xF9, 0xA2, 0x34, 0xFF, 0xBB, 0x3E, 0x03, 0x44,
+    0x78, 0x00, 0x90, 0xCB, 0x88, 0x11, 0x3A, 0x94, 0x65, 0xC0, 0x7C, 0x63, 0x87, 0xF0, 0x3C, 0xAF,
+    0xD6, 0x25, 0xE4, 0x8B, 0x38, 0x0A, 0xAC, 0x72, 0x21, 0xD4, 0xF8, 0x07,
+]);
+const HEADER_LOGO_OFFSET = 0x04;
+const HEADER_FIXED_OFFSET = 0xB2; // Always 0x96
+const HEADER_SIZE = 0xC0;
+
+// === Inflate (RFC 1951) ===
+
+const INFLATE_LENGTH_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+const INFLATE_LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+const INFLATE_DISTANCE_BASE = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537,
+    2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577];
+const INFLATE_DISTANCE_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+const INFLATE_CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+let inflateFixedTables = null;
+
+// Lookup table indexed by the next maxBits input bits (codes are stored bit-reversed).
+// Each entry is symbol << 4 | code length; 0 marks an unused code.
+function buildHuffmanTable(lengths) {
+    const maxBits = Math.max(1, ...lengths);
+    const counts = new Uint16Array(16);
+    for (const length of lengths) counts[length]++;
+    counts[0] = 0;
+
+    const nextCode = new Uint16Array(16);
+    for (let bits = 1, code = 0; bits < 16; bits++) {
+        code = (code + counts[bits - 1]) << 1;
+        nextCode[bits] = code;
+    }
+
+    const entries = new Uint16Array(1 << maxBits);
+    lengths.forEach((length, symbol) => {
+        if (!length) return;
+        const code = nextCode[length]++;
+        let reversed = 0;
+        for (let i = 0; i < length; i++) reversed |= ((code >> i) & 1) << (length - 1 - i);
+        for (let i = reversed; i < entries.length; i += 1 << length) entries[i] = (symbol << 4) | length;
+    });
+    return { entries, mask: entries.length - 1 };
+}
+
+function getFixedHuffmanTables() {
+    if (!inflateFixedTables) {
+        const lengths = new Array(288).fill(8, 0, 144).fill(9, 144, 256).fill(7, 256, 280).fill(8, 280, 288);
+        inflateFixedTables = { literals: buildHuffmanTable(lengths), distances: buildHuffmanTable(new Array(30).fill(5)) };
+    }
+    return inflateFixedTables;
+}
+
+// Decompresses raw DEFLATE data. sizeHint (the size from the archive) saves regrowing the output.
+function inflateRaw(input, sizeHint = 0) {
+    let output = new Uint8Array(sizeHint || Math.max(1024, input.length * 4));
+    let outPos = 0;
+    let inPos = 0, bitBuffer = 0, bitCount = 0;
+
+    // Past the end the input reads as zeros; finishing there is caught below
+    const fill = (count) => {
+        while (bitCount < count) {
+            if (inPos > input.length + 4) throw new Error('Compressed data is truncated.');
+            bitBuffer |= (inPos < input.length ? input[inPos] : 0) << bitCount;
+            inPos++;
+            bitCount += 8;
+        }
+    };
+    const bits = (count) => {
+        fill(count);
+        const value = bitBuffer & ((1 << count) - 1);
+        bitBuffer >>>= count;
+        bitCount -= count;
+        return value;
+    };
+    const decode = (table) => {
+        fill(15);
+        const entry = table.entries[bitBuffer & table.mask];
+        const length = entry & 0xF;
+        if (!length) throw new Error('Compressed data is corrupt (bad Huffman code).');
+        bitBuffer >>>= length;
+        bitCount -= length;
+        return entry >> 4;
+    };
+    const reserve = (count) => {
+        if (outPos + count <= output.length) return;
+        const grown = new Uint8Array(Math.max(outPos + count, output.length * 2));
+        grown.set(output.subarray(0, outPos));
+        output = grown;
+    };
+
+    let lastBlock = 0;
+    while (!lastBlock) {
+        lastBlock = bits(1);
+        const type = bits(2);
+        if (type === 0) {
+            // Stored: byte-aligned length, its complement, then the bytes
+            inPos -= bitCount >> 3;
+            bitBuffer = 0;
+            bitCount = 0;
+            if (inPos + 4 > input.length) throw new Error('Compressed data is truncated.');
+            const length = input[inPos] | (input[inPos + 1] << 8);
+            const complement = input[inPos + 2] | (input[inPos + 3] << 8);
+            if ((length ^ 0xFFFF) !== complement) throw new Error('Compressed data is corrupt (bad stored block length).');
+            inPos += 4;
+            if (inPos + length > input.length) throw new Error('Compressed data is truncated.');
+            reserve(length);
+            output.set(input.subarray(inPos, inPos + length), outPos);
+            outPos += length;
+            inPos += length;
+            continue;
+        }
+
+        let literals, distances;
+        if (type === 1) {
+            ({ literals, distances } = getFixedHuffmanTables());
+        } else if (type === 2) {
+            const literalCount = bits(5) + 257;
+            const distanceCount = bits(5) + 1;
+            const codeLengthCount = bits(4) + 4;
+            const codeLengthLengths = new Array(19).fill(0);
+            for (let i = 0; i < codeLengthCount; i++) codeLengthLengths[INFLATE_CODE_LENGTH_ORDER[i]] = bits(3);
+            const codeLengths = buildHuffmanTable(codeLengthLengths);
+
+            const lengths = [];
+            while (lengths.length < literalCount + distanceCount) {
+                const symbol = decode(codeLengths);
+                if (symbol < 16) {
+                    lengths.push(symbol);
+                } else if (symbol === 16) {
+                    if (lengths.length === 0) throw new Error('Compressed data is corrupt (repeat with no previous length).');
+                    const previous = lengths[lengths.length - 1];
+                    for (let count = 3 + bits(2); count > 0; count--) lengths.push(previous);
+                } else {
+                    for (let count = symbol === 17 ? 3 + bits(3) : 11 + bits(7); count > 0; count--) lengths.push(0);
+                }
+            }
+            if (lengths.length > literalCount + distanceCount) throw new Error('Compressed data is corrupt (too many code lengths).');
+            literals = buildHuffmanTable(lengths.slice(0, literalCount));
+            distances = buildHuffmanTable(lengths.slice(literalCount));
+        } else {
+            throw new Error('Compressed data is corrupt (reserved block type).');
+        }
+
+        while (true) {
+            const symbol = decode(literals);
+            if (symbol < 256) {
+                reserve(1);
+                output[outPos++] = symbol;
+                continue;
+            }
+            if (symbol === 256) break;
+            const lengthIndex = symbol - 257;
+            if (lengthIndex >= INFLATE_LENGTH_BASE.length) throw new Error('Compressed data is corrupt (bad length code).');
+            const length = INFLATE_LENGTH_BASE[lengthIndex] + bits(INFLATE_LENGTH_EXTRA[lengthIndex]);
+            const distanceIndex = decode(distances);
+            if (distanceIndex >= INFLATE_DISTANCE_BASE.length) throw new Error('Compressed data is corrupt (bad distance code).');
+            const distance = INFLATE_DISTANCE_BASE[distanceIndex] + bits(INFLATE_DISTANCE_EXTRA[distanceIndex]);
+            if (distance > outPos) throw new Error('Compressed data is corrupt (distance before the start).');
+            reserve(length);
+            // Byte by byte: the copy may overlap what it writes
+            for (let i = 0; i < length; i++, outPos++) output[outPos] = output[outPos - distance];
+        }
+    }
+
+    if (inPos - (bitCount >> 3) > input.length) throw new Error('Compressed data is truncated.');
+    return output.length === outPos ? output : output.slice(0, outPos);
+}
+
+// === Archives ===
+
+function isZipFile(bytes) {
+    return bytes.length >= 4 && bytes[0] === 0x50 && bytes[1] === 0x4B && bytes[2] === 0x03 && bytes[3] === 0x04;
+}
+
+function isGzipFile(bytes) {
+    return bytes.length >= 18 && bytes[0] === 0x1F && bytes[1] === 0x8B;
+}
+
+// Returns { name, data }; name is the original file name if the archive recorded one
+function gunzip(bytes) {
+    if (bytes[2] !== 8) throw new Error('Unsupported gzip compression method.');
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const flags = bytes[3];
+    let offset = 10;
+    let name = null;
+    if (flags & 0x04) offset += 2 + view.getUint16(offset, true); // FEXTRA
+    if (flags & 0x08) { // FNAME, Latin-1 and zero-terminated
+        name = '';
+        while (offset < bytes.length && bytes[offset]) name += String.fromCharCode(bytes[offset++]);
+        offset++;
+    }
+    if (flags & 0x10) { // FCOMMENT
+        while (offset < bytes.length && bytes[offset]) offset++;
+        offset++;
+    }
+    if (flags & 0x02) offset += 2; // FHCRC
+
+    const expectedCrc = view.getUint32(bytes.length - 8, true);
+    const expectedSize = view.getUint32(bytes.length - 4, true);
+    const data = inflateRaw(bytes.subarray(offset, bytes.length - 8), expectedSize);
+    if (data.length !== expectedSize || crc32(data) !== expectedCrc) {
+        throw new Error('The gzip file is corrupt (size or CRC32 does not match).');
+    }
+    return { name, data };
+}
+
+// Central directory of a zip: [{ name, method, compressedSize, size, crc, localOffset, encrypted }]
+function readZipEntries(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    // The end record sits before an optional comment of up to 64KB
+    let end = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xFFFF); i--) {
+        if (view.getUint32(i, true) === 0x06054B50) {
+            end = i;
+            break;
+        }
+    }
+    if (end < 0) throw new Error('The zip file is corrupt (no central directory).');
+
+    const count = view.getUint16(end + 10, true);
+    let offset = view.getUint32(end + 16, true);
+    const decoder = new TextDecoder();
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+        if (offset + 46 > bytes.length || view.getUint32(offset, true) !== 0x02014B50) {
+            throw new Error('The zip file is corrupt (bad central directory entry).');
+        }
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        entries.push({
+            name: decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength)),
+            encrypted: (view.getUint16(offset + 8, true) & 1) !== 0,
+            method: view.getUint16(offset + 10, true),
+            crc: view.getUint32(offset + 16, true),
+            compressedSize: view.getUint32(offset + 20, true),
+            size: view.getUint32(offset + 24, true),
+            localOffset: view.getUint32(offset + 42, true),
+        });
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+    return entries;
+}
+
+function extractZipEntry(bytes, entry) {
+    if (entry.encrypted) throw new Error(`${entry.name} is encrypted.`);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const local = entry.localOffset;
+    if (local + 30 > bytes.length || view.getUint32(local, true) !== 0x04034B50) {
+        throw new Error('The zip file is corrupt (bad local header).');
+    }
+    const start = local + 30 + view.getUint16(local + 26, true) + view.getUint16(local + 28, true);
+    const compressed = bytes.subarray(start, start + entry.compressedSize);
+
+    let data;
+    switch (entry.method) {
+        case 0: data = compressed.slice(); break;
+        case 8: data = inflateRaw(compressed, entry.size); break;
+        default: throw new Error(`${entry.name} uses an unsupported compression method (${entry.method}).`);
+    }
+    if (data.length !== entry.size || crc32(data) !== entry.crc) {
+        throw new Error(`${entry.name} is corrupt (size or CRC32 does not match).`);
+    }
+    return data;
+}
+
+function getRomFileExtension(name) {
+    const dot = name.lastIndexOf('.');
+    return dot < 0 ? '' : name.slice(dot + 1).toLowerCase();
+}
+
+// Returns { name, data } for the ROM in an archive, or the file itself if it is not one.
+// choose(names) picks between several candidates and returns an index, or -1 to cancel.
+async function unpackRomFile(name, bytes, choose) {
+    if (isGzipFile(bytes)) {
+        const { name: storedName, data } = gunzip(bytes);
+        return { name: storedName || name.replace(/\.gz$/i, ''), data };
+    }
+    if (!isZipFile(bytes)) return { name, data: bytes };
+
+    const candidates = readZipEntries(bytes)
+        .filter((entry) => ROM_ENTRY_EXTENSIONS.includes(getRomFileExtension(entry.name)))
+        .sort((a, b) => ROM_ENTRY_EXTENSIONS.indexOf(getRomFileExtension(a.name)) - ROM_ENTRY_EXTENSIONS.indexOf(getRomFileExtension(b.name)));
+    if (candidates.length === 0) {
+        throw new Error(`${name} contains no ${ROM_ENTRY_EXTENSIONS.map((ext) => '.' + ext).join(', ')} file.`);
+    }
+    const index = candidates.length === 1 ? 0 : await choose(candidates.map((entry) => entry.name));
+    if (index < 0 || index >= candidates.length) return null;
+    return { name: candidates[index].name, data: extractZipEntry(bytes, candidates[index]) };
+}
+
+// === Header Detection ===
+
+// Which parts of the cartridge header are intact
+function checkRomHeader(bytes) {
+    if (bytes.length < HEADER_SIZE) return { logo: false, fixedByte: false, checksum: false };
+    let logo = true;
+    for (let i = 0; i < NINTENDO_LOGO.length && logo; i++) {
+        logo = bytes[HEADER_LOGO_OFFSET + i] === NINTENDO_LOGO[i];
+    }
+    let sum = 0;
+    for (let i = 0xA0; i < 0xBD; i++) sum = (sum + bytes[i]) & 0xFF;
+    return {
+        logo,
+        fixedByte: bytes[HEADER_FIXED_OFFSET] === 0x96,
+        checksum: ((0x100 - sum - 0x19) & 0xFF) === bytes[0xBD],
+    };
+}
+
+// Homebrew built without gbafix may lack the logo, so a valid checksum stands in for it
+function isGbaHeader(header) {
+    return header.fixedByte && (header.logo || header.checksum);
+}
+
+// Whether the entry point at 0x00 jumps to the multiboot entry in EWRAM. The usual entry,
+// a relative `b` over the header, runs from either base and proves nothing; only an
+// absolute jump (`ldr pc, [pc, #n]` with 0x020000C0 in the literal pool) does.
+function entryTargetsMultiboot(bytes) {
+    if (bytes.length > MULTIBOOT_MAX_SIZE) return false;
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const entry = view.getUint32(0, true);
+    if ((entry >>> 12) !== 0xE59FF) return false; // ldr pc, [pc, #+n]
+    const literal = 8 + (entry & 0xFFF);
+    return literal + 4 <= bytes.length && view.getUint32(literal, true) === MULTIBOOT_ENTRY + HEADER_SIZE;
+}
+
+// 'cartridge', 'multiboot', or null if the bytes are not a GBA image. Both kinds share the
+// header format, so only a .mb extension or an entry point that jumps into EWRAM marks a
+// multiboot image; anything else is booted as a cartridge.
+function identifyRomImage(bytes, name) {
+    if (!isGbaHeader(checkRomHeader(bytes))) return null;
+    if (getRomFileExtension(name) === 'mb' || entryTargetsMultiboot(bytes)) return 'multiboot';
+    return 'cartridge';
+}
@@ -0,0 +1,224 @@
+// GBAJS3-SaveState.js (Binary snapshot format and IndexedDB save state slots)
+
+"use strict";
+
+// === Snapshot Format ===
+// Little-endian:
+//   0  'SGBS' magic
+//   4  u32 format version (bump whenever the captured state changes shape)
+//   8  u32 CRC32 of the ROM the snapshot was taken with
+//   12 u32 JSON length
+//   16 u32 typed array count
+//   20 per typed array: u32 type index (SNAPSHOT_ARRAY_TYPES), u32 byte length
+//   .. JSON state tree, then the typed array contents, each padded to 4 bytes
+// In the JSON, every typed array is replaced by { "$array": index }.
+const SNAPSHOT_MAGIC = 0x53424753; // 'SGBS'
+const SNAPSHOT_VERSION = 1;
+const SNAPSHOT_HEADER_SIZE = 20;
+const SNAPSHOT_ARRAY_TYPES = [
+    Uint8Array, Int8Array, Uint16Array, Int16Array,
+    Uint32Array, Int32Array, Float32Array, Uint8ClampedArray,
+];
+
+const STATE_SLOT_COUNT = 4;
+const THUMBNAIL_WIDTH = SCREEN_WIDTH / 2;
+const THUMBNAIL_HEIGHT = SCREEN_HEIGHT / 2;
+
+let crc32Table = null;
+
+function crc32(bytes) {
+    if (!crc32Table) {
+        crc32Table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+            crc32Table[n] = c >>> 0;
+        }
+    }
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crc32Table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function encodeSnapshot(state, romCrc) {
+    const arrays = [];
+    const json = JSON.stringify(state, (key, value) => {
+        if (ArrayBuffer.isView(value)) {
+            arrays.push(value);
+            return { $array: arrays.length - 1 };
+        }
+        return value;
+    });
+    const jsonBytes = new TextEncoder().encode(json);
+
+    const pad4 = (n) => (n + 3) & ~0x3;
+    const tableSize = arrays.length * 8;
+    let size = pad4(SNAPSHOT_HEADER_SIZE + tableSize + jsonBytes.length);
+    for (const array of arrays) size += pad4(array.byteLength);
+
+    const buffer = new ArrayBuffer(size);
+    const view = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
+    view.setUint32(0, SNAPSHOT_MAGIC, true);
+    view.setUint32(4, SNAPSHOT_VERSION, true);
+    view.setUint32(8, romCrc, true);
+    view.setUint32(12, jsonBytes.length, true);
+    view.setUint32(16, arrays.length, true);
+
+    let offset = SNAPSHOT_HEADER_SIZE;
+    for (const array of arrays) {
+        view.setUint32(offset, SNAPSHOT_ARRAY_TYPES.findIndex((type) => array instanceof type), true);
+        view.setUint32(offset + 4, array.byteLength, true);
+        offset += 8;
+    }
+    bytes.set(jsonBytes, offset);
+    offset = pad4(offset + jsonBytes.length);
+    for (const array of arrays) {
+        bytes.set(new Uint8Array(array.buffer, array.byteOffset, array.byteLength), offset);
+        offset += pad4(array.byteLength);
+    }
+    return buffer;
+}
+
+// Returns { version, romCrc, state }. Throws on anything that is not a snapshot of this format version.
+function decodeSnapshot(buffer) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    if (bytes.length < SNAPSHOT_HEADER_SIZE || view.getUint32(0, true) !== SNAPSHOT_MAGIC) {
+        throw new Error('Not a SuperGBA save state.');
+    }
+    const version = view.getUint32(4, true);
+    if (version !== SNAPSHOT_VERSION) {
+        throw new Error(`Save state format version ${version} is not supported (expected ${SNAPSHOT_VERSION}).`);
+    }
+    const romCrc = view.getUint32(8, true);
+    const jsonLength = view.getUint32(12, true);
+    const arrayCount = view.getUint32(16, true);
+
+    const pad4 = (n) => (n + 3) & ~0x3;
+    let offset = SNAPSHOT_HEADER_SIZE + arrayCount * 8;
+    const json = new TextDecoder().decode(bytes.subarray(offset, offset + jsonLength));
+    offset = pad4(offset + jsonLength);
+
+    const arrays = [];
+    for (let i = 0; i < arrayCount; i++) {
+        const Type = SNAPSHOT_ARRAY_TYPES[view.getUint32(SNAPSHOT_HEADER_SIZE + i * 8, true)];
+        const byteLength = view.getUint32(SNAPSHOT_HEADER_SIZE + i * 8 + 4, true);
+        if (!Type || offset + byteLength > bytes.length) throw new Error('Save state is truncated or corrupt.');
+        // Copy out so every array gets its own aligned buffer
+        arrays.push(new Type(bytes.slice(offset, offset + byteLength).buffer));
+        offset += pad4(byteLength);
+    }
+
+    const state = JSON.parse(json, (key, value) =>
+        (value && typeof value === 'object' && '$array' in value) ? arrays[value.$array] : value);
+    return { version, romCrc, state };
+}
+
+// Half-size RGBA copy of the frame for slot previews
+function createThumbnail(frameData) {
+    const thumbnail = new Uint8ClampedArray(THUMBNAIL_WIDTH * THUMBNAIL_HEIGHT * 4);
+    for (let y = 0; y < THUMBNAIL_HEIGHT; y++) {
+        for (let x = 0; x < THUMBNAIL_WIDTH; x++) {
+            const source = ((y * 2) * SCREEN_WIDTH + x * 2) * 4;
+            const dest = (y * THUMBNAIL_WIDTH + x) * 4;
+            thumbnail[dest] = frameData[source];
+            thumbnail[dest + 1] = frameData[source + 1];
+            thumbnail[dest + 2] = frameData[source + 2];
+            thumbnail[dest + 3] = 0xFF;
+        }
+    }
+    return thumbnail;
+}
+
+// === GBA_StateStore (save state slots in IndexedDB, keyed per ROM) ===
+class GBA_StateStore {
+    constructor(core) {
+        this.core = core;
+        this.dbPromise = openSaveDatabase();
+    }
+
+    slotKey(slot) {
+        const crc = this.core.getRomCrc().toString(16).toUpperCase().padStart(8, '0');
+        return `${getSaveKey(this.core.romData)}-${crc}-${slot}`;
+    }
+
+    request(mode, action) {
+        return requestSaveDatabase(this.dbPromise, STATE_STORE, mode, action);
+    }
+
+    async save(slot) {
+        const buffer = this.core.saveState();
+        await this.request('readwrite', (store) => store.put({ buffer, savedAt: Date.now() }, this.slotKey(slot)));
+        console.log(`[SaveState] Saved slot ${slot} (${buffer.byteLength} bytes).`);
+    }
+
+    async load(slot) {
+        const record = await this.request('readonly', (store) => store.get(this.slotKey(slot)));
+        if (!record) throw new Error(`Slot ${slot} is empty.`);
+        this.core.loadState(record.buffer);
+        console.log(`[SaveState] Loaded slot ${slot}.`);
+    }
+
+    // { savedAt, thumbnail } for a slot, or null when it is empty or unreadable
+    async describe(slot) {
+        const record = await this.request('readonly', (store) => store.get(this.slotKey(slot)));
+        if (!record) return null;
+        try {
+            return { savedAt: record.savedAt, thumbnail: decodeSnapshot(record.buffer).state.thumbnail };
+        } catch (e) {
+            return null; // Older format version; the slot can still be overwritten
+        }
+    }
+
+    // === Slot Panel ===
+    // One preview with Save/Load buttons per slot.
+    async createSlotPanel(parentElement) {
+        parentElement.innerHTML = '';
+        for (let slot = 1; slot <= STATE_SLOT_COUNT; slot++) {
+            const cell = document.createElement('div');
+            cell.className = 'state-slot';
+
+            const preview = document.createElement('canvas');
+            preview.width = THUMBNAIL_WIDTH;
+            preview.height = THUMBNAIL_HEIGHT;
+            const label = document.createElement('div');
+            label.textContent = `Slot ${slot}: empty`;
+
+            const saveButton = document.createElement('button');
+            saveButton.type = 'button';
+            saveButton.textContent = 'Save';
+            saveButton.addEventListener('click', () => this.runSlotAction(() => this.save(slot), parentElement));
+
+            const loadButton = document.createElement('button');
+            loadButton.type = 'button';
+            loadButton.textContent = 'Load';
+            loadButton.addEventListener('click', () => this.runSlotAction(() => this.load(slot), parentElement));
+
+            cell.append(preview, label, saveButton, loadButton);
+            parentElement.appendChild(cell);
+
+            if (!this.core.romLoaded) continue;
+            const info = await this.describe(slot);
+            if (info) {
+                const image = preview.getContext('2d').createImageData(THUMBNAIL_WIDTH, THUMBNAIL_HEIGHT);
+                image.data.set(info.thumbnail);
+                preview.getContext('2d').putImageData(image, 0, 0);
+                label.textContent = `Slot ${slot}: ${new Date(info.savedAt).toLocaleString()}`;
+            }
+        }
+    }
+
+    async runSlotAction(action, parentElement) {
+        if (!this.core.romLoaded) return;
+        try {
+            await action();
+            await this.createSlotPanel(parentElement);
+        } catch (e) {
+            console.error(`[SaveState] ${e.message}`);
+            alert(e.message);
+        }
+    }
+}
@@ -0,0 +1,465 @@
+// GBAJS3-Viewers.js (VRAM tile, tilemap, palette, OAM and IO register inspectors)
+
+"use strict";
+
+const VIEWER_CHARBLOCKS = 6;        // 4 BG charblocks + 2 OBJ charblocks, 16KB each
+const VIEWER_CHARBLOCK_SIZE = 0x4000;
+const VIEWER_PALETTE_CELL = 10;     // Pixels per palette swatch
+
+// === IO Register Decoding ===
+// Field summaries for the registers the viewer lists; anything else is shown as hex only.
+
+function describeFlags(value, names) {
+    return names.filter(([, bit]) => value & bit).map(([name]) => name).join(' ') || '-';
+}
+
+function decodeDispcnt(value) {
+    const layers = describeFlags(value, [
+        ['BG0', 0x0100], ['BG1', 0x0200], ['BG2', 0x0400], ['BG3', 0x0800],
+        ['OBJ', 0x1000], ['WIN0', 0x2000], ['WIN1', 0x4000], ['OBJWIN', 0x8000]]);
+    const options = describeFlags(value, [
+        ['frame1', 0x0010], ['hblank-free', 0x0020], ['obj-1D', 0x0040], ['forced-blank', 0x0080]]);
+    return `mode ${value & 0x7}, ${layers}, ${options}`;
+}
+
+function decodeDispstat(value) {
+    const flags = describeFlags(value, [
+        ['vblank', DISPSTAT_VBLANK], ['hblank', DISPSTAT_HBLANK], ['vcount', DISPSTAT_VCOUNT],
+        ['vblank-irq', DISPSTAT_VBLANK_IRQ], ['hblank-irq', DISPSTAT_HBLANK_IRQ], ['vcount-irq', DISPSTAT_VCOUNT_IRQ]]);
+    return `${flags}, LYC ${value >>> 8}`;
+}
+
+function decodeBgcnt(value) {
+    const sizes = ['256x256', '512x256', '256x512', '512x512'];
+    return `priority ${value & 0x3}, charblock ${(value >> 2) & 0x3}, screenblock ${(value >> 8) & 0x1F}, ` +
+        `${(value & 0x80) ? '8bpp' : '4bpp'}, ${sizes[(value >> 14) & 0x3]} (text) / ${128 << ((value >> 14) & 0x3)} (affine)` +
+        `${(value & 0x40) ? ', mosaic' : ''}${(value & 0x2000) ? ', wrap' : ''}`;
+}
+
+function decodeDmaControl(value) {
+    const addressControl = ['inc', 'dec', 'fixed', 'reload'];
+    const timing = ['immediate', 'vblank', 'hblank', 'special'];
+    return `dest ${addressControl[(value >> 5) & 0x3]}, src ${addressControl[(value >> 7) & 0x3]}, ` +
+        `${(value & DMA_32BIT) ? '32' : '16'}-bit, ${timing[(value >> 12) & 0x3]}` +
+        `${(value & DMA_REPEAT) ? ', repeat' : ''}${(value & DMA_IRQ) ? ', irq' : ''}${(value & DMA_ENABLE) ? ', enabled' : ''}`;
+}
+
+function decodeTimerControl(value) {
+    return `prescaler ${TIMER_PRESCALERS[value & 0x3]}` +
+        `${(value & TIMER_CASCADE) ? ', cascade' : ''}${(value & TIMER_IRQ) ? ', irq' : ''}${(value & TIMER_ENABLE) ? ', enabled' : ''}`;
+}
+
+function decodeInterrupts(value) {
+    return describeFlags(value, [
+        ['vblank', IRQ_VBLANK], ['hblank', IRQ_HBLANK], ['vcount', IRQ_VCOUNT],
+        ['tm0', IRQ_TIMER0], ['tm1', IRQ_TIMER0 << 1], ['tm2', IRQ_TIMER0 << 2], ['tm3', IRQ_TIMER0 << 3],
+        ['serial', IRQ_SERIAL], ['dma0', IRQ_DMA0], ['dma1', IRQ_DMA0 << 1], ['dma2', IRQ_DMA0 << 2], ['dma3', IRQ_DMA0 << 3],
+        ['keypad', IRQ_KEYPAD], ['gamepak', IRQ_GAMEPAK]]);
+}
+
+// [{ name, offset, size, decode?, readOnly? }] in address order
+function buildIoViewerRegisters() {
+    const registers = [
+        { name: 'DISPCNT', offset: REG_DISPCNT, size: 2, decode: decodeDispcnt },
+        { name: 'DISPSTAT', offset: REG_DISPSTAT, size: 2, decode: decodeDispstat },
+        { name: 'VCOUNT', offset: REG_VCOUNT, size: 2, readOnly: true, decode: (value) => `line ${value}` },
+    ];
+    for (let bg = 0; bg < 4; bg++) {
+        registers.push({ name: `BG${bg}CNT`, offset: REG_BG0CNT + bg * 2, size: 2, decode: decodeBgcnt });
+    }
+    for (let bg = 0; bg < 4; bg++) {
+        registers.push({ name: `BG${bg}HOFS`, offset: REG_BG0HOFS + bg * 4, size: 2, decode: (value) => `${value & 0x1FF}` });
+        registers.push({ name: `BG${bg}VOFS`, offset: REG_BG0HOFS + bg * 4 + 2, size: 2, decode: (value) => `${value & 0x1FF}` });
+    }
+    for (let bg = 2; bg < 4; bg++) {
+        const base = REG_BG2PA + (bg - 2) * 0x10;
+        for (const [i, name] of ['PA', 'PB', 'PC', 'PD'].entries()) {
+            registers.push({ name: `BG${bg}${name}`, offset: base + i * 2, size: 2, decode: (value) => `${((value << 16) >> 16) / 256}` });
+        }
+        registers.push({ name: `BG${bg}X`, offset: base + 8, size: 4, decode: (value) => `${((value << 4) >> 4) / 256}` });
+        registers.push({ name: `BG${bg}Y`, offset: base + 12, size: 4, decode: (value) => `${((value << 4) >> 4) / 256}` });
+    }
+    const span = (value) => `${value >>> 8}..${value & 0xFF}`;
+    registers.push(
+        { name: 'WIN0H', offset: REG_WIN0H, size: 2, decode: span },
+        { name: 'WIN1H', offset: REG_WIN0H + 2, size: 2, decode: span },
+        { name: 'WIN0V', offset: REG_WIN0V, size: 2, decode: span },
+        { name: 'WIN1V', offset: REG_WIN0V + 2, size: 2, decode: span },
+        { name: 'WININ', offset: REG_WININ, size: 2 },
+        { name: 'WINOUT', offset: REG_WINOUT, size: 2 },
+        { name: 'MOSAIC', offset: REG_MOSAIC, size: 2 },
+        { name: 'BLDCNT', offset: REG_BLDCNT, size: 2, decode: (value) => ['none', 'alpha', 'brighten', 'darken'][(value >> 6) & 0x3] },
+        { name: 'BLDALPHA', offset: REG_BLDALPHA, size: 2, decode: (value) => `EVA ${value & 0x1F}, EVB ${(value >> 8) & 0x1F}` },
+        { name: 'BLDY', offset: REG_BLDY, size: 2, decode: (value) => `EVY ${value & 0x1F}` },
+    );
+    for (let channel = 0; channel < 4; channel++) {
+        const base = REG_DMA0SAD + channel * 12;
+        registers.push(
+            { name: `DMA${channel}SAD`, offset: base, size: 4 },
+            { name: `DMA${channel}DAD`, offset: base + 4, size: 4 },
+            { name: `DMA${channel}CNT_L`, offset: base + 8, size: 2, decode: (value) => `${value} units` },
+            { name: `DMA${channel}CNT_H`, offset: base + 10, size: 2, decode: decodeDmaControl },
+        );
+    }
+    for (let timer = 0; timer < 4; timer++) {
+        registers.push(
+            { name: `TM${timer}CNT_L`, offset: REG_TM0CNT_L + timer * 4, size: 2,
+                decode: (value, core) => `counter ${value}, reload ${core.timers[timer].reload}` },
+            { name: `TM${timer}CNT_H`, offset: REG_TM0CNT_L + timer * 4 + 2, size: 2, decode: decodeTimerControl },
+        );
+    }
+    registers.push(
+        { name: 'KEYINPUT', offset: REG_KEYINPUT, size: 2, readOnly: true },
+        { name: 'IE', offset: REG_IE, size: 2, decode: decodeInterrupts },
+        { name: 'IF', offset: REG_IF, size: 2, decode: decodeInterrupts },
+        { name: 'WAITCNT', offset: REG_WAITCNT, size: 2 },
+        { name: 'IME', offset: REG_IME, size: 2, decode: (value) => (value & 0x1) ? 'enabled' : 'disabled' },
+    );
+    return registers;
+}
+
+// === GBA_VideoViewers ===
+// Each view sits in a <details> element and is only redrawn while it is open.
+// GBAJS3_Frontend calls refresh() once per frame.
+class GBA_VideoViewers {
+    constructor(core) {
+        this.core = core;
+        this.ioRegisters = buildIoViewerRegisters();
+        this.panel = null;
+    }
+
+    // Copies palette entry paletteIndex (0-511) from paletteRGB into RGBA image data
+    setPixel(data, index, paletteIndex) {
+        const palette = this.core.paletteRGB;
+        data[index] = palette[paletteIndex * 3];
+        data[index + 1] = palette[paletteIndex * 3 + 1];
+        data[index + 2] = palette[paletteIndex * 3 + 2];
+        data[index + 3] = 0xFF;
+    }
+
+    // Draws one 8x8 tile. paletteBase is the first of the 16 (4bpp) or 256 (8bpp) colors to use;
+    // backdrop replaces color 0 when given (maps), otherwise color 0 shows as itself (tile sheets).
+    drawTile(image, x, y, tileOffset, is8bpp, paletteBase, hflip = false, vflip = false, backdrop = null) {
+        const vram = this.core.vram;
+        const data = image.data;
+        for (let row = 0; row < 8; row++) {
+            for (let column = 0; column < 8; column++) {
+                const tx = hflip ? 7 - column : column;
+                const ty = vflip ? 7 - row : row;
+                let color;
+                if (is8bpp) {
+                    color = vram[tileOffset + ty * 8 + tx];
+                } else {
+                    const byte = vram[tileOffset + ty * 4 + (tx >> 1)];
+                    color = (tx & 1) ? byte >> 4 : byte & 0xF;
+                }
+                const paletteIndex = (color === 0 && backdrop !== null) ? backdrop : paletteBase + color;
+                this.setPixel(data, ((y + row) * image.width + x + column) * 4, paletteIndex);
+            }
+        }
+    }
+
+    // === Tile Sheets ===
+    // All six charblocks stacked, 32 tiles per row
+    renderTiles() {
+        const is8bpp = this.tileDepth.value === '8';
+        const [bank, number] = this.tilePalette.value.split(':');
+        const bankBase = bank === 'obj' ? 256 : 0;
+        const paletteBase = is8bpp ? bankBase : bankBase + Number(number) * 16;
+        const tileBytes = is8bpp ? TILE_SIZE_8BPP : TILE_SIZE_4BPP;
+        const tilesPerBlock = VIEWER_CHARBLOCK_SIZE / tileBytes;
+        const rowsPerBlock = tilesPerBlock / 32;
+
+        const height = VIEWER_CHARBLOCKS * rowsPerBlock * 8;
+        if (this.tileCanvas.height !== height) this.tileCanvas.height = height;
+        const context = this.tileCanvas.getContext('2d');
+        const image = context.createImageData(256, height);
+        for (let tile = 0; tile < VIEWER_CHARBLOCKS * tilesPerBlock; tile++) {
+            this.drawTile(image, (tile % 32) * 8, Math.floor(tile / 32) * 8, tile * tileBytes, is8bpp, paletteBase);
+        }
+        context.putImageData(image, 0, 0);
+
+        // Charblock boundaries
+        context.strokeStyle = '#FF00FF';
+        for (let block = 1; block < VIEWER_CHARBLOCKS; block++) {
+            context.beginPath();
+            context.moveTo(0, block * rowsPerBlock * 8 + 0.5);
+            context.lineTo(256, block * rowsPerBlock * 8 + 0.5);
+            context.stroke();
+        }
+    }
+
+    // === Tilemaps ===
+    // Text BGs show the whole 256x256 to 512x512 map with the 240x160 viewport at the
+    // scroll position; affine BGs show the square map with the transformed screen outline.
+    renderTilemap() {
+        const core = this.core;
+        const bg = Number(this.mapSelect.value);
+        const io = core.ioRegsView;
+        const mode = io.getUint16(REG_DISPCNT, true) & 0x7;
+        const bgcnt = io.getUint16(REG_BG0CNT + bg * 2, true);
+        const charBase = ((bgcnt >> 2) & 0x3) * VIEWER_CHARBLOCK_SIZE;
+        const mapBase = ((bgcnt >> 8) & 0x1F) * 0x800;
+        const screenSize = (bgcnt >> 14) & 0x3;
+        const affine = (mode === 1 && bg === 2) || (mode === 2 && bg >= 2);
+        const context = this.mapCanvas.getContext('2d');
+
+        if (mode >= 3 || !BG_LAYERS_BY_MODE[mode].includes(bg)) {
+            this.mapInfo.textContent = `BG${bg} is not available in mode ${mode}.`;
+            context.clearRect(0, 0, this.mapCanvas.width, this.mapCanvas.height);
+            return;
+        }
+
+        const vram = core.vram;
+        let width, height;
+        if (affine) {
+            width = height = 128 << screenSize;
+        } else {
+            width = (screenSize & 1) ? 512 : 256;
+            height = (screenSize & 2) ? 512 : 256;
+        }
+        if (this.mapCanvas.width !== width) this.mapCanvas.width = width;
+        if (this.mapCanvas.height !== height) this.mapCanvas.height = height;
+        const image = context.createImageData(width, height);
+
+        const tilesWide = width / 8;
+        for (let ty = 0; ty < height / 8; ty++) {
+            for (let tx = 0; tx < tilesWide; tx++) {
+                if (affine) {
+                    const tile = vram[(mapBase + ty * tilesWide + tx) & 0xFFFF];
+                    this.drawTile(image, tx * 8, ty * 8, charBase + tile * TILE_SIZE_8BPP, true, 0, false, false, 0);
+                    continue;
+                }
+                // Maps larger than 256 pixels are made of 32x32-tile screenblocks
+                const block = (tx >> 5) + (ty >> 5) * (width === 512 ? 2 : 1);
+                const entryOffset = mapBase + block * 0x800 + ((ty & 31) * 32 + (tx & 31)) * TILE_MAP_ENTRY_SIZE;
+                const entry = vram[entryOffset] | (vram[entryOffset + 1] << 8);
+                const is8bpp = (bgcnt & 0x80) !== 0;
+                const tileOffset = charBase + (entry & 0x3FF) * (is8bpp ? TILE_SIZE_8BPP : TILE_SIZE_4BPP);
+                if (tileOffset + (is8bpp ? TILE_SIZE_8BPP : TILE_SIZE_4BPP) > 0x10000) continue; // Outside BG VRAM
+                const paletteBase = is8bpp ? 0 : (entry >> 12) * 16;
+                this.drawTile(image, tx * 8, ty * 8, tileOffset, is8bpp, paletteBase, (entry & 0x400) !== 0, (entry & 0x800) !== 0, 0);
+            }
+        }
+        context.putImageData(image, 0, 0);
+        context.strokeStyle = '#FF0000';
+        context.lineWidth = 1;
+
+        if (affine) {
+            const base = REG_BG2PA + (bg - 2) * 0x10;
+            const pa = io.getInt16(base, true) / 256, pb = io.getInt16(base + 2, true) / 256;
+            const pc = io.getInt16(base + 4, true) / 256, pd = io.getInt16(base + 6, true) / 256;
+            const x0 = ((io.getUint32(base + 8, true) << 4) >> 4) / 256;
+            const y0 = ((io.getUint32(base + 12, true) << 4) >> 4) / 256;
+            const corner = (x, y) => [x0 + pa * x + pb * y, y0 + pc * x + pd * y];
+            const corners = [corner(0, 0), corner(SCREEN_WIDTH, 0), corner(SCREEN_WIDTH, SCREEN_HEIGHT), corner(0, SCREEN_HEIGHT)];
+            context.beginPath();
+            corners.forEach(([x, y], i) => (i ? context.lineTo(x, y) : context.moveTo(x, y)));
+            context.closePath();
+            context.stroke();
+            this.mapInfo.textContent = `BG${bg} affine, ${width}x${height}, origin (${x0}, ${y0})`;
+            return;
+        }
+
+        // The viewport wraps around the map, so draw it at every offset that can overlap
+        const hofs = io.getUint16(REG_BG0HOFS + bg * 4, true) & 0x1FF;
+        const vofs = io.getUint16(REG_BG0HOFS + bg * 4 + 2, true) & 0x1FF;
+        const scrollX = hofs % width, scrollY = vofs % height;
+        for (const dx of [0, -width]) {
+            for (const dy of [0, -height]) {
+                context.strokeRect(scrollX + dx + 0.5, scrollY + dy + 0.5, SCREEN_WIDTH - 1, SCREEN_HEIGHT - 1);
+            }
+        }
+        this.mapInfo.textContent = `BG${bg} text, ${width}x${height}, scroll (${hofs}, ${vofs})`;
+    }
+
+    // === Palette ===
+    // BG palette on the left, OBJ palette on the right, 16 colors per row
+    renderPalette() {
+        const cell = VIEWER_PALETTE_CELL;
+        const context = this.paletteCanvas.getContext('2d');
+        const palette = this.core.paletteRGB;
+        for (let index = 0; index < 512; index++) {
+            const bank = index >> 8;
+            const x = bank * (16 * cell + cell) + (index & 0xF) * cell;
+            const y = ((index >> 4) & 0xF) * cell;
+            context.fillStyle = `rgb(${palette[index * 3]}, ${palette[index * 3 + 1]}, ${palette[index * 3 + 2]})`;
+            context.fillRect(x, y, cell, cell);
+        }
+    }
+
+    describePaletteEntry(event) {
+        const cell = VIEWER_PALETTE_CELL;
+        const bounds = this.paletteCanvas.getBoundingClientRect();
+        const x = Math.floor(event.clientX - bounds.left), y = Math.floor(event.clientY - bounds.top);
+        const bank = x >= 17 * cell ? 1 : 0;
+        const column = Math.floor((x - bank * 17 * cell) / cell);
+        const row = Math.floor(y / cell);
+        if (column < 0 || column > 15 || row > 15) return;
+        const index = bank * 256 + row * 16 + column;
+        const color = this.core.bus.paletteView.getUint16(index * 2, true);
+        this.paletteInfo.textContent = `${bank ? 'OBJ' : 'BG'} palette ${row}, color ${column} (index ${index}): ` +
+            `${formatHex(color, 4)} = R${color & 0x1F} G${(color >> 5) & 0x1F} B${(color >> 10) & 0x1F}`;
+    }
+
+    // === OAM ===
+    renderOam() {
+        const oam = this.core.oam;
+        const modes = ['normal', 'semi', 'window', '-'];
+        const lines = ['  #    X    Y  size   tile pal pri mode    flags'];
+        for (let i = 0; i < 128; i++) {
+            const attr0 = oam[i * 8] | (oam[i * 8 + 1] << 8);
+            const attr1 = oam[i * 8 + 2] | (oam[i * 8 + 3] << 8);
+            const attr2 = oam[i * 8 + 4] | (oam[i * 8 + 5] << 8);
+            const affine = (attr0 & 0x0100) !== 0;
+            const hidden = !affine && (attr0 & 0x0200);
+            const shape = (attr0 >> 14) & 0x3;
+            const size = shape === 3 ? '?' : OBJ_SIZES[shape][(attr1 >> 14) & 0x3].join('x');
+            let x = attr1 & 0x1FF;
+            if (x >= 256) x -= 512;
+            const is8bpp = (attr0 & 0x2000) !== 0;
+            const flags = [];
+            if (hidden) flags.push('hidden');
+            if (affine) flags.push(`affine ${(attr1 >> 9) & 0x1F}${(attr0 & 0x0200) ? ' double' : ''}`);
+            else {
+                if (attr1 & 0x1000) flags.push('hflip');
+                if (attr1 & 0x2000) flags.push('vflip');
+            }
+            if (attr0 & 0x1000) flags.push('mosaic');
+            if (is8bpp) flags.push('8bpp');
+            lines.push(`${String(i).padStart(3)} ${String(x).padStart(4)} ${String(attr0 & 0xFF).padStart(4)}  ${size.padEnd(5)} ` +
+                `${String(attr2 & 0x3FF).padStart(5)} ${is8bpp ? '  -' : String(attr2 >> 12).padStart(3)} ` +
+                `${String((attr2 >> 10) & 0x3).padStart(3)} ${modes[(attr0 >> 10) & 0x3].padEnd(7)} ${flags.join(', ')}`);
+        }
+        const text = lines.join('\n');
+        if (this.oamView.textContent !== text) this.oamView.textContent = text;
+    }
+
+    // === IO Registers ===
+    readIoRegister(register) {
+        const io = this.core.ioRegsView;
+        return register.size === 4 ? io.getUint32(register.offset, true) : io.getUint16(register.offset, true);
+    }
+
+    // Goes through the bus so the core's IO write handlers run, but with watchpoints off:
+    // the edit is the user's, not the game's
+    writeIoRegister(register, value) {
+        const bus = this.core.bus;
+        const address = 0x04000000 + register.offset;
+        const watchpoints = bus.watchpoints;
+        bus.watchpoints = null;
+        if (register.size === 4) bus.write32(address, value >>> 0);
+        else bus.write16(address, value & 0xFFFF);
+        bus.watchpoints = watchpoints;
+        this.refresh(true);
+    }
+
+    renderIoRegisters() {
+        for (const row of this.ioRows) {
+            const value = this.readIoRegister(row.register);
+            // Leave the field alone while it is being edited
+            if (document.activeElement !== row.input) {
+                row.input.value = formatHex(value, row.register.size * 2).slice(2);
+            }
+            const decoded = row.register.decode ? row.register.decode(value, this.core) : '';
+            if (row.decoded.textContent !== decoded) row.decoded.textContent = decoded;
+        }
+    }
+
+    // === Viewer Panel ===
+    createPanel(parentElement) {
+        parentElement.innerHTML = '';
+        const views = [];
+        const section = (title, render) => {
+            const details = document.createElement('details');
+            const summary = document.createElement('summary');
+            summary.textContent = title;
+            details.appendChild(summary);
+            details.addEventListener('toggle', () => this.refresh(true));
+            parentElement.appendChild(details);
+            views.push({ details, render });
+            return details;
+        };
+        const select = (options, onChange) => {
+            const element = document.createElement('select');
+            for (const [value, label] of options) element.add(new Option(label, value));
+            element.addEventListener('change', onChange);
+            return element;
+        };
+        const canvas = (width, height) => {
+            const element = document.createElement('canvas');
+            element.width = width;
+            element.height = height;
+            element.className = 'viewer-canvas';
+            return element;
+        };
+
+        // Tiles
+        const tiles = section('Tiles (VRAM charblocks)', () => this.renderTiles());
+        this.tileDepth = select([['4', '4bpp'], ['8', '8bpp']], () => this.refresh(true));
+        const paletteOptions = [];
+        for (const bank of ['bg', 'obj']) {
+            for (let n = 0; n < 16; n++) paletteOptions.push([`${bank}:${n}`, `${bank.toUpperCase()} palette ${n}`]);
+        }
+        this.tilePalette = select(paletteOptions, () => this.refresh(true));
+        this.tileCanvas = canvas(256, VIEWER_CHARBLOCKS * 128);
+        tiles.append(this.tileDepth, ' ', this.tilePalette, document.createElement('br'), this.tileCanvas);
+
+        // Tilemaps
+        const maps = section('BG Tilemaps', () => this.renderTilemap());
+        this.mapSelect = select([0, 1, 2, 3].map((bg) => [bg, `BG${bg}`]), () => this.refresh(true));
+        this.mapInfo = document.createElement('span');
+        this.mapCanvas = canvas(256, 256);
+        maps.append(this.mapSelect, ' ', this.mapInfo, document.createElement('br'), this.mapCanvas);
+
+        // Palette
+        const palette = section('Palette', () => this.renderPalette());
+        this.paletteCanvas = canvas(33 * VIEWER_PALETTE_CELL, 16 * VIEWER_PALETTE_CELL);
+        this.paletteCanvas.addEventListener('mousemove', (event) => this.describePaletteEntry(event));
+        this.paletteInfo = document.createElement('div');
+        this.paletteInfo.textContent = 'Hover over a color for its value.';
+        palette.append(this.paletteCanvas, this.paletteInfo);
+
+        // OAM
+        const oam = section('Sprites (OAM)', () => this.renderOam());
+        this.oamView = document.createElement('pre');
+        this.oamView.className = 'viewer-table';
+        oam.appendChild(this.oamView);
+
+        // IO registers: values are editable hex fields, written on change
+        const io = section('IO Registers', () => this.renderIoRegisters());
+        const table = document.createElement('table');
+        table.className = 'viewer-table';
+        this.ioRows = [];
+        for (const register of this.ioRegisters) {
+            const tr = document.createElement('tr');
+            const name = document.createElement('td');
+            name.textContent = `${formatHex(0x04000000 + register.offset, 8)} ${register.name}`;
+            const input = document.createElement('input');
+            input.size = register.size * 2;
+            input.readOnly = !!register.readOnly;
+            input.addEventListener('change', () => {
+                const value = parseInt(input.value, 16);
+                if (!Number.isNaN(value)) this.writeIoRegister(register, value);
+            });
+            const valueCell = document.createElement('td');
+            valueCell.appendChild(input);
+            const decoded = document.createElement('td');
+            tr.append(name, valueCell, decoded);
+            table.appendChild(tr);
+            this.ioRows.push({ register, input, decoded });
+        }
+        io.appendChild(table);
+
+        this.views = views;
+        this.panel = parentElement;
+    }
+
+    // Redraws the open views. Called once per frame; force is for changes made while paused.
+    refresh(force = false) {
+        if (!this.panel || (!force && !this.core.romLoaded)) return;
+        for (const view of this.views) {
+            if (view.details.open) view.render();
+        }
+    }
+}
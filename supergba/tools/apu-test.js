@@ -0,0 +1,260 @@
+#!/usr/bin/env node
+// APU-Test.js (Checks the sound output of GBA_APU in gbajs3-audio.js)
+// Each check programs the sound registers through the bus, as a game would, runs the timers
+// and the APU for a while and looks at what takeSamples() returned. Expected values come
+// from the hardware description (GBATEK), not from earlier runs of the APU.
+//
+//   node supergba/tools/apu-test.js
+//
+// Exit code is 1 if any check failed.
+
+"use strict";
+
+const assert = require('assert');
+const { getCoreGlobal } = require('../code/gbajs3-node.js');
+
+const GBAJS3_Core = getCoreGlobal('GBAJS3_Core');
+const CYCLES_PER_SAMPLE = getCoreGlobal('CYCLES_PER_SAMPLE');
+const SAMPLES_PER_SEQUENCER_STEP = getCoreGlobal('SAMPLES_PER_SEQUENCER_STEP');
+
+const IO = 0x04000000;
+const SOUND1CNT_L = IO + 0x060;
+const SOUND1CNT_H = IO + 0x062;
+const SOUND1CNT_X = IO + 0x064;
+const SOUND2CNT_L = IO + 0x068;
+const SOUND2CNT_H = IO + 0x06C;
+const SOUNDCNT_L = IO + 0x080;
+const SOUNDCNT_H = IO + 0x082;
+const SOUNDCNT_X = IO + 0x084;
+const SOUNDBIAS = IO + 0x088;
+const FIFO_A = IO + 0x0A0;
+const FIFO_B = IO + 0x0A4;
+const DMA1SAD = IO + 0x0BC;
+const TM0CNT_L = IO + 0x100;
+
+// One length-counter clock (256 Hz), in samples
+const LENGTH_STEP_SAMPLES = SAMPLES_PER_SEQUENCER_STEP * 2;
+
+// === Helpers ===
+
+// A core without a ROM: the APU, timers and DMA are live, the CPU never runs
+function createSoundCore() {
+    const core = new GBAJS3_Core(null);
+    core.bus.write16(SOUNDCNT_X, 0x0080);
+    core.bus.write16(SOUNDBIAS, 0x0200);
+    return core;
+}
+
+// Same order as GBAJS3_Core.stepInstruction, one sample at a time.
+// Returns the right-hand output in DAC units (-0x200..0x1FF with the default bias).
+function runSamples(core, count) {
+    core.apu.takeSamples();
+    for (let i = 0; i < count; i++) {
+        core.updateTimers(CYCLES_PER_SAMPLE);
+        core.apu.advance(CYCLES_PER_SAMPLE);
+    }
+    const samples = core.apu.takeSamples();
+    const right = [];
+    for (let i = 1; i < samples.length; i += 2) right.push(Math.round(samples[i] * 0x200));
+    return right;
+}
+
+function channelPlaying(core, channel) {
+    return (core.bus.read16(SOUNDCNT_X) & (1 << channel)) !== 0;
+}
+
+// Channel 2 at full volume with no envelope, only on the right at master volume 8 and 100% PSG
+function startSquare2(core, duty, frequency, length = 0, lengthEnabled = false) {
+    core.bus.write16(SOUNDCNT_L, 0x0207);
+    core.bus.write16(SOUNDCNT_H, 0x0002);
+    core.bus.write16(SOUND2CNT_L, 0xF000 | (duty << 6) | length);
+    core.bus.write16(SOUND2CNT_H, 0x8000 | (lengthEnabled ? 0x4000 : 0) | frequency);
+}
+
+// Channel 1 with the given sweep, triggered at the given frequency
+function startSquare1(core, sweep, frequency) {
+    core.bus.write16(SOUNDCNT_L, 0x0107);
+    core.bus.write16(SOUNDCNT_H, 0x0002);
+    core.bus.write16(SOUND1CNT_L, sweep);
+    core.bus.write16(SOUND1CNT_H, 0xF080);
+    core.bus.write16(SOUND1CNT_X, 0x8000 | frequency);
+}
+
+// Timer 0 overflowing once per output sample
+function startSampleTimer(core) {
+    core.bus.write16(TM0CNT_L, 0x10000 - CYCLES_PER_SAMPLE);
+    core.bus.write16(TM0CNT_L + 2, 0x0080);
+}
+
+const results = [];
+
+function check(name, fn) {
+    try {
+        fn();
+        results.push({ name, failure: null });
+    } catch (e) {
+        results.push({ name, failure: e.message });
+    }
+}
+
+// === Square Channels ===
+
+// A square at frequency f runs at 131072 / (2048 - f) Hz: (2048 - f) / 4 samples per period
+const DUTY_HIGH_EIGHTHS = [1, 2, 4, 6];
+
+for (let duty = 0; duty < 4; duty++) {
+    check(`Square duty ${duty}: ${DUTY_HIGH_EIGHTHS[duty]}/8 of each period is high`, () => {
+        const core = createSoundCore();
+        startSquare2(core, duty, 2048 - 64); // 16 samples per period
+        const samples = runSamples(core, 16 * 8);
+        // Full volume 15, times master volume 8
+        assert.deepStrictEqual([...new Set(samples)].sort((a, b) => a - b), [-120, 120]);
+        assert.strictEqual(samples.filter((sample) => sample > 0).length, DUTY_HIGH_EIGHTHS[duty] * 16);
+    });
+}
+
+for (const frequency of [2048 - 32, 2048 - 128, 2048 - 512]) {
+    const period = (2048 - frequency) / 4;
+    check(`Square frequency ${frequency}: one period every ${period} samples`, () => {
+        const core = createSoundCore();
+        startSquare2(core, 2, frequency);
+        const samples = runSamples(core, period * 4 + 1);
+        const rising = [];
+        for (let i = 1; i < samples.length; i++) {
+            if (samples[i - 1] < 0 && samples[i] > 0) rising.push(i);
+        }
+        assert.strictEqual(rising.length, 4);
+        assert.deepStrictEqual(rising.slice(1).map((at, i) => at - rising[i]), [period, period, period]);
+    });
+}
+
+// === Channel 1 Sweep ===
+
+check('Sweep: a trigger whose first step overflows disables channel 1 at once', () => {
+    const core = createSoundCore();
+    startSquare1(core, 0x0011, 1400); // 1400 + 700 > 2047
+    assert.strictEqual(channelPlaying(core, 0), false);
+    assert.ok(runSamples(core, 64).every((sample) => sample === 0));
+});
+
+check('Sweep: channel 1 stops on the sweep step that would overflow', () => {
+    const core = createSoundCore();
+    startSquare1(core, 0x0011, 1200); // 1200 -> 1800, and 1800 + 900 overflows
+    assert.strictEqual(channelPlaying(core, 0), true);
+    // The first sweep clock is sequencer step 2, after 3 sequencer steps
+    runSamples(core, SAMPLES_PER_SEQUENCER_STEP * 3 - 1);
+    assert.strictEqual(channelPlaying(core, 0), true);
+    runSamples(core, 1);
+    assert.strictEqual(channelPlaying(core, 0), false);
+    assert.strictEqual(core.bus.read16(SOUND1CNT_X) & 0x7FF, 1800);
+});
+
+check('Sweep: a decreasing sweep never overflows', () => {
+    const core = createSoundCore();
+    startSquare1(core, 0x0019, 2000);
+    runSamples(core, SAMPLES_PER_SEQUENCER_STEP * 64);
+    assert.strictEqual(channelPlaying(core, 0), true);
+    assert.ok((core.bus.read16(SOUND1CNT_X) & 0x7FF) < 2000);
+});
+
+// === Length Counter ===
+
+check('Length: a channel with length 64 - 32 stops after 32/256 s', () => {
+    const core = createSoundCore();
+    startSquare2(core, 2, 2048 - 64, 32, true);
+    runSamples(core, LENGTH_STEP_SAMPLES * 31);
+    assert.strictEqual(channelPlaying(core, 1), true);
+    runSamples(core, LENGTH_STEP_SAMPLES);
+    assert.strictEqual(channelPlaying(core, 1), false);
+    assert.ok(runSamples(core, 64).every((sample) => sample === 0));
+});
+
+check('Length: the counter is ignored while the length enable is clear', () => {
+    const core = createSoundCore();
+    startSquare2(core, 2, 2048 - 64, 32, false);
+    runSamples(core, LENGTH_STEP_SAMPLES * 64);
+    assert.strictEqual(channelPlaying(core, 1), true);
+});
+
+// === DirectSound ===
+
+check('FIFO A plays one byte per timer 0 overflow, refilled by DMA1', () => {
+    const core = createSoundCore();
+    const bytes = Array.from({ length: 48 }, (_, i) => i - 24);
+    bytes.forEach((byte, i) => core.bus.write8(0x02000000 + i, byte & 0xFF));
+    // 100% volume, right only, timer 0, FIFO reset
+    core.bus.write16(SOUNDCNT_H, 0x0904);
+    core.bus.write32(DMA1SAD, 0x02000000);
+    core.bus.write32(DMA1SAD + 4, FIFO_A);
+    core.bus.write16(DMA1SAD + 10, 0xB640); // Enable, special timing, 32-bit, repeat, fixed destination
+    startSampleTimer(core);
+    // The first overflow finds the FIFO empty and asks for data; playback starts on the next one
+    const samples = runSamples(core, bytes.length + 1);
+    assert.deepStrictEqual(samples, [0, ...bytes.map((byte) => byte * 4)]);
+});
+
+check('FIFO A keeps its last sample while its timer is stopped', () => {
+    const core = createSoundCore();
+    core.bus.write16(SOUNDCNT_H, 0x0904);
+    core.bus.write32(FIFO_A, 0x04030201);
+    startSampleTimer(core);
+    assert.deepStrictEqual(runSamples(core, 2), [4, 8]);
+    core.bus.write16(TM0CNT_L + 2, 0x0000);
+    assert.deepStrictEqual(runSamples(core, 3), [8, 8, 8]);
+});
+
+check('FIFO B follows timer 1 and ignores timer 0', () => {
+    const core = createSoundCore();
+    core.bus.write16(SOUNDCNT_H, 0xD000); // 50% volume, right only, timer 1, FIFO reset
+    core.bus.write32(FIFO_B, 0x00000010);
+    startSampleTimer(core);
+    assert.deepStrictEqual(runSamples(core, 2), [0, 0]);
+    core.bus.write16(TM0CNT_L + 4, 0xFFFF);
+    core.bus.write16(TM0CNT_L + 6, 0x0084); // Timer 1 overflows with every timer 0 overflow
+    assert.deepStrictEqual(runSamples(core, 1), [0x20]);
+});
+
+// === SOUNDBIAS ===
+
+// Both FIFOs at 100% playing the same byte: 8 times the byte before clipping
+function playBothFifos(bias, byte) {
+    const core = createSoundCore();
+    core.bus.write16(SOUNDBIAS, bias);
+    core.bus.write16(SOUNDCNT_H, 0x990C);
+    core.bus.write32(FIFO_A, byte * 0x01010101);
+    core.bus.write32(FIFO_B, byte * 0x01010101);
+    startSampleTimer(core);
+    return runSamples(core, 1)[0];
+}
+
+check('SOUNDBIAS 0x200: the mix clips to -0x200..0x1FF', () => {
+    assert.strictEqual(playBothFifos(0x200, 0x20), 0x100);
+    assert.strictEqual(playBothFifos(0x200, 0x40), 0x1FF);
+    assert.strictEqual(playBothFifos(0x200, 0x7F), 0x1FF);
+    assert.strictEqual(playBothFifos(0x200, 0xC0), -0x200);
+    assert.strictEqual(playBothFifos(0x200, 0x80), -0x200);
+});
+
+check('SOUNDBIAS 0x100: the clipping points move with the bias', () => {
+    assert.strictEqual(playBothFifos(0x100, 0x7F), 0x3FF - 0x100);
+    assert.strictEqual(playBothFifos(0x100, 0xC0), -0x100);
+    assert.strictEqual(playBothFifos(0x100, 0x10), 0x80);
+});
+
+check('Silence with the master enable off', () => {
+    const core = createSoundCore();
+    startSquare2(core, 2, 2048 - 64);
+    core.bus.write16(SOUNDCNT_X, 0x0000);
+    assert.strictEqual(channelPlaying(core, 1), false);
+    assert.ok(runSamples(core, 64).every((sample) => sample === 0));
+});
+
+// === Report ===
+
+const failed = results.filter((result) => result.failure);
+for (const result of results) {
+    console.log(`${result.failure ? 'FAIL' : 'PASS'}  ${result.name}`);
+    if (result.failure) console.log(`      ${result.failure.split('\n').join('\n      ')}`);
+}
+console.log(`\n${results.length - failed.length} PASS, ${failed.length} FAIL`);
+process.exitCode = failed.length ? 1 : 0;
@@ -0,0 +1,1026 @@
+#!/usr/bin/env node
+// Build-Selftest-Roms.js (Builds the self-made test ROMs used by tools/conformance.js)
+// Third-party test ROMs cannot be shipped with the repository, so these small ROMs are
+// assembled from the sources below and committed next to their golden hashes. Every ROM
+// starts by running a table of IO writes and DMA transfers, which first clears whatever
+// the BIOS intro left behind, so the final frame is the same with either BIOS.
+//
+//   ppu-*   scenes built from the command table alone: bitmap modes, tiles, sprites,
+//           affine backgrounds, windows and blending, mosaic
+//   cpu-*   ARM and Thumb instruction results. Each case stores its result and flags to a
+//           mode 4 screen whose palette gives all 256 byte values a different color, so
+//           every bit of every result ends up in the frame hash.
+//
+//   node supergba/tools/build-selftest-roms.js    writes conformance/roms/selftest/*.gba
+//
+// After changing a ROM here, rebuild it, check the new screenshots by eye and record them
+// with `node supergba/tools/conformance.js --update --filter selftest`.
+
+"use strict";
+
+const fs = require('fs');
+const path = require('path');
+const { getCoreGlobal } = require('../code/gbajs3-node.js');
+
+const OUT_DIR = path.join(__dirname, 'conformance', 'roms', 'selftest');
+const ROM_BASE = 0x08000000;
+
+// === Assembler ===
+// A two-pass assembler for the subset of ARM and Thumb these sources use. Syntax is UAL
+// ("addseq", "strheq"); "ldr rd, =value" goes to the next .pool. Directives: .arm,
+// .thumb, .align, .pool, .word, .hword, .bytes <name> (a Uint8Array passed in by name).
+
+const CONDITIONS = ['eq', 'ne', 'cs', 'cc', 'mi', 'pl', 'vs', 'vc', 'hi', 'ls', 'ge', 'lt', 'gt', 'le', 'al'];
+const CONDITION_ALIASES = { hs: 'cs', lo: 'cc' };
+const DATA_OPCODES = ['and', 'eor', 'sub', 'rsb', 'add', 'adc', 'sbc', 'rsc', 'tst', 'teq', 'cmp', 'cmn', 'orr', 'mov', 'bic', 'mvn'];
+const SHIFT_TYPES = ['lsl', 'lsr', 'asr', 'ror'];
+const THUMB_ALU_OPCODES = ['and', 'eor', 'lsl', 'lsr', 'asr', 'adc', 'sbc', 'ror', 'tst', 'neg', 'cmp', 'cmn', 'orr', 'mul', 'bic', 'mvn'];
+const ARM_MNEMONICS = [
+    ...DATA_OPCODES, 'mul', 'mla', 'umull', 'umlal', 'smull', 'smlal',
+    'ldrsb', 'ldrsh', 'ldrh', 'strh', 'ldrb', 'strb', 'ldr', 'str',
+    'ldmia', 'ldmib', 'ldmda', 'ldmdb', 'stmia', 'stmib', 'stmda', 'stmdb',
+    'swpb', 'swp', 'mrs', 'msr', 'bx', 'bl', 'b', 'swi', 'adr',
+];
+
+function parseRegister(text) {
+    const name = text.trim().toLowerCase();
+    const alias = { sp: 13, lr: 14, pc: 15 }[name];
+    if (alias !== undefined) return alias;
+    const match = /^r(\d+)$/.exec(name);
+    if (!match || Number(match[1]) > 15) throw new Error(`Bad register "${text}".`);
+    return Number(match[1]);
+}
+
+function parseRegisterList(text) {
+    const match = /^\{(.*)\}$/.exec(text.trim());
+    if (!match) throw new Error(`Bad register list "${text}".`);
+    let mask = 0;
+    for (const part of match[1].split(',')) {
+        const [first, last] = part.split('-').map(parseRegister);
+        for (let r = first; r <= (last === undefined ? first : last); r++) mask |= 1 << r;
+    }
+    return mask;
+}
+
+// Splits operands on commas outside brackets and braces
+function splitOperands(text) {
+    const operands = [];
+    let depth = 0, current = '';
+    for (const ch of text) {
+        if (ch === '[' || ch === '{') depth++;
+        if (ch === ']' || ch === '}') depth--;
+        if (ch === ',' && depth === 0) {
+            operands.push(current.trim());
+            current = '';
+        } else {
+            current += ch;
+        }
+    }
+    if (current.trim()) operands.push(current.trim());
+    return operands;
+}
+
+// ARM immediates are 8 bits rotated right by an even amount
+function encodeArmImmediate(value) {
+    value >>>= 0;
+    for (let rotate = 0; rotate < 16; rotate++) {
+        const unrotated = ((value << (rotate * 2)) | (value >>> (32 - rotate * 2))) >>> 0;
+        if (unrotated <= 0xFF) return (rotate << 8) | unrotated;
+    }
+    return -1;
+}
+
+class Assembler {
+    constructor(base, blobs = {}) {
+        this.base = base;
+        this.blobs = blobs;
+    }
+
+    // Numbers, labels and sums of them
+    evaluate(text) {
+        let sum = 0;
+        for (const part of text.replace(/\s+/g, '').match(/[+-]?[^+-]+/g) || []) {
+            const negative = part[0] === '-';
+            const body = part.replace(/^[+-]/, '');
+            let value;
+            if (/^(0x[0-9a-f]+|\d+)$/i.test(body)) value = Number(body);
+            else if (body in this.labels) value = this.labels[body];
+            else if (this.finalPass) throw new Error(`Unknown label "${body}".`);
+            else value = 0;
+            sum += negative ? -value : value;
+        }
+        return sum >>> 0;
+    }
+
+    immediate(text) {
+        if (!text.startsWith('#')) throw new Error(`Expected an immediate, got "${text}".`);
+        return this.evaluate(text.slice(1));
+    }
+
+    assemble(source) {
+        this.labels = {};
+        this.finalPass = false;
+        this.pass(source);
+        this.finalPass = true;
+        return this.pass(source);
+    }
+
+    pass(source) {
+        this.bytes = [];
+        this.thumb = false;
+        this.pool = [];
+        for (const [index, rawLine] of source.split('\n').entries()) {
+            const line = rawLine.replace(/[;@].*$/, '').trim();
+            if (!line) continue;
+            try {
+                this.line(line);
+            } catch (e) {
+                throw new Error(`Line ${index + 1} "${rawLine.trim()}": ${e.message}`);
+            }
+        }
+        if (this.pool.length) this.flushPool();
+        return Uint8Array.from(this.bytes);
+    }
+
+    get address() {
+        return this.base + this.bytes.length;
+    }
+
+    emit(value, size) {
+        for (let i = 0; i < size; i++) this.bytes.push((value >>> (i * 8)) & 0xFF);
+    }
+
+    patch(offset, value, size) {
+        for (let i = 0; i < size; i++) this.bytes[offset + i] = (value >>> (i * 8)) & 0xFF;
+    }
+
+    align(size) {
+        while (this.bytes.length % size) this.bytes.push(0);
+    }
+
+    line(line) {
+        const label = /^([A-Za-z_.][\w.]*):(.*)$/.exec(line);
+        if (label) {
+            if (!this.finalPass && label[1] in this.labels) throw new Error(`Label "${label[1]}" defined twice.`);
+            this.labels[label[1]] = this.address;
+            if (label[2].trim()) this.line(label[2].trim());
+            return;
+        }
+
+        const [mnemonic, rest = ''] = line.split(/\s+(.*)/);
+        const operands = splitOperands(rest);
+        switch (mnemonic.toLowerCase()) {
+            case '.arm': this.thumb = false; this.align(4); return;
+            case '.thumb': this.thumb = true; return;
+            case '.align': this.align(Number(operands[0])); return;
+            case '.pool': this.flushPool(); return;
+            case '.word': this.align(4); operands.forEach((op) => this.emit(this.evaluate(op), 4)); return;
+            case '.hword': this.align(2); operands.forEach((op) => this.emit(this.evaluate(op), 2)); return;
+            case '.bytes': {
+                const blob = this.blobs[operands[0]];
+                if (!blob) throw new Error(`No data named "${operands[0]}".`);
+                blob.forEach((byte) => this.bytes.push(byte));
+                return;
+            }
+        }
+
+        if (this.thumb) this.emit(this.thumbInstruction(mnemonic.toLowerCase(), operands), 2);
+        else this.emit(this.armInstruction(mnemonic.toLowerCase(), operands), 4);
+    }
+
+    // Literals are placed after the code that loads them; loads are patched when the pool is written
+    flushPool() {
+        this.align(4);
+        for (const entry of this.pool) {
+            const literal = this.address;
+            this.emit(entry.value, 4);
+            if (entry.thumb) {
+                const offset = literal - ((entry.address + 4) & ~3);
+                if (offset < 0 || offset > 1020) throw new Error('Literal pool out of range.');
+                this.patch(entry.offset, entry.encoding | (offset >> 2), 2);
+            } else {
+                const offset = literal - (entry.address + 8);
+                if (offset < 0 || offset > 4095) throw new Error('Literal pool out of range.');
+                this.patch(entry.offset, entry.encoding | offset, 4);
+            }
+        }
+        this.pool = [];
+    }
+
+    addLiteral(text, encoding, thumb) {
+        this.pool.push({ value: this.evaluate(text), offset: this.bytes.length, address: this.address, encoding, thumb });
+    }
+
+    // === ARM ===
+    splitArmMnemonic(mnemonic) {
+        for (const base of ARM_MNEMONICS) {
+            if (!mnemonic.startsWith(base)) continue;
+            let rest = mnemonic.slice(base.length);
+            let setFlags = false;
+            const flagged = DATA_OPCODES.includes(base) || ['mul', 'mla', 'umull', 'umlal', 'smull', 'smlal'].includes(base);
+            if (flagged && rest.startsWith('s') && !CONDITIONS.includes(rest) && !(rest in CONDITION_ALIASES)) {
+                setFlags = true;
+                rest = rest.slice(1);
+            }
+            const condition = rest === '' ? 14 : CONDITIONS.indexOf(CONDITION_ALIASES[rest] || rest);
+            if (condition >= 0) return { base, setFlags, condition };
+        }
+        throw new Error(`Unknown ARM instruction "${mnemonic}".`);
+    }
+
+    // Rm with an optional shift by immediate or register
+    armShiftedRegister(operands) {
+        const rm = parseRegister(operands[0]);
+        if (operands.length === 1) return rm;
+        const shift = operands[1].toLowerCase();
+        if (shift === 'rrx') return rm | (3 << 5);
+        const [type, amount] = shift.split(/\s+/);
+        const typeIndex = SHIFT_TYPES.indexOf(type);
+        if (typeIndex < 0) throw new Error(`Bad shift "${operands[1]}".`);
+        if (!amount.startsWith('#')) return rm | (typeIndex << 5) | (1 << 4) | (parseRegister(amount) << 8);
+        const value = this.immediate(amount);
+        if (value > 32 || (value === 32 && typeIndex === 0)) throw new Error(`Bad shift amount "${amount}".`);
+        return rm | (typeIndex << 5) | ((value & 0x1F) << 7);
+    }
+
+    armOperand2(operands) {
+        if (!operands[0].startsWith('#')) return this.armShiftedRegister(operands);
+        const encoded = encodeArmImmediate(this.immediate(operands[0]));
+        if (encoded < 0) throw new Error(`Immediate ${operands[0]} cannot be encoded.`);
+        return (1 << 25) | encoded;
+    }
+
+    // [rn], [rn, #imm]{!}, [rn, rm{, shift}]{!} and post-indexed [rn], #imm / [rn], rm
+    armAddress(operands, halfword) {
+        const match = /^\[([^\]]*)\](!?)$/.exec(operands[0]);
+        if (!match) throw new Error(`Bad address "${operands[0]}".`);
+        const inner = splitOperands(match[1]);
+        const preIndexed = operands.length === 1;
+        const offsetOperands = preIndexed ? inner.slice(1) : operands.slice(1);
+        let bits = (parseRegister(inner[0]) << 16) | (preIndexed ? 1 << 24 : 0) | (match[2] ? 1 << 21 : 0);
+        let up = true;
+        if (offsetOperands.length === 0) {
+            bits |= halfword ? 1 << 22 : 0;
+        } else if (offsetOperands[0].startsWith('#')) {
+            let offset = this.evaluate(offsetOperands[0].slice(1)) | 0;
+            if (offset < 0) { up = false; offset = -offset; }
+            if (offset > (halfword ? 0xFF : 0xFFF)) throw new Error(`Offset ${offsetOperands[0]} out of range.`);
+            bits |= halfword ? (1 << 22) | ((offset & 0xF0) << 4) | (offset & 0xF) : offset;
+        } else {
+            if (offsetOperands[0].startsWith('-')) {
+                up = false;
+                offsetOperands[0] = offsetOperands[0].slice(1);
+            }
+            if (halfword && offsetOperands.length > 1) throw new Error('Halfword transfers take no shift.');
+            bits |= halfword ? parseRegister(offsetOperands[0]) : (1 << 25) | this.armShiftedRegister(offsetOperands);
+        }
+        return bits | (up ? 1 << 23 : 0);
+    }
+
+    armInstruction(mnemonic, operands) {
+        const { base, setFlags, condition } = this.splitArmMnemonic(mnemonic);
+        const cond = (condition << 28) >>> 0;
+        const s = setFlags ? 1 << 20 : 0;
+
+        const opcode = DATA_OPCODES.indexOf(base);
+        if (opcode >= 0) {
+            if (opcode >= 8 && opcode <= 11) {
+                return (cond | (opcode << 21) | (1 << 20) | (parseRegister(operands[0]) << 16) | this.armOperand2(operands.slice(1))) >>> 0;
+            }
+            if (base === 'mov' || base === 'mvn') {
+                return (cond | (opcode << 21) | s | (parseRegister(operands[0]) << 12) | this.armOperand2(operands.slice(1))) >>> 0;
+            }
+            return (cond | (opcode << 21) | s | (parseRegister(operands[1]) << 16) | (parseRegister(operands[0]) << 12) |
+                this.armOperand2(operands.slice(2))) >>> 0;
+        }
+
+        const r = (i) => parseRegister(operands[i]);
+        switch (base) {
+            case 'mul': return (cond | s | (r(0) << 16) | (r(2) << 8) | 0x90 | r(1)) >>> 0;
+            case 'mla': return (cond | (1 << 21) | s | (r(0) << 16) | (r(3) << 12) | (r(2) << 8) | 0x90 | r(1)) >>> 0;
+            case 'umull': case 'umlal': case 'smull': case 'smlal': {
+                const kind = { umull: 0x00800090, umlal: 0x00A00090, smull: 0x00C00090, smlal: 0x00E00090 }[base];
+                return (cond | kind | s | (r(1) << 16) | (r(0) << 12) | (r(3) << 8) | r(2)) >>> 0;
+            }
+            case 'ldr': case 'str': case 'ldrb': case 'strb': {
+                const load = base.startsWith('ldr');
+                if (load && operands[1].startsWith('=')) {
+                    this.addLiteral(operands[1].slice(1), (cond | 0x059F0000 | (r(0) << 12)) >>> 0, false);
+                    return 0;
+                }
+                const bits = this.armAddress(operands.slice(1), false);
+                return (cond | (1 << 26) | (base.endsWith('b') ? 1 << 22 : 0) | (load ? 1 << 20 : 0) | (r(0) << 12) | bits) >>> 0;
+            }
+            case 'ldrh': case 'strh': case 'ldrsb': case 'ldrsh': {
+                const kind = { strh: 0xB0, ldrh: 0x1000B0, ldrsb: 0x1000D0, ldrsh: 0x1000F0 }[base];
+                return (cond | kind | (r(0) << 12) | this.armAddress(operands.slice(1), true)) >>> 0;
+            }
+            case 'ldmia': case 'ldmib': case 'ldmda': case 'ldmdb':
+            case 'stmia': case 'stmib': case 'stmda': case 'stmdb': {
+                const mode = { ia: 0x0800000, ib: 0x1800000, da: 0, db: 0x1000000 }[base.slice(3)];
+                const writeBack = operands[0].endsWith('!') ? 1 << 21 : 0;
+                const userBank = operands[1].endsWith('^') ? 1 << 22 : 0;
+                return (cond | 0x08000000 | mode | userBank | writeBack | (base.startsWith('ldm') ? 1 << 20 : 0) |
+                    (parseRegister(operands[0].replace('!', '')) << 16) | parseRegisterList(operands[1].replace('^', ''))) >>> 0;
+            }
+            case 'swp': case 'swpb':
+                return (cond | 0x01000090 | (base === 'swpb' ? 1 << 22 : 0) | (parseRegister(operands[2].slice(1, -1)) << 16) |
+                    (r(0) << 12) | r(1)) >>> 0;
+            case 'mrs': return (cond | (operands[1].toLowerCase() === 'spsr' ? 0x014F0000 : 0x010F0000) | (r(0) << 12)) >>> 0;
+            case 'msr': {
+                const [psr, fields = 'fc'] = operands[0].toLowerCase().split('_');
+                let mask = 0;
+                for (const field of fields) mask |= { c: 1, x: 2, s: 4, f: 8 }[field];
+                const target = (psr === 'spsr' ? 1 << 22 : 0) | (mask << 16) | 0x0120F000;
+                if (operands[1].startsWith('#')) {
+                    return (cond | target | this.armOperand2(operands.slice(1))) >>> 0;
+                }
+                return (cond | target | r(1)) >>> 0;
+            }
+            case 'bx': return (cond | 0x012FFF10 | r(0)) >>> 0;
+            case 'b': case 'bl': {
+                const offset = (this.evaluate(operands[0]) - (this.address + 8)) >> 2;
+                return (cond | 0x0A000000 | (base === 'bl' ? 1 << 24 : 0) | (offset & 0xFFFFFF)) >>> 0;
+            }
+            case 'swi': return (cond | 0x0F000000 | this.immediate(operands[0])) >>> 0;
+            case 'adr': {
+                const offset = (this.evaluate(operands[1]) - (this.address + 8)) | 0;
+                const encoded = encodeArmImmediate(Math.abs(offset));
+                if (encoded < 0 && this.finalPass) throw new Error(`${operands[1]} is out of adr range.`);
+                return (cond | (1 << 25) | ((offset < 0 ? 2 : 4) << 21) | (15 << 16) | (r(0) << 12) | (encoded & 0xFFF)) >>> 0;
+            }
+        }
+        throw new Error(`Unknown ARM instruction "${mnemonic}".`);
+    }
+
+    // === Thumb ===
+    thumbInstruction(mnemonic, operands) {
+        const low = (i) => {
+            const reg = parseRegister(operands[i]);
+            if (reg > 7) throw new Error(`${operands[i]} is not a low register.`);
+            return reg;
+        };
+        const isImmediate = (i) => operands[i] !== undefined && operands[i].startsWith('#');
+        const branchOffset = (target) => this.evaluate(target) - (this.address + 4);
+
+        const conditional = /^b(\w\w)$/.exec(mnemonic);
+        const condition = conditional ? CONDITIONS.indexOf(CONDITION_ALIASES[conditional[1]] || conditional[1]) : -1;
+        if (condition >= 0 && condition < 14) {
+            const offset = branchOffset(operands[0]);
+            if (this.finalPass && (offset < -256 || offset > 254)) throw new Error('Conditional branch out of range.');
+            return 0xD000 | (condition << 8) | ((offset >> 1) & 0xFF);
+        }
+
+        switch (mnemonic) {
+            case 'lsl': case 'lsr': case 'asr':
+                if (isImmediate(2)) return (['lsl', 'lsr', 'asr'].indexOf(mnemonic) << 11) | ((this.immediate(operands[2]) & 0x1F) << 6) | (low(1) << 3) | low(0);
+                break;
+            case 'add': case 'sub': case 'mov': case 'cmp': {
+                const rd = parseRegister(operands[0]);
+                const rs = operands[1] && !isImmediate(1) ? parseRegister(operands[1]) : null;
+                if ((rd > 7 || (rs !== null && rs > 7)) && mnemonic !== 'sub' && operands.length === 2) {
+                    const op = { add: 0, cmp: 1, mov: 2 }[mnemonic];
+                    return 0x4400 | (op << 8) | ((rd & 8) << 4) | ((rs & 8) << 3) | ((rs & 7) << 3) | (rd & 7);
+                }
+                if (operands.length === 3 && (mnemonic === 'add' || mnemonic === 'sub')) {
+                    const sub = mnemonic === 'sub' ? 0x200 : 0;
+                    if (isImmediate(2)) return 0x1C00 | sub | ((this.immediate(operands[2]) & 7) << 6) | (low(1) << 3) | low(0);
+                    return 0x1800 | sub | (low(2) << 6) | (low(1) << 3) | low(0);
+                }
+                if (isImmediate(1)) {
+                    const op = { mov: 0, cmp: 1, add: 2, sub: 3 }[mnemonic];
+                    return 0x2000 | (op << 11) | (low(0) << 8) | (this.immediate(operands[1]) & 0xFF);
+                }
+                if (mnemonic === 'mov') return 0x1C00 | (low(1) << 3) | low(0); // adds rd, rs, #0
+                break;
+            }
+            case 'bx': return 0x4700 | (parseRegister(operands[0]) << 3);
+            case 'ldr': case 'str': case 'ldrb': case 'strb': case 'ldrh': case 'strh': case 'ldrsb': case 'ldrsh': {
+                if (mnemonic === 'ldr' && operands[1].startsWith('=')) {
+                    this.addLiteral(operands[1].slice(1), 0x4800 | (low(0) << 8), true);
+                    return 0;
+                }
+                const inner = splitOperands(/^\[(.*)\]$/.exec(operands[1])[1]);
+                const rb = parseRegister(inner[0]) & 7;
+                if (inner.length === 2 && !inner[1].startsWith('#')) {
+                    const kind = { str: 0x5000, strb: 0x5400, ldr: 0x5800, ldrb: 0x5C00, strh: 0x5200, ldrh: 0x5A00, ldrsb: 0x5600, ldrsh: 0x5E00 }[mnemonic];
+                    return kind | (parseRegister(inner[1]) << 6) | (rb << 3) | low(0);
+                }
+                const offset = inner.length === 2 ? this.immediate(inner[1]) : 0;
+                const load = mnemonic.startsWith('ldr') ? 1 << 11 : 0;
+                if (mnemonic === 'ldr' || mnemonic === 'str') return 0x6000 | load | ((offset >> 2) << 6) | (rb << 3) | low(0);
+                if (mnemonic === 'ldrb' || mnemonic === 'strb') return 0x7000 | load | (offset << 6) | (rb << 3) | low(0);
+                if (mnemonic === 'ldrh' || mnemonic === 'strh') return 0x8000 | load | ((offset >> 1) << 6) | (rb << 3) | low(0);
+                break;
+            }
+            case 'push': case 'pop': {
+                const mask = parseRegisterList(operands[0]);
+                const extra = mnemonic === 'push' ? 1 << 14 : 1 << 15;
+                return (mnemonic === 'push' ? 0xB400 : 0xBC00) | (mask & extra ? 0x100 : 0) | (mask & 0xFF);
+            }
+            case 'stmia': case 'ldmia':
+                return (mnemonic === 'ldmia' ? 0xC800 : 0xC000) | (parseRegister(operands[0].replace('!', '')) << 8) | parseRegisterList(operands[1]);
+            case 'swi': return 0xDF00 | this.immediate(operands[0]);
+            case 'b': {
+                const offset = branchOffset(operands[0]);
+                if (this.finalPass && (offset < -2048 || offset > 2046)) throw new Error('Branch out of range.');
+                return 0xE000 | ((offset >> 1) & 0x7FF);
+            }
+            case 'bl': {
+                const offset = branchOffset(operands[0]);
+                this.emit(0xF000 | ((offset >> 12) & 0x7FF), 2);
+                return 0xF800 | ((offset >> 1) & 0x7FF);
+            }
+        }
+
+        const alu = THUMB_ALU_OPCODES.indexOf(mnemonic);
+        if (alu >= 0 && operands.length === 2) return 0x4000 | (alu << 6) | (low(1) << 3) | low(0);
+        throw new Error(`Unknown Thumb instruction "${mnemonic} ${operands.join(', ')}".`);
+    }
+}
+
+// === ROM Image ===
+
+const IO_BASE = 0x04000000;
+const io = (name) => IO_BASE + getCoreGlobal(`REG_${name}`);
+const DMA3SAD = io('DMA0SAD') + 36;
+const PRAM = 0x05000000;
+const VRAM = 0x06000000;
+const OAM = 0x07000000;
+
+const rgb = (r, g, b) => (r & 0x1F) | ((g & 0x1F) << 5) | ((b & 0x1F) << 10);
+const hex = (value) => '0x' + (value >>> 0).toString(16).toUpperCase();
+
+function halfwords(values) {
+    const bytes = new Uint8Array(values.length * 2);
+    const view = new DataView(bytes.buffer);
+    values.forEach((value, i) => view.setUint16(i * 2, value, true));
+    return bytes;
+}
+
+// IO writes and DMA transfers, run by the loop at the start of every ROM. Each entry is
+// three words: kind (1 = halfword store, 2 = word store, 0 = end), address and value.
+class CommandTable {
+    constructor() {
+        this.lines = [];
+        this.constants = [];
+    }
+
+    set16(address, value) {
+        this.lines.push(`.word 1, ${hex(address)}, ${hex(value)}`);
+    }
+
+    set32(address, value) {
+        this.lines.push(`.word 2, ${hex(address)}, ${typeof value === 'string' ? value : hex(value)}`);
+    }
+
+    // 32-bit DMA3 transfer from a label or address
+    copy(source, dest, words, fixedSource = false) {
+        this.set32(DMA3SAD, typeof source === 'string' ? source : hex(source));
+        this.set32(DMA3SAD + 4, dest);
+        this.set32(DMA3SAD + 8, (((fixedSource ? 0x8500 : 0x8400) << 16) | words) >>> 0);
+    }
+
+    fill(value, dest, words) {
+        const label = `fill_${this.constants.length}`;
+        this.constants.push(`${label}: .word ${hex(value)}`);
+        this.copy(label, dest, words, true);
+    }
+
+    // Forced blank, then everything the scenes use back to a known state: the real BIOS
+    // leaves its logo in VRAM and its fade in the blend registers.
+    reset() {
+        this.set16(io('DISPCNT'), 0x0080);
+        this.fill(0, VRAM, 0x18000 / 4);
+        this.fill(0, PRAM, 0x400 / 4);
+        this.fill(0x02000200, OAM, 0x400 / 4); // Every sprite disabled
+        this.fill(0, io('BG0CNT'), (io('BLDY') + 4 - io('BG0CNT')) / 4);
+        for (const offset of [0, 6, 0x10, 0x16]) this.set16(io('BG2PA') + offset, 0x100);
+    }
+
+    toSource() {
+        return ['commands:', ...this.lines, '.word 0, 0, 0', ...this.constants].join('\n');
+    }
+}
+
+// Runs the command table, then jumps to the ROM's own main
+const COMMAND_RUNNER = `
+start:
+    ldr r0, =commands
+next_command:
+    ldmia r0!, {r1-r3}
+    cmp r1, #1
+    strheq r3, [r2]
+    cmp r1, #2
+    streq r3, [r2]
+    cmp r1, #0
+    bne next_command
+    b main
+    .pool
+`;
+
+const IDLE_MAIN = `
+main:
+    b main
+`;
+
+function buildRom(title, source, blobs = {}) {
+    const header = new Uint8Array(0xC0);
+    const view = new DataView(header.buffer);
+    view.setUint32(0, 0xEA00002E, true); // b 0x080000C0
+    header.set(getCoreGlobal('NINTENDO_LOGO'), 0x04);
+    header.set(Buffer.from(title.toUpperCase().slice(0, 12), 'ascii'), 0xA0);
+    header.set(Buffer.from('ZSTE01', 'ascii'), 0xAC); // Game code and maker
+    header[0xB2] = 0x96;
+    let sum = 0;
+    for (let i = 0xA0; i < 0xBD; i++) sum = (sum + header[i]) & 0xFF;
+    header[0xBD] = (0x100 - sum - 0x19) & 0xFF;
+
+    const body = new Assembler(ROM_BASE + 0xC0, blobs).assemble(source);
+    const rom = new Uint8Array((0xC0 + body.length + 3) & ~3);
+    rom.set(header);
+    rom.set(body, 0xC0);
+    return rom;
+}
+
+function buildSceneRom(title, scene) {
+    const commands = new CommandTable();
+    const blobs = {};
+    commands.reset();
+    scene(commands, blobs);
+    return buildRom(title, [COMMAND_RUNNER, IDLE_MAIN, '.align 4', commands.toSource(), ...blobSource(blobs)].join('\n'), blobs);
+}
+
+function blobSource(blobs) {
+    return Object.keys(blobs).map((name) => `.align 4\n${name}: .bytes ${name}`);
+}
+
+// === Graphics Data ===
+
+// 8x8 tiles from pixel(x, y) -> palette index
+function tiles4bpp(count, pixel) {
+    const bytes = new Uint8Array(count * 32);
+    for (let t = 0; t < count; t++) {
+        for (let y = 0; y < 8; y++) {
+            for (let x = 0; x < 8; x += 2) {
+                bytes[t * 32 + y * 4 + (x >> 1)] = (pixel(t, x, y) & 0xF) | ((pixel(t, x + 1, y) & 0xF) << 4);
+            }
+        }
+    }
+    return bytes;
+}
+
+function tiles8bpp(count, pixel) {
+    const bytes = new Uint8Array(count * 64);
+    for (let t = 0; t < count; t++) {
+        for (let y = 0; y < 8; y++) {
+            for (let x = 0; x < 8; x++) bytes[t * 64 + y * 8 + x] = pixel(t, x, y);
+        }
+    }
+    return bytes;
+}
+
+// 16 banks of 16 colors; color 0 of bank 0 is the backdrop
+function bankedPalette(color) {
+    const values = [];
+    for (let bank = 0; bank < 16; bank++) {
+        for (let index = 0; index < 16; index++) values.push(color(bank, index));
+    }
+    return halfwords(values);
+}
+
+// A text background map of width x height tiles, laid out in 32x32 screen blocks
+function textMap(width, height, entry) {
+    const values = new Array(width * height);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const block = (x >> 5) + (y >> 5) * (width >> 5);
+            values[block * 1024 + (y & 31) * 32 + (x & 31)] = entry(x, y);
+        }
+    }
+    return halfwords(values);
+}
+
+// OAM image: sprites as [attr0, attr1, attr2], affine parameters as [pa, pb, pc, pd]
+function oamImage(sprites, affine = []) {
+    const values = new Array(512).fill(0);
+    for (let i = 0; i < 128; i++) {
+        const sprite = sprites[i] || [0x0200, 0, 0];
+        values.splice(i * 4, 3, ...sprite);
+    }
+    affine.forEach((params, i) => params.forEach((value, j) => { values[i * 16 + j * 4 + 3] = value & 0xFFFF; }));
+    return halfwords(values);
+}
+
+function affineParams(degrees, scaleX, scaleY = scaleX) {
+    const angle = degrees * Math.PI / 180;
+    const cos = Math.cos(angle), sin = Math.sin(angle);
+    return [cos / scaleX, -sin / scaleX, sin / scaleY, cos / scaleY].map((value) => Math.round(value * 256) & 0xFFFF);
+}
+
+// === Scenes ===
+
+function mode3Scene(commands, blobs) {
+    const pixels = [];
+    for (let y = 0; y < 160; y++) {
+        for (let x = 0; x < 240; x++) {
+            const checker = ((x >> 3) ^ (y >> 3)) & 1;
+            pixels.push(rgb(Math.round(x * 31 / 239), Math.round(y * 31 / 159), checker ? 31 : 8));
+        }
+    }
+    blobs.bitmap = halfwords(pixels);
+    commands.copy('bitmap', VRAM, 240 * 160 / 2);
+    commands.set16(io('DISPCNT'), 0x0403); // Mode 3, BG2
+}
+
+// Page 1 is shown; page 0 holds a different picture that must not appear
+function mode4Scene(commands, blobs) {
+    const palette = [];
+    for (let i = 0; i < 256; i++) palette.push(rgb(i & 31, (i >> 3) & 31, 31 - (i & 31)));
+    const page = (index) => {
+        const bytes = new Uint8Array(240 * 160);
+        for (let y = 0; y < 160; y++) {
+            for (let x = 0; x < 240; x++) bytes[y * 240 + x] = index(x, y);
+        }
+        return bytes;
+    };
+    blobs.palette = halfwords(palette);
+    blobs.page0 = page((x, y) => (x + y) & 0xFF);
+    blobs.page1 = page((x, y) => {
+        const dx = x - 120, dy = y - 80;
+        return (dx * dx + dy * dy < 60 * 60) ? ((dx * dx + dy * dy) >> 6) & 0xFF : (((x >> 4) ^ (y >> 4)) * 17) & 0xFF;
+    });
+    commands.copy('palette', PRAM, 128);
+    commands.copy('page0', VRAM, 240 * 160 / 4);
+    commands.copy('page1', VRAM + 0xA000, 240 * 160 / 4);
+    commands.set16(io('DISPCNT'), 0x0414); // Mode 4, page 1, BG2
+}
+
+// A 160x128 bitmap through BG2's affine transform: zoomed, sheared and offset, with the
+// backdrop showing where the screen runs past the bitmap
+function mode5Scene(commands, blobs) {
+    const pixels = [];
+    for (let y = 0; y < 128; y++) {
+        for (let x = 0; x < 160; x++) {
+            const ring = Math.floor(Math.hypot(x - 80, y - 64) / 8) & 1;
+            pixels.push(ring ? rgb(31, (x >> 3) & 31, y >> 2) : rgb(x >> 3, 31 - (y >> 2), 12));
+        }
+    }
+    blobs.bitmap = halfwords(pixels);
+    commands.copy('bitmap', VRAM, 160 * 128 / 2);
+    commands.set16(PRAM, rgb(6, 6, 10));
+    commands.set16(io('BG2PA'), 0x00C0);
+    commands.set16(io('BG2PA') + 2, 0x0020);
+    commands.set16(io('BG2PA') + 4, 0x0000);
+    commands.set16(io('BG2PA') + 6, 0x00E0);
+    commands.set32(io('BG2PA') + 8, 0x1000);
+    commands.set32(io('BG2PA') + 12, -8 * 256);
+    commands.set16(io('DISPCNT'), 0x0405); // Mode 5, BG2
+}
+
+// Two text backgrounds: a 4bpp one using all 16 palette banks and both flips, and a
+// scrolled 8bpp one on top of it with transparent gaps
+function tilesScene(commands, blobs) {
+    blobs.palette = bankedPalette((bank, index) => (bank === 0 && index === 0) ? rgb(4, 4, 8) : rgb(index * 2, bank * 2, 30 - index * 2));
+    blobs.tiles0 = tiles4bpp(16, (t, x, y) => {
+        if (x === 0 || y === 0) return 1;
+        if ((x + y + t) % 4 === 0) return 2 + (t % 13);
+        return (t >= 8 && x > y) ? 15 : 0;
+    });
+    blobs.tiles1 = tiles8bpp(9, (t, x, y) => {
+        const distance = Math.max(Math.abs(x - 3.5), Math.abs(y - 3.5)) | 0;
+        return (t > 0 && distance < (t % 4) + 1) ? 16 + t * 16 + distance * 2 : 0;
+    });
+    blobs.map0 = textMap(32, 32, (x, y) => ((x + y) & 15) | ((x & 1) << 10) | ((y & 1) << 11) | ((((x >> 2) + (y >> 2)) & 15) << 12));
+    blobs.map1 = textMap(64, 32, (x, y) => ((x + y) % 2 === 0 ? 1 + (x * 3 + y) % 8 : 0) | ((x % 3 === 0) ? 0x400 : 0));
+
+    commands.copy('palette', PRAM, 128);
+    commands.copy('tiles0', VRAM, blobs.tiles0.length / 4);
+    commands.copy('tiles1', VRAM + 0x4000, blobs.tiles1.length / 4);
+    commands.copy('map0', VRAM + 0xF000, 0x800 / 4);
+    commands.copy('map1', VRAM + 0xE000, 0x1000 / 4);
+    commands.set16(io('BG0CNT'), 0x1E01); // Priority 1, char block 0, screen block 30
+    commands.set16(io('BG0CNT') + 2, 0x5C84); // Priority 0, char block 1, 8bpp, screen blocks 28-29, 512x256
+    commands.set16(io('BG0HOFS'), 3);
+    commands.set16(io('BG0HOFS') + 4, 37);
+    commands.set16(io('BG0HOFS') + 6, 11);
+    commands.set16(io('DISPCNT'), 0x0300); // Mode 0, BG0, BG1
+}
+
+// Every sprite shape and size class, flips, 8bpp, priority against a background, an
+// affine double-size sprite, a semi-transparent one and one wrapped past the right edge
+function spritesScene(commands, blobs) {
+    blobs.bgPalette = bankedPalette((bank, index) => index === 0 ? rgb(2, 8, 12) : rgb(20 + index, 12, index * 2));
+    blobs.bgTiles = tiles4bpp(2, (t, x, y) => t === 0 ? 0 : 1 + (((x >> 2) ^ (y >> 2)) & 1));
+    blobs.bgMap = textMap(32, 32, (x) => x < 15 ? 1 : 0);
+    blobs.objPalette = bankedPalette((bank, index) => rgb(31 - index * 2, index * 2, bank * 2));
+    blobs.objTiles = tiles4bpp(128, (t, x, y) => x === y ? 0 : ((t + (x >> 1) + (y >> 1)) % 15) + 1);
+    blobs.objTiles8 = tiles8bpp(4, (t, x, y) => (x + y) % 5 === 0 ? 0 : (t * 64 + x * 8 + y) & 0xFF);
+    blobs.oam = oamImage([
+        [8, 8, 0x0000],                                // 8x8
+        [8, 24 | 0x4000 | 0x1000, 0x1001],             // 16x16, h-flip, bank 1
+        [8, 48 | 0x8000 | 0x2000, 0x2005],             // 32x32, v-flip, bank 2
+        [8, 88 | 0xC000, 0x3014],                      // 64x64, bank 3
+        [8 | 0x4000, 160, 0x4002],                     // 16x8
+        [8 | 0x8000, 184 | 0x4000 | 0x3000, 0x5003],   // 8x32, both flips
+        [8 | 0x2000, 200 | 0x4000, 0x0070],            // 16x16 8bpp
+        [100, 112 | 0x4000, 0x0800 | 0x6004],          // Priority 2, behind BG0 where it is opaque
+        [80 | 0x0300, 140 | 0x8000, 0x7008],           // 32x32 affine, double size, parameters 0
+        [100 | 0x0400, 180 | 0x8000, 0x800C],          // 32x32 semi-transparent
+        [140 | 0x4000, 500 | 0x8000, 0x9010],          // 32x16 at x = -12
+    ], [affineParams(30, 1.25)]);
+
+    commands.copy('bgPalette', PRAM, 128);
+    commands.copy('objPalette', PRAM + 0x200, 128);
+    commands.copy('bgTiles', VRAM, blobs.bgTiles.length / 4);
+    commands.copy('bgMap', VRAM + 0xF800, 0x800 / 4);
+    commands.copy('objTiles', VRAM + 0x10000, blobs.objTiles.length / 4);
+    commands.copy('objTiles8', VRAM + 0x10000 + 0x70 * 32, blobs.objTiles8.length / 4);
+    commands.copy('oam', OAM, 0x400 / 4);
+    commands.set16(io('BG0CNT'), 0x1F01); // Priority 1, screen block 31
+    commands.set16(io('BLDCNT'), 0x2100); // Second target: BG0 and backdrop
+    commands.set16(io('BLDALPHA'), 0x0808);
+    commands.set16(io('DISPCNT'), 0x1140); // Mode 0, BG0, OBJ, 1D tile mapping
+}
+
+// Mode 2: a rotated, wrapping 128x128 BG2 under a zoomed, non-wrapping 256x256 BG3
+function affineScene(commands, blobs) {
+    const palette = [rgb(3, 3, 6)];
+    for (let i = 1; i < 256; i++) palette.push(rgb((i * 3) & 31, (i >> 3) & 31, (i * 5) & 31));
+    blobs.palette = halfwords(palette);
+    blobs.tiles2 = tiles8bpp(8, (t, x, y) => (x === 0 || y === 0) ? 1 : t * 16 + 8 + (x > y ? 1 : 0));
+    blobs.tiles3 = tiles8bpp(8, (t, x, y) => (t === 0 || (x - y + 8) % 8 < 3) ? 0 : 128 + t * 8 + x);
+    const map2 = new Uint8Array(16 * 16), map3 = new Uint8Array(32 * 32);
+    for (let y = 0; y < 16; y++) for (let x = 0; x < 16; x++) map2[y * 16 + x] = (x ^ y) & 7;
+    for (let y = 0; y < 32; y++) for (let x = 0; x < 32; x++) map3[y * 32 + x] = (x + y) % 4 === 0 ? 1 + x % 7 : 0;
+    blobs.map2 = map2;
+    blobs.map3 = map3;
+
+    commands.copy('palette', PRAM, 128);
+    commands.copy('tiles2', VRAM, blobs.tiles2.length / 4);
+    commands.copy('map2', VRAM + 0x4000, map2.length / 4);
+    commands.copy('tiles3', VRAM + 0x8000, blobs.tiles3.length / 4);
+    commands.copy('map3', VRAM + 0xC000, map3.length / 4);
+    commands.set16(io('BG0CNT') + 4, 0x2801); // BG2: priority 1, char block 0, screen block 8, wrap
+    commands.set16(io('BG0CNT') + 6, 0x5808); // BG3: priority 0, char block 2, screen block 24, 256x256
+    const [pa, pb, pc, pd] = affineParams(30, 0.75);
+    [pa, pb, pc, pd].forEach((value, i) => commands.set16(io('BG2PA') + i * 2, value));
+    commands.set32(io('BG2PA') + 8, 0x2000);
+    commands.set32(io('BG2PA') + 12, -0x1000);
+    [0x80, 0, 0, 0x80].forEach((value, i) => commands.set16(io('BG2PA') + 0x10 + i * 2, value));
+    commands.set32(io('BG2PA') + 0x18, -20 * 256);
+    commands.set32(io('BG2PA') + 0x1C, 4 * 256);
+    commands.set16(io('DISPCNT'), 0x0C02); // Mode 2, BG2, BG3
+}
+
+// Two overlapping windows with different layer sets over BG1 alpha-blended onto BG0
+function windowsScene(commands, blobs) {
+    blobs.palette = bankedPalette((bank, index) => bank === 0 ? rgb(index * 2, 10, 4) : rgb(4, index * 2, 20));
+    blobs.tiles = tiles4bpp(2, (t, x, y) => t === 0 ? 1 + (y >> 1) * 2 : 1 + (x >> 1) * 2);
+    blobs.map0 = textMap(32, 32, () => 0x0000);
+    blobs.map1 = textMap(32, 32, () => 0x1001);
+
+    commands.copy('palette', PRAM, 128);
+    commands.copy('tiles', VRAM, blobs.tiles.length / 4);
+    commands.copy('map0', VRAM + 0xF000, 0x800 / 4);
+    commands.copy('map1', VRAM + 0xF800, 0x800 / 4);
+    commands.set16(io('BG0CNT'), 0x1E01); // Priority 1, screen block 30
+    commands.set16(io('BG0CNT') + 2, 0x1F00); // Priority 0, screen block 31
+    commands.set16(io('WIN0H'), (16 << 8) | 120);
+    commands.set16(io('WIN0H') + 2, (96 << 8) | 224);
+    commands.set16(io('WIN0V'), (24 << 8) | 104);
+    commands.set16(io('WIN0V') + 2, (64 << 8) | 152);
+    commands.set16(io('WININ'), (0x23 << 8) | 0x21); // WIN0: BG0 + effects, WIN1: BG0, BG1 + effects
+    commands.set16(io('WINOUT'), 0x0002); // Outside: BG1 only
+    commands.set16(io('BLDCNT'), 0x0142); // Alpha: BG1 over BG0
+    commands.set16(io('BLDALPHA'), 0x060A);
+    commands.set16(io('DISPCNT'), 0x6300); // Mode 0, BG0, BG1, WIN0, WIN1
+}
+
+// Background and sprite mosaic, and a brightness decrease on BG1
+function mosaicScene(commands, blobs) {
+    blobs.palette = bankedPalette((bank, index) => rgb(index * 2, (bank * 4 + index) & 31, 31 - index));
+    blobs.tiles = tiles4bpp(16, (t, x, y) => t === 0 ? 0 : 1 + ((t + x * 2 + y) % 15));
+    blobs.map0 = textMap(32, 32, (x, y) => (x < 15 ? (x * 5 + y * 3) & 15 : 0) | (((x + y) & 3) << 12));
+    blobs.map1 = textMap(32, 32, (x, y) => x >= 15 ? ((x * 7 + y) & 15) | 0x4000 : 0);
+    blobs.objTiles = tiles4bpp(16, (t, x, y) => (x + y + t) % 6 === 0 ? 0 : 1 + ((x * y + t) % 15));
+    blobs.oam = oamImage([[64 | 0x1000, 104 | 0x8000, 0x0000]]); // 32x32, mosaic, priority 0
+
+    commands.copy('palette', PRAM, 128);
+    commands.copy('palette', PRAM + 0x200, 128);
+    commands.copy('tiles', VRAM, blobs.tiles.length / 4);
+    commands.copy('objTiles', VRAM + 0x10000, blobs.objTiles.length / 4);
+    commands.copy('map0', VRAM + 0xF000, 0x800 / 4);
+    commands.copy('map1', VRAM + 0xF800, 0x800 / 4);
+    commands.copy('oam', OAM, 0x400 / 4);
+    commands.set16(io('BG0CNT'), 0x1E41); // Priority 1, mosaic, screen block 30
+    commands.set16(io('BG0CNT') + 2, 0x1F02); // Priority 2, screen block 31
+    commands.set16(io('MOSAIC'), 0x7153); // BG 4x6, OBJ 2x8
+    commands.set16(io('BLDCNT'), 0x00C2); // Darken BG1
+    commands.set16(io('BLDY'), 8);
+    commands.set16(io('DISPCNT'), 0x1340); // Mode 0, BG0, BG1, OBJ, 1D tile mapping
+}
+
+// === CPU Signatures ===
+
+// Mode 4 with a distinct color for every byte value
+function signatureScreen(commands, blobs) {
+    const palette = [];
+    for (let i = 0; i < 256; i++) palette.push(rgb(i & 31, (i >> 5) << 2, 31 - (i & 31)));
+    blobs.palette = halfwords(palette);
+    commands.copy('palette', PRAM, 128);
+    commands.set16(io('DISPCNT'), 0x0404); // Mode 4, page 0, BG2
+}
+
+// Each case clears the flags, runs its lines and stores r0-r3 and the CPSR. r10 points
+// at scratch EWRAM, r12 at the next free spot on screen.
+const ARM_CASES = [
+    // Arithmetic flags
+    ['ldr r0, =0x7FFFFFFF', 'mov r1, #1', 'adds r2, r0, r1'],
+    ['mvn r0, #0', 'mov r1, #1', 'adds r2, r0, r1'],
+    ['mov r0, #5', 'mov r1, #7', 'subs r2, r0, r1'],
+    ['mov r0, #0x80000000', 'rsbs r2, r0, #0'],
+    ['msr cpsr_f, #0x20000000', 'mvn r0, #1', 'mov r1, #1', 'adcs r2, r0, r1'],
+    ['mov r0, #3', 'mov r1, #5', 'sbcs r2, r0, r1'],
+    ['msr cpsr_f, #0x20000000', 'mov r0, #3', 'mov r1, #5', 'rscs r2, r0, r1'],
+    ['ldr r0, =0x80000000', 'cmp r0, #1'],
+    ['mov r0, #1', 'cmn r0, #1'],
+    ['mvn r0, #0', 'cmn r0, #1'],
+    ['mov r0, #0xFF', 'tst r0, #0x100'],
+    ['mov r0, #5', 'teq r0, #5'],
+    // Shifter results and carries
+    ['ldr r0, =0x80000001', 'movs r2, r0, lsl #1'],
+    ['ldr r0, =0x80000001', 'movs r2, r0, lsr #32'],
+    ['ldr r0, =0x80000001', 'movs r2, r0, asr #32'],
+    ['msr cpsr_f, #0x20000000', 'ldr r0, =0x80000001', 'movs r2, r0, rrx'],
+    ['ldr r0, =0x12345678', 'mov r1, #12', 'movs r2, r0, ror r1'],
+    ['ldr r0, =0x12345678', 'mov r1, #33', 'movs r2, r0, lsl r1'],
+    ['msr cpsr_f, #0x20000000', 'ldr r0, =0x80000000', 'mov r1, #0', 'movs r2, r0, lsr r1'],
+    ['ldr r0, =0x80000000', 'mov r1, #40', 'movs r2, r0, asr r1'],
+    ['ldr r0, =0x12345678', 'mov r1, #32', 'movs r2, r0, ror r1'],
+    ['ldr r0, =0xF0F0F0F0', 'ldr r1, =0x0FF00FF0', 'ands r2, r0, r1', 'eor r3, r0, r1'],
+    ['ldr r0, =0xF0F0F0F0', 'ldr r1, =0x0FF00FF0', 'orrs r2, r0, r1', 'bic r3, r0, r1'],
+    ['mov r0, #0', 'mvns r2, r0', 'mov r3, #0xFF000000'],
+    ['ldr r0, =0x40000000', 'adds r2, r0, r0, lsl #1'],
+    // Conditions
+    ['mov r0, #7', 'mov r1, #9', 'cmp r0, r1', 'movlt r2, #1', 'movge r2, #2', 'movhi r3, #3', 'movls r3, #4'],
+    ['ldr r0, =0x80000000', 'cmp r0, #1', 'movvs r2, #1', 'movgt r3, #2', 'movle r3, #3'],
+    ['mov r0, #0', 'adds r1, r0, #0', 'add r2, r0, #1', 'addeq r3, r2, #1'],
+    // Multiplies
+    ['ldr r0, =0x12345678', 'ldr r1, =0x9ABCDEF0', 'mul r2, r0, r1'],
+    ['mvn r0, #0', 'mov r1, #2', 'mov r3, #5', 'mla r2, r0, r1, r3'],
+    ['mvn r0, #0', 'mov r1, #0x10', 'umull r2, r3, r0, r1'],
+    ['ldr r0, =-5', 'mov r1, #7', 'smull r2, r3, r0, r1'],
+    ['mov r2, #1', 'mov r3, #1', 'mov r0, #0x80000000', 'mov r1, #2', 'umlal r2, r3, r0, r1'],
+    ['mov r2, #0', 'mov r3, #0', 'ldr r0, =-3', 'ldr r1, =-4', 'smlals r2, r3, r0, r1'],
+    ['mov r0, #0', 'mov r1, #5', 'muls r2, r0, r1'],
+    // Loads and stores, including misaligned ones
+    ['ldr r0, =0x11223344', 'str r0, [r10]', 'ldr r1, [r10, #1]', 'ldr r2, [r10, #2]', 'ldr r3, [r10, #3]'],
+    ['ldr r0, =0x8899AABB', 'str r0, [r10, #4]', 'ldrb r1, [r10, #5]', 'ldrh r2, [r10, #5]', 'ldrsb r3, [r10, #4]'],
+    ['mov r0, #0', 'ldrsh r1, [r10, #6]', 'ldrsh r2, [r10, #5]', 'ldrh r3, [r10, #6]'],
+    ['mov r0, r10', 'ldr r1, [r0, #4]!', 'ldr r2, [r0], #-4', 'ldr r3, [r0, #4]', 'sub r0, r0, r10'],
+    ['mov r0, #0', 'str r0, [r10, #8]', 'mov r1, #1', 'ldr r2, [r10, r1, lsl #2]', 'strb r1, [r10, #9]', 'ldr r3, [r10, #8]'],
+    ['mov r0, #0', 'str r0, [r10, #12]', 'ldr r1, =0xBEEF', 'add r2, r10, #12', 'strh r1, [r2, #2]!', 'ldr r3, [r10, #12]', 'sub r2, r2, r10'],
+    ['add r0, r10, #0x40', 'mov r1, #0x11', 'mov r2, #0x22', 'mov r3, #0x33', 'stmdb r0!, {r1-r3}', 'ldmib r0, {r2, r3}', 'mov r1, #0', 'sub r0, r0, r10'],
+    ['add r0, r10, #0x80', 'mov r1, #7', 'stmia r0!, {r0, r1}', 'ldr r2, [r10, #0x80]', 'ldr r3, [r10, #0x84]', 'sub r0, r0, r10', 'sub r2, r2, r10'],
+    ['add r0, r10, #0x90', 'mov r1, #9', 'stmda r0, {r1, r2}', 'ldmda r0!, {r2, r3}', 'sub r0, r0, r10'],
+    ['ldr r0, =0xCAFEBABE', 'str r0, [r10, #0x10]', 'mov r1, #0x55', 'add r3, r10, #0x10', 'swp r2, r1, [r3]', 'ldr r3, [r3]'],
+    ['add r3, r10, #0x10', 'ldr r1, =0x1AA', 'swpb r2, r1, [r3]', 'ldr r3, [r3]', 'mov r0, #0'],
+    // Banked registers
+    ['mov r8, #0x10', 'msr cpsr_c, #0x12', 'mov r0, sp', 'mov sp, #0x42', 'msr cpsr_c, #0x1F', 'msr cpsr_c, #0x12', 'mov r1, sp', 'mov sp, r0',
+        'msr cpsr_c, #0x11', 'mov r8, #0x99', 'msr cpsr_c, #0x1F', 'mov r2, r8', 'msr cpsr_c, #0x11', 'mov r3, r8', 'msr cpsr_c, #0x1F', 'mov r0, #0'],
+    // The PC as an operand, and a call
+    ['arm_pc_1: add r2, pc, #0', 'ldr r0, =arm_pc_1', 'sub r2, r2, r0', 'mov r1, #1', 'arm_pc_2: add r3, pc, r1, lsl r1', 'ldr r0, =arm_pc_2', 'sub r3, r3, r0'],
+    ['bl arm_return_address', 'arm_call: ldr r1, =arm_call', 'sub r2, r0, r1', 'mov r0, #0', 'mov r1, #0', 'mov r3, #0'],
+];
+
+const ARM_SUBROUTINES = `
+arm_return_address:
+    mov r0, lr
+    bx lr
+`;
+
+// Flags are read without mrs: r3 gets N=8, Z=4, C=2, V=1 from conditional branches over
+// flag-preserving high-register adds. r7 points at the screen, r6 at scratch EWRAM.
+const THUMB_CASES = [
+    ['mov r0, #5', 'mov r1, #7', 'sub r2, r0, r1'],
+    ['mov r0, #255', 'lsl r0, r0, #24', 'add r2, r0, r0'],
+    ['mov r0, #1', 'lsl r1, r0, #31', 'sub r2, r1, #1'],
+    ['mov r0, #200', 'add r0, #100', 'add r2, r0, #7'],
+    ['mov r0, #3', 'mov r1, #7', 'lsr r2, r1, #1', 'adc r0, r1'],
+    ['mov r0, #3', 'mov r1, #7', 'cmp r0, r0', 'sbc r0, r1'],
+    ['mov r0, #3', 'mov r1, #7', 'cmp r0, r1', 'sbc r0, r1'],
+    ['mov r0, #0x81', 'mov r1, #1', 'ror r0, r1'],
+    ['mov r0, #1', 'mov r1, #32', 'lsl r0, r1'],
+    ['mov r0, #0x80', 'lsl r0, r0, #24', 'mov r1, #40', 'asr r0, r1'],
+    ['mov r0, #0x80', 'lsl r0, r0, #24', 'mov r1, #32', 'lsr r0, r1'],
+    ['mov r0, #12', 'lsr r2, r0, #3', 'mov r1, #0', 'lsr r0, r1'],
+    ['mov r0, #0', 'neg r1, r0'],
+    ['mov r0, #5', 'neg r1, r0'],
+    ['mov r0, #0xF0', 'mov r1, #0x3C', 'mov r2, r0', 'eor r2, r1', 'and r0, r1'],
+    ['mov r0, #0xF0', 'mov r1, #0x3C', 'mvn r2, r1', 'bic r0, r1'],
+    ['mov r0, #0xF0', 'mov r1, #0x3C', 'orr r0, r1', 'tst r0, r1'],
+    ['mov r0, #1', 'lsl r0, r0, #31', 'cmn r0, r0'],
+    ['mov r0, #13', 'mov r1, #11', 'mul r0, r1'],
+    ['mov r0, #0', 'sub r0, #1', 'mul r0, r0'],
+    ['mov r0, #42', 'mov r8, r0', 'mov r1, #1', 'add r1, r8', 'mov r2, r8', 'cmp r2, r8', 'mov r0, #0', 'mov r8, r0'],
+    ['ldr r0, =0x11223344', 'str r0, [r6]', 'mov r1, #1', 'ldr r2, [r6, r1]'],
+    ['ldr r0, =0x8899AABB', 'str r0, [r6, #4]', 'ldrb r1, [r6, #5]', 'mov r2, #5', 'ldrsh r2, [r6, r2]'],
+    ['mov r1, #6', 'ldrsb r0, [r6, r1]', 'mov r1, #0', 'str r1, [r6, #8]', 'ldrh r2, [r6, #6]', 'strh r2, [r6, #10]', 'ldr r1, [r6, #8]'],
+    ['mov r0, #0x20', 'add r0, r0, r6', 'mov r1, #0x11', 'mov r2, #0x22', 'stmia r0!, {r1, r2}', 'sub r0, #8', 'ldmia r0!, {r2}', 'sub r0, r0, r6'],
+    ['mov r0, #1', 'mov r1, #2', 'push {r0, r1}', 'pop {r2}', 'pop {r1}'],
+    ['bl thumb_return_address', 'thumb_call: ldr r1, =thumb_call+1', 'sub r2, r0, r1', 'mov r0, #0', 'mov r1, #0'],
+];
+
+const THUMB_SUBROUTINES = `
+thumb_return_address:
+    mov r0, lr
+    bx lr
+`;
+
+function armSignatureSource() {
+    const cases = ARM_CASES.map((lines, i) => [
+        'msr cpsr_f, #0',
+        ...lines,
+        'mrs r11, cpsr',
+        'stmia r12!, {r0-r3, r11}',
+        // Literal pools every few cases keep the loads in range
+        i % 8 === 7 ? `b arm_case_${i + 1}\n.pool\narm_case_${i + 1}:` : '',
+    ].join('\n'));
+    return `
+main:
+    ldr r12, =${hex(VRAM)}
+    ldr r10, =0x02000000
+${cases.join('\n')}
+arm_done:
+    b arm_done
+    .pool
+${ARM_SUBROUTINES}`;
+}
+
+function thumbSignatureSource() {
+    const flag = (branch, register, i) => `    ${branch} thumb_flag_${register}_${i}\n    add r3, ${register}\nthumb_flag_${register}_${i}:`;
+    const cases = THUMB_CASES.map((lines, i) => [
+        ...lines,
+        'mov r3, r8',
+        flag('bpl', 'r9', i),
+        flag('bne', 'r10', i),
+        flag('bcc', 'r11', i),
+        flag('bvc', 'r12', i),
+        'stmia r7!, {r0-r3}',
+        i % 6 === 5 ? `b thumb_case_${i + 1}\n.pool\nthumb_case_${i + 1}:` : '',
+    ].join('\n'));
+    return `
+main:
+    ldr r7, =${hex(VRAM)}
+    ldr r6, =0x02000000
+    mov r8, #0
+    mov r9, #8
+    mov r10, #4
+    mov r11, #2
+    mov r12, #1
+    adr r0, thumb_main+1
+    bx r0
+    .pool
+.thumb
+thumb_main:
+${cases.join('\n')}
+thumb_done:
+    b thumb_done
+    .pool
+${THUMB_SUBROUTINES}`;
+}
+
+function buildSignatureRom(title, source) {
+    const commands = new CommandTable();
+    const blobs = {};
+    commands.reset();
+    signatureScreen(commands, blobs);
+    return buildRom(title, [COMMAND_RUNNER, source(), '.arm', commands.toSource(), ...blobSource(blobs)].join('\n'), blobs);
+}
+
+// === Main ===
+
+const ROMS = {
+    'ppu-mode3.gba': () => buildSceneRom('ppu mode3', mode3Scene),
+    'ppu-mode4.gba': () => buildSceneRom('ppu mode4', mode4Scene),
+    'ppu-mode5.gba': () => buildSceneRom('ppu mode5', mode5Scene),
+    'ppu-tiles.gba': () => buildSceneRom('ppu tiles', tilesScene),
+    'ppu-sprites.gba': () => buildSceneRom('ppu sprites', spritesScene),
+    'ppu-affine.gba': () => buildSceneRom('ppu affine', affineScene),
+    'ppu-windows.gba': () => buildSceneRom('ppu windows', windowsScene),
+    'ppu-mosaic.gba': () => buildSceneRom('ppu mosaic', mosaicScene),
+    'cpu-arm.gba': () => buildSignatureRom('cpu arm', armSignatureSource),
+    'cpu-thumb.gba': () => buildSignatureRom('cpu thumb', thumbSignatureSource),
+};
+
+function main() {
+    fs.mkdirSync(OUT_DIR, { recursive: true });
+    for (const [file, build] of Object.entries(ROMS)) {
+        const rom = build();
+        fs.writeFileSync(path.join(OUT_DIR, file), rom);
+        console.log(`${file.padEnd(18)} ${rom.length} bytes`);
+    }
+}
+
+main();
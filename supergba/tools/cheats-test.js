@@ -0,0 +1,262 @@
+#!/usr/bin/env node
+// Cheats-Test.js (Checks cheat code decryption, decoding and execution in gbajs3-cheats.js)
+// Each vector pairs a code, as typed into the cheat panel, with the operations it must
+// compile to (see the list at the top of gbajs3-cheats.js). Encrypted codes are given in
+// their printed form next to the words they decrypt to. Apart from the published codes,
+// the printed forms were made for these checks and confirmed with mGBA's decoders, so a
+// mistake shared by decryptTea and encryptTea cannot cancel itself out here.
+//
+//   node supergba/tools/cheats-test.js
+//
+// Exit code is 1 if any check failed.
+
+"use strict";
+
+const assert = require('assert');
+const { getCoreGlobal } = require('../code/gbajs3-node.js');
+
+const decryptTea = getCoreGlobal('decryptTea');
+const encryptTea = getCoreGlobal('encryptTea');
+const reseedTea = getCoreGlobal('reseedTea');
+const parseCheatCode = getCoreGlobal('parseCheatCode');
+const runCheatOps = getCoreGlobal('runCheatOps');
+const GAMESHARK_SEEDS = getCoreGlobal('GAMESHARK_SEEDS');
+const ACTION_REPLAY_MAX_SEEDS = getCoreGlobal('ACTION_REPLAY_MAX_SEEDS');
+const GAMESHARK_RESEED_TABLES = getCoreGlobal('GAMESHARK_RESEED_TABLES');
+const ACTION_REPLAY_MAX_RESEED_TABLES = getCoreGlobal('ACTION_REPLAY_MAX_RESEED_TABLES');
+
+// The core runs in its own VM context; clone its results into this one before comparing
+const assertSame = (actual, expected) => assert.deepStrictEqual(structuredClone(actual), expected);
+const hex = (value) => value.toString(16).toUpperCase().padStart(8, '0');
+
+// Decrypted [op1, op2] pairs to the code text the device's code list would print
+function encryptLines(lines, seeds) {
+    return lines.map(([op1, op2]) => encryptTea(op1, op2, seeds).map(hex).join(' ')).join('\n');
+}
+
+// === Vectors ===
+
+// TEA reference vector: zero key, zero block
+const TEA_VECTORS = [
+    { seeds: [0, 0, 0, 0], encrypted: [0x41EA3A0A, 0x94BAA940], decrypted: [0x00000000, 0x00000000] },
+];
+
+// Codes as printed in published code lists
+const PUBLISHED_VECTORS = [
+    {
+        name: 'Pokemon Emerald (U), Action Replay MAX master code',
+        code: 'D8BAE4D9 4864DCE5\nA86CDBA5 19BA49B3',
+        decrypted: [[0xC40005EC, 0x00008401], [0x45455042, 0x001DC0DE]], // Hook, game ID "BPEE"
+        format: 'actionReplayMax',
+        ops: [],
+    },
+];
+
+// Seeds mGBA derives from DEADFACE 00001234 with each device's tables
+const RESEED_VECTORS = [
+    { format: 'gameshark', tables: GAMESHARK_RESEED_TABLES, seeds: [0x1040BADE, 0xABDB5579, 0x0838B2D6, 0xDB0B85A9] },
+    { format: 'actionReplayMax', tables: ACTION_REPLAY_MAX_RESEED_TABLES, seeds: [0x6D09D152, 0x8D29F172, 0xC05C24A5, 0x9E3A0283] },
+];
+
+// Action Replay MAX (v3): width in bits 25-26, condition in 27-29, base or action in 30-31
+const ACTION_REPLAY_MAX_VECTORS = [
+    { name: '8-bit write, repeated', code: '5AA6D683 32606D7E', decrypted: [[0x00200100, 0x00000263]],
+        ops: [{ type: 'fill', size: 1, address: 0x02000100, value: 0x63, count: 3, addressStep: 1, valueStep: 0 }] },
+    { name: '16-bit write, repeated', code: '041E9A9E C923A21A', decrypted: [[0x02200100, 0x00041234]],
+        ops: [{ type: 'fill', size: 2, address: 0x02000100, value: 0x1234, count: 5, addressStep: 2, valueStep: 0 }] },
+    { name: '32-bit write', code: '4832AB36 B891B79B', decrypted: [[0x04300010, 0x12345678]],
+        ops: [{ type: 'write', size: 4, address: 0x03000010, value: 0x12345678 }] },
+    { name: '8-bit pointer write', code: '53C3DCCD 5B450BAF', decrypted: [[0x40200100, 0x00000263]],
+        ops: [{ type: 'pointer', size: 1, address: 0x02000100, offset: 2, value: 0x63 }] },
+    { name: '16-bit pointer write', code: '68E5C5A2 F5D0DDC3', decrypted: [[0x42200100, 0x00031234]],
+        ops: [{ type: 'pointer', size: 2, address: 0x02000100, offset: 6, value: 0x1234 }] },
+    { name: '32-bit pointer write', code: 'BAB33A4D 24A8F90D', decrypted: [[0x44200100, 0x12345678]],
+        ops: [{ type: 'pointer', size: 4, address: 0x02000100, offset: 0, value: 0x12345678 }] },
+    { name: '8-bit add', code: '06A51DE6 A5E2364C', decrypted: [[0x80300010, 0x00000005]],
+        ops: [{ type: 'add', size: 1, address: 0x03000010, value: 5 }] },
+    { name: '16-bit add', code: 'F36392C2 50297AD6', decrypted: [[0x82300010, 0x00000100]],
+        ops: [{ type: 'add', size: 2, address: 0x03000010, value: 0x100 }] },
+    { name: '32-bit add', code: '8482CCC9 5B4DA817', decrypted: [[0x84300010, 0x00010000]],
+        ops: [{ type: 'add', size: 4, address: 0x03000010, value: 0x10000 }] },
+    { name: '8-bit ==, next code', code: '1DBC0A2E CEC977B5', decrypted: [[0x08200100, 0x00000001]],
+        ops: [{ type: 'if', size: 1, address: 0x02000100, test: 'eq', value: 1, skip: 1, disable: false }] },
+    { name: '16-bit ==, next code', code: 'D40C1866 E62EAB1B', decrypted: [[0x0A300010, 0x00001234]],
+        ops: [{ type: 'if', size: 2, address: 0x03000010, test: 'eq', value: 0x1234, skip: 1, disable: false }] },
+    { name: '32-bit ==, next code', code: '86B5830A D06E78CE', decrypted: [[0x0C300010, 0x12345678]],
+        ops: [{ type: 'if', size: 4, address: 0x03000010, test: 'eq', value: 0x12345678, skip: 1, disable: false }] },
+    { name: 'Conditions !=, <, >, < unsigned, > unsigned, AND',
+        code: 'B158590B D21AF5AC\nF1367C93 AA9A7106\n27F89E57 E1C434D9\n025F3214 AF1B2B0E\nFBE5D825 0E1436EC\n9E9776CF 104E0E3E',
+        decrypted: [[0x10200100, 1], [0x18200100, 2], [0x20200100, 3], [0x28200100, 4], [0x30200100, 5], [0x38200100, 6]],
+        ops: ['ne', 'lts', 'gts', 'lt', 'gt', 'and'].map((test, i) => (
+            { type: 'if', size: 1, address: 0x02000100, test, value: i + 1, skip: 1, disable: false })) },
+    { name: '16-bit ==, next two codes', code: '2DBBF7FD 7182F0AA', decrypted: [[0x4A300010, 0x00001234]],
+        ops: [{ type: 'if', size: 2, address: 0x03000010, test: 'eq', value: 0x1234, skip: 2, disable: false }] },
+    { name: '16-bit ==, block up to end-if', code: '8EBF02AC 0644B044\n1E27D83B BBFB6923',
+        decrypted: [[0x8A300010, 0x00001234], [0x00000000, 0x40000000]],
+        ops: [{ type: 'if', size: 2, address: 0x03000010, test: 'eq', value: 0x1234, skip: Infinity, disable: false }, { type: 'endif' }] },
+    { name: '16-bit ==, else turn off', code: 'D2555A82 C8A06C39', decrypted: [[0xCA300010, 0x00001234]],
+        ops: [{ type: 'if', size: 2, address: 0x03000010, test: 'eq', value: 0x1234, skip: Infinity, disable: true }] },
+    { name: 'Always false', code: 'F4B0B99D C87F6F1E', decrypted: [[0x0E200100, 0x00000000]],
+        ops: [{ type: 'if', size: 4, address: 0x02000100, test: 'never', value: 0, skip: 1, disable: false }] },
+    { name: '16-bit IO write', code: '32B52F22 324BED1D', decrypted: [[0xC6000200, 0x00000001]],
+        ops: [{ type: 'write', size: 2, address: 0x04000200, value: 1 }] },
+    { name: 'ROM patch', code: 'E0C51B94 DA38AD12\n65DA389A 09D8882C', decrypted: [[0x00000000, 0x18000100], [0x000046C0, 0x00000000]],
+        ops: [{ type: 'patch', size: 2, address: 0x08000200, value: 0x46C0 }] },
+    { name: 'Seed change, then a 32-bit write', code: '9C7FE77C A5352DCA\nE7646D71 B17C2DE4',
+        decrypted: [[0xDEADFACE, 0x00001234], [0x04300010, 0x12345678]],
+        ops: [{ type: 'write', size: 4, address: 0x03000010, value: 0x12345678 }] },
+];
+
+// GameShark / Action Replay v1/v2: the type is the top nibble
+const GAMESHARK_VECTORS = [
+    { name: '8-bit write', code: '16D4AAA9 FBF2246E', decrypted: [[0x0200A3F0, 0x00000063]],
+        ops: [{ type: 'write', size: 1, address: 0x0200A3F0, value: 0x63 }] },
+    { name: '16-bit write', code: 'A359BA2C C6D02C20', decrypted: [[0x13001234, 0x0000270F]],
+        ops: [{ type: 'write', size: 2, address: 0x03001234, value: 0x270F }] },
+    { name: '32-bit write', code: '19E3E574 0C5D7B68', decrypted: [[0x22000000, 0x12345678]],
+        ops: [{ type: 'write', size: 4, address: 0x02000000, value: 0x12345678 }] },
+    { name: 'ROM patch', code: 'B9FAB42F 756F4404', decrypted: [[0x60000100, 0x000046C0]],
+        ops: [{ type: 'patch', size: 2, address: 0x08000200, value: 0x46C0 }] },
+    { name: '16-bit ==, next code', code: 'A5417945 E2CF8E9A', decrypted: [[0xD2000100, 0x00001234]],
+        ops: [{ type: 'if', size: 2, address: 0x02000100, test: 'eq', value: 0x1234, skip: 1 }] },
+    { name: '16-bit ==, next two codes', code: 'A81BA2E6 9AEFF9B7', decrypted: [[0xE0021234, 0x02000100]],
+        ops: [{ type: 'if', size: 2, address: 0x02000100, test: 'eq', value: 0x1234, skip: 2 }] },
+    { name: 'Seed change, then a 16-bit write', code: '70BDB80D 69F37FCB\nE6506156 79427C20',
+        decrypted: [[0xDEADFACE, 0x00001234], [0x13001234, 0x0000270F]],
+        ops: [{ type: 'write', size: 2, address: 0x03001234, value: 0x270F }] },
+];
+
+// CodeBreaker codes are plain text until a 9xxxxxxx key line
+const CODEBREAKER_VECTORS = [
+    { name: '16-bit write', code: '82000100 1234', ops: [{ type: 'write', size: 2, address: 0x02000100, value: 0x1234 }] },
+    { name: '8-bit write', code: '32000100 0063', ops: [{ type: 'write', size: 1, address: 0x02000100, value: 0x63 }] },
+    { name: '16-bit add', code: 'E2000100 0005', ops: [{ type: 'add', size: 2, address: 0x02000100, value: 5 }] },
+    { name: 'Keys held', code: 'D0000020 0009', ops: [{ type: 'keys', mask: 0x0009, skip: 1 }] },
+    { name: '16-bit ==', code: '72000100 0001', ops: [{ type: 'if', size: 2, address: 0x02000100, test: 'eq', value: 1, skip: 1 }] },
+    // Encrypted with key 9A1B2C3D 4E5F: 82000100 1234
+    { name: 'Encrypted 16-bit write', code: '9A1B2C3D 4E5F\n6BE94D86 BFC9',
+        ops: [{ type: 'write', size: 2, address: 0x02000100, value: 0x1234 }] },
+    // 32000100 0063, then the slide 42000200 0001 / 00010010 0002: both slide lines are encrypted
+    { name: 'Encrypted 8-bit write and slide', code: '9A1B2C3D 4E5F\nBC27D27B 80C4\n0167C23D 58C4\n8C6FC9B6 68C6',
+        ops: [{ type: 'write', size: 1, address: 0x02000100, value: 0x63 },
+            { type: 'fill', size: 2, address: 0x02000200, value: 1, count: 0x10, addressStep: 2, valueStep: 1 }] },
+    // A second key, itself encrypted with the first (9F123456 FFAB), then E2000100 0005
+    { name: 'Encrypted key change, then a 16-bit add', code: '9A1B2C3D 4E5F\n3C15E228 A73F\nA153517F E776',
+        ops: [{ type: 'add', size: 2, address: 0x02000100, value: 5 }] },
+];
+
+// === Checks ===
+
+const results = [];
+
+function check(name, fn) {
+    try {
+        fn();
+        results.push({ name, failure: null });
+    } catch (e) {
+        results.push({ name, failure: e.message });
+    }
+}
+
+// Decrypts printed lines as the device does, switching seeds after a DEADFACE line
+function decryptLines(code, seeds, tables) {
+    return code.split('\n').map((line) => {
+        const words = decryptTea(...line.split(' ').map((word) => parseInt(word, 16)), seeds);
+        if (words[0] === 0xDEADFACE) seeds = reseedTea(words[1], tables);
+        return words;
+    });
+}
+
+for (const vector of TEA_VECTORS) {
+    check(`TEA ${vector.encrypted.map(hex).join(' ')}`, () => {
+        assertSame(decryptTea(...vector.encrypted, vector.seeds), vector.decrypted);
+        assertSame(encryptTea(...vector.decrypted, vector.seeds), vector.encrypted);
+    });
+}
+
+for (const vector of RESEED_VECTORS) {
+    check(`${vector.format}: DEADFACE 00001234 seeds`, () => {
+        assertSame(reseedTea(0x1234, vector.tables), vector.seeds);
+    });
+}
+
+const TEA_FORMATS = {
+    gameshark: { seeds: GAMESHARK_SEEDS, tables: GAMESHARK_RESEED_TABLES },
+    actionReplayMax: { seeds: ACTION_REPLAY_MAX_SEEDS, tables: ACTION_REPLAY_MAX_RESEED_TABLES },
+};
+
+for (const [prefix, vectors] of [
+    ['', PUBLISHED_VECTORS],
+    ['actionReplayMax: ', ACTION_REPLAY_MAX_VECTORS.map((vector) => ({ ...vector, format: 'actionReplayMax' }))],
+    ['gameshark: ', GAMESHARK_VECTORS.map((vector) => ({ ...vector, format: 'gameshark' }))],
+]) {
+    for (const vector of vectors) {
+        check(`${prefix}${vector.name}`, () => {
+            const { seeds, tables } = TEA_FORMATS[vector.format];
+            assertSame(decryptLines(vector.code, seeds, tables), vector.decrypted);
+            assertSame(parseCheatCode(vector.code, vector.format).ops, vector.ops);
+            // Auto-detection has to land on the same format
+            assertSame(parseCheatCode(vector.code, 'auto'), { format: vector.format, ops: vector.ops });
+        });
+    }
+}
+
+for (const vector of CODEBREAKER_VECTORS) {
+    check(`codebreaker: ${vector.name}`, () => {
+        assertSame(parseCheatCode(vector.code, 'auto'), { format: 'codebreaker', ops: vector.ops });
+    });
+}
+
+check('Encrypted codes that decode to no known type are rejected', () => {
+    // Bit 24 is never set in a v3 RAM code
+    const code = encryptLines([[0x01200100, 0x00000001]], ACTION_REPLAY_MAX_SEEDS);
+    assert.throws(() => parseCheatCode(code, 'actionReplayMax'), /not a valid Action Replay MAX code/);
+});
+
+// === Execution ===
+
+const GBAJS3_Core = getCoreGlobal('GBAJS3_Core');
+
+function runCode(lines, setup) {
+    const bus = new GBAJS3_Core(null).bus;
+    setup(bus);
+    const ops = parseCheatCode(encryptLines(lines, ACTION_REPLAY_MAX_SEEDS), 'actionReplayMax').ops;
+    return { bus, disabled: runCheatOps(bus, ops, 0) };
+}
+
+check('Add changes the value instead of writing through it', () => {
+    const { bus } = runCode([[0x80300010, 0x00000005]], (bus) => {
+        bus.write8(0x03000010, 10);
+        bus.write32(0x03000014, 0x03000020);
+    });
+    assert.strictEqual(bus.peek8(0x03000010), 15);
+    assert.strictEqual(bus.peek8(0x03000020), 0);
+});
+
+check('A false condition skips the next two codes, then the rest run', () => {
+    const write = (offset) => [0x00300020 + offset, 0x00000001];
+    const { bus } = runCode([[0x4A300010, 0x00001234], write(0), write(1), write(2)], () => {});
+    assert.deepStrictEqual([bus.peek8(0x03000020), bus.peek8(0x03000021), bus.peek8(0x03000022)], [0, 0, 1]);
+});
+
+check('A false block condition skips up to the end-if', () => {
+    const { bus } = runCode([[0x8A300010, 0x00001234], [0x00300020, 1], [0x00300021, 1], [0, 0x40000000], [0x00300022, 1]], () => {});
+    assert.deepStrictEqual([bus.peek8(0x03000020), bus.peek8(0x03000021), bus.peek8(0x03000022)], [0, 0, 1]);
+});
+
+check('A false disable condition turns the cheat off; a true one runs the rest', () => {
+    assert.strictEqual(runCode([[0xCA300010, 0x00001234], [0x00300020, 1]], () => {}).disabled, true);
+    const { bus, disabled } = runCode([[0xCA300010, 0x00001234], [0x00300020, 1]], (bus) => bus.write16(0x03000010, 0x1234));
+    assert.strictEqual(disabled, false);
+    assert.strictEqual(bus.peek8(0x03000020), 1);
+});
+
+// === Report ===
+
+const failed = results.filter((result) => result.failure);
+for (const result of results) {
+    console.log(`${result.failure ? 'FAIL' : 'PASS'}  ${result.name}`);
+    if (result.failure) console.log(`      ${result.failure.split('\n').join('\n      ')}`);
+}
+console.log(`\n${results.length - failed.length} PASS, ${failed.length} FAIL`);
+process.exitCode = failed.length ? 1 : 0;
@@ -0,0 +1,279 @@
+#!/usr/bin/env node
+// Conformance.js (Runs test ROMs through the headless core and checks framebuffer hashes)
+// Each test in the manifest runs a ROM for a fixed number of frames, optionally pressing
+// keys on the way, then hashes the final framebuffer and compares it to the stored golden
+// hash. On a mismatch the actual frame and a diff against the golden screenshot are
+// written as PNGs to the output directory.
+//
+//   node supergba/tools/conformance.js                 run every test
+//   node supergba/tools/conformance.js --filter arm    only tests whose name contains "arm"
+//   node supergba/tools/conformance.js --update        accept the current output as golden
+//
+// Options: --manifest <file>, --roms <dir>, --out <dir>, --hle (use the HLE BIOS even when
+// gba_bios.bin is present), --verbose (show core logging).
+// Exit code is 1 if any test failed, errored or has no golden hash yet; only --update records
+// a missing golden. Tests whose ROM is not present are skipped.
+
+"use strict";
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { createHeadlessCore, getCoreGlobal, KEYS, SCREEN_WIDTH, SCREEN_HEIGHT } = require('../code/gbajs3-node.js');
+
+const DEFAULT_MANIFEST = path.join(__dirname, 'conformance', 'manifest.json');
+const BIOS_PATH = path.join(__dirname, '..', 'code', 'gba_bios.bin');
+
+// === PNG ===
+// Just enough of the format for 8-bit RGBA screenshots.
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+
+function pngChunk(type, data) {
+    const chunk = Buffer.alloc(12 + data.length);
+    chunk.writeUInt32BE(data.length, 0);
+    chunk.write(type, 4, 'ascii');
+    data.copy(chunk, 8);
+    chunk.writeUInt32BE(getCoreGlobal('crc32')(chunk.subarray(4, 8 + data.length)), 8 + data.length);
+    return chunk;
+}
+
+function encodePng(rgba, width, height) {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8; // Bit depth
+    header[9] = 6; // Color type: RGBA
+
+    // Every scanline gets filter type 0 (none)
+    const stride = width * 4;
+    const raw = Buffer.alloc((stride + 1) * height);
+    for (let y = 0; y < height; y++) {
+        raw.set(rgba.subarray(y * stride, (y + 1) * stride), y * (stride + 1) + 1);
+    }
+
+    return Buffer.concat([
+        PNG_SIGNATURE,
+        pngChunk('IHDR', header),
+        pngChunk('IDAT', zlib.deflateSync(raw)),
+        pngChunk('IEND', Buffer.alloc(0)),
+    ]);
+}
+
+// Returns { width, height, data } for non-interlaced 8-bit RGBA images
+function decodePng(buffer) {
+    if (!buffer.subarray(0, 8).equals(PNG_SIGNATURE)) throw new Error('Not a PNG file.');
+    let width = 0, height = 0;
+    const idat = [];
+    for (let offset = 8; offset < buffer.length;) {
+        const length = buffer.readUInt32BE(offset);
+        const type = buffer.toString('ascii', offset + 4, offset + 8);
+        const data = buffer.subarray(offset + 8, offset + 8 + length);
+        if (type === 'IHDR') {
+            width = data.readUInt32BE(0);
+            height = data.readUInt32BE(4);
+            if (data[8] !== 8 || data[9] !== 6 || data[12] !== 0) {
+                throw new Error('Only non-interlaced 8-bit RGBA PNGs are supported.');
+            }
+        } else if (type === 'IDAT') {
+            idat.push(data);
+        } else if (type === 'IEND') {
+            break;
+        }
+        offset += 12 + length;
+    }
+
+    const raw = zlib.inflateSync(Buffer.concat(idat));
+    const stride = width * 4;
+    const pixels = new Uint8Array(stride * height);
+    for (let y = 0; y < height; y++) {
+        const filter = raw[y * (stride + 1)];
+        const line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+        const out = y * stride;
+        for (let x = 0; x < stride; x++) {
+            const left = x >= 4 ? pixels[out + x - 4] : 0;
+            const up = y > 0 ? pixels[out + x - stride] : 0;
+            const upLeft = (x >= 4 && y > 0) ? pixels[out + x - stride - 4] : 0;
+            let predictor;
+            switch (filter) {
+                case 0: predictor = 0; break;
+                case 1: predictor = left; break;
+                case 2: predictor = up; break;
+                case 3: predictor = (left + up) >> 1; break;
+                case 4: { // Paeth
+                    const p = left + up - upLeft;
+                    const pa = Math.abs(p - left), pb = Math.abs(p - up), pc = Math.abs(p - upLeft);
+                    predictor = (pa <= pb && pa <= pc) ? left : (pb <= pc ? up : upLeft);
+                    break;
+                }
+                default: throw new Error(`Unknown PNG filter type ${filter}.`);
+            }
+            pixels[out + x] = (line[x] + predictor) & 0xFF;
+        }
+    }
+    return { width, height, data: pixels };
+}
+
+// Differing pixels in red over a dimmed grayscale copy of the expected frame
+function diffImages(expected, actual) {
+    const diff = new Uint8Array(actual.length);
+    let mismatched = 0;
+    for (let i = 0; i < actual.length; i += 4) {
+        if (expected[i] !== actual[i] || expected[i + 1] !== actual[i + 1] || expected[i + 2] !== actual[i + 2]) {
+            diff[i] = 0xFF; diff[i + 1] = 0; diff[i + 2] = 0;
+            mismatched++;
+        } else {
+            const gray = (expected[i] + expected[i + 1] + expected[i + 2]) / 9;
+            diff[i] = diff[i + 1] = diff[i + 2] = gray;
+        }
+        diff[i + 3] = 0xFF;
+    }
+    return { diff, mismatched };
+}
+
+// === Test Runner ===
+
+function parseArgs(argv) {
+    const options = { manifest: DEFAULT_MANIFEST, roms: null, out: null, filter: null, update: false, hle: false, verbose: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--manifest': options.manifest = path.resolve(argv[++i]); break;
+            case '--roms': options.roms = path.resolve(argv[++i]); break;
+            case '--out': options.out = path.resolve(argv[++i]); break;
+            case '--filter': options.filter = argv[++i]; break;
+            case '--update': options.update = true; break;
+            case '--hle': options.hle = true; break;
+            case '--verbose': options.verbose = true; break;
+            default: throw new Error(`Unknown option ${arg}`);
+        }
+    }
+    return options;
+}
+
+// Key mask for a frame from the test's input script: [{ frame, keys: ['A', ...], hold }]
+function keysForFrame(input, frame) {
+    let mask = 0;
+    for (const event of input) {
+        if (frame < event.frame || frame >= event.frame + (event.hold || 1)) continue;
+        for (const name of event.keys) {
+            if (!(name in KEYS)) throw new Error(`Unknown key "${name}" in input script.`);
+            mask |= KEYS[name];
+        }
+    }
+    return mask;
+}
+
+function runTest(test, romData, biosData) {
+    const core = createHeadlessCore(romData, biosData);
+    const input = test.input || [];
+    for (let frame = 0; frame < test.frames; frame++) {
+        core.setKeys(keysForFrame(input, frame));
+        core.runFrame();
+    }
+    const frame = core.getFramebuffer().slice();
+    const hash = crypto.createHash('sha1').update(frame).digest('hex');
+    return { frame, hash };
+}
+
+// Writes the actual frame and, when a golden screenshot exists, the diff against it
+function writeMismatch(test, frame, goldenPath, outDir) {
+    fs.mkdirSync(outDir, { recursive: true });
+    fs.writeFileSync(path.join(outDir, `${test.name}.actual.png`), encodePng(frame, SCREEN_WIDTH, SCREEN_HEIGHT));
+    if (!fs.existsSync(goldenPath)) return 'no golden screenshot';
+
+    const golden = decodePng(fs.readFileSync(goldenPath));
+    if (golden.width !== SCREEN_WIDTH || golden.height !== SCREEN_HEIGHT) return 'golden screenshot has the wrong size';
+    const { diff, mismatched } = diffImages(golden.data, frame);
+    fs.writeFileSync(path.join(outDir, `${test.name}.diff.png`), encodePng(diff, SCREEN_WIDTH, SCREEN_HEIGHT));
+    return `${mismatched} pixels differ`;
+}
+
+function printTable(results) {
+    const columns = [
+        ['Test', (r) => r.name],
+        ['Result', (r) => r.status],
+        ['Frames', (r) => String(r.frames)],
+        ['Time', (r) => r.time === null ? '' : `${r.time}ms`],
+        ['Hash', (r) => r.hash ? r.hash.slice(0, 12) : ''],
+        ['Detail', (r) => r.detail || ''],
+    ];
+    const rows = results.map((result) => columns.map(([, get]) => get(result)));
+    const widths = columns.map(([title], i) => Math.max(title.length, ...rows.map((row) => row[i].length)));
+    const format = (cells) => cells.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd();
+
+    console.log(format(columns.map(([title]) => title)));
+    console.log(widths.map((width) => '-'.repeat(width)).join('  '));
+    for (const row of rows) console.log(format(row));
+
+    const counts = {};
+    for (const result of results) counts[result.status] = (counts[result.status] || 0) + 1;
+    console.log('\n' + Object.entries(counts).map(([status, count]) => `${count} ${status}`).join(', '));
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const manifestDir = path.dirname(options.manifest);
+    const manifest = JSON.parse(fs.readFileSync(options.manifest, 'utf8'));
+    const romDir = options.roms || path.resolve(manifestDir, manifest.romDir || 'roms');
+    const goldenDir = path.resolve(manifestDir, manifest.goldenDir || 'golden');
+    const outDir = options.out || path.resolve(manifestDir, 'out');
+    const biosData = (!options.hle && fs.existsSync(BIOS_PATH)) ? fs.readFileSync(BIOS_PATH) : null;
+
+    // The core logs through the shared console; keep the table readable unless asked
+    const log = console.log, warn = console.warn;
+    const quiet = () => {};
+
+    const results = [];
+    for (const test of manifest.tests) {
+        if (options.filter && !test.name.includes(options.filter)) continue;
+        const result = { name: test.name, status: 'SKIP', frames: test.frames, time: null, hash: null, detail: null };
+        results.push(result);
+
+        const romPath = path.resolve(romDir, test.rom);
+        if (!fs.existsSync(romPath)) {
+            result.detail = `ROM not found: ${path.relative(process.cwd(), romPath)}`;
+            continue;
+        }
+
+        const goldenPath = path.join(goldenDir, `${test.name}.png`);
+        const start = Date.now();
+        try {
+            if (!options.verbose) console.log = console.warn = quiet;
+            const { frame, hash } = runTest(test, fs.readFileSync(romPath), biosData);
+            console.log = log; console.warn = warn;
+            result.time = Date.now() - start;
+            result.hash = hash;
+
+            if (options.update) {
+                result.status = test.hash === hash ? 'PASS' : 'UPDATED';
+                test.hash = hash;
+                fs.mkdirSync(goldenDir, { recursive: true });
+                fs.writeFileSync(goldenPath, encodePng(frame, SCREEN_WIDTH, SCREEN_HEIGHT));
+            } else if (!test.hash) {
+                result.status = 'NEW';
+                result.detail = `no golden hash; check ${test.name}.actual.png, then run with --update`;
+                writeMismatch(test, frame, goldenPath, outDir);
+            } else if (test.hash === hash) {
+                result.status = 'PASS';
+            } else {
+                result.status = 'FAIL';
+                result.detail = writeMismatch(test, frame, goldenPath, outDir);
+            }
+        } catch (e) {
+            console.log = log; console.warn = warn;
+            result.status = 'ERROR';
+            result.detail = e.message;
+        }
+    }
+
+    if (options.update) {
+        fs.writeFileSync(options.manifest, JSON.stringify(manifest, null, 4) + '\n');
+    }
+
+    printTable(results);
+    const failed = results.some((result) => ['FAIL', 'ERROR', 'NEW'].includes(result.status));
+    process.exitCode = failed ? 1 : 0;
+}
+
+main();